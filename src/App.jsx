@@ -1,7 +1,7 @@
 import React, { useRef, useCallback, useMemo } from 'react';
 import GameOfLife from './GameOfLife';
-import { GameTitle, LevelSelector, PatternSelector, GameControls, AdminToggle, ZoomControls, PerformanceMonitor, DetectorPanel } from './components/ui';
-import { ChallengeService } from './services';
+import { GameTitle, LevelSelector, PatternSelector, GameControls, AdminToggle, ZoomControls, PerformanceMonitor, DetectorPanel, RunExportPanel } from './components/ui';
+import { ChallengeService, ShareService } from './services';
 import { useAppState } from './hooks/useAppState';
 import { calculateAutoZoomCellSize } from './utils';
 import { CELL_SIZE } from './constants/gameConstants';
@@ -60,6 +60,49 @@ function App() {
     });
   }, [guidanceLinesVisible, running, challenge, guidanceLineObjects]);
 
+  // Board opened from a share link, waiting for its level to load
+  const [sharedBoard, setSharedBoard] = React.useState(null);
+
+  // Read a share link from the URL hash on mount
+  React.useEffect(() => {
+    const shareHash = ShareService.getShareHash(window.location.hash);
+    if (!shareHash) return;
+
+    ShareService.decodeShareHash(shareHash)
+      .then(state => {
+        console.log('🔗 Opening shared board for level', state.level);
+        setSharedBoard(state);
+      })
+      .catch(error => {
+        console.error('Error opening shared board:', error);
+        setError(`Could not open the shared board: ${error.message}`);
+      });
+  }, [setError]);
+
+  // Switch to the shared board's level once the level list is known
+  React.useEffect(() => {
+    if (!sharedBoard || availableChallenges.length === 0) return;
+
+    const level = availableChallenges.find(available => available.id === sharedBoard.level);
+    if (!level) {
+      setError(`The shared board is for level ${sharedBoard.level}, which does not exist`);
+      setSharedBoard(null);
+      return;
+    }
+    if (level.name !== exercise) {
+      setExercise(level.name);
+    }
+  }, [sharedBoard, availableChallenges, exercise, setExercise, setError]);
+
+  // Drop the share link from the URL once its board is on screen, so later edits are not mistaken for it
+  const handleSharedBoardRestored = useCallback(({ skipped }) => {
+    setSharedBoard(null);
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    if (skipped.length > 0) {
+      setError(`The shared board uses brushes this level does not offer: ${[...new Set(skipped)].join(', ')}`);
+    }
+  }, [setError]);
+
   // Callback to handle detector updates from GameOfLife
   const handleDetectorsChange = useCallback((updatedDetectors) => {
     setDetectors(updatedDetectors);
@@ -113,7 +156,10 @@ function App() {
             pattern: challengeData.pattern,
             setup: challengeData.setup,
             targetTurn: challengeData.targetTurn,
+            rule: challengeData.rule,
+            topology: challengeData.topology,
             editableSpace: challengeData.editableSpace,
+            cycleRegion: challengeData.cycleRegion,
             width: challengeData.width,
             height: challengeData.height,
             brushes: challengeData.brushes,
@@ -170,6 +216,8 @@ function App() {
       pattern: newChallengeData.pattern,
       setup: newChallengeData.setup,
       targetTurn: newChallengeData.targetTurn,
+      rule: newChallengeData.rule,
+      topology: newChallengeData.topology,
       editableSpace: newChallengeData.editableSpace,
       width: newChallengeData.width,
       height: newChallengeData.height,
@@ -271,6 +319,12 @@ function App() {
               exercise={exercise}
               onChallengeReload={handleChallengeReload}
             />
+
+            {/* Export a run as a GIF or PNG frames for design reviews */}
+            <RunExportPanel
+              gameRef={gameRef}
+              running={running}
+            />
           </div>
 
           <div className="game-canvas-container">
@@ -295,6 +349,8 @@ function App() {
               onPatternSelect={handlePatternSelect}
               onRunningChange={setRunning}
               onDetectorsChange={handleDetectorsChange}
+              sharedBoard={sharedBoard}
+              onSharedBoardRestored={handleSharedBoardRestored}
             />
           </div>
 
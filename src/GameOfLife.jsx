@@ -1,11 +1,14 @@
 import React, {useCallback, useEffect, useRef, useState} from 'react';
-import {GameCanvas, GameStatus} from './components/game';
-import {useBrushes, useLevelCompletion} from './hooks/gameHooks';
-import {useAnimationLoop, useThrottle} from './hooks/performanceHooks';
-import {BrushService, DetectorService, GameService, PlacedObjectService} from './services';
-import {calculateCanvasSize, getCenterOffsets} from './utils';
-import {createGuidanceLineFromBrush} from './utils/guidanceLineObjects';
-import {BASE_SPEED, CELL_SIZE, DETECTOR_CONSTANTS} from './constants/gameConstants';
+import {CensusPanel, GameCanvas, GameStatus, StatisticsPanel} from './components/game';
+import {useBrushes, useLevelCompletion, useSimulationWorker} from './hooks/gameHooks';
+import {useThrottle} from './hooks/performanceHooks';
+import {BreakpointService, BrushService, CensusService, DetectorService, GameService, GenerationHistory, PlacedObjectService, RunExportService, ShareService, StatisticsTimeline, StreamAnalyzerService} from './services';
+import {calculateCanvasSize, calculateGridSize, describeCycle, getCenterOffsets} from './utils';
+import {createGuidanceLineFromBrush, generateAllGuidanceLinePixels} from './utils/guidanceLineObjects';
+import {renderBoardSvg} from './utils/svgRenderer';
+import {BASE_SPEED, CELL_SIZE, CENSUS_KIND_COLORS, DETECTOR_CONSTANTS, TOPOLOGY} from './constants/gameConstants';
+import {DEFAULT_RULE} from './utils/lifeRules';
+import {wrapCoordinate} from './utils/topology';
 
 const GameOfLife = React.forwardRef(({
                                          challenge,
@@ -24,18 +27,14 @@ const GameOfLife = React.forwardRef(({
                                          // Other callbacks
                                          onPatternSelect,
                                          onRunningChange,
-                                         onDetectorsChange
+                                         onDetectorsChange,
+                                         // Board from a share link, restored once the level is set up
+                                         sharedBoard,
+                                         onSharedBoardRestored
                                      }, ref) => {
     // Helper function to calculate initial grid size consistently
     const calculateInitialGridSize = useCallback(() => {
-        if (challenge && challenge.width && challenge.height) {
-            return {width: challenge.width, height: challenge.height};
-        }
-        const canvasSize = calculateCanvasSize(null, cellSize);
-        return {
-            width: Math.floor(canvasSize.maxWidth / cellSize),
-            height: Math.floor(canvasSize.maxHeight / cellSize)
-        };
+        return calculateGridSize(challenge, calculateCanvasSize(challenge, cellSize), cellSize);
     }, [challenge, cellSize]);
 
     // Custom hooks
@@ -59,7 +58,7 @@ const GameOfLife = React.forwardRef(({
     const [gridSize, setGridSize] = useState(calculateInitialGridSize);
     const [grid, setGrid] = useState(() => {
         const initialGridSize = calculateInitialGridSize();
-        return GameService.createEmptyGrid(initialGridSize.width, initialGridSize.height);
+        return GameService.createPackedGrid(initialGridSize.width, initialGridSize.height);
     });
     const [multiplier, setMultiplier] = useState(4);
     const selectedPattern = externalSelectedPattern;
@@ -73,14 +72,33 @@ const GameOfLife = React.forwardRef(({
     const [previousGrid, setPreviousGrid] = useState(null);
     const [detectors, setDetectors] = useState([]);
 
+    // Cycle detection: the last reported cycle with the frame it belongs to, and its options
+    const [cycleFrame, setCycleFrame] = useState(null);
+    const [stopOnCycle, setStopOnCycle] = useState(false);
+    const [cycleRegion, setCycleRegion] = useState(null);
+
+    // Breakpoints (center-based) and the last one that paused the simulation, with its frame
+    const [breakpoints, setBreakpoints] = useState([]);
+    const [breakpointFrame, setBreakpointFrame] = useState(null);
+    // Per-generation statistics of the current run and of a pinned run to compare against
+    const [statistics] = useState(() => new StatisticsTimeline());
+    const [statisticsRows, setStatisticsRows] = useState([]);
+    const [baselineRows, setBaselineRows] = useState(null);
+    // Object census panel, and the object name singled out on the canvas
+    const [censusOpen, setCensusOpen] = useState(false);
+    const [censusHighlightName, setCensusHighlightName] = useState(null);
+    // Stream probes (center-based or following a guidance line) and the timing of the streams crossing them
+    const [streamProbes, setStreamProbes] = useState([]);
+    const [streamReport, setStreamReport] = useState([]);
+
     // Board state management - clearer separation of purposes
     const [setupBoardState, setSetupBoardState] = useState(() => {
         const initialGridSize = calculateInitialGridSize();
-        return GameService.createEmptyGrid(initialGridSize.width, initialGridSize.height);
+        return GameService.createPackedGrid(initialGridSize.width, initialGridSize.height);
     });
     const [prePlayBoardState, setPrePlayBoardState] = useState(() => {
         const initialGridSize = calculateInitialGridSize();
-        return GameService.createEmptyGrid(initialGridSize.width, initialGridSize.height);
+        return GameService.createPackedGrid(initialGridSize.width, initialGridSize.height);
     });
 
     // Track placed objects (user-placed patterns with linked guidance lines)
@@ -93,8 +111,60 @@ const GameOfLife = React.forwardRef(({
 
     const speed = BASE_SPEED / multiplier;
 
-    // Ref to prevent double execution in React.StrictMode
-    const animationExecutionRef = useRef(false);
+    // Sandbox play (no challenge) runs on an unbounded board: the grid is only the visible window
+    const topology = challenge ? (challenge.topology || TOPOLOGY.BOUNDED) : TOPOLOGY.UNBOUNDED;
+
+    // Cycle detection region in board coordinates; regions are given center-based, null watches the whole board
+    const boardCycleRegion = React.useMemo(() => {
+        const region = cycleRegion || challenge?.cycleRegion;
+        if (!region) return null;
+        const {centerOffsetX, centerOffsetY} = getCenterOffsets(gridSize);
+        return {x: region.x + centerOffsetX, y: region.y + centerOffsetY, width: region.width, height: region.height};
+    }, [cycleRegion, challenge, gridSize]);
+
+    // Edits and seeks replace the grid, so a reported cycle only describes the frame it came with
+    const cycle = cycleFrame && cycleFrame.grid === grid ? cycleFrame.cycle : null;
+    const firedBreakpoint = breakpointFrame && breakpointFrame.grid === grid ? breakpointFrame.breakpoint : null;
+
+    // Read by the simulation frame handler, which outlives individual renders
+    const runningRef = useRef(running);
+    runningRef.current = running;
+
+    // Measured simulation speed, polled by the controls rather than rendered from state
+    const generationsPerSecondRef = useRef(0);
+
+    // The simulation runs in a worker and streams frames back into React state
+    const handleSimulationFrame = useCallback((frame) => {
+        // Streamed frames that arrive after the game was stopped are stale
+        if (!frame.requested && !runningRef.current) return;
+
+        setPreviousGrid(frame.previousGrid);
+        setGrid(frame.grid);
+        setGeneration(frame.generation);
+        setDetectors(frame.detectors);
+        setCycleFrame(frame.cycle ? {cycle: frame.cycle, grid: frame.grid} : null);
+        generationsPerSecondRef.current = frame.running ? frame.generationsPerSecond : 0;
+        if (frame.statistics.length > 0) {
+            setStatisticsRows(statistics.record(frame.statistics));
+        }
+        setStreamReport(frame.streams);
+
+        if (frame.reason === 'breakpoint') {
+            console.log(`⏸️ Breakpoint hit at generation ${frame.generation}: ${BreakpointService.describeBreakpoint(frame.breakpoint)}`);
+            setBreakpointFrame({breakpoint: frame.breakpoint, grid: frame.grid});
+            if (onRunningChangeRef.current) onRunningChangeRef.current(false);
+        }
+
+        if (frame.reason === 'cycle') {
+            console.log(`🔁 Board is ${describeCycle(frame.cycle)} since generation ${frame.cycle.since}`);
+            if (onRunningChangeRef.current) onRunningChangeRef.current(false);
+        }
+    }, [statistics]);
+    const simulationRef = useSimulationWorker(handleSimulationFrame);
+
+    // Recorded board and detector states for stepping back and scrubbing
+    const [history] = useState(() => new GenerationHistory());
+
     const setupCompletedRef = useRef(null);
 
     // Ref to store test results for level completion logic
@@ -105,6 +175,11 @@ const GameOfLife = React.forwardRef(({
         return GameService.isEditableCell(x, y, challenge, gridSize, adminMode);
     }, [challenge, gridSize, adminMode]);
 
+    // Helper to map a position onto the board, wrapping around torus and Klein bottle edges
+    const wrapCell = useCallback((x, y) => {
+        return wrapCoordinate(x, y, gridSize.width || gridSize, gridSize.height || gridSize, topology);
+    }, [topology, gridSize]);
+
     // Helper function to generate test scenario preview patterns
     const generateTestScenarioPreviewPatterns = useCallback(() => {
         if (!challenge || !challenge.testScenarios || !brushes || Object.keys(brushes).length === 0) {
@@ -119,7 +194,7 @@ const GameOfLife = React.forwardRef(({
         for (const scenario of challenge.testScenarios) {
             if (scenario.setup && scenario.setup.length > 0) {
                 for (const setupItem of scenario.setup) {
-                    const baseBrush = brushes[setupItem.brush];
+                    const baseBrush = BrushService.getBrushForChallenge(brushes, setupItem.brush, challenge);
                     if (baseBrush && baseBrush.pattern) {
                         // Apply rotation if specified
                         let brush = baseBrush;
@@ -190,8 +265,8 @@ const GameOfLife = React.forwardRef(({
 
             // Restore to prePlayBoardState (the state at generation 0 with user's additions)
             const baseGrid = prePlayBoardState ?
-                prePlayBoardState.map(arr => [...arr]) :
-                (setupBoardState ? setupBoardState.map(arr => [...arr]) : GameService.createEmptyGrid(gridSize.width, gridSize.height));
+                prePlayBoardState.clone() :
+                (setupBoardState ? setupBoardState.clone() : GameService.createPackedGrid(gridSize.width, gridSize.height));
 
             // Apply initial placed objects on top of the pre-play state
             const restoredGrid = PlacedObjectService.applyPlacedObjectsToGrid(baseGrid, initialPlacedObjects);
@@ -216,7 +291,7 @@ const GameOfLife = React.forwardRef(({
             if (scenario.setup && scenario.setup.length > 0 && brushes && Object.keys(brushes).length > 0) {
 
                 for (const setupItem of scenario.setup) {
-                    const baseBrush = brushes[setupItem.brush];
+                    const baseBrush = BrushService.getBrushForChallenge(brushes, setupItem.brush, challenge);
                     if (baseBrush && baseBrush.pattern) {
                         let brush = baseBrush;
                         if (setupItem.rotate && setupItem.rotate !== 0) {
@@ -237,12 +312,12 @@ const GameOfLife = React.forwardRef(({
                 }
 
                 setGrid(currentGrid => {
-                    const newGrid = currentGrid.map(row => [...row]);
+                    const newGrid = currentGrid.clone();
                     const centerOffsetX = Math.floor(gridSize.width / 2);
                     const centerOffsetY = Math.floor(gridSize.height / 2);
 
                     for (const setupItem of scenario.setup) {
-                        const baseBrush = brushes[setupItem.brush];
+                        const baseBrush = BrushService.getBrushForChallenge(brushes, setupItem.brush, challenge);
 
                         if (baseBrush && baseBrush.pattern) {
 
@@ -264,13 +339,10 @@ const GameOfLife = React.forwardRef(({
                             }
 
                             // Place pattern on the grid
-                            for (const [dy, dx] of brush.pattern) {
+                            for (const [dy, dx, state] of brush.pattern) {
                                 const gridY = centerOffsetY + setupItem.y + dy;
                                 const gridX = centerOffsetX + setupItem.x + dx;
-                                if (gridY >= 0 && gridY < newGrid.length &&
-                                    gridX >= 0 && gridX < newGrid[0].length) {
-                                    newGrid[gridY][gridX] = 1;
-                                }
+                                newGrid.setState(gridX, gridY, state || 1);
                             }
                         } else {
                             console.error(`🧪 Brush "${setupItem.brush}" not found or has no pattern`);
@@ -310,9 +382,7 @@ const GameOfLife = React.forwardRef(({
                 requestAnimationFrame(() => {
                     // Get current grid state via the grid ref to bypass React state timing
                     setGrid(currentGrid => {
-                        const totalLiveCells = currentGrid.reduce((count, row) =>
-                            count + row.reduce((rowCount, cell) => rowCount + (cell ? 1 : 0), 0), 0
-                        );
+                        const totalLiveCells = currentGrid.countAlive();
 
                         // Check if we have the expected number of live cells (accounting for pre-play state)
                         if (expectedLiveCells === 0 || totalLiveCells >= expectedLiveCells) {
@@ -355,7 +425,7 @@ const GameOfLife = React.forwardRef(({
                             }
 
                             gridResolve({
-                                grid: currentGrid.map(row => [...row]),
+                                grid: currentGrid.clone(),
                                 detectors: detectorsToUse
                             });
 
@@ -370,63 +440,32 @@ const GameOfLife = React.forwardRef(({
             setTimeout(async () => {
                 const {grid: currentGrid, detectors: currentDetectors} = await getCurrentGridAndDetectors();
 
-                // Run simulation at high speed - adjust batch size based on grid size
-                const gridSize = currentGrid.length * (currentGrid[0]?.length || 0);
-                const batchSize = gridSize > 50000 ? 64 : 32; // Larger batch for bigger grids (301x301 = 90601)
-
-                let currentGeneration = 0;
-                let workingGrid = currentGrid;
-                let workingDetectors = currentDetectors;
-
-                const processBatch = () => {
-                    // Validate current grid before processing
-                    if (!workingGrid || !Array.isArray(workingGrid) || workingGrid.length === 0) {
-                        console.error('🧪 Invalid grid state during test execution:', workingGrid);
-                        resolve(workingDetectors || []);
-                        return;
-                    }
-
-                    // Process a batch of generations without state updates
-                    for (let i = 0; i < batchSize && currentGeneration < targetGenerations; i++) {
-                        try {
-                            workingGrid = GameService.nextGeneration(workingGrid);
-                            workingDetectors = DetectorService.updateDetectors(workingDetectors, workingGrid, currentGeneration);
-                            currentGeneration++;
-                        } catch (error) {
-                            console.error(`🧪 Error during simulation at generation ${currentGeneration}:`, error);
-                            resolve(workingDetectors || []);
-                            return;
-                        }
-                    }
-
-                    // Update state with batch result for visual feedback
-                    setGrid(workingGrid.map(row => [...row]));
-                    setDetectors([...workingDetectors]);
-                    setGeneration(currentGeneration);
+                const simulation = simulationRef.current;
+                if (!simulation || !currentGrid || currentGrid.height === 0) {
+                    console.error('🧪 Invalid test state - simulation worker or grid unavailable:', currentGrid);
+                    resolve(currentDetectors || []);
+                    return;
+                }
 
-                    if (currentGeneration >= targetGenerations) {
-                        console.log(`🧪 Final detector states:`, workingDetectors.map(d => ({
+                // Run the scenario in the worker; the resulting frame updates the board for visual feedback
+                simulation.load({grid: currentGrid, generation: 0, detectors: currentDetectors, rule: challenge?.rule, topology});
+                simulation.jump(targetGenerations)
+                    .then(frame => {
+                        const finalDetectors = frame ? frame.detectors : currentDetectors;
+                        console.log(`🧪 Final detector states:`, finalDetectors.map(d => ({
                             index: d.index,
                             currentValue: d.currentValue,
                             position: d.position
                         })));
-                        resolve(workingDetectors);
-                        return;
-                    }
-
-                    // Progress logging - more frequent updates
-                    if (currentGeneration % (batchSize * 2) === 0) {
-                        console.log(`🧪 Test progress: ${currentGeneration}/${targetGenerations} generations (${Math.round((currentGeneration / targetGenerations) * 100)}%)`);
-                    }
-
-                    // Continue with next batch - very minimal delay for faster execution
-                    setTimeout(processBatch, 1); // Reduced from 10ms to 1ms for faster tests
-                };
-
-                processBatch();
+                        resolve(finalDetectors);
+                    })
+                    .catch(error => {
+                        console.error('🧪 Error during simulation:', error);
+                        resolve(currentDetectors || []);
+                    });
             }, 100); // Reduced delay since we're now properly waiting for state
         });
-    }, [challenge]);
+    }, [challenge, topology, simulationRef]);
 
     // Helper function to validate test scenario
     const validateTestScenario = useCallback((scenario, currentDetectors = null) => {
@@ -615,13 +654,12 @@ const GameOfLife = React.forwardRef(({
                 return;
             }
 
-            const newGridWidth = Math.floor(newCanvasSize.maxWidth / cellSize);
-            const newGridHeight = Math.floor(newCanvasSize.maxHeight / cellSize);
-            setGridSize({width: newGridWidth, height: newGridHeight});
+            const newGridSize = calculateGridSize(null, newCanvasSize, cellSize);
+            setGridSize(newGridSize);
 
             // Resize grid while preserving center at 0,0
             setGrid(prevGrid => {
-                return GameService.resizeGrid(prevGrid, newGridWidth, newGridHeight);
+                return GameService.resizeGrid(prevGrid, newGridSize.width, newGridSize.height, TOPOLOGY.UNBOUNDED);
             });
         };
 
@@ -664,24 +702,6 @@ const GameOfLife = React.forwardRef(({
         }
     }, [generation, grid, challenge, checkLevelCompletion, levelCompleted, levelFailed, detectors, handleTest]);
 
-    // Initialize detector states when play starts
-    useEffect(() => {
-        if (running && generation === 0 && detectors.length > 0) {
-            // Check if any detectors are initially covered and activate them
-            const initializedDetectors = DetectorService.initializeDetectorStates(detectors, grid, generation);
-
-            // Only update if there were changes
-            const hasChanges = initializedDetectors.some((detector, index) =>
-                detector.currentValue !== detectors[index].currentValue ||
-                detector.activationTimer !== detectors[index].activationTimer
-            );
-
-            if (hasChanges) {
-                setDetectors(initializedDetectors);
-            }
-        }
-    }, [running, generation, detectors, grid]);
-
     // Capture initial placed objects state for reset functionality
     useEffect(() => {
         if (generation === 0) {
@@ -692,10 +712,15 @@ const GameOfLife = React.forwardRef(({
     // Capture prePlayBoardState when user is at generation 0 with current grid
     useEffect(() => {
         if (generation === 0 && grid) {
-            setPrePlayBoardState(grid.map(arr => [...arr]));
+            setPrePlayBoardState(grid.clone());
         }
     }, [grid, generation]);
 
+    // Record every displayed generation; editing a past generation discards the ones after it
+    useEffect(() => {
+        history.record(generation, grid, detectors, {rule: challenge?.rule, topology});
+    }, [grid, generation, detectors, history, challenge, topology]);
+
     // Notify parent component when detectors change
     useEffect(() => {
         if (onDetectorsChange) {
@@ -721,6 +746,14 @@ const GameOfLife = React.forwardRef(({
         if (challengeChanged) {
             // Clear test results for new challenge
             testResultsRef.current = null;
+            history.clear();
+            setCycleRegion(null);
+            setBreakpoints([]);
+            setStatisticsRows(statistics.clear());
+            setBaselineRows(null);
+            setCensusHighlightName(null);
+            setStreamProbes([]);
+            setStreamReport([]);
 
             // ...existing code...
             if (onRunningChangeRef.current) onRunningChangeRef.current(false);
@@ -734,45 +767,39 @@ const GameOfLife = React.forwardRef(({
 
             // Calculate new grid size for the new challenge
             const newCanvasSize = calculateCanvasSize(challenge, cellSize);
-            const newGridSize = challenge && challenge.width && challenge.height
-                ? {width: challenge.width, height: challenge.height}
-                : {
-                    width: Math.floor(newCanvasSize.maxWidth / cellSize),
-                    height: Math.floor(newCanvasSize.maxHeight / cellSize)
-                };
+            const newGridSize = calculateGridSize(challenge, newCanvasSize, cellSize);
 
             setCanvasSize(newCanvasSize);
             setGridSize(newGridSize);
 
             // Create new grid only when challenge changes
-            const newGrid = GameService.createEmptyGrid(newGridSize.width, newGridSize.height);
+            const newGrid = GameService.createPackedGrid(newGridSize.width, newGridSize.height);
             setGrid(newGrid);
-            setSetupBoardState(newGrid.map(arr => [...arr]));
-            setPrePlayBoardState(newGrid.map(arr => [...arr]));
+            setSetupBoardState(newGrid.clone());
+            setPrePlayBoardState(newGrid.clone());
         }
 
         // Update refs at the end - handles React Strict Mode double execution correctly
         previousChallengeRef.current = challenge;
         previousChallengeNameRef.current = currentChallengeName;
-    }, [challenge, onResetGuidanceLineObjects]); // Removed cellSize to prevent false triggers
+    }, [challenge, onResetGuidanceLineObjects, history, statistics]); // Removed cellSize to prevent false triggers
 
     // Separate effect for handling cellSize changes (zoom)
     useEffect(() => {
-        if (!challenge) return; // Only update if we have a challenge
-
         // Calculate new canvas and grid sizes based on new cellSize
         const newCanvasSize = calculateCanvasSize(challenge, cellSize);
-        const newGridSize = challenge && challenge.width && challenge.height
-            ? {width: challenge.width, height: challenge.height}
-            : {
-                width: Math.floor(newCanvasSize.maxWidth / cellSize),
-                height: Math.floor(newCanvasSize.maxHeight / cellSize)
-            };
-
+        const newGridSize = calculateGridSize(challenge, newCanvasSize, cellSize);
 
         setCanvasSize(newCanvasSize);
         setGridSize(newGridSize);
 
+        // Zooming a sandbox board moves its window over the unbounded universe, keeping the center
+        if (!challenge) {
+            setGrid(prevGrid => prevGrid.width === newGridSize.width && prevGrid.height === newGridSize.height
+                ? prevGrid
+                : GameService.resizeGrid(prevGrid, newGridSize.width, newGridSize.height, TOPOLOGY.UNBOUNDED));
+        }
+
         // Note: We intentionally do NOT clear guidance lines or reset grid here
         // This effect is only for updating rendering dimensions during zoom
     }, [cellSize, challenge]);
@@ -854,11 +881,11 @@ const GameOfLife = React.forwardRef(({
 
         // Update grid with setup patterns
         setGrid(currentGrid => {
-            const newGrid = currentGrid.map(arr => [...arr]);
+            const newGrid = currentGrid.clone();
             const {centerOffsetX, centerOffsetY} = getCenterOffsets(newGrid);
 
             for (const setupItem of challenge.setup) {
-                const baseBrush = brushes[setupItem.brush];
+                const baseBrush = BrushService.getBrushForChallenge(brushes, setupItem.brush, challenge);
                 if (baseBrush && baseBrush.pattern) {
                     // Apply rotation if specified
                     let brush = baseBrush;
@@ -878,20 +905,18 @@ const GameOfLife = React.forwardRef(({
                     }
 
                     // Place transformed brush pattern at specified coordinates
-                    for (const [dy, dx] of brush.pattern) {
+                    for (const [dy, dx, state] of brush.pattern) {
                         const gridY = centerOffsetY + setupItem.y + dy;
                         const gridX = centerOffsetX + setupItem.x + dx;
-                        if (gridY >= 0 && gridY < newGrid.length && gridX >= 0 && gridX < newGrid[0].length) {
-                            newGrid[gridY][gridX] = 1;
-                        }
+                        newGrid.setState(gridX, gridY, state || 1);
                     }
                 }
             }
 
             // Synchronously update setup board state with the challenge patterns
-            setSetupBoardState(newGrid.map(arr => [...arr]));
+            setSetupBoardState(newGrid.clone());
             // Also initialize prePlayBoardState to the setup (will be updated when user places things)
-            setPrePlayBoardState(newGrid.map(arr => [...arr]));
+            setPrePlayBoardState(newGrid.clone());
 
             return newGrid;
         });
@@ -910,7 +935,7 @@ const GameOfLife = React.forwardRef(({
         const centerOffsetY = Math.floor(currentGridSize.height / 2);
 
         for (const setupItem of challenge.setup) {
-            const baseBrush = brushes[setupItem.brush];
+            const baseBrush = BrushService.getBrushForChallenge(brushes, setupItem.brush, challenge);
 
             if (baseBrush) {
                 // Apply the same rotation as used for pattern placement
@@ -991,25 +1016,53 @@ const GameOfLife = React.forwardRef(({
     }, [challenge, brushes, brushesLoaded, onAddGuidanceLineObject, onResetGuidanceLineObjects]); // Removed cellSize to prevent false triggers
     useEffect(() => {
         // Update setupBoardState and prePlayBoardState based on current grid state
-        if (challenge?.setup?.length > 0 && grid.some(row => row.some(cell => cell))) {
+        if (challenge?.setup?.length > 0 && grid.countAlive() > 0) {
             // If this is the first time loading setup patterns, capture as setupBoardState
-            if (!setupBoardState || setupBoardState.every(row => row.every(cell => cell === 0))) {
-                setSetupBoardState(grid.map(arr => [...arr]));
+            if (!setupBoardState || setupBoardState.countAlive() === 0) {
+                setSetupBoardState(grid.clone());
             }
             // Always update prePlayBoardState when grid changes at generation 0
             if (generation === 0) {
-                setPrePlayBoardState(grid.map(arr => [...arr]));
+                setPrePlayBoardState(grid.clone());
             }
         } else if (!challenge?.setup?.length) {
             // For challenges without setup, ensure both states are empty
-            const emptyGrid = GameService.createEmptyGrid(gridSize.width, gridSize.height);
-            setSetupBoardState(emptyGrid.map(arr => [...arr]));
+            const emptyGrid = GameService.createPackedGrid(gridSize.width, gridSize.height);
+            setSetupBoardState(emptyGrid.clone());
             if (generation === 0) {
-                setPrePlayBoardState(emptyGrid.map(arr => [...arr]));
+                setPrePlayBoardState(emptyGrid.clone());
             }
         }
     }, [grid, challenge?.setup, gridSize.width, gridSize.height, generation]);
 
+    // Restore a shared board once its level is loaded and the setup patterns are on the board
+    useEffect(() => {
+        if (!sharedBoard || !challenge || !brushesLoaded || !setupBoardState) return;
+        if (ShareService.getLevelId(challenge.name) !== sharedBoard.level) return;
+        if (setupCompletedRef.current !== `${challenge.name}_${challenge.setup?.length || 0}`) return;
+        if (setupBoardState.width !== gridSize.width || setupBoardState.height !== gridSize.height) return;
+        if (challenge.setup?.length > 0 && setupBoardState.countAlive() === 0) return;
+
+        const {grid: restoredGrid, placedObjects: restoredObjects, skipped} =
+            ShareService.restoreBoard(sharedBoard, setupBoardState, brushes, challenge);
+        console.log('🔗 Restored shared board:', {
+            level: sharedBoard.level,
+            objects: restoredObjects.length,
+            skipped,
+            rawCells: !!sharedBoard.cells
+        });
+
+        setPlacedObjects(restoredObjects);
+        setInitialPlacedObjects(restoredObjects);
+        setGrid(restoredGrid);
+        setPrePlayBoardState(restoredGrid.clone());
+        setPreviousGrid(null);
+        setGeneration(0);
+        if (onSharedBoardRestored) {
+            onSharedBoardRestored({skipped});
+        }
+    }, [sharedBoard, challenge, brushes, brushesLoaded, setupBoardState, gridSize, onSharedBoardRestored]);
+
     // Pattern integrity checking - check and update intact flags when grid changes
     useEffect(() => {
         if (placedObjects.length > 0 && brushes && Object.keys(brushes).length > 0) {
@@ -1027,7 +1080,8 @@ const GameOfLife = React.forwardRef(({
             const updatedObjects = PlacedObjectService.updatePlacedObjectsIntegrity(
                 placedObjects,
                 grid,
-                brushes
+                brushes,
+                topology
             );
 
             console.log('🎯 INTEGRITY CHECK - After checking integrity:', {
@@ -1048,7 +1102,7 @@ const GameOfLife = React.forwardRef(({
                 setPlacedObjects(updatedObjects);
             }
         }
-    }, [grid, placedObjects, brushes]);
+    }, [grid, placedObjects, brushes, topology]);
 
     // Sync guidance line objects when placed object integrity changes
     useEffect(() => {
@@ -1125,40 +1179,91 @@ const GameOfLife = React.forwardRef(({
         }
     }, [placedObjects, onAddGuidanceLineObject, onResetGuidanceLineObjects]); // Removed guidanceLineObjects dependency
 
-    // Optimized animation loop using requestAnimationFrame
-    const animationCallback = useCallback(() => {
-        // Prevent double execution in React.StrictMode
-        if (animationExecutionRef.current) {
-            return;
-        }
+    // Breakpoints in board coordinates, with the cells each watched placed object must keep alive
+    const resolvedBreakpoints = React.useMemo(() => {
+        const integrityCells = {};
+        placedObjects.forEach(obj => {
+            const cells = brushes ? PlacedObjectService.getIntegrityCells(obj, brushes, gridSize, topology) : null;
+            if (cells) integrityCells[obj.id] = cells;
+        });
+        return BreakpointService.resolveBreakpoints(breakpoints, gridSize, integrityCells);
+    }, [breakpoints, gridSize, placedObjects, brushes, topology]);
 
-        animationExecutionRef.current = true;
+    const addBreakpoint = useCallback((type, options) => {
+        setBreakpoints(current => [...current, BreakpointService.createBreakpoint(type, options)]);
+    }, []);
 
-        let nextGrid;
-        let nextGeneration;
+    const removeBreakpoint = useCallback((id) => {
+        setBreakpoints(current => current.filter(breakpoint => breakpoint.id !== id));
+    }, []);
 
-        setGrid(currentGrid => {
-            setPreviousGrid(currentGrid); // Store previous grid for rendering optimization
-            nextGrid = GameService.nextGeneration(currentGrid);
-            return nextGrid;
+    // Periods of the placed objects, used to check the streams feeding them; only computed while probes exist
+    const placedObjectPeriods = React.useMemo(() => {
+        const periods = {};
+        if (streamProbes.length === 0) return periods;
+        placedObjects.forEach(obj => {
+            const cells = obj.pixels.filter(pixel => !pixel.state || pixel.state === 1).map(pixel => [pixel.x, pixel.y]);
+            periods[obj.id] = CensusService.classifyObject(cells, challenge?.rule).period;
         });
+        return periods;
+    }, [streamProbes.length, placedObjects, challenge]);
+
+    // Stream probes in board cells, with the gate each one feeds
+    const resolvedStreamProbes = React.useMemo(() => (
+        StreamAnalyzerService.resolveProbes(streamProbes, gridSize, guidanceLineObjects || [], placedObjects, placedObjectPeriods)
+    ), [streamProbes, gridSize, guidanceLineObjects, placedObjects, placedObjectPeriods]);
+
+    // Probes as listed in the controls, with the line and gate they resolved to (null when the line is gone)
+    const streamProbeList = React.useMemo(() => streamProbes.map(probe => ({
+        ...probe,
+        resolved: resolvedStreamProbes.find(resolved => resolved.id === probe.id) || null
+    })), [streamProbes, resolvedStreamProbes]);
+
+    const addStreamProbe = useCallback((options) => {
+        setStreamProbes(current => [...current, StreamAnalyzerService.createProbe(options)]);
+    }, []);
 
-        setGeneration(currentGeneration => {
-            nextGeneration = currentGeneration + 1;
-            return nextGeneration;
-        });
+    const updateStreamProbe = useCallback((id, changes) => {
+        setStreamProbes(current => current.map(probe => (probe.id === id ? {...probe, ...changes} : probe)));
+    }, []);
 
-        // Update detectors with the correct grid and generation values
-        setDetectors(currentDetectors => {
-            return DetectorService.updateDetectors(currentDetectors, nextGrid, nextGeneration);
-        });
+    const removeStreamProbe = useCallback((id) => {
+        setStreamProbes(current => current.filter(probe => probe.id !== id));
+        setStreamReport(current => current.filter(report => report.probeId !== id));
+    }, []);
 
-        // Reset flag for next frame
-        animationExecutionRef.current = false;
-    }, []); // No dependencies needed as this callback uses local variables
+    // Latest board state, handed to the simulation worker when play starts
+    const simulationStateRef = useRef(null);
+    useEffect(() => {
+        simulationStateRef.current = {grid, generation, detectors, challenge, topology, boardCycleRegion, stopOnCycle, resolvedBreakpoints, resolvedStreamProbes, levelCompleted, levelFailed, speed};
+    });
 
-    // Use performance-optimized animation loop
-    useAnimationLoop(running, animationCallback, speed);
+    // Start and stop the worker simulation with the running flag
+    useEffect(() => {
+        const simulation = simulationRef.current;
+        if (!simulation) return;
+
+        if (!running) {
+            simulation.pause();
+            return;
+        }
+
+        const {grid: currentGrid, generation: currentGeneration, detectors: currentDetectors, challenge: currentChallenge, topology: currentTopology, boardCycleRegion: currentCycleRegion, stopOnCycle: currentStopOnCycle, resolvedBreakpoints: currentBreakpoints, resolvedStreamProbes: currentStreamProbes, levelCompleted: completed, levelFailed: failed, speed: currentSpeed} = simulationStateRef.current;
+
+        // Pause exactly on the target turn so level completion is checked on that generation
+        const targetTurn = currentChallenge?.targetTurn;
+        const stopAtGeneration = targetTurn && !completed && !failed && currentGeneration < targetTurn ? targetTurn : null;
+
+        simulation.load({grid: currentGrid, generation: currentGeneration, detectors: currentDetectors, rule: currentChallenge?.rule, topology: currentTopology, cycleRegion: currentCycleRegion, streamProbes: currentStreamProbes});
+        simulation.play({interval: currentSpeed, stopAtGeneration, stopOnCycle: currentStopOnCycle, breakpoints: currentBreakpoints});
+    }, [running, simulationRef]);
+
+    // Apply speed changes without restarting the simulation
+    useEffect(() => {
+        if (running) {
+            simulationRef.current?.setSpeed(speed);
+        }
+    }, [running, speed, simulationRef]);
 
     // Hide guidance lines when running, show when stopped
     useEffect(() => {
@@ -1207,7 +1312,7 @@ const GameOfLife = React.forwardRef(({
 
                     // Convert placed object back to brush and select it
                     const brushId = obj.brushId || obj.brushName;
-                    const sourceBrush = brushes && brushId ? (brushes[brushId] || brushes[obj.brushName]) : null;
+                    const sourceBrush = brushes && brushId ? (BrushService.getBrush(brushes, brushId) || BrushService.getBrush(brushes, obj.brushName)) : null;
                     if (sourceBrush && onPatternSelectRef.current) {
 
                         // Create brush by applying the rotation and flip transformations
@@ -1272,13 +1377,8 @@ const GameOfLife = React.forwardRef(({
 
                         // Remove object pixels from grid
                         setGrid(g => {
-                            const newGrid = g.map(arr => [...arr]);
-                            obj.pixels.forEach(pixel => {
-                                if (pixel.y >= 0 && pixel.y < newGrid.length &&
-                                    pixel.x >= 0 && pixel.x < newGrid[0].length) {
-                                    newGrid[pixel.y][pixel.x] = 0;
-                                }
-                            });
+                            const newGrid = g.clone();
+                            obj.pixels.forEach(pixel => newGrid.set(pixel.x, pixel.y, 0));
                             return newGrid;
                         });
 
@@ -1352,15 +1452,13 @@ const GameOfLife = React.forwardRef(({
 
                     // Also erase from grid
                     setGrid(g => {
-                        const newGrid = g.map(arr => [...arr]);
+                        const newGrid = g.clone();
                         for (const coord of selectedPattern.pattern) {
                             if (Array.isArray(coord) && coord.length === 2) {
                                 const [dy, dx] = coord;
-                                const ny = gridY + dy, nx = gridX + dx;
-                                if (ny >= 0 && ny < (gridSize.height || gridSize) &&
-                                    nx >= 0 && nx < (gridSize.width || gridSize) &&
-                                    (adminMode || isEditableCell(nx, ny))) {
-                                    newGrid[ny][nx] = 0;
+                                const cell = wrapCell(gridX + dx, gridY + dy);
+                                if (cell && (adminMode || isEditableCell(cell.x, cell.y))) {
+                                    newGrid.set(cell.x, cell.y, 0);
                                 }
                             }
                         }
@@ -1412,12 +1510,11 @@ const GameOfLife = React.forwardRef(({
 
                     // Apply placed object pixels to grid
                     setGrid(g => {
-                        const newGrid = g.map(arr => [...arr]);
+                        const newGrid = g.clone();
                         placedObject.pixels.forEach(pixel => {
-                            if (pixel.y >= 0 && pixel.y < (gridSize.height || gridSize) &&
-                                pixel.x >= 0 && pixel.x < (gridSize.width || gridSize) &&
-                                (adminMode || isEditableCell(pixel.x, pixel.y))) {
-                                newGrid[pixel.y][pixel.x] = 1;
+                            const cell = wrapCell(pixel.x, pixel.y);
+                            if (cell && (adminMode || isEditableCell(cell.x, cell.y))) {
+                                newGrid.setState(cell.x, cell.y, pixel.state || 1);
                             }
                         });
                         return newGrid;
@@ -1443,7 +1540,7 @@ const GameOfLife = React.forwardRef(({
             }
         } else {
             // Toggle single cell using placed objects system
-            const currentState = grid[gridY][gridX];
+            const currentState = grid.get(gridX, gridY);
             const newState = currentState ? 0 : 1;
 
             if (newState === 1) {
@@ -1467,8 +1564,8 @@ const GameOfLife = React.forwardRef(({
 
                 // Apply pixel to grid
                 setGrid(g => {
-                    const newGrid = g.map(arr => [...arr]);
-                    newGrid[gridY][gridX] = 1;
+                    const newGrid = g.clone();
+                    newGrid.set(gridX, gridY, 1);
                     return newGrid;
                 });
             } else {
@@ -1483,13 +1580,13 @@ const GameOfLife = React.forwardRef(({
 
                 // Remove pixel from grid
                 setGrid(g => {
-                    const newGrid = g.map(arr => [...arr]);
-                    newGrid[gridY][gridX] = 0;
+                    const newGrid = g.clone();
+                    newGrid.set(gridX, gridY, 0);
                     return newGrid;
                 });
             }
         }
-    }, [running, isEditableCell, gridSize, pasting, selectedPattern, generation, adminMode, challenge, grid, cellSize, guidanceLinesVisible, onAddGuidanceLineObject, onSetGuidanceLinesVisible, onResetGuidanceLineObjects, placedObjects, brushes]);
+    }, [running, isEditableCell, wrapCell, gridSize, pasting, selectedPattern, generation, adminMode, challenge, grid, cellSize, guidanceLinesVisible, onAddGuidanceLineObject, onSetGuidanceLinesVisible, onResetGuidanceLineObjects, placedObjects, brushes]);
 
     // Throttled mouse move handler for better performance
     const handleCanvasMouseMoveThrottled = useThrottle(useCallback((e) => {
@@ -1537,16 +1634,50 @@ const GameOfLife = React.forwardRef(({
     }, []);
 
     const handleStep = useCallback(() => {
-        if (!running) {
-            // Perform a single step
-            setGrid(currentGrid => {
-                const newGrid = GameService.nextGeneration(currentGrid);
-                setPreviousGrid(currentGrid);
-                return newGrid;
-            });
-            setGeneration(prev => prev + 1);
+        const simulation = simulationRef.current;
+        if (running || !simulation) return;
+
+        // Perform a single step in the worker; the resulting frame updates state
+        simulation.load({grid, generation, detectors, rule: challenge?.rule, topology, cycleRegion: boardCycleRegion, streamProbes: resolvedStreamProbes});
+        simulation.step(1).catch(error => console.error('🧵 Step failed:', error));
+    }, [running, grid, generation, detectors, challenge, topology, boardCycleRegion, resolvedStreamProbes, simulationRef]);
+
+    // Restore a recorded generation; placed object integrity and guidance lines follow the restored grid
+    const seekGeneration = useCallback((targetGeneration) => {
+        if (running) return;
+
+        const state = history.get(targetGeneration);
+        if (!state) return;
+
+        setGrid(state.grid);
+        setPreviousGrid(null);
+        setGeneration(state.generation);
+        setDetectors(state.detectors);
+        if (!challenge?.targetTurn || state.generation < challenge.targetTurn) {
+            setLevelFailed(false);
         }
-    }, [running]);
+    }, [running, history, challenge]);
+
+    const handleStepBack = useCallback(() => {
+        const previousGeneration = history.getPreviousGeneration(generation);
+        if (previousGeneration !== null) {
+            seekGeneration(previousGeneration);
+        }
+    }, [history, generation, seekGeneration]);
+
+    const handleSkipToTarget = useCallback(() => {
+        const simulation = simulationRef.current;
+        const targetTurn = challenge?.targetTurn;
+        if (running || !simulation || !targetTurn || generation >= targetTurn) return;
+
+        // The worker jumps with HashLife and steps the detector falloff window normally
+        simulation.load({grid, generation, detectors, rule: challenge?.rule, topology, cycleRegion: boardCycleRegion, streamProbes: resolvedStreamProbes});
+        simulation.jump(targetTurn)
+            .then(frame => {
+                if (frame) console.log(`⏩ Skipped from generation ${generation} to ${targetTurn}`);
+            })
+            .catch(error => console.error('🧵 Skip to target failed:', error));
+    }, [running, challenge, generation, grid, detectors, topology, boardCycleRegion, resolvedStreamProbes, simulationRef]);
 
     const handleReset = useCallback(() => {
 
@@ -1560,8 +1691,8 @@ const GameOfLife = React.forwardRef(({
 
         // Restore to prePlayBoardState (the state at generation 0 with user's additions)
         const baseGrid = prePlayBoardState ?
-            prePlayBoardState.map(arr => [...arr]) :
-            (setupBoardState ? setupBoardState.map(arr => [...arr]) : GameService.createEmptyGrid(gridSize.width, gridSize.height));
+            prePlayBoardState.clone() :
+            (setupBoardState ? setupBoardState.clone() : GameService.createPackedGrid(gridSize.width, gridSize.height));
 
         // Apply initial placed objects on top of the pre-play state
         const restoredGrid = PlacedObjectService.applyPlacedObjectsToGrid(baseGrid, initialPlacedObjects);
@@ -1604,7 +1735,7 @@ const GameOfLife = React.forwardRef(({
                 const centerOffsetY = Math.floor(gridSize.height / 2);
 
                 for (const setupItem of challenge.setup) {
-                    const baseBrush = brushes[setupItem.brush];
+                    const baseBrush = BrushService.getBrushForChallenge(brushes, setupItem.brush, challenge);
                     if (baseBrush) {
                         // Apply rotation to brush
                         let brush = baseBrush;
@@ -1662,12 +1793,12 @@ const GameOfLife = React.forwardRef(({
 
             // Restore to setupBoardState (original challenge setup from JSON)
             const baseGrid = setupBoardState ?
-                setupBoardState.map(arr => [...arr]) :
-                GameService.createEmptyGrid(gridSize.width, gridSize.height);
+                setupBoardState.clone() :
+                GameService.createPackedGrid(gridSize.width, gridSize.height);
 
             setGrid(baseGrid);
             // Update prePlayBoardState to match the setup (ready for user to add things)
-            setPrePlayBoardState(baseGrid.map(arr => [...arr]));
+            setPrePlayBoardState(baseGrid.clone());
 
             setPreviousGrid(null);
             setGeneration(0);
@@ -1689,7 +1820,7 @@ const GameOfLife = React.forwardRef(({
             const centerOffsetY = Math.floor(gridSize.height / 2);
 
             for (const setupItem of challenge.setup) {
-                const baseBrush = brushes[setupItem.brush];
+                const baseBrush = BrushService.getBrushForChallenge(brushes, setupItem.brush, challenge);
                 if (baseBrush) {
                     // Apply the same rotation as used for pattern placement
                     let brush = baseBrush;
@@ -1750,6 +1881,63 @@ const GameOfLife = React.forwardRef(({
         }
     }, [setupBoardState, gridSize, challenge, brushes, onRunningChangeRef, onResetGuidanceLineObjects, onAddGuidanceLineObject, running, brushesLoaded, generateTestScenarioPreviewPatterns]);
 
+    // Replace the board with a loaded one (e.g. a macrocell file) as a fresh generation 0
+    const loadBoard = useCallback((board) => {
+        if (board.width !== gridSize.width || board.height !== gridSize.height) {
+            console.warn(`🟠 Board is ${board.width}x${board.height}, expected ${gridSize.width}x${gridSize.height}`);
+            return false;
+        }
+
+        if (onRunningChangeRef.current) {
+            onRunningChangeRef.current(false);
+        }
+
+        // Cells beyond the edges only live on in an unbounded universe
+        const loaded = board.clone();
+        loaded.outside = topology === TOPOLOGY.UNBOUNDED && board.outside ? board.outside.clone() : null;
+
+        setPlacedObjects([]);
+        setInitialPlacedObjects([]);
+        setGrid(loaded);
+        setPrePlayBoardState(loaded.clone());
+        setPreviousGrid(null);
+        setGeneration(0);
+        setLevelCompleted(false);
+        setLevelFailed(false);
+        return true;
+    }, [gridSize, topology, onRunningChangeRef]);
+
+    // Describe the board for a share link: the level, the placed objects and optionally the generation 0 cells
+    const getShareState = useCallback((includeCells = false) => ShareService.createShareState({
+        level: ShareService.getLevelId(challenge?.name),
+        placedObjects: generation === 0 ? placedObjects : initialPlacedObjects,
+        gridSize,
+        brushes,
+        board: includeCells ? (generation === 0 ? grid : prePlayBoardState) : null
+    }), [challenge, generation, placedObjects, initialPlacedObjects, gridSize, brushes, grid, prePlayBoardState]);
+
+    // Export a range of generations, replayed from generation 0 with the board's rule, topology, detectors and guidance lines
+    const exportRun = useCallback((options, hooks) => RunExportService.exportRun({
+        grid: generation === 0 ? grid : prePlayBoardState,
+        rule: challenge?.rule || null,
+        topology,
+        detectors,
+        guidanceLineObjects: guidanceLineObjects || [],
+        challenge
+    }, options, hooks), [generation, grid, prePlayBoardState, challenge, topology, detectors, guidanceLineObjects]);
+
+    // Draw the current board as SVG with the chosen overlays, for diagrams of circuits
+    const getBoardSvg = useCallback(({includeGuidanceLines = false, includeDetectors = true, includeTargets = true, includeEditableArea = true, showGrid = false} = {}) => renderBoardSvg(grid, {
+        cellSize,
+        challenge: includeTargets ? challenge : null,
+        isEditableCell: includeEditableArea && challenge?.editableSpace ? (x, y) => GameService.isEditableCell(x, y, challenge, gridSize, false) : null,
+        guidanceLinePixels: includeGuidanceLines
+            ? generateAllGuidanceLinePixels(guidanceLineObjects || [], generation, grid.width, grid.height)
+            : null,
+        detectorRenderData: includeDetectors ? DetectorService.getDetectorRenderData(detectors) : null,
+        showGrid
+    }), [grid, cellSize, challenge, gridSize, guidanceLineObjects, generation, detectors]);
+
 
     // Update test scenario preview patterns when challenge or brushes change
     useEffect(() => {
@@ -1766,22 +1954,67 @@ const GameOfLife = React.forwardRef(({
 
     // Expose methods and state for external controls and admin mode
     React.useImperativeHandle(ref, () => ({
-        getGrid: () => grid.map(arr => [...arr]),
+        // Compatibility adapter: external callers still receive a number[][] copy
+        getGrid: () => grid.toArray(),
+        getBoard: () => grid,
+        loadBoard,
+        getShareState,
+        exportRun,
+        getBoardSvg,
         getGeneration: () => generation,
         isLevelCompleted: () => levelCompleted,
         handlePlay,
         handleStop,
         handleStep,
+        handleStepBack,
+        seekGeneration,
+        getHistoryRange: () => {
+            const range = history.getRange();
+            return range ? {...range, generation} : null;
+        },
+        handleSkipToTarget,
         handleReset,
         handleClear,
         handleTest,
+        getTargetTurn: () => challenge?.targetTurn || null,
+        getRule: () => challenge?.rule || DEFAULT_RULE,
+        getTopology: () => topology,
         getMultiplier: () => multiplier,
-        setMultiplier
-    }), [grid, generation, levelCompleted, handlePlay, handleStop, handleStep, handleReset, handleClear, handleTest, multiplier, setMultiplier]);
+        setMultiplier,
+        getGenerationsPerSecond: () => runningRef.current ? generationsPerSecondRef.current : 0,
+        getBreakpoints: () => breakpoints,
+        getFiredBreakpoint: () => firedBreakpoint,
+        getPlacedObjects: () => placedObjects,
+        addBreakpoint,
+        removeBreakpoint,
+        getGuidanceLines: () => guidanceLineObjects || [],
+        getStreamProbes: () => streamProbeList,
+        getStreamReport: () => streamReport,
+        addStreamProbe,
+        updateStreamProbe,
+        removeStreamProbe,
+        getCycle: () => cycle,
+        getStopOnCycle: () => stopOnCycle,
+        setStopOnCycle,
+        setCycleRegion
+    }), [grid, loadBoard, getShareState, exportRun, getBoardSvg, generation, levelCompleted, handlePlay, handleStop, handleStep, handleStepBack, seekGeneration, history, handleSkipToTarget, handleReset, handleClear, handleTest, challenge, topology, multiplier, setMultiplier, cycle, stopOnCycle, breakpoints, firedBreakpoint, placedObjects, addBreakpoint, removeBreakpoint, guidanceLineObjects, streamProbeList, streamReport, addStreamProbe, updateStreamProbe, removeStreamProbe]);
 
     // Calculate detector render data
     const detectorRenderData = DetectorService.getDetectorRenderData(detectors);
 
+    // Identify the objects on the board while the census panel is open and the simulation is paused
+    const censusObjects = React.useMemo(() => {
+        if (!censusOpen || running || !brushesLoaded) return null;
+        return CensusService.takeCensus(grid, brushes, challenge?.rule);
+    }, [censusOpen, running, brushesLoaded, grid, brushes, challenge]);
+
+    const censusHighlights = React.useMemo(() => {
+        if (!censusObjects) return [];
+        return censusObjects
+            .filter(object => !censusHighlightName || object.name === censusHighlightName)
+            .map(object => ({...object.bounds, color: CENSUS_KIND_COLORS[object.kind]}));
+    }, [censusObjects, censusHighlightName]);
+
     // Calculate move handle render data for placed objects (only when not running)
     const moveHandleRenderData = React.useMemo(() => {
         if (running || placedObjects.length === 0) {
@@ -1840,6 +2073,7 @@ const GameOfLife = React.forwardRef(({
                         cellSize={cellSize}
                         detectorRenderData={detectorRenderData}
                         moveHandleRenderData={moveHandleRenderData}
+                        censusHighlights={censusHighlights}
                         guidanceLinesVisible={guidanceLinesVisible}
                         guidanceLineObjects={guidanceLineObjects}
                         generation={generation}
@@ -1865,6 +2099,7 @@ const GameOfLife = React.forwardRef(({
                     cellSize={cellSize}
                     detectorRenderData={detectorRenderData}
                     moveHandleRenderData={moveHandleRenderData}
+                    censusHighlights={censusHighlights}
                     guidanceLinesVisible={guidanceLinesVisible}
                     guidanceLineObjects={guidanceLineObjects}
                     generation={generation}
@@ -1882,6 +2117,28 @@ const GameOfLife = React.forwardRef(({
                 levelCompleted={levelCompleted}
                 levelFailed={levelFailed}
                 targetTurn={challenge?.targetTurn}
+                rule={challenge?.rule}
+                topology={topology}
+                offBoardCells={grid.outside ? grid.outside.countAlive() : 0}
+                cycle={describeCycle(cycle)}
+                breakpoint={firedBreakpoint ? BreakpointService.describeBreakpoint(firedBreakpoint) : ''}
+            />
+
+            <StatisticsPanel
+                rows={statisticsRows}
+                baselineRows={baselineRows}
+                generation={generation}
+                onPinBaseline={() => setBaselineRows(statisticsRows)}
+                onClearBaseline={() => setBaselineRows(null)}
+            />
+
+            <CensusPanel
+                open={censusOpen}
+                onToggle={() => setCensusOpen(!censusOpen)}
+                objects={censusObjects}
+                gridSize={gridSize}
+                highlightName={censusHighlightName}
+                onHighlight={setCensusHighlightName}
             />
         </div>
     );
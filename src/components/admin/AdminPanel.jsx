@@ -1,6 +1,8 @@
 import React from 'react';
 import { ChallengeService } from '../../services/challengeService';
 import { encodeRLE } from '../../utils/rleUtils';
+import { DEFAULT_RULE } from '../../utils/lifeRules';
+import { TOPOLOGY } from '../../constants/gameConstants';
 import { getCenterOffsets } from '../../utils/canvasUtils';
 
 const AdminPanel = ({
@@ -57,6 +59,16 @@ const AdminPanel = ({
       targetTurn: currentTurn
     };
 
+    // Only non-Conway levels need to declare their rule
+    const rule = gameRef.current.getRule?.();
+    if (rule && rule !== DEFAULT_RULE) {
+      challengeData.rule = rule;
+    }
+    const topology = gameRef.current.getTopology?.();
+    if (topology && topology !== TOPOLOGY.BOUNDED) {
+      challengeData.topology = topology;
+    }
+
     const jsonString = JSON.stringify(challengeData, null, 2);
     navigator.clipboard.writeText(jsonString);
     alert('Challenge JSON with positioned RLE pattern copied to clipboard!');
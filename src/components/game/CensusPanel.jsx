@@ -0,0 +1,104 @@
+// Census panel: lists the objects identified on the board
+import React, { useMemo } from 'react';
+import { CensusService } from '../../services/censusService';
+import { CENSUS_KIND, CENSUS_KIND_COLORS } from '../../constants/gameConstants';
+import { getCenterOffsets } from '../../utils/canvasUtils';
+
+// Instances listed for the selected object before the list is cut short
+const MAX_LISTED_INSTANCES = 20;
+
+const KIND_LABELS = {
+  [CENSUS_KIND.STILL_LIFE]: 'still life',
+  [CENSUS_KIND.OSCILLATOR]: 'oscillator',
+  [CENSUS_KIND.SPACESHIP]: 'spaceship',
+  [CENSUS_KIND.OTHER]: 'other',
+  [CENSUS_KIND.UNKNOWN]: 'unidentified'
+};
+
+const buttonStyle = {
+  background: 'transparent',
+  border: '1px solid var(--light-blue-half)',
+  borderRadius: '4px',
+  color: 'var(--light-blue)',
+  fontFamily: 'var(--futuristic-font)',
+  fontSize: '0.7rem',
+  padding: '2px 6px',
+  cursor: 'pointer'
+};
+
+/**
+ * Collapsible list of the objects on the board, counted by name.
+ * Clicking a name outlines only that object on the canvas and lists where
+ * each instance is, in center-based coordinates.
+ */
+const CensusPanel = ({ open, onToggle, objects, gridSize, highlightName, onHighlight }) => {
+  const summary = useMemo(() => (objects ? CensusService.summarize(objects) : []), [objects]);
+  const { centerOffsetX, centerOffsetY } = getCenterOffsets(gridSize);
+  const instances = objects && highlightName ? objects.filter(object => object.name === highlightName) : [];
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '10px',
+      left: '10px',
+      maxWidth: '280px',
+      maxHeight: '60%',
+      overflowY: 'auto',
+      background: 'rgba(0, 0, 0, 0.8)',
+      border: '2px solid var(--light-blue)',
+      borderRadius: '8px',
+      padding: '6px 8px',
+      color: 'var(--light-blue)',
+      fontFamily: 'var(--futuristic-font)',
+      fontSize: '0.75rem',
+      zIndex: 1000,
+      backdropFilter: 'blur(4px)',
+      boxShadow: '0 0 10px var(--light-blue-glow)'
+    }}>
+      <button style={buttonStyle} onClick={onToggle}>
+        {open ? '▾' : '▸'} Census{objects ? ` (${objects.length})` : ''}
+      </button>
+
+      {open && !objects && (
+        <div style={{ marginTop: '6px' }}>Pause the simulation to identify objects</div>
+      )}
+
+      {open && objects && (
+        <div style={{ marginTop: '6px' }}>
+          {summary.length === 0 && <div>The board is empty</div>}
+          {summary.map(({ name, kind, count }) => (
+            <div
+              key={name}
+              onClick={() => onHighlight(highlightName === name ? null : name)}
+              style={{
+                display: 'flex',
+                justifyContent: 'space-between',
+                gap: '8px',
+                padding: '1px 4px',
+                cursor: 'pointer',
+                borderRadius: '3px',
+                background: highlightName === name ? 'rgba(62, 198, 255, 0.2)' : 'transparent'
+              }}
+            >
+              <span style={{ color: CENSUS_KIND_COLORS[kind] }}>■ {name}</span>
+              <span>{KIND_LABELS[kind]} × {count}</span>
+            </div>
+          ))}
+
+          {instances.length > 0 && (
+            <div style={{ marginTop: '6px', borderTop: '1px solid var(--light-blue-half)', paddingTop: '4px' }}>
+              {instances.slice(0, MAX_LISTED_INSTANCES).map(({ bounds }, index) => (
+                <div key={index}>
+                  ({bounds.minX - centerOffsetX}, {bounds.minY - centerOffsetY}) {bounds.maxX - bounds.minX + 1}×{bounds.maxY - bounds.minY + 1}
+                </div>
+              ))}
+              {instances.length > MAX_LISTED_INSTANCES && <div>… {instances.length - MAX_LISTED_INSTANCES} more</div>}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CensusPanel;
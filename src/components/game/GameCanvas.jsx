@@ -5,6 +5,7 @@ import { gameCanvasEqual } from '../../utils/memoUtils';
 import { generateGuidanceLine } from '../../utils/rleUtils';
 import { generateAllGuidanceLinePixels } from '../../utils/guidanceLineObjects';
 import { BrushService } from '../../services/brushService';
+import { getCell, getGridSize } from '../../utils/packedGrid';
 
 const GameCanvas = ({
   grid,
@@ -20,6 +21,7 @@ const GameCanvas = ({
   cellSize = CELL_SIZE,
   detectorRenderData, // Array of detector render data
   moveHandleRenderData = [], // Array of move handle render data for placed objects
+  censusHighlights = [], // Bounding boxes of objects found by the census
   // Guidance line props (object-based system only)
   guidanceLinesVisible,
   guidanceLineObjects, // Generation-based guidance line objects
@@ -118,8 +120,7 @@ const GameCanvas = ({
       });
 
       if (guidanceLines.length > 0) {
-        const gridHeight = grid.length;
-        const gridWidth = gridHeight > 0 ? grid[0].length : 0;
+        const { width: gridWidth, height: gridHeight } = getGridSize(grid);
 
         for (const guidanceLine of guidanceLines) {
           // Generate guidance lines relative to hover position
@@ -174,8 +175,7 @@ const GameCanvas = ({
     // Add generation-based guidance line objects if visible and not running
     // FIX: Must check guidanceLinesVisible prop to prevent guidance lines from disappearing when hovering with a brush
     if (!running && guidanceLinesVisible && guidanceLineObjects && guidanceLineObjects.length > 0) {
-      const currentGridHeight = grid.length;
-      const currentGridWidth = grid.length > 0 ? grid[0].length : 0;
+      const { width: currentGridWidth, height: currentGridHeight } = getGridSize(grid);
 
       console.log('🎯 Processing existing guidance line objects:', {
         objectCount: guidanceLineObjects.length,
@@ -240,19 +240,19 @@ const GameCanvas = ({
       cellSize,
       detectorRenderData,
       moveHandleRenderData,
+      censusHighlights,
       guidanceLinePixels,
       testScenarioPreviewPatterns,
       testScenarioPreviewGuidanceLines
     };
-  }, [challenge, selectedPattern, hoverCell, pasting, isEditableCell, adminMode, cellSize, detectorRenderData, moveHandleRenderData, grid, guidanceLineObjects, generation, running, guidanceLinesVisible, testScenarioPreviewPatterns, testScenarioPreviewGuidanceLines]);
+  }, [challenge, selectedPattern, hoverCell, pasting, isEditableCell, adminMode, cellSize, detectorRenderData, moveHandleRenderData, censusHighlights, grid, guidanceLineObjects, generation, running, guidanceLinesVisible, testScenarioPreviewPatterns, testScenarioPreviewGuidanceLines]);
 
   // Fallback rendering method for error cases
   const fallbackRender = useCallback(() => {
     if (!canvasRef.current) return;
 
     const ctx = canvasRef.current.getContext('2d');
-    const currentGridHeight = grid.length;
-    const currentGridWidth = grid.length > 0 ? grid[0].length : 0;
+    const { width: currentGridWidth, height: currentGridHeight } = getGridSize(grid);
 
     // Clear entire canvas first
     ctx.fillStyle = 'black';
@@ -262,7 +262,7 @@ const GameCanvas = ({
     ctx.fillStyle = 'white';
     for (let y = 0; y < currentGridHeight; y++) {
       for (let x = 0; x < currentGridWidth; x++) {
-        if (grid[y][x]) {
+        if (getCell(grid, x, y)) {
           if (cellSize < 3) {
             // Use pixel-perfect rendering for very small cells
             ctx.fillRect(
@@ -281,11 +281,10 @@ const GameCanvas = ({
 
   // Optimized rendering with dirty region tracking
   useEffect(() => {
-    if (!grid || grid.length === 0) return;
+    const { width: actualGridWidth, height: actualGridHeight } = getGridSize(grid);
+    if (actualGridHeight === 0) return;
 
     // Validate grid dimensions match expected size to prevent corruption
-    const actualGridHeight = grid.length;
-    const actualGridWidth = grid[0] ? grid[0].length : 0;
 
     // Log dimension mismatches that could cause zoom corruption
     if (typeof process !== 'undefined' && process.env?.NODE_ENV === 'development') {
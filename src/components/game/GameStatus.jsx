@@ -1,11 +1,18 @@
 import React from 'react';
+import { DEFAULT_RULE } from '../../utils/lifeRules';
+import { TOPOLOGY } from '../../constants/gameConstants';
 
 const GameStatus = ({
   generation,
   mouseCoords,
   levelCompleted,
   levelFailed,
-  targetTurn // <-- add targetTurn prop
+  targetTurn, // <-- add targetTurn prop
+  rule,
+  topology,
+  offBoardCells,
+  cycle,
+  breakpoint
 }) => {
   return (
     <>
@@ -29,6 +36,11 @@ const GameStatus = ({
         pointerEvents: 'none'
       }}>
         Gen: {generation}{typeof targetTurn === 'number' ? ` / ${targetTurn}` : ''}
+        {rule && rule !== DEFAULT_RULE ? ` · ${rule}` : ''}
+        {topology && topology !== TOPOLOGY.BOUNDED ? ` · ${topology}` : ''}
+        {offBoardCells > 0 ? ` · ${offBoardCells} off-screen` : ''}
+        {cycle ? ` · ${cycle}` : ''}
+        {breakpoint ? ` · ⏸ ${breakpoint}` : ''}
       </div>
 
       {/* Mouse coordinates - follow cursor */}
@@ -0,0 +1,237 @@
+// Statistics panel: per-generation population and activity chart with CSV export
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { StatisticsService } from '../../services/statisticsService';
+import { STATISTICS_CONSTANTS } from '../../constants/gameConstants';
+import { downloadFile } from '../../utils/downloadUtils';
+
+// Chart views and the series each one plots
+const CHART_VIEWS = {
+  population: {
+    label: 'Population',
+    series: [
+      { label: 'Population', color: '#3ec6ff', value: row => row.population },
+      { label: 'Births', color: '#6bff8e', value: row => row.births },
+      { label: 'Deaths', color: '#ff6b6b', value: row => row.deaths }
+    ]
+  },
+  bounds: {
+    label: 'Bounding box',
+    series: [
+      { label: 'Width', color: '#ffd93e', value: row => (row.minX === null ? 0 : row.maxX - row.minX + 1) },
+      { label: 'Height', color: '#ff9f3e', value: row => (row.minY === null ? 0 : row.maxY - row.minY + 1) }
+    ]
+  },
+  detectors: {
+    label: 'Active detectors',
+    series: [
+      { label: 'Active detectors', color: '#c77dff', value: row => row.activeDetectors }
+    ]
+  }
+};
+
+const buttonStyle = {
+  background: 'transparent',
+  border: '1px solid var(--light-blue-half)',
+  borderRadius: '4px',
+  color: 'var(--light-blue)',
+  fontFamily: 'var(--futuristic-font)',
+  fontSize: '0.7rem',
+  padding: '2px 6px',
+  cursor: 'pointer'
+};
+
+/**
+ * Draw one run of rows as a line per series
+ * @param {CanvasRenderingContext2D} ctx - Chart context
+ * @param {Array} rows - Statistics rows
+ * @param {Array} series - Series of the current view
+ * @param {Function} toX - Maps a generation to a canvas x
+ * @param {Function} toY - Maps a value to a canvas y
+ */
+function drawRun(ctx, rows, series, toX, toY) {
+  series.forEach(({ color, value }) => {
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    let drawing = false;
+    rows.forEach(row => {
+      const v = value(row);
+      if (v === null) {
+        drawing = false;
+        return;
+      }
+      if (drawing) {
+        ctx.lineTo(toX(row.generation), toY(v));
+      } else {
+        ctx.moveTo(toX(row.generation), toY(v));
+        drawing = true;
+      }
+    });
+    ctx.stroke();
+  });
+}
+
+/**
+ * Collapsible, horizontally scrollable chart of the statistics timeline.
+ * A pinned baseline run is drawn dashed underneath the current run.
+ */
+const StatisticsPanel = ({ rows, baselineRows, generation, onPinBaseline, onClearBaseline }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [view, setView] = useState('population');
+  const canvasRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  const chartHeight = STATISTICS_CONSTANTS.CHART_HEIGHT;
+
+  // Generation range covered by both runs
+  const range = useMemo(() => {
+    const all = [rows, baselineRows || []].filter(run => run.length > 0);
+    if (all.length === 0) return null;
+    return {
+      first: Math.min(...all.map(run => run[0].generation)),
+      last: Math.max(...all.map(run => run[run.length - 1].generation))
+    };
+  }, [rows, baselineRows]);
+
+  // Long runs are squeezed so the canvas stays within browser size limits
+  const span = range ? range.last - range.first + 1 : 0;
+  const pixelsPerGeneration = Math.min(STATISTICS_CONSTANTS.PIXELS_PER_GENERATION, STATISTICS_CONSTANTS.MAX_CHART_WIDTH / Math.max(span, 1));
+
+  const rowsByGeneration = useMemo(() => new Map(rows.map(row => [row.generation, row])), [rows]);
+  const currentRow = rowsByGeneration.get(generation) || null;
+  const divergence = useMemo(
+    () => (baselineRows ? StatisticsService.findDivergence(rows, baselineRows) : null),
+    [rows, baselineRows]
+  );
+
+  const chartWidth = Math.ceil(span * pixelsPerGeneration);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!expanded || !canvas || !range) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    const { series } = CHART_VIEWS[view];
+    const runs = [rows, baselineRows || []];
+    let maxValue = 1;
+    runs.forEach(run => run.forEach(row => series.forEach(({ value }) => {
+      maxValue = Math.max(maxValue, value(row) || 0);
+    })));
+
+    const toX = g => (g - range.first) * pixelsPerGeneration + pixelsPerGeneration / 2;
+    const toY = v => chartHeight - 2 - (v / maxValue) * (chartHeight - 4);
+
+    ctx.lineWidth = 1;
+    if (baselineRows) {
+      ctx.setLineDash([4, 3]);
+      ctx.globalAlpha = 0.6;
+      drawRun(ctx, baselineRows, series, toX, toY);
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
+    }
+    drawRun(ctx, rows, series, toX, toY);
+
+    // Generation cursor
+    if (generation >= range.first && generation <= range.last) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+      ctx.beginPath();
+      ctx.moveTo(toX(generation), 0);
+      ctx.lineTo(toX(generation), chartHeight);
+      ctx.stroke();
+    }
+  }, [expanded, rows, baselineRows, generation, view, range, chartWidth, pixelsPerGeneration, chartHeight]);
+
+  // Keep the cursor in view while the simulation runs
+  useEffect(() => {
+    const scroller = scrollRef.current;
+    if (!expanded || !scroller || !range) return;
+    const x = (generation - range.first) * pixelsPerGeneration;
+    if (x < scroller.scrollLeft || x > scroller.scrollLeft + scroller.clientWidth) {
+      scroller.scrollLeft = Math.max(0, x - scroller.clientWidth / 2);
+    }
+  }, [expanded, generation, range, pixelsPerGeneration]);
+
+  const handleExport = () => {
+    downloadFile('statistics.csv', StatisticsService.toCSV(rows, baselineRows), 'text/csv');
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '10px',
+      left: '10px',
+      width: expanded ? '340px' : 'auto',
+      background: 'rgba(0, 0, 0, 0.8)',
+      border: '2px solid var(--light-blue)',
+      borderRadius: '8px',
+      padding: '6px 8px',
+      color: 'var(--light-blue)',
+      fontFamily: 'var(--futuristic-font)',
+      fontSize: '0.75rem',
+      zIndex: 1000,
+      backdropFilter: 'blur(4px)',
+      boxShadow: '0 0 10px var(--light-blue-glow)'
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+        <button style={buttonStyle} onClick={() => setExpanded(!expanded)}>
+          {expanded ? '▾' : '▸'} Statistics
+        </button>
+        {expanded && (
+          <select
+            value={view}
+            onChange={e => setView(e.target.value)}
+            style={{ ...buttonStyle, background: 'rgba(0, 0, 0, 0.8)' }}
+          >
+            {Object.entries(CHART_VIEWS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {expanded && (
+        <>
+          <div ref={scrollRef} style={{ overflowX: 'auto', marginTop: '6px', border: '1px solid var(--light-blue-half)' }}>
+            {range ? (
+              <canvas ref={canvasRef} width={Math.max(chartWidth, 1)} height={chartHeight} style={{ display: 'block' }} />
+            ) : (
+              <div style={{ height: `${chartHeight}px`, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+                Run the simulation to record statistics
+              </div>
+            )}
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '4px' }}>
+            {CHART_VIEWS[view].series.map(({ label, color }) => (
+              <span key={label} style={{ color }}>■ {label}</span>
+            ))}
+            {baselineRows && <span>┄ baseline</span>}
+          </div>
+
+          <div style={{ marginTop: '4px' }}>
+            {currentRow
+              ? `Gen ${generation}: ${currentRow.population} alive` +
+                (currentRow.births !== null ? `, +${currentRow.births} −${currentRow.deaths}` : '') +
+                (currentRow.minX !== null ? `, box ${currentRow.maxX - currentRow.minX + 1}×${currentRow.maxY - currentRow.minY + 1}` : '') +
+                `, ${currentRow.activeDetectors} detectors on`
+              : `Gen ${generation}: not recorded`}
+          </div>
+          {baselineRows && (
+            <div style={{ marginTop: '2px' }}>
+              {divergence === null ? 'Same as baseline so far' : `Diverges from baseline at gen ${divergence}`}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+            <button style={buttonStyle} onClick={handleExport} disabled={rows.length === 0}>Export CSV</button>
+            <button style={buttonStyle} onClick={onPinBaseline} disabled={rows.length === 0}>Pin baseline</button>
+            {baselineRows && <button style={buttonStyle} onClick={onClearBaseline}>Clear baseline</button>}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StatisticsPanel;
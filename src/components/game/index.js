@@ -2,3 +2,5 @@
 export { default as GameCanvas } from './GameCanvas';
 export { default as GameStatus } from './GameStatus';
 
+export { default as StatisticsPanel } from './StatisticsPanel';
+export { default as CensusPanel } from './CensusPanel';
@@ -2,9 +2,15 @@ import React from 'react';
 import { uiComponentEqual } from '../../utils/memoUtils';
 import { ChallengeService } from '../../services/challengeService';
 import { encodeRLE } from '../../utils/rleUtils';
+import { encodeMacrocellGrid, decodeMacrocellGrid } from '../../utils/macrocellUtils';
+import { downloadFile } from '../../utils/downloadUtils';
+import { DEFAULT_RULE, rulesMatch } from '../../utils/lifeRules';
+import { TOPOLOGY } from '../../constants/gameConstants';
 import { getCenterOffsets } from '../../utils/canvasUtils';
 
 const AdminToggle = ({ adminMode, onAdminModeChange, gameRef, exercise, onChallengeReload }) => {
+  const boardFileInputRef = React.useRef(null);
+
   const handleReloadFromFile = async () => {
     try {
       // Extract exercise number from exercise prop (e.g., "1. Basics" -> "1")
@@ -61,11 +67,56 @@ const AdminToggle = ({ adminMode, onAdminModeChange, gameRef, exercise, onChalle
       targetTurn: currentTurn
     };
 
+    // Only non-Conway levels need to declare their rule
+    const rule = gameRef.current.getRule?.();
+    if (rule && rule !== DEFAULT_RULE) {
+      challengeData.rule = rule;
+    }
+    const topology = gameRef.current.getTopology?.();
+    if (topology && topology !== TOPOLOGY.BOUNDED) {
+      challengeData.topology = topology;
+    }
+
     const jsonString = JSON.stringify(challengeData, null, 2);
     navigator.clipboard.writeText(jsonString);
     alert('Challenge JSON with positioned RLE pattern copied to clipboard!');
   };
 
+  const handleSaveBoard = () => {
+    if (!gameRef?.current) {
+      alert('Game not ready yet. Please try again.');
+      return;
+    }
+
+    // Macrocell files keep big boards small: repeated guns and gates are written once
+    const content = encodeMacrocellGrid(gameRef.current.getBoard(), {
+      name: exercise,
+      rule: gameRef.current.getRule(),
+      generation: gameRef.current.getGeneration()
+    });
+    downloadFile('board.mc', content);
+  };
+
+  const handleLoadBoard = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !gameRef?.current) return;
+
+    try {
+      const { width, height } = gameRef.current.getBoard();
+      const { grid, rule } = decodeMacrocellGrid(await file.text(), width, height);
+      if (!gameRef.current.loadBoard(grid)) {
+        alert('Could not load the board file.');
+        return;
+      }
+      if (rule && !rulesMatch(rule, gameRef.current.getRule())) {
+        alert(`Board loaded. It was saved under ${rule}, but this level runs ${gameRef.current.getRule()}.`);
+      }
+    } catch (error) {
+      alert(`Error loading board file: ${error.message}`);
+    }
+  };
+
   return (
     <div className="selector-panel" style={{
       display: 'flex',
@@ -120,6 +171,45 @@ const AdminToggle = ({ adminMode, onAdminModeChange, gameRef, exercise, onChalle
           </button>
         </div>
       )}
+
+      {adminMode && (
+        <div style={{
+          display: 'flex',
+          flexDirection: 'row',
+          gap: '4px',
+          justifyContent: 'center'
+        }}>
+          <button
+            onClick={handleSaveBoard}
+            title="Save the board as a macrocell (.mc) file"
+            style={{
+              width: '74px',
+              fontSize: '10px',
+              padding: '6px 8px'
+            }}
+          >
+            Save .mc
+          </button>
+          <button
+            onClick={() => boardFileInputRef.current?.click()}
+            title="Load a macrocell (.mc) file onto the board"
+            style={{
+              width: '62px',
+              fontSize: '10px',
+              padding: '6px 8px'
+            }}
+          >
+            Load .mc
+          </button>
+          <input
+            ref={boardFileInputRef}
+            type="file"
+            accept=".mc"
+            onChange={handleLoadBoard}
+            style={{ display: 'none' }}
+          />
+        </div>
+      )}
     </div>
   );
 };
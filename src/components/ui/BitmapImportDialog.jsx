@@ -0,0 +1,145 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { importBitmapPattern } from '../../utils/bitmapImport';
+import { BrushService } from '../../services/brushService';
+
+const PREVIEW_SIZE = 300;
+const MAX_PREVIEW_SCALE = 8;
+
+// Parse an optional whole-number field; blank means "detect it"
+const parseField = value => (value === '' ? undefined : parseInt(value, 10));
+
+const inputStyle = { fontSize: '10px', width: '44px' };
+const labelStyle = { fontSize: '10px', color: 'var(--light-blue)', display: 'flex', alignItems: 'center', gap: '3px' };
+
+/**
+ * Preview of a pattern read from an image: shows the image with the detected
+ * cell grid and the cells read as alive, so the grid can be corrected before
+ * the pattern becomes a brush.
+ */
+const BitmapImportDialog = ({ image, fileName, onConfirm, onCancel }) => {
+  const canvasRef = useRef(null);
+  const [grid, setGrid] = useState({ cellSize: '', offsetX: '', offsetY: '' });
+  const [invert, setInvert] = useState(false);
+  const [name, setName] = useState(() => fileName.replace(/\.[^.]+$/, '') || 'Imported');
+
+  const result = useMemo(() => {
+    const cellSize = parseField(grid.cellSize);
+    try {
+      return importBitmapPattern(image, {
+        cellSize,
+        // Offsets only apply to a cell size given by hand
+        offsetX: cellSize === undefined ? undefined : parseField(grid.offsetX),
+        offsetY: cellSize === undefined ? undefined : parseField(grid.offsetY),
+        invert
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [image, grid, invert]);
+
+  // Draw the image with the cell grid and the live cells on top
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+
+    const scale = Math.min(PREVIEW_SIZE / image.width, PREVIEW_SIZE / image.height, MAX_PREVIEW_SCALE);
+    canvas.width = Math.max(1, Math.round(image.width * scale));
+    canvas.height = Math.max(1, Math.round(image.height * scale));
+    const ctx = canvas.getContext('2d');
+
+    const source = document.createElement('canvas');
+    source.width = image.width;
+    source.height = image.height;
+    source.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(image.data), image.width, image.height), 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+    if (result.error) return;
+
+    const { cellSize, offsetX, offsetY } = result.grid;
+    const step = cellSize * scale;
+    if (step >= 3) {
+      ctx.strokeStyle = 'rgba(0, 150, 255, 0.6)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let x = (offsetX % cellSize) * scale; x <= canvas.width; x += step) {
+        ctx.moveTo(Math.round(x) + 0.5, 0);
+        ctx.lineTo(Math.round(x) + 0.5, canvas.height);
+      }
+      for (let y = (offsetY % cellSize) * scale; y <= canvas.height; y += step) {
+        ctx.moveTo(0, Math.round(y) + 0.5);
+        ctx.lineTo(canvas.width, Math.round(y) + 0.5);
+      }
+      ctx.stroke();
+    }
+
+    ctx.fillStyle = 'rgba(0, 255, 0, 0.4)';
+    for (const [y, x] of result.pattern) {
+      ctx.fillRect((result.originX + x * cellSize) * scale, (result.originY + y * cellSize) * scale, step, step);
+    }
+  }, [image, result]);
+
+  const handleConfirm = () => {
+    if (result.error) return;
+    onConfirm(BrushService.createImportedBrush(name.trim() || 'Imported', result));
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      background: 'rgba(0, 0, 0, 0.7)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1003
+    }}>
+      <div className="selector-panel" style={{ display: 'flex', flexDirection: 'column', gap: '6px', alignItems: 'center', maxWidth: '340px' }}>
+        <h3 style={{ margin: 0, fontSize: '12px' }}>Import pattern from image</h3>
+
+        <canvas ref={canvasRef} style={{ border: '1px solid var(--light-blue-half)', imageRendering: 'pixelated' }} />
+
+        <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', justifyContent: 'center' }}>
+          <label style={labelStyle} title="Image pixels per cell; leave blank to detect the grid">
+            Cell
+            <input type="number" min="1" value={grid.cellSize}
+              placeholder={result.grid ? String(result.grid.cellSize) : 'auto'}
+              onChange={(e) => setGrid(current => ({ ...current, cellSize: e.target.value }))} style={inputStyle} />
+          </label>
+          {['offsetX', 'offsetY'].map(field => (
+            <label key={field} style={labelStyle} title="Pixel where the first cell boundary is; used with a cell size given by hand">
+              {field === 'offsetX' ? 'X' : 'Y'}
+              <input type="number" min="0" value={grid[field]} disabled={grid.cellSize === ''}
+                placeholder={result.grid ? String(result.grid[field]) : '0'}
+                onChange={(e) => setGrid(current => ({ ...current, [field]: e.target.value }))} style={inputStyle} />
+            </label>
+          ))}
+          <label style={labelStyle} title="Read the other color as live cells">
+            <input type="checkbox" checked={invert} onChange={(e) => setInvert(e.target.checked)} />
+            Invert
+          </label>
+        </div>
+
+        {result.error ? (
+          <div style={{ color: '#ff6b6b', fontSize: '10px' }}>{result.error}</div>
+        ) : (
+          <div style={{ color: '#ccc', fontSize: '10px' }}>
+            {result.width}x{result.height} cells, {result.pattern.length} alive
+            {grid.cellSize === '' ? ` · detected ${result.grid.cellSize}px cells` : ''}
+          </div>
+        )}
+
+        <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Brush name"
+          style={{ fontSize: '10px', width: '160px' }} />
+
+        <div style={{ display: 'flex', gap: '6px' }}>
+          <button onClick={handleConfirm} disabled={Boolean(result.error)} style={{ fontSize: '10px' }}>
+            Add brush
+          </button>
+          <button onClick={onCancel} style={{ fontSize: '10px' }}>Cancel</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BitmapImportDialog;
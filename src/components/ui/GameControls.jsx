@@ -1,6 +1,22 @@
 import React, { useState, useEffect } from 'react';
 import { shallowEqual } from '../../utils/memoUtils';
 import { TestScenarioService } from '../../services/testScenarioService';
+import { GameService } from '../../services/gameService';
+import { BreakpointService } from '../../services/breakpointService';
+import { ShareService } from '../../services/shareService';
+import { BREAKPOINT_TYPE } from '../../constants/gameConstants';
+
+// Probe source value for a line typed in rather than a guidance line
+const CUSTOM_PROBE = 'custom';
+
+// Breakpoint types offered in the controls, with their menu labels
+const BREAKPOINT_OPTIONS = [
+  { type: BREAKPOINT_TYPE.GENERATION, label: 'Generation' },
+  { type: BREAKPOINT_TYPE.DETECTOR_CHANGE, label: 'Detector change' },
+  { type: BREAKPOINT_TYPE.CELL_ALIVE, label: 'Cell alive' },
+  { type: BREAKPOINT_TYPE.EXTINCTION, label: 'Population 0' },
+  { type: BREAKPOINT_TYPE.INTEGRITY_LOST, label: 'Object breaks' }
+];
 
 const GameControls = ({
   running,
@@ -20,6 +36,23 @@ const GameControls = ({
   const [refMultiplier, setRefMultiplier] = useState(4); // Default to 4x
   const [isRunningTests, setIsRunningTests] = useState(false);
   const [testResults, setTestResults] = useState(null);
+  const [historyRange, setHistoryRange] = useState(null);
+  const [stopOnCycle, setStopOnCycle] = useState(false);
+  const [generationsPerSecond, setGenerationsPerSecond] = useState(0);
+  const [breakpoints, setBreakpoints] = useState([]);
+  const [firedBreakpoint, setFiredBreakpoint] = useState(null);
+  const [placedObjects, setPlacedObjects] = useState([]);
+  const [breakpointType, setBreakpointType] = useState(BREAKPOINT_TYPE.GENERATION);
+  const [breakpointGeneration, setBreakpointGeneration] = useState('');
+  const [breakpointCell, setBreakpointCell] = useState({ x: '', y: '' });
+  const [breakpointObjectId, setBreakpointObjectId] = useState('');
+  const [guidanceLines, setGuidanceLines] = useState([]);
+  const [streamProbes, setStreamProbes] = useState([]);
+  const [streamReport, setStreamReport] = useState([]);
+  const [probeSource, setProbeSource] = useState(CUSTOM_PROBE);
+  const [probeLine, setProbeLine] = useState({ x1: '', y1: '', x2: '', y2: '' });
+  const [shareCells, setShareCells] = useState(false);
+  const [shareStatus, setShareStatus] = useState(null);
 
   // Check if challenge has test scenarios
   const hasTestScenarios = challenge ? TestScenarioService.hasTestScenarios(challenge) : false;
@@ -62,6 +95,24 @@ const GameControls = ({
     }
   };
 
+  // Copy a link to the current attempt: the level, the placed objects and optionally the raw cells
+  const shareBoard = async () => {
+    const state = gameRef?.current?.getShareState?.(shareCells);
+    if (!state || state.level === null) return;
+
+    try {
+      const url = await ShareService.createShareUrl(state, window.location.href);
+      window.history.replaceState(null, '', url);
+      await navigator.clipboard.writeText(url);
+      setShareStatus('Link copied');
+    } catch (error) {
+      // The link is still in the address bar when the clipboard is not available
+      console.error('🔗 Error copying share link:', error);
+      setShareStatus('Link is in the address bar');
+    }
+    setTimeout(() => setShareStatus(null), 3000);
+  };
+
   // Update local state when gameRef methods are available and sync with multiplier changes
   useEffect(() => {
     if (gameRef?.current?.getMultiplier) {
@@ -90,6 +141,81 @@ const GameControls = ({
     return () => clearInterval(intervalId);
   }, [gameRef]);
 
+  // Keep the timeline scrubber, cycle option, measured speed, breakpoints and stream probes in sync with the game
+  useEffect(() => {
+    const syncPlaybackState = () => {
+      if (gameRef?.current?.getHistoryRange) {
+        const range = gameRef.current.getHistoryRange();
+        setHistoryRange(current => current && range && shallowEqual(current, range) ? current : range);
+      }
+      if (gameRef?.current?.getStopOnCycle) {
+        setStopOnCycle(gameRef.current.getStopOnCycle());
+      }
+      if (gameRef?.current?.getGenerationsPerSecond) {
+        setGenerationsPerSecond(gameRef.current.getGenerationsPerSecond());
+      }
+      if (gameRef?.current?.getBreakpoints) {
+        setBreakpoints(gameRef.current.getBreakpoints());
+        setFiredBreakpoint(gameRef.current.getFiredBreakpoint());
+        setPlacedObjects(gameRef.current.getPlacedObjects());
+      }
+      if (gameRef?.current?.getStreamProbes) {
+        setGuidanceLines(gameRef.current.getGuidanceLines());
+        setStreamProbes(gameRef.current.getStreamProbes());
+        setStreamReport(gameRef.current.getStreamReport());
+      }
+    };
+
+    syncPlaybackState();
+    const intervalId = setInterval(syncPlaybackState, 100);
+
+    return () => clearInterval(intervalId);
+  }, [gameRef]);
+
+  const canStepBack = !running && historyRange && historyRange.generation > historyRange.first;
+
+  // Label placed objects by brush and order of placement
+  const getPlacedObjectLabel = (placedObject) => {
+    const index = placedObjects.findIndex(obj => obj.id === placedObject.id);
+    return `${placedObject.brushName || 'Object'} #${index + 1}`;
+  };
+
+  // Build the options of the breakpoint being edited; null while its inputs are incomplete
+  const getBreakpointOptions = () => {
+    switch (breakpointType) {
+      case BREAKPOINT_TYPE.GENERATION: {
+        const generation = parseInt(breakpointGeneration);
+        return generation > 0 ? { generation } : null;
+      }
+      case BREAKPOINT_TYPE.CELL_ALIVE: {
+        const x = parseInt(breakpointCell.x);
+        const y = parseInt(breakpointCell.y);
+        return Number.isNaN(x) || Number.isNaN(y) ? null : { x, y };
+      }
+      case BREAKPOINT_TYPE.INTEGRITY_LOST: {
+        const placedObject = placedObjects.find(obj => obj.id === breakpointObjectId);
+        return placedObject ? { objectId: placedObject.id, label: getPlacedObjectLabel(placedObject) } : null;
+      }
+      default:
+        return {};
+    }
+  };
+  const breakpointOptions = getBreakpointOptions();
+
+  // Build the options of the stream probe being added; null while its line is incomplete
+  const getProbeOptions = () => {
+    if (probeSource !== CUSTOM_PROBE) {
+      return guidanceLines.some(line => line.id === probeSource) ? { guidanceLineId: probeSource } : null;
+    }
+    const line = {};
+    for (const key of ['x1', 'y1', 'x2', 'y2']) {
+      line[key] = parseInt(probeLine[key]);
+      if (Number.isNaN(line[key])) return null;
+    }
+    return line;
+  };
+  const probeOptions = getProbeOptions();
+
   // If using gameRef approach
   if (gameRef) {
     return (
@@ -143,6 +269,17 @@ const GameControls = ({
             gap: '4px',
             justifyContent: 'center'
           }}>
+            <button
+              onClick={() => gameRef.current?.handleStepBack?.()}
+              disabled={!canStepBack}
+              style={{
+                fontSize: '10px',
+                flex: 1
+              }}
+              title="Go back to the previous recorded generation"
+            >
+              Back
+            </button>
             <button
               onClick={() => gameRef.current?.handleStep?.()}
               disabled={running}
@@ -204,8 +341,90 @@ const GameControls = ({
               {isRunningTests ? 'Testing...' : 'TEST'}
             </button>
           </div>
+
+          {/* Fast-forward straight to the challenge's target turn */}
+          <button
+            onClick={() => gameRef.current?.handleSkipToTarget?.()}
+            disabled={running || !challenge?.targetTurn}
+            style={{
+              fontSize: '10px',
+              width: '100%'
+            }}
+            title={challenge?.targetTurn ? `Jump to generation ${challenge.targetTurn}` : "This challenge has no target turn"}
+          >
+            Skip to {challenge?.targetTurn ? `Turn ${challenge.targetTurn}` : 'Target'}
+          </button>
+
+          {/* Share link to the current attempt */}
+          <div style={{
+            display: 'flex',
+            gap: '4px',
+            alignItems: 'center',
+            width: '100%'
+          }}>
+            <button
+              onClick={shareBoard}
+              disabled={running}
+              style={{
+                fontSize: '10px',
+                flex: 1
+              }}
+              title="Copy a link that opens this level with the objects you placed"
+            >
+              {shareStatus || '🔗 Share'}
+            </button>
+            <label
+              style={{ fontSize: '9px', color: 'var(--light-blue)', display: 'flex', alignItems: 'center', gap: '2px' }}
+              title="Also put every cell of the board in the link, including cells drawn or erased by hand"
+            >
+              <input
+                type="checkbox"
+                checked={shareCells}
+                onChange={(e) => setShareCells(e.target.checked)}
+              />
+              Cells
+            </label>
+          </div>
         </div>
 
+        {/* Timeline scrubber over the recorded generations */}
+        {historyRange && historyRange.last > historyRange.first && (
+          <div style={{
+            width: '100%',
+            textAlign: 'center'
+          }}>
+            <label style={{
+              color: 'var(--light-blue)',
+              fontSize: '10px',
+              display: 'block',
+              marginBottom: '4px',
+              fontFamily: 'var(--futuristic-font)',
+              textTransform: 'uppercase',
+              letterSpacing: '1px'
+            }}>
+              Timeline: {historyRange.generation} / {historyRange.last}
+            </label>
+            <input
+              type="range"
+              min={historyRange.first}
+              max={historyRange.last}
+              step="1"
+              value={Math.min(Math.max(historyRange.generation, historyRange.first), historyRange.last)}
+              disabled={running}
+              onChange={(e) => {
+                const target = parseInt(e.target.value);
+                gameRef.current?.seekGeneration?.(target);
+                setHistoryRange(current => current && { ...current, generation: target });
+              }}
+              style={{
+                width: '100%',
+                height: '4px'
+              }}
+              title="Seek to any generation of the run"
+            />
+          </div>
+        )}
+
         {/* Speed control */}
         <div style={{
           width: '100%',
@@ -220,17 +439,18 @@ const GameControls = ({
             textTransform: 'uppercase',
             letterSpacing: '1px'
           }}>
-            Speed: {refMultiplier}x
+            Speed: {GameService.formatSpeedMultiplier(refMultiplier)}
+            {running && generationsPerSecond > 0 ? ` · ${generationsPerSecond.toLocaleString()} gen/s` : ''}
           </label>
           <input
             type="range"
             min="0"
-            max="6"
+            max={GameService.getSpeedSliderMax()}
             step="1"
-            value={Math.log2(refMultiplier)}
+            value={GameService.getSpeedSliderPosition(refMultiplier)}
             onChange={(e) => {
               const position = parseInt(e.target.value);
-              const newMultiplier = Math.pow(2, position);
+              const newMultiplier = GameService.getSpeedMultiplier(position);
               gameRef.current?.setMultiplier?.(newMultiplier);
               setRefMultiplier(newMultiplier);
             }}
@@ -241,6 +461,253 @@ const GameControls = ({
           />
         </div>
 
+        {/* Pause automatically once the board settles into a cycle */}
+        <label
+          style={{
+            color: 'var(--light-blue)',
+            fontSize: '10px',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '4px',
+            fontFamily: 'var(--futuristic-font)',
+            textTransform: 'uppercase',
+            letterSpacing: '1px',
+            cursor: 'pointer'
+          }}
+          title="Stop when the board becomes stable, oscillates or only translates (applies from the next Play)"
+        >
+          <input
+            type="checkbox"
+            checked={stopOnCycle}
+            onChange={(e) => {
+              gameRef.current?.setStopOnCycle?.(e.target.checked);
+              setStopOnCycle(e.target.checked);
+            }}
+          />
+          Stop on cycle
+        </label>
+
+        {/* Breakpoints: run until one of these conditions is met */}
+        <div style={{
+          width: '100%',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '4px'
+        }}>
+          <label style={{
+            color: 'var(--light-blue)',
+            fontSize: '10px',
+            display: 'block',
+            textAlign: 'center',
+            fontFamily: 'var(--futuristic-font)',
+            textTransform: 'uppercase',
+            letterSpacing: '1px'
+          }}>
+            Breakpoints
+          </label>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <select
+              value={breakpointType}
+              onChange={(e) => setBreakpointType(e.target.value)}
+              style={{ fontSize: '10px', flex: 1, minWidth: 0 }}
+            >
+              {BREAKPOINT_OPTIONS.map(option => (
+                <option key={option.type} value={option.type}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => gameRef.current?.addBreakpoint?.(breakpointType, breakpointOptions)}
+              disabled={!breakpointOptions}
+              style={{ fontSize: '10px' }}
+              title="Pause the simulation when this condition is met"
+            >
+              Add
+            </button>
+          </div>
+
+          {breakpointType === BREAKPOINT_TYPE.GENERATION && (
+            <input
+              type="number"
+              min="1"
+              placeholder="Generation"
+              value={breakpointGeneration}
+              onChange={(e) => setBreakpointGeneration(e.target.value)}
+              style={{ fontSize: '10px', width: '100%', boxSizing: 'border-box' }}
+            />
+          )}
+          {breakpointType === BREAKPOINT_TYPE.CELL_ALIVE && (
+            <div style={{ display: 'flex', gap: '4px' }}>
+              <input
+                type="number"
+                placeholder="x"
+                value={breakpointCell.x}
+                onChange={(e) => setBreakpointCell(current => ({ ...current, x: e.target.value }))}
+                style={{ fontSize: '10px', flex: 1, minWidth: 0 }}
+              />
+              <input
+                type="number"
+                placeholder="y"
+                value={breakpointCell.y}
+                onChange={(e) => setBreakpointCell(current => ({ ...current, y: e.target.value }))}
+                style={{ fontSize: '10px', flex: 1, minWidth: 0 }}
+              />
+            </div>
+          )}
+          {breakpointType === BREAKPOINT_TYPE.INTEGRITY_LOST && (
+            <select
+              value={breakpointObjectId}
+              onChange={(e) => setBreakpointObjectId(e.target.value)}
+              style={{ fontSize: '10px', width: '100%' }}
+            >
+              <option value="">{placedObjects.length > 0 ? 'Choose a placed object' : 'No placed objects'}</option>
+              {placedObjects.map(obj => (
+                <option key={obj.id} value={obj.id}>{getPlacedObjectLabel(obj)}</option>
+              ))}
+            </select>
+          )}
+
+          {breakpoints.map(breakpoint => (
+            <div
+              key={breakpoint.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '4px',
+                fontSize: '9px',
+                color: firedBreakpoint?.id === breakpoint.id ? 'var(--light-green)' : 'var(--text-color)'
+              }}
+            >
+              <span style={{ flex: 1 }}>
+                {firedBreakpoint?.id === breakpoint.id ? '⏸ ' : ''}{BreakpointService.describeBreakpoint(breakpoint)}
+              </span>
+              <button
+                onClick={() => gameRef.current?.removeBreakpoint?.(breakpoint.id)}
+                style={{ fontSize: '9px', padding: '0 4px' }}
+                title="Remove breakpoint"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+
+        {/* Stream analyzer: timing of the glider and spaceship streams crossing a line */}
+        <div style={{
+          width: '100%',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '4px'
+        }}>
+          <label style={{
+            color: 'var(--light-blue)',
+            fontSize: '10px',
+            display: 'block',
+            textAlign: 'center',
+            fontFamily: 'var(--futuristic-font)',
+            textTransform: 'uppercase',
+            letterSpacing: '1px'
+          }}>
+            Streams
+          </label>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <select
+              value={probeSource}
+              onChange={(e) => setProbeSource(e.target.value)}
+              style={{ fontSize: '10px', flex: 1, minWidth: 0 }}
+            >
+              <option value={CUSTOM_PROBE}>Custom line</option>
+              {guidanceLines.map((line, index) => (
+                <option key={line.id} value={line.id}>Guidance line #{index + 1} ({line.direction})</option>
+              ))}
+            </select>
+            <button
+              onClick={() => gameRef.current?.addStreamProbe?.(probeOptions)}
+              disabled={!probeOptions}
+              style={{ fontSize: '10px' }}
+              title="Time the streams crossing this line"
+            >
+              Add
+            </button>
+          </div>
+
+          {probeSource === CUSTOM_PROBE && (
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px' }}>
+              {['x1', 'y1', 'x2', 'y2'].map(key => (
+                <input
+                  key={key}
+                  type="number"
+                  placeholder={key}
+                  value={probeLine[key]}
+                  onChange={(e) => setProbeLine(current => ({ ...current, [key]: e.target.value }))}
+                  style={{ fontSize: '10px', minWidth: 0 }}
+                />
+              ))}
+            </div>
+          )}
+
+          {streamProbes.map(probe => {
+            const report = streamReport.find(entry => entry.probeId === probe.id);
+            return (
+              <div key={probe.id} style={{ fontSize: '9px', color: 'var(--text-color)', borderTop: '1px solid var(--light-blue-half)', paddingTop: '2px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                  <span style={{ flex: 1 }}>{probe.resolved ? probe.resolved.label : 'Guidance line removed'}</span>
+                  <button
+                    onClick={() => gameRef.current?.removeStreamProbe?.(probe.id)}
+                    style={{ fontSize: '9px', padding: '0 4px' }}
+                    title="Remove probe"
+                  >
+                    ×
+                  </button>
+                </div>
+                <div style={{ display: 'flex', gap: '4px' }}>
+                  <select
+                    value={probe.gateObjectId || ''}
+                    onChange={(e) => gameRef.current?.updateStreamProbe?.(probe.id, { gateObjectId: e.target.value || null })}
+                    style={{ fontSize: '9px', flex: 1, minWidth: 0 }}
+                    title="Object the streams feed"
+                  >
+                    <option value="">Gate: first object on the line</option>
+                    {placedObjects.map(obj => (
+                      <option key={obj.id} value={obj.id}>Gate: {getPlacedObjectLabel(obj)}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="phase"
+                    value={probe.expectedPhase ?? ''}
+                    onChange={(e) => {
+                      const phase = parseInt(e.target.value);
+                      gameRef.current?.updateStreamProbe?.(probe.id, { expectedPhase: Number.isNaN(phase) ? null : phase });
+                    }}
+                    style={{ fontSize: '9px', width: '40px' }}
+                    title="Generation, modulo the gate period, ships should arrive on"
+                  />
+                </div>
+                {probe.resolved?.gate && (
+                  <div>→ {probe.resolved.gate.name} {probe.resolved.gate.period ? `(p${probe.resolved.gate.period})` : '(no period)'}</div>
+                )}
+                {report?.streams.map(stream => (
+                  <div
+                    key={`${stream.ship}|${stream.direction}|${stream.lane}`}
+                    style={{ color: stream.periodMismatch || stream.phaseMismatch ? 'var(--error-color)' : 'var(--light-green)' }}
+                    title={[
+                      stream.periodMismatch && 'Period is not a multiple of the gate period',
+                      stream.phaseMismatch && 'Ships arrive off the expected gate phase'
+                    ].filter(Boolean).join('; ')}
+                  >
+                    {stream.periodMismatch || stream.phaseMismatch ? '⚠ ' : ''}
+                    {stream.ship} {stream.direction} {stream.speed}, lane {stream.lane}, ×{stream.count}
+                    {stream.period
+                      ? `: p${stream.period}, phase ${stream.phase}, spacing ${stream.spacing}`
+                      : `: first at ${stream.firstArrival}`}
+                  </div>
+                ))}
+              </div>
+            );
+          })}
+        </div>
+
         {/* Test Results Display */}
         {testResults && (
           <div style={{
@@ -286,12 +753,11 @@ const GameControls = ({
   }
 
   // Original horizontal layout for backward compatibility
-  const sliderPosition = Math.log2(multiplier);
-  const actualMultiplier = Math.pow(2, sliderPosition);
+  const sliderPosition = GameService.getSpeedSliderPosition(multiplier);
 
   const handleSliderChange = (e) => {
     const position = Number(e.target.value);
-    const newMultiplier = Math.pow(2, position);
+    const newMultiplier = GameService.getSpeedMultiplier(position);
     onSpeedChange(newMultiplier);
   };
 
@@ -307,13 +773,13 @@ const GameControls = ({
         <input
           type="range"
           min="0"
-          max="6"
+          max={GameService.getSpeedSliderMax()}
           step="1"
           value={sliderPosition}
           onChange={handleSliderChange}
           style={{ marginLeft: '5px' }}
         />
-        {actualMultiplier}x ({Math.round(speed)} ms)
+        {GameService.formatSpeedMultiplier(multiplier)} ({speed > 0 ? `${Math.round(speed)} ms` : 'unlimited'})
       </label>
     </div>
   );
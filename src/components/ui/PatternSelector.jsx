@@ -1,7 +1,11 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { BrushService } from '../../services/brushService';
 import { useBrushes } from '../../hooks/gameHooks';
 import { uiComponentEqual } from '../../utils/memoUtils';
+import { encodePatternFile, getPatternFileName } from '../../utils/patternFormats';
+import { downloadFile } from '../../utils/downloadUtils';
+import { decodeImageFile } from '../../utils/bitmapImport';
+import BitmapImportDialog from './BitmapImportDialog';
 import { DETECTOR_CONSTANTS } from '../../constants/gameConstants';
 
 const PatternSelector = ({
@@ -10,7 +14,12 @@ const PatternSelector = ({
   running = false,
   onPatternSelect
 }) => {
-  const { brushes, brushesLoaded } = useBrushes();
+  const { brushes, brushesLoaded, brushLoadErrors } = useBrushes();
+  // Brushes read from images; they last until the page is reloaded
+  const [importedBrushes, setImportedBrushes] = useState([]);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const imageInputRef = useRef(null);
 
   // Check if challenge has detector patterns or challenge detectors
   const hasDetectorPatterns = React.useMemo(() => {
@@ -19,7 +28,7 @@ const PatternSelector = ({
     // Check for detector brushes in the available brushes
     const hasDetectorBrushes = challenge.brushes && brushes &&
       challenge.brushes.some(brushId => {
-        const pattern = brushes[brushId];
+        const pattern = BrushService.getBrush(brushes, brushId);
         return pattern && BrushService.isDetectorPattern(pattern);
       });
 
@@ -73,6 +82,48 @@ const PatternSelector = ({
     };
   }, [selectedPattern, running, onPatternSelect]);
 
+  const handleBrushClick = (pat) => {
+    if (selectedPattern?.name === pat.name) {
+      onPatternSelect(null);
+    } else {
+      // Apply challenge falloff period to detector patterns
+      let patternToSelect = pat;
+      if (BrushService.isDetectorPattern(pat) && challenge?.detectorFalloffPeriod) {
+        patternToSelect = BrushService.updateDetectorWithChallengeFalloff(pat, challenge.detectorFalloffPeriod);
+      }
+      onPatternSelect(patternToSelect);
+    }
+  };
+
+  const handleImageChosen = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setImportError(null);
+    try {
+      setPendingImport({ image: await decodeImageFile(file), fileName: file.name });
+    } catch (error) {
+      console.error('🖼️ Error reading pattern image:', error);
+      setImportError(error.message);
+    }
+  };
+
+  const handleImportConfirmed = (brush) => {
+    // A new import with the same name replaces the old one
+    setImportedBrushes(current => [...current.filter(existing => existing.name !== brush.name), brush]);
+    setPendingImport(null);
+    onPatternSelect(brush);
+    console.log(`🖼️ Imported brush "${brush.name}": ${brush.pattern.length} cells, ${brush.width}x${brush.height}`);
+  };
+
+  const brushButtonStyle = {
+    width: '130px',
+    fontSize: '10px',
+    textAlign: 'center',
+    margin: '1px 0' // Reduced button spacing
+  };
+
   return (
     <div className="selector-panel" style={{
       display: 'flex',
@@ -104,30 +155,60 @@ const PatternSelector = ({
             key={pat.name}
             disabled={running}
             className={selectedPattern?.name === pat.name ? 'selected' : ''}
-            style={{
-              width: '130px',
-              fontSize: '10px',
-              textAlign: 'center',
-              margin: '1px 0' // Reduced button spacing
-            }}
-            onClick={() => {
-              if (selectedPattern?.name === pat.name) {
-                onPatternSelect(null);
-              } else {
-                // Apply challenge falloff period to detector patterns
-                let patternToSelect = pat;
-                if (BrushService.isDetectorPattern(pat) && challenge?.detectorFalloffPeriod) {
-                  patternToSelect = BrushService.updateDetectorWithChallengeFalloff(pat, challenge.detectorFalloffPeriod);
-                }
-                onPatternSelect(patternToSelect);
-              }
-            }}
+            style={brushButtonStyle}
+            onClick={() => handleBrushClick(pat)}
           >
             {pat.name}
           </button>
         ))
       )}
 
+      {/* Brushes imported from images */}
+      {importedBrushes.map((pat) => (
+        <button
+          key={pat.id}
+          disabled={running}
+          className={selectedPattern?.name === pat.name ? 'selected' : ''}
+          style={brushButtonStyle}
+          title="Imported from an image; kept until the page is reloaded"
+          onClick={() => handleBrushClick(pat)}
+        >
+          🖼️ {pat.name}
+        </button>
+      ))}
+
+      {/* Read a pattern from a PNG or BMP picture of it */}
+      <button
+        disabled={running}
+        style={{ width: '130px', fontSize: '10px', marginTop: '6px' }}
+        title="Read a pattern from a PNG or BMP image and use it as a temporary brush"
+        onClick={() => imageInputRef.current?.click()}
+      >
+        🖼️ Import image
+      </button>
+      <input ref={imageInputRef} type="file" accept="image/png,image/bmp,.png,.bmp" style={{ display: 'none' }}
+        onChange={handleImageChosen} />
+      {importError && <div style={{ color: '#ff6b6b', fontSize: '9px', textAlign: 'center' }}>{importError}</div>}
+      {pendingImport && (
+        <BitmapImportDialog
+          image={pendingImport.image}
+          fileName={pendingImport.fileName}
+          onConfirm={handleImportConfirmed}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {/* Save the selected brush, as rotated and flipped, with its guidance lines */}
+      {selectedPattern && selectedPattern.pattern && (
+        <button
+          style={{ width: '130px', fontSize: '10px', marginTop: '2px' }}
+          title="Download the selected brush as an RLE file, including rotations, flips and guidance lines"
+          onClick={() => downloadFile(getPatternFileName(selectedPattern), encodePatternFile(selectedPattern))}
+        >
+          💾 Save brush (.rle)
+        </button>
+      )}
+
       {/* Detector Falloff Period Label - only show if level has detector patterns */}
       {hasDetectorPatterns && (
         <div style={{
@@ -151,6 +232,29 @@ const PatternSelector = ({
         </div>
       )}
 
+      {/* Problems found while loading the brush files */}
+      {brushLoadErrors.length > 0 && (
+        <details style={{
+          width: '100%',
+          marginTop: '8px',
+          paddingTop: '6px',
+          borderTop: '1px solid var(--light-blue-half)',
+          fontSize: '10px',
+          color: '#ffb347'
+        }}>
+          <summary style={{ cursor: 'pointer', textAlign: 'center' }}>
+            ⚠ {brushLoadErrors.length} brush file {brushLoadErrors.length === 1 ? 'problem' : 'problems'}
+          </summary>
+          <ul style={{ margin: '4px 0 0 0', paddingLeft: '12px', textAlign: 'left', wordBreak: 'break-word' }}>
+            {brushLoadErrors.map((error, index) => (
+              <li key={index} title={error.reason}>
+                {error.file}{error.line !== null ? `:${error.line}:${error.column}` : ''} {error.reason}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
     </div>
   );
 };
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { downloadFile } from '../../utils/downloadUtils';
+import { RUN_EXPORT_FORMAT, RUN_EXPORT_CONSTANTS } from '../../constants/gameConstants';
+
+// Parse an optional whole-number field; blank means "not given"
+const parseField = value => (value === '' ? null : parseInt(value, 10));
+
+const inputStyle = { fontSize: '10px', flex: 1, minWidth: 0 };
+const labelStyle = { fontSize: '9px', color: 'var(--light-blue)', display: 'flex', alignItems: 'center', gap: '2px' };
+
+const RunExportPanel = ({ gameRef, running }) => {
+  const [format, setFormat] = useState(RUN_EXPORT_FORMAT.GIF);
+  const [range, setRange] = useState({ from: '0', to: '100' });
+  const [fps, setFps] = useState(String(RUN_EXPORT_CONSTANTS.DEFAULT_FPS));
+  const [cellSize, setCellSize] = useState(String(RUN_EXPORT_CONSTANTS.DEFAULT_CELL_SIZE));
+  const [crop, setCrop] = useState({ x: '', y: '', width: '', height: '' });
+  const [overlays, setOverlays] = useState({ includeGuidanceLines: false, includeDetectors: true, includeTargets: true, includeEditableArea: true });
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    if (!gameRef?.current?.exportRun) return;
+
+    // Crop fields are board cells; leaving any of them blank exports the whole board
+    const cropValues = [crop.x, crop.y, crop.width, crop.height].map(parseField);
+    const cropRegion = cropValues.every(value => value !== null && !Number.isNaN(value))
+      ? { x: cropValues[0], y: cropValues[1], width: cropValues[2], height: cropValues[3] }
+      : null;
+
+    setError(null);
+    setProgress({ rendered: 0, total: 0 });
+    try {
+      const { data, filename, mimeType } = await gameRef.current.exportRun({
+        format,
+        fromGeneration: parseField(range.from) ?? 0,
+        toGeneration: parseField(range.to) ?? 0,
+        fps: Number(fps),
+        cellSize: parseField(cellSize),
+        crop: cropRegion,
+        ...overlays
+      }, {
+        onProgress: (rendered, total) => setProgress({ rendered, total })
+      });
+      downloadFile(filename, data, mimeType);
+    } catch (exportError) {
+      console.error('🎞️ Error exporting run:', exportError);
+      setError(exportError.message);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  // Save the board as it is now as a vector drawing, with the same overlays
+  const handleSaveSvg = () => {
+    if (!gameRef?.current?.getBoardSvg) return;
+
+    setError(null);
+    try {
+      downloadFile('board.svg', gameRef.current.getBoardSvg(overlays), 'image/svg+xml');
+    } catch (exportError) {
+      console.error('🖼️ Error exporting board as SVG:', exportError);
+      setError(exportError.message);
+    }
+  };
+
+  return (
+    <details className="selector-panel" style={{ width: '180px', boxSizing: 'border-box', fontSize: '10px' }}>
+      <summary style={{ cursor: 'pointer', textAlign: 'center', fontSize: '12px' }}>
+        Export
+      </summary>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', marginTop: '6px' }}>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} style={{ fontSize: '10px' }}>
+          <option value={RUN_EXPORT_FORMAT.GIF}>Animated GIF</option>
+          <option value={RUN_EXPORT_FORMAT.PNG_ZIP}>PNG frames (.zip)</option>
+        </select>
+
+        <div style={{ display: 'flex', gap: '4px' }} title="Generations to export; the run is replayed from generation 0">
+          <input type="number" min="0" placeholder="From" value={range.from}
+            onChange={(e) => setRange(current => ({ ...current, from: e.target.value }))} style={inputStyle} />
+          <input type="number" min="0" placeholder="To" value={range.to}
+            onChange={(e) => setRange(current => ({ ...current, to: e.target.value }))} style={inputStyle} />
+        </div>
+
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <label style={labelStyle} title="Frames per second">
+            FPS
+            <input type="number" min="1" max={RUN_EXPORT_CONSTANTS.MAX_FPS} value={fps}
+              onChange={(e) => setFps(e.target.value)} style={inputStyle} />
+          </label>
+          <label style={labelStyle} title="Pixels per cell">
+            Cell
+            <input type="number" min="1" max={RUN_EXPORT_CONSTANTS.MAX_CELL_SIZE} value={cellSize}
+              onChange={(e) => setCellSize(e.target.value)} style={inputStyle} />
+          </label>
+        </div>
+
+        <div style={{ display: 'flex', gap: '2px' }} title="Crop region in board cells; leave blank for the whole board">
+          {['x', 'y', 'width', 'height'].map(field => (
+            <input key={field} type="number" min="0" placeholder={field === 'width' ? 'w' : field === 'height' ? 'h' : field}
+              value={crop[field]} onChange={(e) => setCrop(current => ({ ...current, [field]: e.target.value }))} style={inputStyle} />
+          ))}
+        </div>
+
+        {[
+          ['includeGuidanceLines', 'Guidance lines'],
+          ['includeDetectors', 'Detectors'],
+          ['includeTargets', 'Targets'],
+          ['includeEditableArea', 'Editable area (SVG)']
+        ].map(([key, label]) => (
+          <label key={key} style={labelStyle}>
+            <input type="checkbox" checked={overlays[key]}
+              onChange={(e) => setOverlays(current => ({ ...current, [key]: e.target.checked }))} />
+            {label}
+          </label>
+        ))}
+
+        <button onClick={handleExport} disabled={running || progress !== null} style={{ fontSize: '10px' }}>
+          {progress ? `Rendering ${progress.rendered}/${progress.total}` : '🎞️ Export run'}
+        </button>
+        <button onClick={handleSaveSvg} disabled={running} style={{ fontSize: '10px' }}
+          title="Save the current board as a vector drawing, for slides and docs">
+          🖼️ Board as SVG
+        </button>
+        {error && <div style={{ color: '#ff6b6b', fontSize: '9px' }}>{error}</div>}
+      </div>
+    </details>
+  );
+};
+
+export default RunExportPanel;
@@ -7,4 +7,6 @@ export { default as AdminToggle } from './AdminToggle';
 export { default as ZoomControls } from './ZoomControls';
 export { default as PerformanceMonitor } from './PerformanceMonitor';
 export { default as DetectorPanel } from './DetectorPanel';
+export { default as BitmapImportDialog } from './BitmapImportDialog';
 
+export { default as RunExportPanel } from './RunExportPanel';
@@ -15,8 +15,10 @@ export const DEFAULT_GRID_HEIGHT = 50;
 
 // Animation settings
 export const MIN_SPEED_MULTIPLIER = 1;
-export const MAX_SPEED_MULTIPLIER = 64;
+export const MAX_SPEED_MULTIPLIER = 512;
 export const DEFAULT_SPEED_MULTIPLIER = 4;
+export const UNLIMITED_SPEED_MULTIPLIER = Infinity; // "Max": as many generations as each frame's time budget allows
+export const HASHLIFE_MIN_JUMP = 16; // Shorter jumps are stepped directly
 
 // Challenge settings
 export const DEFAULT_TARGET_TURN = 150;
@@ -69,3 +71,134 @@ export const PATTERN_TYPES = {
   ERASER: 'eraser'
 };
 
+// Pattern file formats the brush loader reads
+export const PATTERN_FORMAT = {
+  RLE: 'rle', // Run length encoded (.rle)
+  PLAINTEXT: 'plaintext', // Rows of '.' and 'O' (.cells)
+  LIFE_105: 'life105', // Blocks of '.' and '*' (.lif, .life)
+  LIFE_106: 'life106', // One "x y" cell per line (.lif, .life)
+  MACROCELL: 'macrocell' // Quadtree of nodes (.mc)
+};
+
+// Board topologies: what lies beyond the grid edge
+export const TOPOLOGY = {
+  BOUNDED: 'bounded', // Permanently dead cells
+  TORUS: 'torus', // Opposite edges are joined
+  KLEIN_BOTTLE: 'klein', // Left/right joined, top/bottom joined with a horizontal flip
+  ABSORBING: 'absorbing', // Hidden margin; anything leaving the board is never seen again
+  UNBOUNDED: 'unbounded' // The board is a window onto a sparse universe without edges
+};
+export const ABSORBING_MARGIN = 8; // Width of the hidden margin around absorbing boards
+export const ABSORBING_REACH = 2; // Margin objects farther than this from the board are removed
+
+
+// Simulation worker protocol
+export const SIMULATION_MESSAGE = {
+  // Main thread -> worker
+  LOAD: 'load',
+  PLAY: 'play',
+  PAUSE: 'pause',
+  STEP: 'step',
+  JUMP: 'jump',
+  SET_SPEED: 'setSpeed',
+  // Worker -> main thread
+  FRAME: 'frame',
+  ERROR: 'error'
+};
+
+export const SIMULATION_TIMING = {
+  FRAME_INTERVAL: 16, // Minimum milliseconds between streamed frames
+  TICK_BUDGET: 12, // Maximum milliseconds of stepping per frame before dropping behind
+  MAX_BATCH: 10000, // Maximum generations per frame, so tiny boards at unlimited speed still yield
+  RATE_WINDOW: 500 // Milliseconds over which the reported generations per second are averaged
+};
+
+// Generation history (rewind)
+export const HISTORY_CONSTANTS = {
+  MAX_ENTRIES: 2000, // Oldest generations are dropped beyond this
+  KEYFRAME_INTERVAL: 50 // Every Nth recorded generation stores the full board; the rest store word diffs
+};
+
+// Cycle detection
+export const CYCLE_TYPE = {
+  STABLE: 'stable', // Unchanged from one generation to the next
+  OSCILLATING: 'oscillating', // Repeats in place with a period above 1
+  TRANSLATING: 'translating' // Repeats displaced, like a spaceship
+};
+export const CYCLE_CONSTANTS = {
+  MAX_PERIOD: 1000 // Generations a board is remembered for; longer cycles go unnoticed
+};
+
+// Breakpoints: conditions that pause a running simulation
+export const BREAKPOINT_TYPE = {
+  GENERATION: 'generation', // A given generation is reached
+  DETECTOR_CHANGE: 'detectorChange', // Any detector changes value
+  CELL_ALIVE: 'cellAlive', // A given cell becomes alive
+  EXTINCTION: 'extinction', // The population reaches zero
+  INTEGRITY_LOST: 'integrityLost' // A placed object stops matching its pattern
+};
+
+// Statistics timeline
+export const STATISTICS_CONSTANTS = {
+  MAX_ROWS: 20000, // Oldest generations are dropped beyond this
+  CHART_HEIGHT: 120, // Pixels
+  PIXELS_PER_GENERATION: 2, // Horizontal chart scale
+  MAX_CHART_WIDTH: 16000 // Pixels; longer runs are drawn at a smaller scale
+};
+
+// Object census: identification of the objects on the board
+export const CENSUS_KIND = {
+  STILL_LIFE: 'stillLife', // Never changes
+  OSCILLATOR: 'oscillator', // Repeats in place
+  SPACESHIP: 'spaceship', // Repeats displaced
+  OTHER: 'other', // Known but does not repeat, like a gun
+  UNKNOWN: 'unknown' // Island matching no known object
+};
+export const CENSUS_CONSTANTS = {
+  MAX_PHASES: 64 // Generations a known object is run for to collect its phases
+};
+export const CENSUS_KIND_COLORS = {
+  [CENSUS_KIND.STILL_LIFE]: '#3ec6ff',
+  [CENSUS_KIND.OSCILLATOR]: '#6bff8e',
+  [CENSUS_KIND.SPACESHIP]: '#ffd93e',
+  [CENSUS_KIND.OTHER]: '#c77dff',
+  [CENSUS_KIND.UNKNOWN]: '#888888'
+};
+
+// Stream timing analysis
+export const STREAM_CONSTANTS = {
+  MAX_SHIP_CELLS: 32, // Islands on a probe line larger than this are not looked at
+  SHIP_REACH: 2, // Cells this close belong to the same ship, so phases with detached cells are recognized
+  MAX_ARRIVALS: 256, // Arrival generations kept per stream
+  POSITION_TOLERANCE: 2 // Cells a tracked ship may be off its predicted position
+};
+
+// Shareable board links
+export const SHARE_CONSTANTS = {
+  HASH_PREFIX: 'share=', // URL hash prefix in front of the encoded board
+  VERSION: 1, // Version of the shared board format
+  COMPRESSION: 'deflate-raw'
+};
+
+// Exported runs of the board
+export const RUN_EXPORT_FORMAT = {
+  GIF: 'gif', // Animated GIF
+  PNG_ZIP: 'png-zip' // Zip of one PNG per generation
+};
+export const RUN_EXPORT_CONSTANTS = {
+  DEFAULT_FPS: 10,
+  MAX_FPS: 50, // GIF delays are whole hundredths of a second and many viewers slow anything faster down
+  DEFAULT_CELL_SIZE: 4,
+  MAX_CELL_SIZE: 16,
+  MAX_FRAMES: 1000,
+  MAX_TOTAL_PIXELS: 100000000, // Frame pixels kept in memory while a GIF is built
+  PROGRESS_INTERVAL: 10 // Frames rendered between progress reports, which also let the page repaint
+};
+
+// Patterns read from bitmap images
+export const BITMAP_IMPORT_CONSTANTS = {
+  MAX_IMAGE_PIXELS: 16000000, // Larger images are refused before decoding
+  MAX_CELL_SIZE: 64, // Largest cell size, in image pixels, grid detection tries
+  GRID_FIT: 0.9, // Share of color edges that must fall on cell boundaries for a cell size to be accepted
+  COVERAGE: 0.5 // Share of a cell's sampled pixels that must be ink for the cell to be alive
+};
@@ -0,0 +1,33 @@
+// Built-in catalogue of common Life objects recognized by the object census (B3/S23)
+export const PATTERN_CATALOGUE = [
+  // Still lifes
+  { id: 'block', name: 'Block', rle: '2o$2o!' },
+  { id: 'beehive', name: 'Beehive', rle: 'b2o$o2bo$b2o!' },
+  { id: 'loaf', name: 'Loaf', rle: 'b2o$o2bo$bobo$2bo!' },
+  { id: 'boat', name: 'Boat', rle: '2o$obo$bo!' },
+  { id: 'ship', name: 'Ship', rle: '2o$obo$b2o!' },
+  { id: 'tub', name: 'Tub', rle: 'bo$obo$bo!' },
+  { id: 'pond', name: 'Pond', rle: 'b2o$o2bo$o2bo$b2o!' },
+  { id: 'longBoat', name: 'Long boat', rle: '2o$obo$bobo$2bo!' },
+  { id: 'barge', name: 'Barge', rle: 'bo$obo$bobo$2bo!' },
+  { id: 'snake', name: 'Snake', rle: '2obo$ob2o!' },
+  { id: 'aircraftCarrier', name: 'Aircraft carrier', rle: '2o$o2bo$2b2o!' },
+  { id: 'eater1', name: 'Eater 1', rle: '2o$obo$2bo$2b2o!' },
+
+  // Oscillators
+  { id: 'blinker', name: 'Blinker', rle: '3o!' },
+  { id: 'toad', name: 'Toad', rle: 'b3o$3o!' },
+  { id: 'beacon', name: 'Beacon', rle: '2o$2o$2b2o$2b2o!' },
+  { id: 'clock', name: 'Clock', rle: '2bo$obo$bobo$bo!' },
+  { id: 'pulsar', name: 'Pulsar', rle: '2b3o3b3o2$o4bobo4bo$o4bobo4bo$o4bobo4bo$2b3o3b3o2$2b3o3b3o$o4bobo4bo$o4bobo4bo$o4bobo4bo2$2b3o3b3o!' },
+  { id: 'pentadecathlon', name: 'Pentadecathlon', rle: '2bo4bo$2ob4ob2o$2bo4bo!' },
+
+  // Spaceships
+  { id: 'glider', name: 'Glider', rle: 'bo$2bo$3o!' },
+  { id: 'lwss', name: 'LWSS', rle: 'bo2bo$o$o3bo$4o!' },
+  { id: 'mwss', name: 'MWSS', rle: '3bo$bo3bo$o$o4bo$5o!' },
+  { id: 'hwss', name: 'HWSS', rle: '3b2o$bo4bo$o$o5bo$6o!' },
+
+  // Guns
+  { id: 'gosperGliderGun', name: 'Gosper glider gun', rle: '24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$2o8bo3bob2o4bobo$10bo5bo7bo$11bo3bo$12b2o!' }
+];
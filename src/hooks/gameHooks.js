@@ -1,19 +1,24 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { BrushService } from '../services/brushService.js';
 import { DetectorService } from '../services/detectorService.js';
+import { SimulationClient, LocalSimulationWorker } from '../services/simulationClient.js';
 import { getCenterOffsets } from '../utils/canvasUtils.js';
+import { getCell, getGridSize } from '../utils/packedGrid.js';
 
 
 // Hook to manage brush loading
 export const useBrushes = () => {
   const [brushes, setBrushes] = useState({});
   const [brushesLoaded, setBrushesLoaded] = useState(false);
+  const [brushLoadErrors, setBrushLoadErrors] = useState([]);
 
   useEffect(() => {
     const initializeBrushes = async () => {
       if (!brushesLoaded) {
-        const loadedBrushes = await BrushService.loadAllBrushes();
+        const loadErrors = [];
+        const loadedBrushes = await BrushService.loadAllBrushes(loadErrors);
         setBrushes(loadedBrushes);
+        setBrushLoadErrors(loadErrors);
         setBrushesLoaded(true);
       }
     };
@@ -21,7 +26,7 @@ export const useBrushes = () => {
     initializeBrushes();
   }, []); // Empty dependency array - only run once on mount
 
-  return { brushes, brushesLoaded };
+  return { brushes, brushesLoaded, brushLoadErrors };
 };
 
 // Hook to manage level completion checking
@@ -80,7 +85,8 @@ export const useLevelCompletion = () => {
 
     // Check pattern-based win condition (if applicable)
     if (hasPatternChallenge) {
-      const { centerOffsetX, centerOffsetY } = getCenterOffsets(currentGrid);
+      const { width: gridWidth, height: gridHeight } = getGridSize(currentGrid);
+      const { centerOffsetX, centerOffsetY } = getCenterOffsets({ width: gridWidth, height: gridHeight });
 
       // Check if all challenge pixels are both alive and match the pattern (green)
       let allGreen = true;
@@ -97,9 +103,9 @@ export const useLevelCompletion = () => {
         const [dy, dx] = coord;
         const ny = centerOffsetY + dy;
         const nx = centerOffsetX + dx;
-        if (ny >= 0 && ny < currentGrid.length && nx >= 0 && nx < currentGrid[0].length) {
+        if (ny >= 0 && ny < gridHeight && nx >= 0 && nx < gridWidth) {
           totalPixels++;
-          if (currentGrid[ny][nx]) {
+          if (getCell(currentGrid, nx, ny)) {
             aliveCount++;
           } else {
             allGreen = false;
@@ -167,3 +173,41 @@ export const useTargets = (adminMode) => {
 
   return { targets, loadTargets };
 };
+
+// Create the simulation worker, falling back to the main thread where workers are unavailable
+const createSimulationWorker = () => {
+  if (typeof Worker === 'undefined') {
+    return new LocalSimulationWorker();
+  }
+
+  try {
+    return new Worker(new URL('../workers/simulationWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('🧵 Could not start simulation worker, running on the main thread:', error);
+    return new LocalSimulationWorker();
+  }
+};
+
+// Hook to manage the simulation worker; returns a ref to its SimulationClient
+export const useSimulationWorker = (onFrame) => {
+  const clientRef = useRef(null);
+  const onFrameRef = useRef(onFrame);
+
+  useEffect(() => {
+    onFrameRef.current = onFrame;
+  });
+
+  useEffect(() => {
+    const client = new SimulationClient(createSimulationWorker(), frame => onFrameRef.current(frame));
+    clientRef.current = client;
+
+    return () => {
+      client.terminate();
+      if (clientRef.current === client) {
+        clientRef.current = null;
+      }
+    };
+  }, []);
+
+  return clientRef;
+};
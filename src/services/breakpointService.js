@@ -0,0 +1,154 @@
+// Breakpoint service: run-until conditions checked after every simulated generation
+import { BREAKPOINT_TYPE } from '../constants/gameConstants.js';
+import { isCellAlive } from '../utils/packedGrid.js';
+import { getCenterOffsets } from '../utils/canvasUtils.js';
+
+let nextBreakpointId = 1;
+
+/**
+ * Service for defining breakpoints and checking them against simulated generations.
+ * Breakpoints are defined in center-based coordinates and resolved to board
+ * coordinates (with the cells of watched placed objects) before they are
+ * handed to the simulation, which checks them without access to brushes.
+ * This module is loaded by the simulation worker, so it stays free of
+ * brush and placed object services.
+ */
+export class BreakpointService {
+  /**
+   * Create a breakpoint
+   * @param {string} type - BREAKPOINT_TYPE value
+   * @param {Object} options - {generation} for GENERATION, {x, y} (center-based) for CELL_ALIVE, {objectId, label} for INTEGRITY_LOST
+   * @returns {Object} Breakpoint
+   */
+  static createBreakpoint(type, options = {}) {
+    if (!Object.values(BREAKPOINT_TYPE).includes(type)) {
+      throw new Error(`Unknown breakpoint type: ${type}`);
+    }
+    return { id: `breakpoint_${nextBreakpointId++}`, type, ...options };
+  }
+
+  /**
+   * Describe a breakpoint for display
+   * @param {Object} breakpoint - Breakpoint
+   * @returns {string} Description such as "generation 340"
+   */
+  static describeBreakpoint(breakpoint) {
+    switch (breakpoint.type) {
+      case BREAKPOINT_TYPE.GENERATION:
+        return `generation ${breakpoint.generation}`;
+      case BREAKPOINT_TYPE.DETECTOR_CHANGE:
+        return 'any detector changes';
+      case BREAKPOINT_TYPE.CELL_ALIVE:
+        return `cell (${breakpoint.x}, ${breakpoint.y}) alive`;
+      case BREAKPOINT_TYPE.EXTINCTION:
+        return 'population reaches 0';
+      case BREAKPOINT_TYPE.INTEGRITY_LOST:
+        return `${breakpoint.label || breakpoint.objectId} breaks`;
+      default:
+        return breakpoint.type;
+    }
+  }
+
+  /**
+   * Convert breakpoints to the board coordinates the simulation works in.
+   * Integrity breakpoints get the cells their placed object must keep alive
+   * (see PlacedObjectService.getIntegrityCells); those whose object no longer
+   * exists are dropped.
+   * @param {Array} breakpoints - Breakpoints with center-based coordinates
+   * @param {Object} gridSize - Board size {width, height}
+   * @param {Object} integrityCells - Map of placed object id to its array of {x, y} board cells
+   * @returns {Array} Resolved breakpoints
+   */
+  static resolveBreakpoints(breakpoints, gridSize, integrityCells = {}) {
+    const { centerOffsetX, centerOffsetY } = getCenterOffsets(gridSize);
+
+    return breakpoints.flatMap(breakpoint => {
+      if (breakpoint.type === BREAKPOINT_TYPE.CELL_ALIVE) {
+        return [{ ...breakpoint, boardX: breakpoint.x + centerOffsetX, boardY: breakpoint.y + centerOffsetY }];
+      }
+      if (breakpoint.type === BREAKPOINT_TYPE.INTEGRITY_LOST) {
+        const cells = integrityCells[breakpoint.objectId];
+        return cells ? [{ ...breakpoint, cells }] : [];
+      }
+      return [breakpoint];
+    });
+  }
+
+  /**
+   * Capture what the breakpoints compare against before the first generation
+   * @param {Array} breakpoints - Resolved breakpoints
+   * @param {PackedGrid} grid - Board at the starting generation
+   * @param {Array} detectors - Detectors at the starting generation
+   * @returns {Object} Breakpoint state for checkBreakpoints
+   */
+  static initializeState(breakpoints, grid, detectors = []) {
+    const state = { detectorValues: detectors.map(detector => detector.currentValue), conditions: {} };
+    breakpoints.forEach(breakpoint => {
+      state.conditions[breakpoint.id] = BreakpointService.evaluateCondition(breakpoint, grid);
+    });
+    return state;
+  }
+
+  /**
+   * Evaluate the board condition a cell or integrity breakpoint watches
+   * @param {Object} breakpoint - Resolved breakpoint
+   * @param {PackedGrid} grid - Board
+   * @returns {boolean|null} Cell alive / object intact, or null for other types
+   */
+  static evaluateCondition(breakpoint, grid) {
+    if (breakpoint.type === BREAKPOINT_TYPE.CELL_ALIVE) {
+      return isCellAlive(grid, breakpoint.boardX, breakpoint.boardY) === 1;
+    }
+    if (breakpoint.type === BREAKPOINT_TYPE.INTEGRITY_LOST) {
+      return breakpoint.cells.every(({ x, y }) => isCellAlive(grid, x, y) === 1);
+    }
+    return null;
+  }
+
+  /**
+   * Check the breakpoints after a generation. Cell and integrity breakpoints
+   * fire on the generation their condition changes (dead to alive, intact to
+   * broken), not while it merely holds.
+   * @param {Array} breakpoints - Resolved breakpoints
+   * @param {Object} state - State from initializeState; updated in place
+   * @param {PackedGrid} grid - Board after the generation
+   * @param {number} generation - Generation just reached
+   * @param {Array} detectors - Detectors after the generation
+   * @returns {Object|null} First breakpoint that fired, or null
+   */
+  static checkBreakpoints(breakpoints, state, grid, generation, detectors = []) {
+    let fired = null;
+    const detectorChanged = detectors.some((detector, index) => detector.currentValue !== state.detectorValues[index]);
+    state.detectorValues = detectors.map(detector => detector.currentValue);
+
+    for (const breakpoint of breakpoints) {
+      let triggered = false;
+      switch (breakpoint.type) {
+        case BREAKPOINT_TYPE.GENERATION:
+          triggered = generation === breakpoint.generation;
+          break;
+        case BREAKPOINT_TYPE.DETECTOR_CHANGE:
+          triggered = detectorChanged;
+          break;
+        case BREAKPOINT_TYPE.EXTINCTION:
+          triggered = grid.countAlive() === 0 && (!grid.outside || grid.outside.isEmpty());
+          break;
+        case BREAKPOINT_TYPE.CELL_ALIVE:
+        case BREAKPOINT_TYPE.INTEGRITY_LOST: {
+          const holds = BreakpointService.evaluateCondition(breakpoint, grid);
+          const held = state.conditions[breakpoint.id];
+          state.conditions[breakpoint.id] = holds;
+          triggered = breakpoint.type === BREAKPOINT_TYPE.CELL_ALIVE ? holds && !held : held && !holds;
+          break;
+        }
+        default:
+          break;
+      }
+
+      // Keep updating the remaining conditions so the next check starts from this generation
+      if (triggered && !fired) fired = breakpoint;
+    }
+
+    return fired;
+  }
+}
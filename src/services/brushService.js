@@ -1,6 +1,14 @@
 // Brush service for loading and managing pattern brushes
-import { parseRLEFile } from '../utils/rleUtils.js';
+import { parsePatternFile, getPatternFileId } from '../utils/patternFormats.js';
 import { PATTERN_TYPES, DETECTOR_CONSTANTS } from '../constants/gameConstants.js';
+import { rulesMatch } from '../utils/lifeRules.js';
+import { decodeApgcode, encodeApgcode, isApgcode } from '../utils/apgcode.js';
+
+// Library brushes by apgcode, built once per brush library
+const apgcodeIndexCache = new WeakMap();
+
+// Brushes decoded from apgcodes that no library brush has
+const decodedApgcodeBrushes = new Map();
 
 /**
  * Service for managing pattern brushes
@@ -31,10 +39,17 @@ export class BrushService {
   }
 
   /**
-   * Load all available brushes from the brushes folder
+   * Load all available brushes from the brushes folder.
+   * Brush files may be RLE, plaintext (.cells), Life 1.05/1.06 or macrocell
+   * (.mc); the format is recognized from the file name and content.
+   * Files are parsed strictly: every problem found, and every file that
+   * could not be loaded at all, is added to loadErrors.
+   * Still lifes, oscillators and spaceships are given their apgcode, so
+   * challenges can refer to them by it as well as by file name.
+   * @param {Array} loadErrors - Optional array receiving {file, line, column, reason} entries
    * @returns {Promise<Object>} Object with brush IDs as keys and brush data as values
    */
-  static async loadAllBrushes() {
+  static async loadAllBrushes(loadErrors = []) {
     const brushes = {};
     const availableFiles = await BrushService.discoverBrushFiles();
 
@@ -42,9 +57,10 @@ export class BrushService {
       try {
         const response = await fetch(`/brushes/${file}`);
         if (response.ok) {
-          const rleContent = await response.text();
-          const brushData = parseRLEFile(rleContent);
-          const brushId = file.replace('.rle', '');
+          const content = await response.text();
+          const { diagnostics, ...brushData } = parsePatternFile(content, file, { strict: true });
+          const brushId = getPatternFileId(file);
+          diagnostics.forEach(diagnostic => loadErrors.push({ file, ...diagnostic }));
 
           // Check if this should be a detector pattern based on filename
           if (brushId.toLowerCase().includes('detector')) {
@@ -64,18 +80,86 @@ export class BrushService {
             // Regular brush pattern
             brushes[brushId] = {
               ...brushData,
-              id: brushId
+              id: brushId,
+              apgcode: BrushService.getBrushApgcode(brushData)
             };
           }
+        } else {
+          loadErrors.push({ file, line: null, column: null, reason: `Could not fetch the file (HTTP ${response.status})` });
         }
       } catch (error) {
         console.warn(`Failed to load brush ${file}:`, error);
+        loadErrors.push({ file, line: null, column: null, reason: error.message });
       }
     }
 
     return brushes;
   }
 
+  /**
+   * Compute the apgcode of a brush
+   * @param {Object} brush - Brush with pattern and rule
+   * @returns {string|null} apgcode, or null for erasers, detectors and objects that do not repeat
+   */
+  static getBrushApgcode(brush) {
+    if (!brush?.pattern || BrushService.getPatternType(brush) !== PATTERN_TYPES.NORMAL) return null;
+    try {
+      return encodeApgcode(brush.pattern, brush.rule);
+    } catch (error) {
+      console.warn(`Could not compute the apgcode of brush "${brush.name}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Look up a brush by id or apgcode. An apgcode finds the library brush of
+   * the same object (with its name and guidance lines); otherwise it is
+   * decoded into a new brush named after the code.
+   * @param {Object} brushes - Available brushes
+   * @param {string} brushId - Brush ID or apgcode
+   * @returns {Object|null} Brush, or null if there is none
+   */
+  static getBrush(brushes, brushId) {
+    if (brushes && brushes[brushId]) return brushes[brushId];
+    if (!isApgcode(brushId)) return null;
+
+    if (brushes) {
+      if (!apgcodeIndexCache.has(brushes)) {
+        const index = new Map();
+        Object.values(brushes).forEach(brush => {
+          if (brush.apgcode && !index.has(brush.apgcode)) index.set(brush.apgcode, brush);
+        });
+        apgcodeIndexCache.set(brushes, index);
+      }
+      const libraryBrush = apgcodeIndexCache.get(brushes).get(brushId);
+      if (libraryBrush) return libraryBrush;
+    }
+
+    if (!decodedApgcodeBrushes.has(brushId)) {
+      let brush = null;
+      try {
+        const { pattern, width, height } = decodeApgcode(brushId);
+        brush = {
+          id: brushId,
+          name: brushId,
+          author: null,
+          comments: [],
+          pattern,
+          width,
+          height,
+          rule: null,
+          guidanceLines: [],
+          guidanceLine: null,
+          apgcode: brushId
+        };
+      } catch (error) {
+        console.warn(`Brush "${brushId}" is not a valid apgcode:`, error.message);
+      }
+      decodedApgcodeBrushes.set(brushId, brush);
+    }
+    return decodedApgcodeBrushes.get(brushId);
+  }
+
   /**
    * Get patterns available for a specific challenge
    * @param {Object} challenge - Challenge configuration
@@ -88,10 +172,42 @@ export class BrushService {
     }
 
     return challenge.brushes
-      .map(brushId => brushes[brushId])
+      .map(brushId => BrushService.getBrushForChallenge(brushes, brushId, challenge))
       .filter(Boolean);
   }
 
+  /**
+   * Check whether a brush can be used under a rule.
+   * Brushes without a declared rule, detectors and erasers work under any rule.
+   * @param {Object} brush - Brush object
+   * @param {string|null} rule - Rule in B/S notation (null means B3/S23)
+   * @returns {boolean} Whether the brush matches the rule
+   */
+  static isBrushCompatibleWithRule(brush, rule) {
+    if (!brush || !brush.rule || BrushService.getPatternType(brush) !== PATTERN_TYPES.NORMAL) {
+      return true;
+    }
+    return rulesMatch(brush.rule, rule);
+  }
+
+  /**
+   * Look up a brush for use in a challenge, refusing brushes written for a different rule
+   * @param {Object} brushes - Available brushes
+   * @param {string} brushId - Brush ID or apgcode (see getBrush)
+   * @param {Object} challenge - Challenge configuration (uses challenge.rule)
+   * @returns {Object|null} Brush, or null if missing or incompatible
+   */
+  static getBrushForChallenge(brushes, brushId, challenge) {
+    const brush = BrushService.getBrush(brushes, brushId);
+    if (!brush) return null;
+
+    if (!BrushService.isBrushCompatibleWithRule(brush, challenge?.rule)) {
+      console.warn(`Brush "${brushId}" uses rule ${brush.rule} and cannot be loaded into a ${challenge?.rule || 'B3/S23'} level`);
+      return null;
+    }
+    return brush;
+  }
+
   /**
    * Check if a pattern is an eraser pattern
    * @param {Object} pattern - Pattern object
@@ -152,6 +268,28 @@ export class BrushService {
     };
   }
 
+  /**
+   * Create a temporary brush from a pattern read out of an image
+   * @param {string} name - Brush name, such as the image file name without its extension
+   * @param {Object} imported - Cells from importBitmapPattern {pattern, width, height}
+   * @returns {Object} Brush marked as imported; it is not part of the brush library
+   */
+  static createImportedBrush(name, imported) {
+    return {
+      id: `imported_${name}`,
+      name,
+      author: null,
+      comments: [],
+      pattern: imported.pattern,
+      width: imported.width,
+      height: imported.height,
+      rule: null,
+      guidanceLines: [],
+      guidanceLine: null,
+      imported: true
+    };
+  }
+
   /**
    * Update a detector pattern with challenge-specific falloff period
    * @param {Object} detectorPattern - Original detector pattern
@@ -171,6 +309,7 @@ export class BrushService {
 
   /**
    * Apply pattern transformations (flip/rotate)
+   * Multi-state coordinates ([y, x, state]) keep their state.
    * @param {Object} pattern - Pattern to transform
    * @param {string} transformation - Transformation type ('flipX', 'flipY', 'rotateClockwise', 'rotateCounterclockwise')
    * @returns {Object} Transformed pattern
@@ -188,17 +327,19 @@ export class BrushService {
       switch (transformation) {
         case 'rotateClockwise':
           // Rotate 90 degrees clockwise around origin
-          transformedCoords = coords.map(([y, x]) => [
+          transformedCoords = coords.map(([y, x, ...state]) => [
             Math.round(x) || 0, // Ensure positive zero
-            Math.round(-y) || 0 // Ensure positive zero
+            Math.round(-y) || 0, // Ensure positive zero
+            ...state
           ]);
           break;
 
         case 'rotateCounterclockwise':
           // Rotate 90 degrees counterclockwise around origin
-          transformedCoords = coords.map(([y, x]) => [
+          transformedCoords = coords.map(([y, x, ...state]) => [
             Math.round(-x) || 0, // Ensure positive zero
-            Math.round(y) || 0   // Ensure positive zero
+            Math.round(y) || 0,  // Ensure positive zero
+            ...state
           ]);
           break;
       }
@@ -209,7 +350,7 @@ export class BrushService {
       const minX = Math.min(...transformedCoords.map(([, x]) => x));
 
       // Offset all coordinates to make the top-left corner at (0,0)
-      transformedCoords = transformedCoords.map(([y, x]) => [y - minY, x - minX]);
+      transformedCoords = transformedCoords.map(([y, x, ...state]) => [y - minY, x - minX, ...state]);
     } else {
       // For flips, use center-based transformation to maintain pattern integrity
       // Find pattern bounds
@@ -224,12 +365,12 @@ export class BrushService {
       switch (transformation) {
         case 'flipX':
           // Flip around X axis (vertical flip)
-          transformedCoords = coords.map(([y, x]) => [Math.round(2 * centerY - y), Math.round(x)]);
+          transformedCoords = coords.map(([y, x, ...state]) => [Math.round(2 * centerY - y), Math.round(x), ...state]);
           break;
 
         case 'flipY':
           // Flip around Y axis (horizontal flip)
-          transformedCoords = coords.map(([y, x]) => [Math.round(y), Math.round(2 * centerX - x)]);
+          transformedCoords = coords.map(([y, x, ...state]) => [Math.round(y), Math.round(2 * centerX - x), ...state]);
           break;
 
         default:
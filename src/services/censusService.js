@@ -0,0 +1,201 @@
+// Census service: identifies the still lifes, oscillators, spaceships and guns on the board
+import { CENSUS_KIND } from '../constants/gameConstants.js';
+import { PATTERN_CATALOGUE } from '../constants/patternCatalogue.js';
+import { ORIENTATIONS, findIslands, collectPhases } from '../utils/islands.js';
+import { decodeRLE } from '../utils/rleUtils.js';
+import { resolveRule, isConwayRule } from '../utils/lifeRules.js';
+import { BrushService } from './brushService.js';
+
+// Templates of the known objects, built once per brush library and rule
+const templateCache = new WeakMap();
+const NO_LIBRARY = {};
+
+/**
+ * Build the templates of a known object: every phase of its cycle in every
+ * orientation, described as islands positioned relative to the largest one.
+ * Shapes an object only has before it settles are not templates.
+ * @param {Object} entry - {id, name, source, cells: Array of [x, y]}
+ * @param {Object} rule - Parsed rule
+ * @param {Set} seen - Template keys already taken by earlier objects
+ * @returns {Array} Templates {entry, anchorKey, islands: [{key, dx, dy}], cellCount}
+ */
+function buildTemplates(entry, rule, seen) {
+  const { phases, kind, period } = collectPhases(entry.cells, rule);
+  const described = { id: entry.id, name: entry.name, source: entry.source, kind, period };
+  const templates = [];
+
+  phases.forEach(phase => {
+    if (phase.length === 0) return;
+    ORIENTATIONS.forEach(orient => {
+      const islands = findIslands(phase.map(([x, y]) => orient(x, y)));
+      const anchor = islands.reduce((best, island) => (island.cells.length > best.cells.length ? island : best));
+      const relative = islands
+        .filter(island => island !== anchor)
+        .map(island => ({ key: island.key, dx: island.minX - anchor.minX, dy: island.minY - anchor.minY }));
+      const templateKey = [anchor.key, ...relative.map(({ key, dx, dy }) => `${dx},${dy},${key}`).sort()].join('|');
+      if (seen.has(templateKey)) return;
+
+      seen.add(templateKey);
+      templates.push({ entry: described, anchorKey: anchor.key, islands: relative, cellCount: phase.length });
+    });
+  });
+
+  return templates;
+}
+
+/**
+ * Service for identifying the objects on a board
+ */
+export class CensusService {
+  /**
+   * Get the objects the census can recognize: normal brushes of the library
+   * that suit the rule, then (for Conway's Life) the built-in catalogue
+   * @param {Object} brushes - Brush library keyed by id
+   * @param {string|Object|null} rule - Rule (null means B3/S23)
+   * @returns {Array} Entries {id, name, source: 'library'|'catalogue', cells: Array of [x, y]}
+   */
+  static getKnownObjects(brushes, rule = null) {
+    const library = Object.values(brushes || {})
+      .filter(brush => !BrushService.isDetectorPattern(brush) && !BrushService.isEraserPattern(brush))
+      .filter(brush => BrushService.isBrushCompatibleWithRule(brush, resolveRule(rule).rule))
+      .map(brush => ({
+        id: brush.id,
+        name: brush.name || brush.id,
+        source: 'library',
+        cells: (brush.pattern || []).filter(([, , state]) => !state || state === 1).map(([y, x]) => [x, y])
+      }))
+      .filter(entry => entry.cells.length > 0);
+
+    const catalogue = isConwayRule(resolveRule(rule))
+      ? PATTERN_CATALOGUE.map(({ id, name, rle }) => ({
+        id,
+        name,
+        source: 'catalogue',
+        cells: decodeRLE(rle).map(([y, x]) => [x, y])
+      }))
+      : [];
+
+    return [...library, ...catalogue];
+  }
+
+  /**
+   * Build (or reuse) the matching templates for a brush library and rule.
+   * Larger objects come first so a gun claims its blocks before "Block" does;
+   * among equal sizes library brushes win over the catalogue.
+   * @param {Object} brushes - Brush library keyed by id
+   * @param {string|Object|null} rule - Rule (null means B3/S23)
+   * @returns {Array} Templates
+   */
+  static getTemplates(brushes, rule = null) {
+    const ruleName = resolveRule(rule).rule;
+    const owner = brushes || NO_LIBRARY;
+    if (!templateCache.has(owner)) templateCache.set(owner, new Map());
+    const cache = templateCache.get(owner);
+
+    if (!cache.has(ruleName)) {
+      const seen = new Set();
+      const templates = CensusService.getKnownObjects(brushes, rule)
+        .flatMap(entry => buildTemplates(entry, resolveRule(rule), seen));
+      // Array.prototype.sort is stable, so library order survives among equal sizes
+      templates.sort((a, b) => b.cellCount - a.cellCount);
+      cache.set(ruleName, templates);
+    }
+    return cache.get(ruleName);
+  }
+
+  /**
+   * Identify the objects on a board, including the cells outside an
+   * unbounded board. Every island of live cells belongs to exactly one
+   * object; islands that match nothing are reported as unknown.
+   * @param {PackedGrid} grid - Board
+   * @param {Object} brushes - Brush library keyed by id
+   * @param {string|Object|null} rule - Rule (null means B3/S23)
+   * @returns {Array} Objects {id, name, source, kind, period, cells: Array of [x, y], bounds: {minX, maxX, minY, maxY}} in board coordinates
+   */
+  static takeCensus(grid, brushes, rule = null) {
+    const cells = [];
+    grid.forEachAlive((x, y) => cells.push([x, y]));
+    if (grid.outside) grid.outside.forEachAlive((x, y) => cells.push([x, y]));
+
+    const islands = findIslands(cells);
+    const byKey = new Map();
+    const byPosition = new Map();
+    islands.forEach((island, index) => {
+      if (!byKey.has(island.key)) byKey.set(island.key, []);
+      byKey.get(island.key).push(index);
+      byPosition.set(`${island.minX},${island.minY},${island.key}`, index);
+    });
+
+    const claimed = new Uint8Array(islands.length);
+    const objects = [];
+    const addObject = (entry, members) => {
+      members.forEach(index => { claimed[index] = 1; });
+      const objectCells = members.flatMap(index => islands[index].cells);
+      objects.push({
+        ...entry,
+        cells: objectCells,
+        bounds: {
+          minX: Math.min(...members.map(index => islands[index].minX)),
+          maxX: Math.max(...members.map(index => islands[index].maxX)),
+          minY: Math.min(...members.map(index => islands[index].minY)),
+          maxY: Math.max(...members.map(index => islands[index].maxY))
+        }
+      });
+    };
+
+    if (islands.length > 0) {
+      for (const template of CensusService.getTemplates(brushes, rule)) {
+        for (const anchorIndex of byKey.get(template.anchorKey) || []) {
+          if (claimed[anchorIndex]) continue;
+
+          const anchor = islands[anchorIndex];
+          const members = [anchorIndex];
+          const matches = template.islands.every(({ key, dx, dy }) => {
+            const index = byPosition.get(`${anchor.minX + dx},${anchor.minY + dy},${key}`);
+            if (index === undefined || claimed[index]) return false;
+            members.push(index);
+            return true;
+          });
+          if (matches) addObject(template.entry, members);
+        }
+      }
+    }
+
+    islands.forEach((island, index) => {
+      if (!claimed[index]) {
+        addObject({ id: null, name: 'Unknown', source: null, kind: CENSUS_KIND.UNKNOWN, period: null }, [index]);
+      }
+    });
+
+    return objects;
+  }
+
+  /**
+   * Classify a single object by running it on its own
+   * @param {Array} cells - Array of [x, y] live cells
+   * @param {string|Object|null} rule - Rule (null means B3/S23)
+   * @returns {Object} {kind, period} with a null period for objects that do not repeat
+   */
+  static classifyObject(cells, rule = null) {
+    if (cells.length === 0) return { kind: CENSUS_KIND.OTHER, period: null };
+    const { kind, period } = collectPhases(cells, resolveRule(rule));
+    return { kind, period };
+  }
+
+  /**
+   * Count census objects by name
+   * @param {Array} objects - Objects from takeCensus
+   * @returns {Array} [{name, kind, count}] with the most common first, unknown islands last
+   */
+  static summarize(objects) {
+    const counts = new Map();
+    objects.forEach(({ name, kind }) => {
+      const entry = counts.get(name) || { name, kind, count: 0 };
+      entry.count++;
+      counts.set(name, entry);
+    });
+    return [...counts.values()].sort((a, b) =>
+      (a.kind === CENSUS_KIND.UNKNOWN) - (b.kind === CENSUS_KIND.UNKNOWN) || b.count - a.count || a.name.localeCompare(b.name)
+    );
+  }
+}
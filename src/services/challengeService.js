@@ -1,6 +1,8 @@
 // Challenge service for loading, saving, and managing challenges
-import { STORAGE_KEYS } from '../constants/gameConstants.js';
+import { STORAGE_KEYS, TOPOLOGY } from '../constants/gameConstants.js';
 import { decodeRLE, decodeMultiplePatterns } from '../utils/rleUtils.js';
+import { parseRule, DEFAULT_RULE } from '../utils/lifeRules.js';
+import { resolveTopology } from '../utils/topology.js';
 
 /**
  * Service for managing challenges and exercise data
@@ -137,6 +139,18 @@ export class ChallengeService {
                 reason = `test scenarios length changed (${cachedTestLength} -> ${jsonTestLength})`;
               }
 
+              // Check if the level's rule has changed
+              if ((jsonData.rule || null) !== (parsed.rule || null)) {
+                needsInvalidation = true;
+                reason = `rule changed (${parsed.rule || 'default'} -> ${jsonData.rule || 'default'})`;
+              }
+
+              // Check if the board topology has changed
+              if ((jsonData.topology || null) !== (parsed.topology || null)) {
+                needsInvalidation = true;
+                reason = `topology changed (${parsed.topology || TOPOLOGY.BOUNDED} -> ${jsonData.topology || TOPOLOGY.BOUNDED})`;
+              }
+
               if (needsInvalidation) {
                 console.log(`🔧 Cache invalidation: Reloading level ${exerciseNumber} from file due to ${reason}`);
                 localStorage.setItem(storageKey, JSON.stringify(jsonData));
@@ -199,12 +213,33 @@ export class ChallengeService {
       pattern = rawData.pattern || [];
     }
 
+    // Normalise the rule to canonical B/S notation; unknown rules fall back to Conway's Life
+    let rule = DEFAULT_RULE;
+    if (rawData.rule) {
+      const parsedRule = parseRule(rawData.rule);
+      if (parsedRule) {
+        rule = parsedRule.rule;
+      } else {
+        console.warn(`Invalid rule "${rawData.rule}" in challenge "${rawData.name}", using ${DEFAULT_RULE}`);
+      }
+    }
+
+    // Unknown topologies fall back to a bounded board
+    let topology = resolveTopology(rawData.topology);
+    if (!topology) {
+      console.warn(`Invalid topology "${rawData.topology}" in challenge "${rawData.name}", using ${TOPOLOGY.BOUNDED}`);
+      topology = TOPOLOGY.BOUNDED;
+    }
+
     return {
       name: rawData.name,
       pattern,
       setup: rawData.setup || [],
       targetTurn: rawData.targetTurn || 150,
+      rule,
+      topology,
       editableSpace: rawData.editableSpace || null,
+      cycleRegion: rawData.cycleRegion || null,
       width: rawData.width || 50,
       height: rawData.height || 50,
       brushes: rawData.brushes || [],
@@ -1,5 +1,6 @@
 // Detector service for managing detector patterns and their state
 import { DETECTOR_CONSTANTS } from '../constants/gameConstants.js';
+import { getCell, getGridSize } from '../utils/packedGrid.js';
 
 /**
  * Service for managing detector patterns and their state
@@ -51,7 +52,7 @@ export class DetectorService {
   /**
    * Update detector states based on current grid
    * @param {Array} detectors - Array of detector objects
-   * @param {Array} grid - Current grid state
+   * @param {PackedGrid|Array} grid - Current grid state
    * @param {number} generation - Current generation number
    * @returns {Array} Updated detector states
    */
@@ -62,7 +63,7 @@ export class DetectorService {
       return [];
     }
 
-    if (!Array.isArray(grid) || grid.length === 0) {
+    if (getGridSize(grid).height === 0) {
       console.warn('🧪 DetectorService.updateDetectors: grid is null or empty:', grid);
       return detectors; // Return detectors unchanged if grid is invalid
     }
@@ -103,10 +104,22 @@ export class DetectorService {
     });
   }
 
+  /**
+   * Get the longest falloff period among detectors.
+   * Detector values at a generation depend only on coverage during this many
+   * preceding generations, so anything earlier can be simulated without updates.
+   * @param {Array} detectors - Array of detector objects
+   * @returns {number} Longest falloff period (0 when there are no detectors)
+   */
+  static getMaxFalloffPeriod(detectors) {
+    if (!Array.isArray(detectors)) return 0;
+    return detectors.reduce((max, detector) => Math.max(max, detector.falloffPeriod || 0), 0);
+  }
+
   /**
    * Check if a detector is fully covered by the grid
    * @param {Object} detector - Detector state object
-   * @param {Array} grid - Current grid state
+   * @param {PackedGrid|Array} grid - Current grid state
    * @returns {boolean} Whether the detector is fully covered
    */
   static isDetectorFullyCovered(detector, grid) {
@@ -115,14 +128,9 @@ export class DetectorService {
       return false;
     }
 
-    if (!Array.isArray(grid) || grid.length === 0) {
-      return false;
-    }
-
-    const gridHeight = grid.length;
-    const gridWidth = gridHeight > 0 ? grid[0].length : 0;
+    const { width: gridWidth, height: gridHeight } = getGridSize(grid);
 
-    if (gridWidth === 0) {
+    if (gridWidth === 0 || gridHeight === 0) {
       return false;
     }
 
@@ -137,7 +145,7 @@ export class DetectorService {
       }
 
       // Check if cell is alive
-      return grid[gridY][gridX] === 1;
+      return getCell(grid, gridX, gridY) === 1;
     });
   }
 
@@ -167,7 +175,8 @@ export class DetectorService {
         activationTimer: detector.activationTimer,
         falloffPeriod: detector.falloffPeriod,
         targetState: detector.targetState,
-        isChallenge: detector.isChallenge
+        isChallenge: detector.isChallenge,
+        index: detector.index
       };
     });
   }
@@ -238,7 +247,7 @@ export class DetectorService {
    * Initialize detector states based on current grid coverage
    * Called when play starts to activate any initially covered detectors
    * @param {Array} detectors - Array of detector state objects
-   * @param {Array} grid - Current grid state
+   * @param {PackedGrid|Array} grid - Current grid state
    * @param {number} generation - Current generation number (usually 0)
    * @returns {Array} Updated detector states
    */
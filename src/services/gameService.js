@@ -1,55 +1,61 @@
 // Game service for core game logic and state management
-import { GAME_STATE, LEVEL_STATE, DEFAULT_SPEED_MULTIPLIER, BASE_SPEED, MAX_GRID_SIZE } from '../constants/gameConstants.js';
+import { GAME_STATE, LEVEL_STATE, DEFAULT_SPEED_MULTIPLIER, MAX_SPEED_MULTIPLIER, UNLIMITED_SPEED_MULTIPLIER, BASE_SPEED, MAX_GRID_SIZE, HASHLIFE_MIN_JUMP, TOPOLOGY } from '../constants/gameConstants.js';
+import { PackedGrid } from '../utils/packedGrid.js';
+import { SparseUniverse } from '../utils/sparseUniverse.js';
+import { getSharedHashLifeEngine } from '../utils/hashLife.js';
+import { resolveRule, isGenerationsRule } from '../utils/lifeRules.js';
+import { resolveTopology, wrapCoordinate } from '../utils/topology.js';
 
 /**
  * Service for managing game state and operations
  */
 export class GameService {
   /**
-   * Conway's Game of Life next generation calculation
-   * Fixed: Removed grid caching that was causing stale data issues
-   * @param {number[][]} grid - Current grid state
-   * @returns {number[][]} Next generation grid
+   * Next generation calculation for Conway's Game of Life or another Life-like rule
+   * Packed grids are stepped directly; number[][] grids go through the packed core
+   * and are converted back so existing callers keep receiving arrays.
+   * @param {PackedGrid|number[][]} grid - Current grid state
+   * @param {string|Object} rule - Optional rule in B/S notation; defaults to B3/S23
+   * @param {string} topology - Optional board topology (see TOPOLOGY); defaults to bounded
+   * @returns {PackedGrid|number[][]} Next generation grid, in the same representation
    */
-  static nextGeneration(grid) {
+  static nextGeneration(grid, rule = null, topology = null) {
+    const parsedRule = resolveRule(rule);
+    if (PackedGrid.isPackedGrid(grid)) return grid.step(null, parsedRule, topology);
     if (!grid || grid.length === 0) return grid;
 
-    const height = grid.length;
-    const width = grid[0].length;
-
-    // Create a fresh grid for the new generation
-    // Note: Removed caching optimization that was causing stale data issues
-    const newGrid = Array.from({ length: height }, () => Array(width).fill(0));
-
-    // Precomputed direction offsets for neighbor checking
-    const directions = [[-1,-1],[-1,0],[-1,1],[0,-1],[0,1],[1,-1],[1,0],[1,1]];
-
-    // Calculate next generation using Conway's rules
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        let neighbors = 0;
-
-        // Count living neighbors
-        for (const [dx, dy] of directions) {
-          const nx = x + dx;
-          const ny = y + dy;
-          if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-            neighbors += grid[ny][nx];
-          }
-        }
+    return PackedGrid.fromArray(grid).step(null, parsedRule, topology).toArray();
+  }
 
-        // Apply Conway's rules
-        if (grid[y][x] === 1) {
-          // Live cell: survive with 2 or 3 neighbors, otherwise die
-          newGrid[y][x] = (neighbors === 2 || neighbors === 3) ? 1 : 0;
-        } else {
-          // Dead cell: birth with exactly 3 neighbors
-          newGrid[y][x] = (neighbors === 3) ? 1 : 0;
-        }
+  /**
+   * Advance a grid by many generations at once.
+   * Long jumps use the HashLife engine; the result is identical to calling
+   * nextGeneration the same number of times.
+   * @param {PackedGrid|number[][]} grid - Current grid state
+   * @param {number} generations - Number of generations to advance
+   * @param {string|Object} rule - Optional rule in B/S notation; defaults to B3/S23
+   * @param {string} topology - Optional board topology (see TOPOLOGY); defaults to bounded
+   * @returns {PackedGrid|number[][]} Grid after the jump, in the same representation
+   */
+  static advanceGenerations(grid, generations, rule = null, topology = null) {
+    if (!grid || generations <= 0) return grid;
+
+    const parsedRule = resolveRule(rule);
+    const isPacked = PackedGrid.isPackedGrid(grid);
+    const bounded = resolveTopology(topology) === TOPOLOGY.BOUNDED;
+    let result;
+    // HashLife relies on empty space staying empty, which B0 rules break, on two-state
+    // cells, and on a bounded board
+    if (generations < HASHLIFE_MIN_JUMP || (parsedRule.birthMask & 1) || isGenerationsRule(parsedRule) || !bounded) {
+      result = isPacked ? grid : PackedGrid.fromArray(grid);
+      for (let i = 0; i < generations; i++) {
+        result = result.step(null, parsedRule, topology);
       }
+    } else {
+      result = getSharedHashLifeEngine().advance(grid, generations, parsedRule);
     }
 
-    return newGrid;
+    return isPacked ? result : result.toArray();
   }
 
   /**
@@ -71,55 +77,20 @@ export class GameService {
   }
 
   /**
-   * Resize grid while preserving center
-   * @param {number[][]} oldGrid - Current grid state
-   * @param {number} newWidth - New grid width
-   * @param {number} newHeight - New grid height
-   * @returns {number[][]} Resized grid with center preserved
+   * Create an empty bit-packed grid
+   * @param {number} width - Grid width
+   * @param {number} height - Grid height
+   * @returns {PackedGrid} Empty packed grid (0x0 if the size is invalid)
    */
-  static resizeGrid(oldGrid, newWidth, newHeight) {
-    if (!oldGrid || oldGrid.length === 0) {
-      return GameService.createEmptyGrid(newWidth, newHeight);
-    }
-
-    const oldHeight = oldGrid.length;
-    const oldWidth = oldGrid[0].length;
-
-    // If dimensions are the same, return the original grid
-    if (oldWidth === newWidth && oldHeight === newHeight) {
-      return oldGrid; // Return same reference for efficiency
-    }
-
-    // Create new grid
-    const newGrid = GameService.createEmptyGrid(newWidth, newHeight);
-
-    // Calculate center offsets for both grids
-    const oldCenterX = Math.floor(oldWidth / 2);
-    const oldCenterY = Math.floor(oldHeight / 2);
-    const newCenterX = Math.floor(newWidth / 2);
-    const newCenterY = Math.floor(newHeight / 2);
+  static createPackedGrid(width, height = null) {
+    const gridHeight = height !== null ? height : width;
 
-    // Copy cells from old grid to new grid, maintaining center alignment
-    for (let y = 0; y < oldHeight; y++) {
-      for (let x = 0; x < oldWidth; x++) {
-        if (oldGrid[y][x] === 1) {
-          // Calculate position relative to old center
-          const relativeX = x - oldCenterX;
-          const relativeY = y - oldCenterY;
-
-          // Calculate new position relative to new center
-          const newX = newCenterX + relativeX;
-          const newY = newCenterY + relativeY;
-
-          // Place cell if within new grid bounds
-          if (newX >= 0 && newX < newWidth && newY >= 0 && newY < newHeight) {
-            newGrid[newY][newX] = 1;
-          }
-        }
-      }
+    if (width > MAX_GRID_SIZE || gridHeight > MAX_GRID_SIZE) {
+      console.warn(`Grid size ${width}x${gridHeight} exceeds maximum ${MAX_GRID_SIZE}x${MAX_GRID_SIZE}`);
+      return new PackedGrid(0, 0);
     }
 
-    return newGrid;
+    return new PackedGrid(width, gridHeight);
   }
 
   /**
@@ -149,28 +120,68 @@ export class GameService {
   /**
    * Calculate animation speed from multiplier
    * @param {number} multiplier - Speed multiplier
-   * @returns {number} Animation interval in milliseconds
+   * @returns {number} Animation interval in milliseconds (0 for unlimited speed)
    */
   static calculateAnimationSpeed(multiplier = DEFAULT_SPEED_MULTIPLIER) {
     return BASE_SPEED / multiplier;
   }
 
+  /**
+   * Get the last position of the speed slider, which stands for unlimited speed
+   * @returns {number} Slider maximum
+   */
+  static getSpeedSliderMax() {
+    return Math.log2(MAX_SPEED_MULTIPLIER) + 1;
+  }
+
+  /**
+   * Map a speed multiplier to its speed slider position (powers of two, then unlimited)
+   * @param {number} multiplier - Speed multiplier
+   * @returns {number} Slider position
+   */
+  static getSpeedSliderPosition(multiplier) {
+    return multiplier === UNLIMITED_SPEED_MULTIPLIER ? GameService.getSpeedSliderMax() : Math.log2(multiplier);
+  }
+
+  /**
+   * Map a speed slider position to its speed multiplier
+   * @param {number} position - Slider position
+   * @returns {number} Speed multiplier
+   */
+  static getSpeedMultiplier(position) {
+    return position >= GameService.getSpeedSliderMax() ? UNLIMITED_SPEED_MULTIPLIER : Math.pow(2, position);
+  }
+
+  /**
+   * Format a speed multiplier for display
+   * @param {number} multiplier - Speed multiplier
+   * @returns {string} Label such as "512x" or "Max"
+   */
+  static formatSpeedMultiplier(multiplier) {
+    return multiplier === UNLIMITED_SPEED_MULTIPLIER ? 'Max' : `${multiplier}x`;
+  }
+
   /**
    * Count alive cells in grid
-   * @param {number[][]} grid - Game grid
+   * @param {PackedGrid|number[][]} grid - Game grid
    * @returns {number} Number of alive cells
    */
   static countAliveCells(grid) {
+    if (PackedGrid.isPackedGrid(grid)) return grid.countAlive();
     if (!grid || grid.length === 0) return 0;
     return grid.flat().filter(cell => cell === 1).length;
   }
 
   /**
    * Get grid bounds (min/max coordinates of live cells)
-   * @param {number[][]} grid - Game grid
+   * @param {PackedGrid|number[][]} grid - Game grid
    * @returns {Object} Bounds object with minX, maxX, minY, maxY
    */
   static getGridBounds(grid) {
+    if (PackedGrid.isPackedGrid(grid)) {
+      return grid.getBounds() || { minX: 0, maxX: 0, minY: 0, maxY: 0 };
+    }
+
     if (!grid || grid.length === 0) {
       return { minX: 0, maxX: 0, minY: 0, maxY: 0 };
     }
@@ -194,22 +205,48 @@ export class GameService {
 
   /**
    * Copy grid (deep clone)
-   * @param {number[][]} grid - Grid to copy
-   * @returns {number[][]} Copied grid
+   * @param {PackedGrid|number[][]} grid - Grid to copy
+   * @returns {PackedGrid|number[][]} Copied grid
    */
   static copyGrid(grid) {
     if (!grid) return grid;
+    if (PackedGrid.isPackedGrid(grid)) return grid.clone();
     return grid.map(row => [...row]);
   }
 
   /**
-   * Resize grid while preserving center content
-   * @param {number[][]} oldGrid - Current grid
+   * Resize grid while preserving center content.
+   * On an unbounded board the grid is only a window onto the universe, so cells
+   * that no longer fit move to the outside universe and outside cells that now
+   * fit move onto the board.
+   * @param {PackedGrid|number[][]} oldGrid - Current grid
    * @param {number} newWidth - New grid width
    * @param {number} newHeight - New grid height
-   * @returns {number[][]} Resized grid
+   * @param {string} topology - Optional board topology (see TOPOLOGY); defaults to bounded
+   * @returns {PackedGrid|number[][]} Resized grid, in the same representation
    */
-  static resizeGrid(oldGrid, newWidth, newHeight) {
+  static resizeGrid(oldGrid, newWidth, newHeight, topology = null) {
+    if (PackedGrid.isPackedGrid(oldGrid)) {
+      const resized = this.createPackedGrid(newWidth, newHeight);
+      const offsetY = Math.floor(newHeight / 2) - Math.floor(oldGrid.height / 2);
+      const offsetX = Math.floor(newWidth / 2) - Math.floor(oldGrid.width / 2);
+
+      if (resolveTopology(topology) === TOPOLOGY.UNBOUNDED) {
+        const universe = new SparseUniverse();
+        oldGrid.forEachAlive((x, y) => universe.set(x + offsetX, y + offsetY, 1));
+        if (oldGrid.outside) {
+          oldGrid.outside.forEachAlive((x, y) => universe.set(x + offsetX, y + offsetY, 1));
+        }
+        universe.moveIntoPackedGrid(resized);
+        resized.outside = universe.isEmpty() ? null : universe;
+        return resized;
+      }
+
+      oldGrid.forEachAlive((x, y) => resized.set(x + offsetX, y + offsetY, 1));
+      oldGrid.forEachDecaying((x, y, state) => resized.setState(x + offsetX, y + offsetY, state));
+      return resized;
+    }
+
     const newGrid = this.createEmptyGrid(newWidth, newHeight);
 
     if (!oldGrid || oldGrid.length === 0) return newGrid;
@@ -257,12 +294,17 @@ export class GameService {
 
     const editableSpace = challenge.editableSpace;
 
+    // Positions past the edge of a wrapping board refer to the cell they wrap onto
+    const width = gridSize.width || gridSize;
+    const height = gridSize.height || gridSize;
+    const cell = wrapCoordinate(x, y, width, height, challenge.topology) || { x, y };
+
     // Convert grid coordinates to center-based coordinates for comparison
-    const centerX = Math.floor((gridSize.width || gridSize) / 2);
-    const centerY = Math.floor((gridSize.height || gridSize) / 2);
+    const centerX = Math.floor(width / 2);
+    const centerY = Math.floor(height / 2);
 
-    const centerBasedX = x - centerX;
-    const centerBasedY = y - centerY;
+    const centerBasedX = cell.x - centerX;
+    const centerBasedY = cell.y - centerY;
 
     // Check if coordinates are within editable bounds
     const isWithinBounds = centerBasedX >= editableSpace.minX &&
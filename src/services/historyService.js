@@ -0,0 +1,230 @@
+// History service: a bounded record of past generations for stepping backwards
+import { HISTORY_CONSTANTS } from '../constants/gameConstants.js';
+import { resolveRule } from '../utils/lifeRules.js';
+import { resolveTopology } from '../utils/topology.js';
+import { encodeGridFrame, applyGridFrame } from './simulationService.js';
+import { GameService } from './gameService.js';
+import { DetectorService } from './detectorService.js';
+
+/**
+ * Bounded history of board and detector states, indexed by generation.
+ * Boards are delta compressed with the same word diffs the simulation worker
+ * streams: every KEYFRAME_INTERVAL-th entry keeps the full board and the
+ * entries in between only keep the words that changed since the previous one.
+ * Only displayed generations are recorded, so generations the worker stepped
+ * through between two frames are recomputed from the entry before them, under
+ * the rule and topology it was recorded with.
+ */
+export class GenerationHistory {
+  /**
+   * @param {Object} options - Optional overrides {maxEntries, keyframeInterval}
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || HISTORY_CONSTANTS.MAX_ENTRIES;
+    this.keyframeInterval = options.keyframeInterval || HISTORY_CONSTANTS.KEYFRAME_INTERVAL;
+    this.clear();
+  }
+
+  /**
+   * Forget every recorded generation
+   */
+  clear() {
+    this.entries = [];
+    this.lastGrid = null;
+    this.sinceKeyframe = 0;
+  }
+
+  /**
+   * Number of recorded generations
+   * @returns {number} Entry count
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Record the state at a generation. Recording a different board, or the same
+   * board under a different rule or topology, for a generation at or before the
+   * latest one discards everything from that generation on, since the board has
+   * taken a different path from there. Recording the board already stored
+   * (after seeking or resetting) keeps the later generations.
+   * @param {number} generation - Generation number
+   * @param {PackedGrid} grid - Board at that generation (not modified or kept)
+   * @param {Array} detectors - Detector states at that generation
+   * @param {Object} run - {rule, topology} the board runs under from that generation (null means B3/S23, bounded)
+   */
+  record(generation, grid, detectors = [], { rule = null, topology = null } = {}) {
+    const ruleName = resolveRule(rule).rule;
+    const topologyName = resolveTopology(topology);
+
+    if (this.entries.length > 0 && generation <= this.getLastGeneration()) {
+      const index = this.findIndex(generation, true);
+      const entry = index === -1 ? null : this.entries[index];
+      if (entry && entry.rule === ruleName && entry.topology === topologyName && this.get(generation).grid.equals(grid)) {
+        if (entry.generation === generation) this.entries[index] = { ...entry, detectors };
+        return;
+      }
+      this.truncateFrom(generation);
+    }
+
+    const sameSize = this.lastGrid && this.lastGrid.width === grid.width && this.lastGrid.height === grid.height;
+    const keyframe = !sameSize || this.sinceKeyframe >= this.keyframeInterval - 1;
+    this.entries.push({
+      generation,
+      keyframe,
+      frame: encodeGridFrame(grid, keyframe ? null : this.lastGrid.words),
+      detectors,
+      rule: ruleName,
+      topology: topologyName
+    });
+    this.lastGrid = grid.clone();
+    this.sinceKeyframe = keyframe ? 0 : this.sinceKeyframe + 1;
+
+    while (this.entries.length > this.maxEntries) {
+      this.dropOldest();
+    }
+  }
+
+  /**
+   * Discard the entries for a generation and everything after it
+   * @param {number} generation - First generation to discard
+   */
+  truncateFrom(generation) {
+    const index = this.findIndex(generation, true);
+    const keep = index === -1 ? 0 : (this.entries[index].generation < generation ? index + 1 : index);
+    if (keep === this.entries.length) return;
+
+    this.entries.length = keep;
+    if (keep === 0) {
+      this.clear();
+      return;
+    }
+
+    // Later diffs are taken against the last kept board
+    this.lastGrid = this.restoreGrid(keep - 1);
+    let lastKeyframe = keep - 1;
+    while (!this.entries[lastKeyframe].keyframe) lastKeyframe--;
+    this.sinceKeyframe = keep - 1 - lastKeyframe;
+  }
+
+  /**
+   * Get the recorded generation range
+   * @returns {Object|null} {first, last} generations, or null when nothing is recorded
+   */
+  getRange() {
+    if (this.entries.length === 0) return null;
+    return { first: this.entries[0].generation, last: this.getLastGeneration() };
+  }
+
+  /**
+   * Get the latest recorded generation
+   * @returns {number|null} Generation, or null when nothing is recorded
+   */
+  getLastGeneration() {
+    return this.entries.length > 0 ? this.entries[this.entries.length - 1].generation : null;
+  }
+
+  /**
+   * Find the generation before a generation that can be restored
+   * @param {number} generation - Generation to look before
+   * @returns {number|null} Earlier generation, or null if there is none
+   */
+  getPreviousGeneration(generation) {
+    const range = this.getRange();
+    if (!range || generation - 1 < range.first) return null;
+    return Math.min(generation - 1, range.last);
+  }
+
+  /**
+   * Restore the state at a generation. Generations between two entries are
+   * recomputed from the earlier one; past the latest entry, that entry is returned.
+   * @param {number} generation - Generation to seek to
+   * @returns {Object|null} {generation, grid, detectors}, or null if nothing was recorded that early
+   */
+  get(generation) {
+    const index = this.findIndex(generation, true);
+    if (index === -1) return null;
+
+    const entry = this.entries[index];
+    const state = { generation: entry.generation, grid: this.restoreGrid(index), detectors: entry.detectors };
+    if (entry.generation === generation || index === this.entries.length - 1) return state;
+    return this.replay(state, generation, entry);
+  }
+
+  /**
+   * Run a restored state on to a later generation. As in the simulation worker,
+   * detector values only depend on the last falloff window, so the board jumps
+   * to the start of that window and the rest is stepped generation by generation.
+   * @param {Object} state - {generation, grid, detectors} to start from
+   * @param {number} generation - Generation to run to
+   * @param {Object} run - {rule, topology} the state was recorded under
+   * @returns {Object} {generation, grid, detectors}
+   */
+  replay(state, generation, { rule, topology }) {
+    const parsedRule = resolveRule(rule);
+    const jumpTo = Math.max(state.generation, generation - DetectorService.getMaxFalloffPeriod(state.detectors));
+    let grid = GameService.advanceGenerations(state.grid, jumpTo - state.generation, parsedRule, topology);
+    let detectors = state.detectors;
+
+    for (let current = jumpTo + 1; current <= generation; current++) {
+      grid = grid.step(null, parsedRule, topology);
+      detectors = DetectorService.updateDetectors(detectors, grid, current);
+    }
+    return { generation, grid, detectors };
+  }
+
+  /**
+   * Binary search for a generation
+   * @param {number} generation - Generation to find
+   * @param {boolean} orBefore - Fall back to the closest earlier entry
+   * @returns {number} Entry index, or -1 if not found
+   */
+  findIndex(generation, orBefore = false) {
+    let low = 0;
+    let high = this.entries.length - 1;
+    let before = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      const current = this.entries[middle].generation;
+      if (current === generation) return middle;
+      if (current < generation) {
+        before = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return orBefore ? before : -1;
+  }
+
+  /**
+   * Rebuild the board of an entry from its keyframe and the diffs after it
+   * @param {number} index - Entry index
+   * @returns {PackedGrid} Independent copy of the board
+   */
+  restoreGrid(index) {
+    let start = index;
+    while (!this.entries[start].keyframe) start--;
+
+    let grid = applyGridFrame(null, this.entries[start].frame);
+    for (let i = start + 1; i <= index; i++) {
+      grid = applyGridFrame(grid, this.entries[i].frame);
+    }
+    // Frames hand their buffers to the grids built from them, so never return those
+    return grid.clone();
+  }
+
+  /**
+   * Drop the oldest entry, promoting the next one to a keyframe if needed
+   */
+  dropOldest() {
+    if (this.entries.length > 1 && !this.entries[1].keyframe) {
+      this.entries[1] = {
+        ...this.entries[1],
+        keyframe: true,
+        frame: encodeGridFrame(this.restoreGrid(1), null)
+      };
+    }
+    this.entries.shift();
+  }
+}
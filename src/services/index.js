@@ -6,3 +6,12 @@ export { DetectorService } from './detectorService.js';
 export { default as PlacedObjectService } from './placedObjectService.js';
 export { TestScenarioService } from './testScenarioService.js';
 
+export { SimulationSession } from './simulationService.js';
+export { GenerationHistory } from './historyService.js';
+export { SimulationClient, LocalSimulationWorker } from './simulationClient.js';
+export { BreakpointService } from './breakpointService.js';
+export { StatisticsService, StatisticsTimeline } from './statisticsService.js';
+export { CensusService } from './censusService.js';
+export { StreamAnalyzerService, StreamAnalyzer } from './streamAnalyzerService.js';
+export { ShareService } from './shareService.js';
+export { RunExportService } from './runExportService.js';
@@ -5,6 +5,8 @@
 
 import { BrushService } from './index';
 import { createGuidanceLineFromBrush } from '../utils/guidanceLineObjects';
+import { PackedGrid, getCell, getGridSize } from '../utils/packedGrid';
+import { wrapCoordinate } from '../utils/topology';
 
 export class PlacedObjectService {
   /**
@@ -48,7 +50,12 @@ export class PlacedObjectService {
     }
 
     // Extract pixel positions relative to placement point
-    const pixels = transformedBrush.pattern.map(([dy, dx]) => ({
+    // Pixels of multi-state brushes also record their cell state
+    const pixels = transformedBrush.pattern.map(([dy, dx, state]) => (state > 1 ? {
+      x: gridX + dx,
+      y: gridY + dy,
+      state
+    } : {
       x: gridX + dx,
       y: gridY + dy
     }));
@@ -192,14 +199,31 @@ export class PlacedObjectService {
   /**
    * Check if a placed object's pattern is still intact on the grid
    * @param {Object} placedObject - The placed object to check
-   * @param {Array} grid - Current grid state
+   * @param {PackedGrid|Array} grid - Current grid state
    * @param {Object} brushes - Available brushes to get original pattern
+   * @param {string} topology - Optional board topology (see TOPOLOGY); defaults to bounded
    * @returns {boolean} True if pattern is intact
    */
-  static checkPatternIntegrity(placedObject, grid, brushes) {
+  static checkPatternIntegrity(placedObject, grid, brushes, topology = null) {
+    const cells = this.getIntegrityCells(placedObject, brushes, getGridSize(grid), topology);
+    if (!cells) return false;
+
+    // Out-of-bounds cells read as dead, so they fail the check
+    return cells.every(({ x, y }) => getCell(grid, x, y) === 1);
+  }
+
+  /**
+   * Get the grid cells that must be alive for a placed object to be intact
+   * @param {Object} placedObject - The placed object
+   * @param {Object} brushes - Available brushes to get original pattern
+   * @param {Object} gridSize - Optional board size {width, height}, needed to wrap cells
+   * @param {string} topology - Optional board topology; cells past the edge of a wrapping board are mapped onto it as at placement
+   * @returns {Array|null} Array of {x, y} grid cells, or null if the brush is unknown
+   */
+  static getIntegrityCells(placedObject, brushes, gridSize = null, topology = null) {
     // Get the original brush
-    const brush = brushes[placedObject.brushId] || brushes[placedObject.brushName];
-    if (!brush) return false;
+    const brush = BrushService.getBrush(brushes, placedObject.brushId) || BrushService.getBrush(brushes, placedObject.brushName);
+    if (!brush) return null;
 
     // Apply rotation to get expected pattern
     let transformedBrush = brush;
@@ -210,31 +234,26 @@ export class PlacedObjectService {
       }
     }
 
-    // Check if all expected pixels are present
-    return transformedBrush.pattern.every(([dy, dx]) => {
-      const gridX = placedObject.gridX + dx;
-      const gridY = placedObject.gridY + dy;
-
-      // Check bounds
-      if (gridY < 0 || gridY >= grid.length || gridX < 0 || gridX >= grid[0].length) {
-        return false;
-      }
-
-      // Check if pixel is live
-      return grid[gridY][gridX] === 1;
-    });
+    // Only live pixels are expected to stay (decaying cells are transient)
+    return transformedBrush.pattern
+      .filter(([, , state]) => !(state > 1))
+      .map(([dy, dx]) => {
+        const cell = { x: placedObject.gridX + dx, y: placedObject.gridY + dy };
+        return (gridSize && wrapCoordinate(cell.x, cell.y, gridSize.width, gridSize.height, topology)) || cell;
+      });
   }
 
   /**
    * Update the intact status of all placed objects based on current grid
    * @param {Array} placedObjects - Array of placed objects to check
-   * @param {Array} grid - Current grid state
+   * @param {PackedGrid|Array} grid - Current grid state
    * @param {Object} brushes - Available brushes
+   * @param {string} topology - Optional board topology (see TOPOLOGY); defaults to bounded
    * @returns {Array} Updated placed objects with correct intact flags
    */
-  static updatePlacedObjectsIntegrity(placedObjects, grid, brushes) {
+  static updatePlacedObjectsIntegrity(placedObjects, grid, brushes, topology = null) {
     return placedObjects.map(placedObject => {
-      const isIntact = this.checkPatternIntegrity(placedObject, grid, brushes);
+      const isIntact = this.checkPatternIntegrity(placedObject, grid, brushes, topology);
 
       return {
         ...placedObject,
@@ -256,18 +275,26 @@ export class PlacedObjectService {
 
   /**
    * Apply placed objects to a grid
-   * @param {Array} grid - The grid to apply objects to
+   * @param {PackedGrid|Array} grid - The grid to apply objects to
    * @param {Array} placedObjects - Array of placed objects
-   * @returns {Array} New grid with objects applied
+   * @returns {PackedGrid|Array} New grid with objects applied, in the same representation
    */
   static applyPlacedObjectsToGrid(grid, placedObjects) {
+    if (PackedGrid.isPackedGrid(grid)) {
+      const newPackedGrid = grid.clone();
+      placedObjects.forEach(placedObject => {
+        placedObject.pixels.forEach(pixel => newPackedGrid.setState(pixel.x, pixel.y, pixel.state || 1));
+      });
+      return newPackedGrid;
+    }
+
     const newGrid = grid.map(row => [...row]);
 
     placedObjects.forEach(placedObject => {
       placedObject.pixels.forEach(pixel => {
         if (pixel.y >= 0 && pixel.y < newGrid.length &&
             pixel.x >= 0 && pixel.x < newGrid[0].length) {
-          newGrid[pixel.y][pixel.x] = 1;
+          newGrid[pixel.y][pixel.x] = pixel.state || 1;
         }
       });
     });
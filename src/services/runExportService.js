@@ -0,0 +1,173 @@
+// Run export service: renders a range of generations through CanvasRenderer into an animated GIF or a zip of PNG frames
+import { RUN_EXPORT_FORMAT, RUN_EXPORT_CONSTANTS } from '../constants/gameConstants.js';
+import { CanvasRenderer } from '../utils/canvasRenderer.js';
+import { generateAllGuidanceLinePixels } from '../utils/guidanceLineObjects.js';
+import { resolveRule } from '../utils/lifeRules.js';
+import { resolveTopology } from '../utils/topology.js';
+import { GifEncoder } from '../utils/gifEncoder.js';
+import { encodePng } from '../utils/pngEncoder.js';
+import { createZip } from '../utils/zipWriter.js';
+import { DetectorService } from './detectorService.js';
+import { GameService } from './gameService.js';
+
+/**
+ * Create an off-screen canvas in the browser
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+ */
+function createBrowserCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Let the page repaint between batches of frames
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+export class RunExportService {
+  /**
+   * Check and complete export options against the board. The crop region is
+   * clipped to the board and defaults to all of it.
+   * @param {Object} options - {format, fromGeneration, toGeneration, fps, cellSize, crop: {x, y, width, height} in cells or null, includeGuidanceLines, includeDetectors, includeTargets}
+   * @param {Object} gridSize - {width, height}
+   * @returns {Object} Complete options
+   * @throws {Error} When the options cannot produce an export
+   */
+  static normalizeOptions(options, gridSize) {
+    const {
+      format = RUN_EXPORT_FORMAT.GIF,
+      fromGeneration = 0,
+      toGeneration = fromGeneration,
+      fps = RUN_EXPORT_CONSTANTS.DEFAULT_FPS,
+      cellSize = RUN_EXPORT_CONSTANTS.DEFAULT_CELL_SIZE,
+      crop = null,
+      includeGuidanceLines = false,
+      includeDetectors = false,
+      includeTargets = false
+    } = options;
+
+    if (!Object.values(RUN_EXPORT_FORMAT).includes(format)) {
+      throw new Error(`Unknown export format "${format}"`);
+    }
+    if (!Number.isInteger(fromGeneration) || !Number.isInteger(toGeneration) || fromGeneration < 0 || toGeneration < fromGeneration) {
+      throw new Error(`Invalid generation range ${fromGeneration}-${toGeneration}`);
+    }
+    const frameCount = toGeneration - fromGeneration + 1;
+    if (frameCount > RUN_EXPORT_CONSTANTS.MAX_FRAMES) {
+      throw new Error(`${frameCount} frames is more than the ${RUN_EXPORT_CONSTANTS.MAX_FRAMES} an export can hold`);
+    }
+    if (!Number.isInteger(cellSize) || cellSize < 1 || cellSize > RUN_EXPORT_CONSTANTS.MAX_CELL_SIZE) {
+      throw new Error(`Cell size must be between 1 and ${RUN_EXPORT_CONSTANTS.MAX_CELL_SIZE} pixels`);
+    }
+    if (!(fps > 0) || fps > RUN_EXPORT_CONSTANTS.MAX_FPS) {
+      throw new Error(`Frame rate must be between 1 and ${RUN_EXPORT_CONSTANTS.MAX_FPS} frames per second`);
+    }
+
+    const x = Math.max(0, Math.min(gridSize.width, crop ? crop.x : 0));
+    const y = Math.max(0, Math.min(gridSize.height, crop ? crop.y : 0));
+    const clippedCrop = {
+      x,
+      y,
+      width: Math.min(gridSize.width - x, crop ? crop.width : gridSize.width),
+      height: Math.min(gridSize.height - y, crop ? crop.height : gridSize.height)
+    };
+    if (!(clippedCrop.width > 0) || !(clippedCrop.height > 0)) {
+      throw new Error('The crop region is outside the board');
+    }
+
+    const framePixels = clippedCrop.width * clippedCrop.height * cellSize * cellSize;
+    if (format === RUN_EXPORT_FORMAT.GIF && framePixels * frameCount > RUN_EXPORT_CONSTANTS.MAX_TOTAL_PIXELS) {
+      throw new Error('The run is too large for a GIF: crop the board, lower the cell size or export fewer generations');
+    }
+
+    return { format, fromGeneration, toGeneration, fps, cellSize, crop: clippedCrop, includeGuidanceLines, includeDetectors, includeTargets };
+  }
+
+  /**
+   * Run the board from generation 0 and export the chosen range of
+   * generations. Detectors start over from their initial values, as when the
+   * run is played; as in SimulationSession.jump, the board jumps to the start
+   * of the last falloff window before the range and only steps from there.
+   * @param {Object} run - {grid: generation 0 PackedGrid, rule, topology, detectors, guidanceLineObjects, challenge}
+   * @param {Object} options - Export options (see normalizeOptions)
+   * @param {Object} hooks - {createCanvas: (width, height) => canvas, onProgress: (rendered, total) => void}
+   * @returns {Promise<Object>} {data: Uint8Array, filename, mimeType, frameCount}
+   * @throws {Error} When the options cannot produce an export
+   */
+  static async exportRun(run, options, { createCanvas = createBrowserCanvas, onProgress = null } = {}) {
+    const { grid, rule = null, topology = null, detectors = [], guidanceLineObjects = [], challenge = null } = run;
+    const settings = RunExportService.normalizeOptions(options, grid);
+    const { format, fromGeneration, toGeneration, fps, cellSize, crop } = settings;
+    const frameCount = toGeneration - fromGeneration + 1;
+
+    const width = crop.width * cellSize;
+    const height = crop.height * cellSize;
+    const canvas = createCanvas(width, height);
+    const renderer = new CanvasRenderer(canvas, canvas.getContext('2d'));
+
+    const resolvedRule = resolveRule(rule);
+    const resolvedTopology = resolveTopology(topology);
+    const delay = Math.max(1, Math.round(100 / fps));
+    const gif = format === RUN_EXPORT_FORMAT.GIF ? new GifEncoder({ width, height, delay }) : null;
+    const pngFiles = [];
+
+    let current = grid.clone();
+    let currentDetectors = DetectorService.initializeDetectorStates(
+      detectors.map(detector => ({
+        ...detector,
+        currentValue: detector.initialValue || 0,
+        activationTimer: 0,
+        lastCoveredGeneration: -1
+      })),
+      current,
+      0
+    );
+
+    // Detector values only depend on the last falloff window, so everything before it is skipped
+    const jumpTo = Math.max(0, fromGeneration - DetectorService.getMaxFalloffPeriod(currentDetectors));
+    current = GameService.advanceGenerations(current, jumpTo, resolvedRule, resolvedTopology);
+
+    for (let generation = jumpTo; generation <= toGeneration; generation++) {
+      if (generation > jumpTo) {
+        current = current.step(null, resolvedRule, resolvedTopology);
+        currentDetectors = DetectorService.updateDetectors(currentDetectors, current, generation);
+      }
+      if (generation < fromGeneration) continue;
+
+      renderer.renderExportFrame(current, {
+        cellSize,
+        crop,
+        topology: resolvedTopology,
+        challenge: settings.includeTargets ? challenge : null,
+        guidanceLinePixels: settings.includeGuidanceLines
+          ? generateAllGuidanceLinePixels(guidanceLineObjects, generation, grid.width, grid.height)
+          : null,
+        detectorRenderData: settings.includeDetectors ? DetectorService.getDetectorRenderData(currentDetectors) : null
+      });
+      const pixels = renderer.ctx.getImageData(0, 0, width, height).data;
+
+      if (gif) {
+        gif.addFrame(pixels);
+      } else {
+        pngFiles.push({ name: `generation_${String(generation).padStart(5, '0')}.png`, data: encodePng(pixels, width, height) });
+      }
+
+      const rendered = generation - fromGeneration + 1;
+      if (rendered % RUN_EXPORT_CONSTANTS.PROGRESS_INTERVAL === 0 || rendered === frameCount) {
+        if (onProgress) onProgress(rendered, frameCount);
+        await yieldToBrowser();
+      }
+    }
+
+    const range = `${fromGeneration}-${toGeneration}`;
+    console.log(`🎞️ Exported generations ${range} as ${format}: ${frameCount} frames of ${width}x${height}`);
+    return gif
+      ? { data: gif.finish(), filename: `run_${range}.gif`, mimeType: 'image/gif', frameCount }
+      : { data: createZip(pngFiles), filename: `run_${range}.zip`, mimeType: 'application/zip', frameCount };
+  }
+}
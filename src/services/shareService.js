@@ -0,0 +1,242 @@
+// Share service: shareable board links that carry the level, the placed objects and optionally the raw cells in the URL hash
+import { SHARE_CONSTANTS } from '../constants/gameConstants.js';
+import { getCenterOffsets } from '../utils/canvasUtils.js';
+import { encodeRLE, decodeMultiplePatterns } from '../utils/rleUtils.js';
+import { BrushService } from './brushService.js';
+import PlacedObjectService from './placedObjectService.js';
+
+// Brush of the cells toggled one at a time, as placed by GameOfLife
+const SINGLE_PIXEL_BRUSH = {
+  name: 'single-pixel',
+  pattern: [[0, 0]],
+  guidanceLines: []
+};
+
+// Transforms in the order createPlacedObject applies them: rotation first, then flips
+const TRANSFORMS = [0, 90, 180, 270].flatMap(rotation =>
+  [[false, false], [true, false], [false, true], [true, true]].map(([flipX, flipY]) => ({ rotation, flipX, flipY }))
+);
+
+/**
+ * Describe the cells of a placed object independently of their order
+ * @param {Array} pixels - Pixels {x, y, state}
+ * @returns {string} Sorted cell list
+ */
+function pixelKey(pixels) {
+  return pixels.map(({ x, y, state }) => `${x},${y},${state || 1}`).sort().join(';');
+}
+
+/**
+ * Encode bytes as URL-safe base64 without padding
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url text
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64, with or without padding
+ * @param {string} text - base64url text
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} When the text is not base64url
+ */
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*$/.test(text)) {
+    throw new Error('Shared board link is not valid base64url');
+  }
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input bytes
+ * @param {CompressionStream|DecompressionStream} stream - Stream to pipe through
+ * @returns {Promise<Uint8Array>} Output bytes
+ */
+async function pipeBytes(bytes, stream) {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+export class ShareService {
+  /**
+   * Read the level id from an exercise name such as "9. Eaters"
+   * @param {string} name - Exercise or challenge name
+   * @returns {number|null} Level id, or null if the name has no number
+   */
+  static getLevelId(name) {
+    const match = typeof name === 'string' ? name.match(/^(\d+)\./) : null;
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Find the transform that createPlacedObject needs to rebuild a placed
+   * object's cells from its brush. Objects keep the rotation and flips of the
+   * brush they were placed with, but a brush flipped before it was rotated
+   * comes out differently when the rotation is applied first.
+   * @param {Object} placedObject - Placed object {gridX, gridY, rotation, flipX, flipY, pixels}
+   * @param {Object} brush - Untransformed brush of the object
+   * @returns {Object} {rotation, flipX, flipY}; the recorded one when no transform matches
+   */
+  static findPlacementTransform(placedObject, brush) {
+    const recorded = {
+      rotation: placedObject.rotation || 0,
+      flipX: Boolean(placedObject.flipX),
+      flipY: Boolean(placedObject.flipY)
+    };
+    const target = pixelKey(placedObject.pixels);
+    const candidates = [recorded, ...TRANSFORMS];
+
+    return candidates.find(({ rotation, flipX, flipY }) => {
+      const rebuilt = PlacedObjectService.createPlacedObject(brush, placedObject.gridX, placedObject.gridY, 0, rotation, flipX, flipY);
+      return pixelKey(rebuilt.pixels) === target;
+    }) || recorded;
+  }
+
+  /**
+   * Describe a board for a share link. Positions are center-based, so the
+   * board restores onto the level whatever size the canvas is. Raw cells, when
+   * given, hold the whole board including anything drawn or erased by hand.
+   * @param {Object} options - {level: level id, placedObjects, gridSize: {width, height}, brushes: optional, used to pin down each object's transform, board: optional PackedGrid of raw cells}
+   * @returns {Object} Share state {v, level, objects: Array of [brushId, x, y, rotation, flips], cells: optional {x, y, rle}}
+   */
+  static createShareState({ level, placedObjects = [], gridSize, brushes = null, board = null }) {
+    const { centerOffsetX, centerOffsetY } = getCenterOffsets(gridSize);
+
+    const objects = placedObjects.map(placedObject => {
+      const brush = placedObject.brushId === SINGLE_PIXEL_BRUSH.name ? SINGLE_PIXEL_BRUSH : brushes?.[placedObject.brushId];
+      const { rotation, flipX, flipY } = brush
+        ? ShareService.findPlacementTransform(placedObject, brush)
+        : { rotation: placedObject.rotation || 0, flipX: placedObject.flipX, flipY: placedObject.flipY };
+      // Flips are packed as bits: 1 for flipX, 2 for flipY
+      return [placedObject.brushId, placedObject.gridX - centerOffsetX, placedObject.gridY - centerOffsetY, rotation, (flipX ? 1 : 0) | (flipY ? 2 : 0)];
+    });
+
+    const state = { v: SHARE_CONSTANTS.VERSION, level, objects };
+    if (board) {
+      const { rle, minRow, minCol } = encodeRLE(board.toArray());
+      state.cells = { x: minCol - centerOffsetX, y: minRow - centerOffsetY, rle };
+    }
+    return state;
+  }
+
+  /**
+   * Compress a share state into the text that follows the hash prefix
+   * @param {Object} state - Share state from createShareState
+   * @returns {Promise<string>} base64url text
+   */
+  static async encodeShareHash(state) {
+    const json = new TextEncoder().encode(JSON.stringify(state));
+    const compressed = await pipeBytes(json, new CompressionStream(SHARE_CONSTANTS.COMPRESSION));
+    return toBase64Url(compressed);
+  }
+
+  /**
+   * Decompress and check the text of a share link
+   * @param {string} hash - base64url text, with or without the "#share=" prefix
+   * @returns {Promise<Object>} Share state {v, level, objects, cells}
+   * @throws {Error} When the link is damaged or from an unknown version
+   */
+  static async decodeShareHash(hash) {
+    const text = hash.replace(/^#/, '').replace(SHARE_CONSTANTS.HASH_PREFIX, '');
+
+    let state;
+    try {
+      const json = await pipeBytes(fromBase64Url(text), new DecompressionStream(SHARE_CONSTANTS.COMPRESSION));
+      state = JSON.parse(new TextDecoder().decode(json));
+    } catch (error) {
+      throw new Error(`Shared board link is damaged: ${error.message}`);
+    }
+
+    if (!state || state.v !== SHARE_CONSTANTS.VERSION) {
+      throw new Error(`Unsupported shared board version ${state?.v}`);
+    }
+    if (!Number.isInteger(state.level) || !Array.isArray(state.objects)) {
+      throw new Error('Shared board link has no level or objects');
+    }
+    const validObject = object => Array.isArray(object) && typeof object[0] === 'string' &&
+      object.slice(1).every(Number.isInteger) && object.length === 5;
+    if (!state.objects.every(validObject)) {
+      throw new Error('Shared board link has malformed objects');
+    }
+    if (state.cells && (typeof state.cells.rle !== 'string' || !Number.isInteger(state.cells.x) || !Number.isInteger(state.cells.y))) {
+      throw new Error('Shared board link has malformed cells');
+    }
+    return state;
+  }
+
+  /**
+   * Pick the encoded board out of a URL hash
+   * @param {string} hash - URL hash such as window.location.hash
+   * @returns {string|null} Encoded board, or null if the hash is not a share link
+   */
+  static getShareHash(hash) {
+    const text = (hash || '').replace(/^#/, '');
+    return text.startsWith(SHARE_CONSTANTS.HASH_PREFIX) ? text.substring(SHARE_CONSTANTS.HASH_PREFIX.length) : null;
+  }
+
+  /**
+   * Build the full link for a share state
+   * @param {Object} state - Share state from createShareState
+   * @param {string} baseUrl - Page URL; any existing hash is replaced
+   * @returns {Promise<string>} Shareable URL
+   */
+  static async createShareUrl(state, baseUrl) {
+    return `${baseUrl.split('#')[0]}#${SHARE_CONSTANTS.HASH_PREFIX}${await ShareService.encodeShareHash(state)}`;
+  }
+
+  /**
+   * Rebuild a shared board on top of the level's setup. Objects are placed
+   * with PlacedObjectService.createPlacedObject, exactly as if the user had
+   * placed them; objects whose brush is missing or does not fit the level's
+   * rule are skipped. Raw cells, when shared, replace the cells the objects
+   * would draw, since they already contain them.
+   * @param {Object} state - Share state from decodeShareHash
+   * @param {PackedGrid} setupBoard - The level's board before anything is placed
+   * @param {Object} brushes - Available brushes
+   * @param {Object} challenge - Challenge configuration (uses challenge.rule)
+   * @returns {Object} {grid: PackedGrid, placedObjects, skipped: Array of brush ids that could not be placed}
+   */
+  static restoreBoard(state, setupBoard, brushes, challenge) {
+    const { centerOffsetX, centerOffsetY } = getCenterOffsets(setupBoard);
+    const placedObjects = [];
+    const skipped = [];
+
+    state.objects.forEach(([brushId, x, y, rotation, flips]) => {
+      const brush = brushId === SINGLE_PIXEL_BRUSH.name
+        ? SINGLE_PIXEL_BRUSH
+        : BrushService.getBrushForChallenge(brushes, brushId, challenge);
+      if (!brush) {
+        console.warn(`🟠 Shared board uses brush "${brushId}", which is not available for this level`);
+        skipped.push(brushId);
+        return;
+      }
+      placedObjects.push(PlacedObjectService.createPlacedObject(
+        brush, centerOffsetX + x, centerOffsetY + y, 0, rotation, Boolean(flips & 1), Boolean(flips & 2)
+      ));
+    });
+
+    let grid;
+    if (state.cells) {
+      grid = setupBoard.clone();
+      grid.clear();
+      decodeMultiplePatterns([state.cells]).forEach(([cellY, cellX, cellState]) => {
+        const gridX = centerOffsetX + cellX;
+        const gridY = centerOffsetY + cellY;
+        if (gridX >= 0 && gridX < grid.width && gridY >= 0 && gridY < grid.height) {
+          grid.setState(gridX, gridY, cellState || 1);
+        }
+      });
+    } else {
+      grid = PlacedObjectService.applyPlacedObjectsToGrid(setupBoard, placedObjects);
+    }
+
+    return { grid, placedObjects, skipped };
+  }
+}
@@ -0,0 +1,194 @@
+// Main-thread side of the simulation worker protocol
+import { SIMULATION_MESSAGE } from '../constants/gameConstants.js';
+import { toPackedGrid } from '../utils/packedGrid.js';
+import { SimulationSession, applyGridFrame } from './simulationService.js';
+
+/**
+ * Stand-in for a Web Worker that runs the simulation session on the current
+ * thread. Used where workers are unavailable (tests, older browsers); messages
+ * are still delivered asynchronously so callers behave the same either way.
+ */
+export class LocalSimulationWorker {
+  constructor() {
+    this.onmessage = null;
+    this.session = new SimulationSession((message) => {
+      setTimeout(() => {
+        if (this.onmessage) this.onmessage({ data: message });
+      }, 0);
+    });
+  }
+
+  /**
+   * Deliver a message to the session
+   * @param {Object} message - Protocol message
+   */
+  postMessage(message) {
+    setTimeout(() => this.session.handleMessage(message), 0);
+  }
+
+  /**
+   * Stop the session and drop further messages
+   */
+  terminate() {
+    this.session.pause();
+    this.onmessage = null;
+  }
+}
+
+/**
+ * Client for a simulation worker.
+ *
+ * The main thread owns the board while the simulation is paused; every load()
+ * hands the current board to the worker and starts a new epoch. Frames from
+ * older epochs (e.g. still in flight when the user paused) are discarded.
+ */
+export class SimulationClient {
+  /**
+   * @param {Worker|LocalSimulationWorker} worker - Worker running simulationWorker.js
+   * @param {Function} onFrame - Called with {grid, previousGrid, generation, detectors, cycle, generationsPerSecond, breakpoint, statistics, streams, running, reason, requested} for each frame
+   */
+  constructor(worker, onFrame) {
+    this.worker = worker;
+    this.onFrame = onFrame;
+    this.epoch = 0;
+    this.frameGrid = null;
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map();
+
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  /**
+   * Hand the current board to the worker. Stops playback.
+   * @param {Object} state - {grid, generation, detectors, rule, topology, cycleRegion, streamProbes}
+   */
+  load({ grid, generation = 0, detectors = [], rule = null, topology = null, cycleRegion = null, streamProbes = [] }) {
+    this.epoch++;
+    this.frameGrid = toPackedGrid(grid);
+
+    const words = this.frameGrid.words.slice();
+    const states = this.frameGrid.states ? this.frameGrid.states.slice() : null;
+    const margin = this.frameGrid.margin ? this.frameGrid.margin.words.slice() : null;
+    const marginStates = this.frameGrid.margin?.states ? this.frameGrid.margin.states.slice() : null;
+    const outside = this.frameGrid.outside ? this.frameGrid.outside.encode() : null;
+    this.worker.postMessage({
+      type: SIMULATION_MESSAGE.LOAD,
+      epoch: this.epoch,
+      grid: { width: this.frameGrid.width, height: this.frameGrid.height, words, states, margin, marginStates, outside },
+      generation,
+      detectors,
+      rule,
+      topology,
+      cycleRegion,
+      streamProbes
+    }, [words, states, margin, marginStates, outside?.keys, outside?.words].filter(Boolean).map(array => array.buffer));
+  }
+
+  /**
+   * Start streaming generations from the loaded board
+   * @param {Object} options - {interval: ms per generation (0 for unlimited), stopAtGeneration, stopOnCycle, breakpoints}
+   */
+  play({ interval, stopAtGeneration = null, stopOnCycle = false, breakpoints = [] } = {}) {
+    this.worker.postMessage({ type: SIMULATION_MESSAGE.PLAY, interval, stopAtGeneration, stopOnCycle, breakpoints });
+  }
+
+  /**
+   * Stop streaming. Frames already in flight are discarded.
+   */
+  pause() {
+    this.epoch++;
+    this.worker.postMessage({ type: SIMULATION_MESSAGE.PAUSE });
+  }
+
+  /**
+   * Change playback speed
+   * @param {number} interval - Milliseconds per generation (0 for unlimited)
+   */
+  setSpeed(interval) {
+    this.worker.postMessage({ type: SIMULATION_MESSAGE.SET_SPEED, interval });
+  }
+
+  /**
+   * Advance the loaded board by a number of generations
+   * @param {number} count - Generations to advance
+   * @returns {Promise<Object|null>} Resulting frame, or null if it was superseded
+   */
+  step(count = 1) {
+    return this.request({ type: SIMULATION_MESSAGE.STEP, count });
+  }
+
+  /**
+   * Advance the loaded board to a generation, using HashLife for long jumps
+   * @param {number} generation - Target generation
+   * @returns {Promise<Object|null>} Resulting frame, or null if it was superseded
+   */
+  jump(generation) {
+    return this.request({ type: SIMULATION_MESSAGE.JUMP, generation });
+  }
+
+  /**
+   * Post a message that expects a frame in reply
+   * @param {Object} message - Protocol message
+   * @returns {Promise<Object|null>} Reply frame
+   */
+  request(message) {
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pendingRequests.set(requestId, { resolve, reject });
+      this.worker.postMessage({ ...message, requestId });
+    });
+  }
+
+  /**
+   * Handle a message from the worker
+   * @param {Object} message - Protocol message
+   */
+  handleMessage(message) {
+    const request = message.requestId ? this.pendingRequests.get(message.requestId) : null;
+    if (request) this.pendingRequests.delete(message.requestId);
+
+    if (message.type === SIMULATION_MESSAGE.ERROR) {
+      console.error('🧵 Simulation worker error:', message.message);
+      if (request) request.reject(new Error(message.message));
+      return;
+    }
+
+    if (message.type !== SIMULATION_MESSAGE.FRAME) return;
+
+    if (message.epoch !== this.epoch) {
+      if (request) request.resolve(null);
+      return;
+    }
+
+    const previousGrid = this.frameGrid;
+    const grid = applyGridFrame(previousGrid, message.grid);
+    this.frameGrid = grid;
+
+    const frame = {
+      grid,
+      previousGrid,
+      generation: message.generation,
+      detectors: message.detectors,
+      cycle: message.cycle || null,
+      generationsPerSecond: message.generationsPerSecond || 0,
+      breakpoint: message.breakpoint || null,
+      statistics: message.statistics || [],
+      streams: message.streams || [],
+      running: message.running,
+      reason: message.reason,
+      requested: Boolean(request)
+    };
+
+    if (this.onFrame) this.onFrame(frame);
+    if (request) request.resolve(frame);
+  }
+
+  /**
+   * Shut down the worker; outstanding requests resolve to null
+   */
+  terminate() {
+    this.worker.terminate();
+    this.pendingRequests.forEach(({ resolve }) => resolve(null));
+    this.pendingRequests.clear();
+  }
+}
@@ -0,0 +1,444 @@
+// Simulation service: owns the stepping loop so it can run inside a Web Worker
+import { BASE_SPEED, DEFAULT_SPEED_MULTIPLIER, SIMULATION_MESSAGE, SIMULATION_TIMING, TOPOLOGY, ABSORBING_MARGIN } from '../constants/gameConstants.js';
+import { PackedGrid } from '../utils/packedGrid.js';
+import { SparseUniverse } from '../utils/sparseUniverse.js';
+import { resolveRule, isGenerationsRule } from '../utils/lifeRules.js';
+import { resolveTopology } from '../utils/topology.js';
+import { CycleDetector } from '../utils/cycleDetector.js';
+import { GameService } from './gameService.js';
+import { DetectorService } from './detectorService.js';
+import { BreakpointService } from './breakpointService.js';
+import { StatisticsService } from './statisticsService.js';
+import { StreamAnalyzer } from './streamAnalyzerService.js';
+
+/**
+ * Encode a grid for posting to another thread.
+ * Sends only the changed words when that is smaller than the full grid.
+ * Multi-state grids always send their whole states plane alongside, absorbing
+ * boards send the cells of their hidden margin (with its own states plane under
+ * Generations rules) and unbounded boards send the tiles of the universe
+ * outside the board.
+ * @param {PackedGrid} grid - Grid to encode
+ * @param {Uint32Array|null} previousWords - Words of the last frame the receiver has
+ * @returns {Object} Grid frame {width, height, words, states, margin, marginStates, outside} or {width, height, indices, values, states, margin, marginStates, outside}
+ */
+export function encodeGridFrame(grid, previousWords = null) {
+  const { width, height, words } = grid;
+  const states = grid.states ? grid.states.slice() : null;
+  const margin = grid.margin ? grid.margin.words.slice() : null;
+  const marginStates = grid.margin?.states ? grid.margin.states.slice() : null;
+  const outside = grid.outside ? grid.outside.encode() : null;
+
+  if (!previousWords || previousWords.length !== words.length) {
+    return { width, height, words: words.slice(), states, margin, marginStates, outside };
+  }
+
+  const changed = [];
+  for (let i = 0; i < words.length; i++) {
+    if (words[i] !== previousWords[i]) changed.push(i);
+  }
+
+  // Each changed word costs an index and a value, so a diff only pays off below half
+  if (changed.length * 2 >= words.length) {
+    return { width, height, words: words.slice(), states, margin, marginStates, outside };
+  }
+
+  return {
+    width,
+    height,
+    indices: Uint32Array.from(changed),
+    values: Uint32Array.from(changed, index => words[index]),
+    states,
+    margin,
+    marginStates,
+    outside
+  };
+}
+
+/**
+ * Get the buffers of a grid frame that can be transferred instead of copied
+ * @param {Object} frame - Grid frame from encodeGridFrame
+ * @returns {ArrayBuffer[]} Transferable buffers
+ */
+export function getGridFrameTransfer(frame) {
+  const buffers = frame.words ? [frame.words.buffer] : [frame.indices.buffer, frame.values.buffer];
+  if (frame.states) buffers.push(frame.states.buffer);
+  if (frame.margin) buffers.push(frame.margin.buffer);
+  if (frame.marginStates) buffers.push(frame.marginStates.buffer);
+  if (frame.outside) buffers.push(frame.outside.keys.buffer, frame.outside.words.buffer);
+  return buffers;
+}
+
+/**
+ * Rebuild the cells kept off the board from their transferred form: the hidden
+ * margin of an absorbing board and the outside universe of an unbounded board
+ * @param {PackedGrid} grid - Board the cells belong to (modified)
+ * @param {Object} hidden - {margin: margin words or null, marginStates: margin states or null, outside: encoded universe or null}
+ * @returns {PackedGrid} The same grid
+ */
+function attachHiddenCells(grid, { margin = null, marginStates = null, outside = null }) {
+  grid.margin = margin
+    ? new PackedGrid(grid.width + 2 * ABSORBING_MARGIN, grid.height + 2 * ABSORBING_MARGIN, margin, marginStates)
+    : null;
+  grid.outside = outside ? SparseUniverse.decode(outside) : null;
+  return grid;
+}
+
+/**
+ * Rebuild a grid from a frame
+ * @param {PackedGrid|null} baseGrid - Grid the frame's diff is relative to
+ * @param {Object} frame - Grid frame from encodeGridFrame
+ * @returns {PackedGrid} New grid (the base grid is not modified)
+ */
+export function applyGridFrame(baseGrid, frame) {
+  if (frame.words) {
+    return attachHiddenCells(new PackedGrid(frame.width, frame.height, frame.words, frame.states || null), frame);
+  }
+
+  if (!baseGrid || baseGrid.width !== frame.width || baseGrid.height !== frame.height) {
+    throw new Error(`Cannot apply ${frame.width}x${frame.height} grid diff to a different base grid`);
+  }
+
+  const grid = baseGrid.clone();
+  for (let i = 0; i < frame.indices.length; i++) {
+    grid.words[frame.indices[i]] = frame.values[i];
+  }
+  grid.states = frame.states || null;
+  return attachHiddenCells(grid, frame);
+}
+
+/**
+ * Simulation state and message handling, independent of the thread it runs on.
+ * Holds the grid, generation counter and detectors, and streams frames back
+ * through the postMessage callback it was created with.
+ */
+export class SimulationSession {
+  /**
+   * @param {Function} postMessage - Called with (message, transfer) for each outgoing message
+   * @param {Object} options - Optional overrides {frameInterval, tickBudget, maxBatch}
+   */
+  constructor(postMessage, options = {}) {
+    this.postMessage = postMessage;
+    this.frameInterval = options.frameInterval || SIMULATION_TIMING.FRAME_INTERVAL;
+    this.tickBudget = options.tickBudget || SIMULATION_TIMING.TICK_BUDGET;
+    this.maxBatch = options.maxBatch || SIMULATION_TIMING.MAX_BATCH;
+
+    this.grid = new PackedGrid(0, 0);
+    this.spareGrid = null;
+    this.generation = 0;
+    this.detectors = [];
+    this.rule = resolveRule(null);
+    this.topology = TOPOLOGY.BOUNDED;
+    this.epoch = 0;
+    this.lastFrameWords = null;
+    this.cycleDetector = new CycleDetector();
+    this.cycle = null;
+    // Statistics rows of the generations not yet posted
+    this.pendingStatistics = [];
+    // Stream timing on the probe lines, and the probes it was started with
+    this.streamAnalyzer = null;
+    this.streamProbesKey = null;
+
+    this.running = false;
+    this.interval = BASE_SPEED / DEFAULT_SPEED_MULTIPLIER;
+    this.stopAtGeneration = null;
+    this.stopOnCycle = false;
+    this.breakpoints = [];
+    this.breakpointState = null;
+    this.pendingGenerations = 0;
+    this.lastTickTime = 0;
+    this.timerId = null;
+
+    // Measured speed, averaged over RATE_WINDOW
+    this.generationsPerSecond = 0;
+    this.rateWindowStart = 0;
+    this.rateWindowGenerations = 0;
+  }
+
+  /**
+   * Dispatch an incoming protocol message
+   * @param {Object} message - Message with a SIMULATION_MESSAGE type
+   */
+  handleMessage(message) {
+    try {
+      switch (message.type) {
+        case SIMULATION_MESSAGE.LOAD:
+          this.load(message);
+          break;
+        case SIMULATION_MESSAGE.PLAY:
+          this.play(message);
+          break;
+        case SIMULATION_MESSAGE.PAUSE:
+          this.pause();
+          break;
+        case SIMULATION_MESSAGE.STEP:
+          this.step(message);
+          break;
+        case SIMULATION_MESSAGE.JUMP:
+          this.jump(message);
+          break;
+        case SIMULATION_MESSAGE.SET_SPEED:
+          this.setSpeed(message);
+          break;
+        default:
+          throw new Error(`Unknown simulation message type: ${message.type}`);
+      }
+    } catch (error) {
+      this.postMessage({
+        type: SIMULATION_MESSAGE.ERROR,
+        epoch: this.epoch,
+        requestId: message.requestId,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace the simulation state. Stops playback.
+   * Stream timing carries on when the same probes are loaded with the board
+   * the simulation paused on, so pausing and stepping do not reset it.
+   * @param {Object} message - {grid: {width, height, words, states, margin, marginStates, outside}, generation, detectors, rule, topology, cycleRegion, streamProbes, epoch}
+   */
+  load({ grid, generation = 0, detectors = [], rule = null, topology = null, cycleRegion = null, streamProbes = [], epoch = 0 }) {
+    this.pause();
+
+    const resolvedTopology = resolveTopology(topology);
+    if (!resolvedTopology) {
+      throw new Error(`Invalid topology: ${topology}`);
+    }
+
+    const resolvedRule = resolveRule(rule);
+    if (resolvedTopology === TOPOLOGY.UNBOUNDED && (isGenerationsRule(resolvedRule) || (resolvedRule.birthMask & 1))) {
+      throw new Error(`Rule ${resolvedRule.rule} cannot run on an unbounded board`);
+    }
+
+    const loadedGrid = attachHiddenCells(new PackedGrid(grid.width, grid.height, grid.words, grid.states || null), grid);
+    const streamProbesKey = JSON.stringify(streamProbes);
+    const resumesStreams = this.streamAnalyzer !== null && streamProbesKey === this.streamProbesKey &&
+      resolvedRule.rule === this.rule.rule && generation === this.generation && loadedGrid.equals(this.grid);
+
+    this.rule = resolvedRule;
+    this.topology = resolvedTopology;
+    this.grid = loadedGrid;
+    this.spareGrid = new PackedGrid(grid.width, grid.height);
+    this.generation = generation;
+    this.detectors = detectors;
+    this.epoch = epoch;
+    this.lastFrameWords = this.grid.words.slice();
+
+    // Cycles are looked for from the loaded generation on
+    this.cycleDetector = new CycleDetector({ region: cycleRegion });
+    this.cycle = this.cycleDetector.observe(this.grid, this.generation);
+    this.pendingStatistics = [StatisticsService.collectGenerationStats(this.generation, this.grid, null, this.detectors)];
+
+    if (!resumesStreams) {
+      this.streamAnalyzer = streamProbes.length > 0 ? new StreamAnalyzer(streamProbes, this.rule) : null;
+      this.streamProbesKey = streamProbesKey;
+      if (this.streamAnalyzer) this.streamAnalyzer.observe(this.grid, this.generation);
+    }
+  }
+
+  /**
+   * Start streaming generations
+   * @param {Object} message - {interval: ms per generation (0 for unlimited), stopAtGeneration: optional generation to pause at, stopOnCycle: pause once the board repeats, breakpoints: resolved breakpoints to pause on}
+   */
+  play({ interval, stopAtGeneration = null, stopOnCycle = false, breakpoints = [] } = {}) {
+    if (interval >= 0) this.interval = interval;
+    this.stopAtGeneration = stopAtGeneration;
+    this.stopOnCycle = stopOnCycle;
+
+    // Detectors covered before the first generation start active
+    if (this.generation === 0 && this.detectors.length > 0) {
+      this.detectors = DetectorService.initializeDetectorStates(this.detectors, this.grid, this.generation);
+    }
+
+    // Breakpoints compare each generation against the one before, starting here
+    this.breakpoints = breakpoints;
+    this.breakpointState = BreakpointService.initializeState(breakpoints, this.grid, this.detectors);
+
+    if (this.running) return;
+    this.running = true;
+    this.pendingGenerations = 0;
+    this.lastTickTime = Date.now();
+    this.generationsPerSecond = 0;
+    this.rateWindowStart = this.lastTickTime;
+    this.rateWindowGenerations = 0;
+    this.timerId = setTimeout(() => this.tick(), this.frameInterval);
+  }
+
+  /**
+   * Stop streaming generations
+   */
+  pause() {
+    this.running = false;
+    if (this.timerId !== null) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+
+  /**
+   * Change playback speed without restarting
+   * @param {Object} message - {interval: ms per generation (0 for unlimited)}
+   */
+  setSpeed({ interval }) {
+    if (interval >= 0) this.interval = interval;
+  }
+
+  /**
+   * Advance a fixed number of generations and post the result
+   * @param {Object} message - {count, requestId}
+   */
+  step({ count = 1, requestId } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.advanceGeneration();
+    }
+    this.postFrame({ requestId, reason: SIMULATION_MESSAGE.STEP });
+  }
+
+  /**
+   * Advance to a generation and post the result.
+   * Detector values only depend on the last falloff window, so the board jumps
+   * to the start of that window and the rest is stepped generation by generation.
+   * @param {Object} message - {generation: target generation, requestId}
+   */
+  jump({ generation, requestId }) {
+    const falloffWindow = DetectorService.getMaxFalloffPeriod(this.detectors);
+    const jumpTo = Math.max(this.generation, generation - falloffWindow);
+
+    if (jumpTo > this.generation) {
+      this.grid = GameService.advanceGenerations(this.grid, jumpTo - this.generation, this.rule, this.topology);
+      this.generation = jumpTo;
+      // Skipped generations were never observed
+      this.cycleDetector.reset();
+      this.cycle = this.cycleDetector.observe(this.grid, this.generation);
+      this.pendingStatistics.push(StatisticsService.collectGenerationStats(this.generation, this.grid, null, this.detectors));
+      if (this.streamAnalyzer) {
+        this.streamAnalyzer.restartTracking();
+        this.streamAnalyzer.observe(this.grid, this.generation);
+      }
+    }
+    while (this.generation < generation) {
+      this.advanceGeneration();
+    }
+
+    this.postFrame({ requestId, reason: SIMULATION_MESSAGE.JUMP });
+  }
+
+  /**
+   * Step one generation, update detectors, look for a cycle, record statistics and time streams
+   */
+  advanceGeneration() {
+    const next = this.grid.step(this.spareGrid, this.rule, this.topology);
+    this.spareGrid = this.grid;
+    this.grid = next;
+    this.generation++;
+    this.detectors = DetectorService.updateDetectors(this.detectors, this.grid, this.generation);
+    this.cycle = this.cycleDetector.observe(this.grid, this.generation);
+    this.pendingStatistics.push(StatisticsService.collectGenerationStats(this.generation, this.grid, this.spareGrid, this.detectors));
+    if (this.streamAnalyzer) this.streamAnalyzer.observe(this.grid, this.generation);
+  }
+
+  /**
+   * Run every generation that is due since the last tick, within the time budget.
+   * At unlimited speed (interval 0) the whole budget is spent stepping.
+   */
+  tick() {
+    this.timerId = null;
+    if (!this.running) return;
+
+    const startTime = Date.now();
+    const unlimited = this.interval === 0;
+    if (!unlimited) {
+      this.pendingGenerations += (startTime - this.lastTickTime) / this.interval;
+    }
+    this.lastTickTime = startTime;
+
+    let advanced = 0;
+    let reason = null;
+    let breakpoint = null;
+    while ((unlimited || this.pendingGenerations >= 1) && advanced < this.maxBatch) {
+      this.advanceGeneration();
+      if (!unlimited) this.pendingGenerations--;
+      advanced++;
+
+      if (this.breakpoints.length > 0) {
+        breakpoint = BreakpointService.checkBreakpoints(this.breakpoints, this.breakpointState, this.grid, this.generation, this.detectors);
+        if (breakpoint) {
+          this.running = false;
+          reason = 'breakpoint';
+          break;
+        }
+      }
+
+      if (this.stopAtGeneration !== null && this.generation >= this.stopAtGeneration) {
+        this.running = false;
+        reason = 'stopAtGeneration';
+        break;
+      }
+
+      if (this.stopOnCycle && this.cycle) {
+        this.running = false;
+        reason = 'cycle';
+        break;
+      }
+
+      // Fall behind rather than queue up work the next tick cannot finish either
+      if (Date.now() - startTime >= this.tickBudget) {
+        this.pendingGenerations = 0;
+        break;
+      }
+    }
+
+    this.measureRate(advanced);
+    if (advanced > 0) {
+      this.postFrame({ reason, breakpoint });
+    }
+
+    // Ticks start frameInterval apart, so at unlimited speed the budget fills most of each frame
+    if (this.running) {
+      this.timerId = setTimeout(() => this.tick(), Math.max(0, this.frameInterval - (Date.now() - startTime)));
+    }
+  }
+
+  /**
+   * Update the measured generations per second
+   * @param {number} advanced - Generations stepped by the current tick
+   */
+  measureRate(advanced) {
+    this.rateWindowGenerations += advanced;
+    const elapsed = Date.now() - this.rateWindowStart;
+    if (elapsed >= SIMULATION_TIMING.RATE_WINDOW) {
+      this.generationsPerSecond = Math.round(this.rateWindowGenerations * 1000 / elapsed);
+      this.rateWindowStart += elapsed;
+      this.rateWindowGenerations = 0;
+    }
+  }
+
+  /**
+   * Post the current state as a frame, diffed against the previous frame
+   * @param {Object} details - {requestId, reason, breakpoint: the breakpoint that stopped playback}
+   */
+  postFrame({ requestId, reason = null, breakpoint = null } = {}) {
+    const gridFrame = encodeGridFrame(this.grid, this.lastFrameWords);
+    this.lastFrameWords = this.grid.words.slice();
+    const statistics = this.pendingStatistics;
+    this.pendingStatistics = [];
+
+    this.postMessage({
+      type: SIMULATION_MESSAGE.FRAME,
+      epoch: this.epoch,
+      requestId,
+      reason,
+      running: this.running,
+      generation: this.generation,
+      detectors: this.detectors,
+      cycle: this.cycle,
+      generationsPerSecond: this.generationsPerSecond,
+      breakpoint,
+      statistics,
+      streams: this.streamAnalyzer ? this.streamAnalyzer.getReport() : [],
+      grid: gridFrame
+    }, getGridFrameTransfer(gridFrame));
+  }
+}
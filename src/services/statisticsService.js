@@ -0,0 +1,175 @@
+// Statistics service: per-generation population and activity figures for the timeline chart
+import { STATISTICS_CONSTANTS } from '../constants/gameConstants.js';
+import { getCenterOffsets } from '../utils/canvasUtils.js';
+
+// Row fields in CSV column order
+const CSV_COLUMNS = ['generation', 'population', 'births', 'deaths', 'minX', 'maxX', 'minY', 'maxY', 'activeDetectors'];
+
+/**
+ * Check whether two rows describe the same board state
+ * @param {Object} a - Statistics row
+ * @param {Object} b - Statistics row
+ * @returns {boolean} True if population and bounding box match
+ */
+function sameBoardState(a, b) {
+  return a.population === b.population && a.minX === b.minX && a.maxX === b.maxX && a.minY === b.minY && a.maxY === b.maxY;
+}
+
+/**
+ * Service for computing and exporting generation statistics
+ */
+export class StatisticsService {
+  /**
+   * Collect the statistics of one generation. Cells outside an unbounded board
+   * count too; the bounding box is in center-based coordinates.
+   * @param {number} generation - Generation number
+   * @param {PackedGrid} grid - Board at that generation
+   * @param {PackedGrid|null} previousGrid - Board one generation earlier, if known
+   * @param {Array} detectors - Detectors at that generation
+   * @returns {Object} {generation, population, births, deaths, minX, maxX, minY, maxY, activeDetectors}; births and deaths are null without a previous board
+   */
+  static collectGenerationStats(generation, grid, previousGrid = null, detectors = []) {
+    let population = grid.countAlive();
+    let births = null;
+    let deaths = null;
+    if (previousGrid && previousGrid.width === grid.width && previousGrid.height === grid.height) {
+      ({ births, deaths } = grid.countChanges(previousGrid));
+    }
+
+    let bounds = grid.getBounds();
+    if (grid.outside || previousGrid?.outside) {
+      const outside = grid.outside;
+      if (outside) {
+        population += outside.countAlive();
+        const outsideBounds = outside.getBounds();
+        if (outsideBounds) {
+          bounds = bounds ? {
+            minX: Math.min(bounds.minX, outsideBounds.minX),
+            maxX: Math.max(bounds.maxX, outsideBounds.maxX),
+            minY: Math.min(bounds.minY, outsideBounds.minY),
+            maxY: Math.max(bounds.maxY, outsideBounds.maxY)
+          } : outsideBounds;
+        }
+      }
+      if (births !== null) {
+        const changes = outside
+          ? outside.countChanges(previousGrid.outside)
+          : { births: 0, deaths: previousGrid.outside.countAlive() };
+        births += changes.births;
+        deaths += changes.deaths;
+      }
+    }
+
+    const { centerOffsetX, centerOffsetY } = getCenterOffsets(grid);
+    return {
+      generation,
+      population,
+      births,
+      deaths,
+      minX: bounds ? bounds.minX - centerOffsetX : null,
+      maxX: bounds ? bounds.maxX - centerOffsetX : null,
+      minY: bounds ? bounds.minY - centerOffsetY : null,
+      maxY: bounds ? bounds.maxY - centerOffsetY : null,
+      activeDetectors: detectors.filter(detector => detector.currentValue > 0).length
+    };
+  }
+
+  /**
+   * Export statistics rows as CSV. With a baseline run, its figures are added
+   * as baseline_* columns on the matching generation.
+   * @param {Array} rows - Statistics rows
+   * @param {Array|null} baselineRows - Optional rows of a run to compare against
+   * @returns {string} CSV text with a header line
+   */
+  static toCSV(rows, baselineRows = null) {
+    const valueColumns = CSV_COLUMNS.slice(1);
+    const header = baselineRows
+      ? [...CSV_COLUMNS, ...valueColumns.map(column => `baseline_${column}`)]
+      : CSV_COLUMNS;
+
+    const byGeneration = new Map();
+    rows.forEach(row => byGeneration.set(row.generation, { row, baseline: null }));
+    (baselineRows || []).forEach(baseline => {
+      const entry = byGeneration.get(baseline.generation) || { row: null, baseline: null };
+      entry.baseline = baseline;
+      byGeneration.set(baseline.generation, entry);
+    });
+
+    const format = value => (value === null || value === undefined ? '' : String(value));
+    const lines = [...byGeneration.keys()].sort((a, b) => a - b).map(generation => {
+      const { row, baseline } = byGeneration.get(generation);
+      const values = [generation, ...valueColumns.map(column => format(row?.[column]))];
+      if (baselineRows) {
+        values.push(...valueColumns.map(column => format(baseline?.[column])));
+      }
+      return values.join(',');
+    });
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+  }
+
+  /**
+   * Find the first generation at which two runs differ
+   * @param {Array} rows - Statistics rows of one run
+   * @param {Array} baselineRows - Statistics rows of the other run
+   * @returns {number|null} First generation recorded by both with a different board, or null if none
+   */
+  static findDivergence(rows, baselineRows) {
+    const baselineByGeneration = new Map(baselineRows.map(row => [row.generation, row]));
+    for (const row of rows) {
+      const baseline = baselineByGeneration.get(row.generation);
+      if (baseline && !sameBoardState(row, baseline)) return row.generation;
+    }
+    return null;
+  }
+}
+
+/**
+ * Statistics rows of the current run, ordered by generation.
+ * Rows recorded for a generation at or before the latest one replace the
+ * rest of the run, since the board has taken a different path from there.
+ * Every record() returns a new array, so the rows can be kept in React state.
+ */
+export class StatisticsTimeline {
+  /**
+   * @param {number} maxRows - Oldest rows are dropped beyond this
+   */
+  constructor(maxRows = STATISTICS_CONSTANTS.MAX_ROWS) {
+    this.maxRows = maxRows;
+    this.rows = [];
+  }
+
+  /**
+   * Forget every row
+   * @returns {Array} The (empty) rows
+   */
+  clear() {
+    this.rows = [];
+    return this.rows;
+  }
+
+  /**
+   * Record consecutive rows. A leading row without births and deaths (the
+   * board the simulation was loaded with) keeps the existing row for that
+   * generation when it describes the same board.
+   * @param {Array} rows - Rows in generation order
+   * @returns {Array} All rows
+   */
+  record(rows) {
+    if (rows.length === 0) return this.rows;
+
+    let incoming = rows;
+    let keep = this.rows.findIndex(row => row.generation >= incoming[0].generation);
+    if (keep === -1) keep = this.rows.length;
+
+    const existing = this.rows[keep];
+    if (existing && existing.generation === incoming[0].generation && incoming[0].births === null && sameBoardState(existing, incoming[0])) {
+      keep++;
+      incoming = incoming.slice(1);
+    }
+
+    const combined = this.rows.slice(0, keep).concat(incoming);
+    this.rows = combined.length > this.maxRows ? combined.slice(combined.length - this.maxRows) : combined;
+    return this.rows;
+  }
+}
@@ -0,0 +1,343 @@
+// Stream analyzer service: timing of the glider and spaceship streams crossing a probe line
+import { STREAM_CONSTANTS } from '../constants/gameConstants.js';
+import { PATTERN_CATALOGUE } from '../constants/patternCatalogue.js';
+import { isCellAlive } from '../utils/packedGrid.js';
+import { getCenterOffsets } from '../utils/canvasUtils.js';
+import { generateGuidanceLinePixels } from '../utils/guidanceLineObjects.js';
+import { ORIENTATIONS, describeIsland, floodFillIsland, collectPhases } from '../utils/islands.js';
+import { decodeRLE } from '../utils/rleUtils.js';
+import { isConwayRule } from '../utils/lifeRules.js';
+
+let nextProbeId = 1;
+
+// Shapes of the catalogue spaceships in every phase and orientation, per rule
+const shipShapeCache = new Map();
+
+/**
+ * Greatest common divisor
+ * @param {number} a - Integer
+ * @param {number} b - Integer
+ * @returns {number} Non-negative divisor (0 when both are 0)
+ */
+function gcd(a, b) {
+  return b === 0 ? Math.abs(a) : gcd(b, a % b);
+}
+
+/**
+ * Look up the spaceships a rule can identify on a probe line. Only the
+ * built-in catalogue is used (brushes are not available to the worker),
+ * so streams are recognized under Conway's Life only.
+ * @param {Object} rule - Parsed rule
+ * @returns {Map} Island key to {name, period, dx, dy}, the displacement per period in that orientation
+ */
+function getShipShapes(rule) {
+  if (!shipShapeCache.has(rule.rule)) {
+    const shapes = new Map();
+    if (isConwayRule(rule)) {
+      PATTERN_CATALOGUE.forEach(({ name, rle }) => {
+        const { phases, period, dx, dy } = collectPhases(decodeRLE(rle).map(([y, x]) => [x, y]), rule);
+        if (dx === 0 && dy === 0) return;
+
+        phases.forEach(phase => {
+          ORIENTATIONS.forEach(orient => {
+            const oriented = phase.map(([x, y]) => orient(x, y));
+            const alive = new Set(oriented.map(([x, y]) => `${x},${y}`));
+            const [startX, startY] = oriented[0];
+            const island = floodFillIsland((x, y) => alive.has(`${x},${y}`), startX, startY, oriented.length, STREAM_CONSTANTS.SHIP_REACH);
+            if (!island || island.length !== oriented.length) return;
+            const [shipDx, shipDy] = orient(dx, dy);
+            const key = describeIsland(oriented).key;
+            if (!shapes.has(key)) shapes.set(key, { name, period, dx: shipDx, dy: shipDy });
+          });
+        });
+      });
+    }
+    shipShapeCache.set(rule.rule, shapes);
+  }
+  return shipShapeCache.get(rule.rule);
+}
+
+/**
+ * Trace the cells of a straight line between two cells
+ * @param {number} x1 - Start column
+ * @param {number} y1 - Start row
+ * @param {number} x2 - End column
+ * @param {number} y2 - End row
+ * @returns {Array} Array of [x, y] from start to end
+ */
+function traceLine(x1, y1, x2, y2) {
+  const cells = [];
+  const dx = Math.abs(x2 - x1), dy = -Math.abs(y2 - y1);
+  const sx = x1 < x2 ? 1 : -1, sy = y1 < y2 ? 1 : -1;
+  let error = dx + dy;
+  let x = x1, y = y1;
+  for (;;) {
+    cells.push([x, y]);
+    if (x === x2 && y === y2) return cells;
+    const doubled = 2 * error;
+    if (doubled >= dy) { error += dy; x += sx; }
+    if (doubled <= dx) { error += dx; y += sy; }
+  }
+}
+
+/**
+ * Describe a ship's heading as a compass direction (north is up)
+ * @param {number} dx - Horizontal displacement
+ * @param {number} dy - Vertical displacement
+ * @returns {string} Direction such as "SE"
+ */
+function describeDirection(dx, dy) {
+  return (dy < 0 ? 'N' : dy > 0 ? 'S' : '') + (dx > 0 ? 'E' : dx < 0 ? 'W' : '');
+}
+
+/**
+ * Describe a ship's speed the usual way, e.g. "c/4" or "2c/5"
+ * @param {number} steps - Cells travelled per period
+ * @param {number} period - Ship period
+ * @returns {string} Speed
+ */
+function describeSpeed(steps, period) {
+  const divisor = gcd(steps, period);
+  const numerator = steps / divisor;
+  return `${numerator === 1 ? '' : numerator}c${period / divisor === 1 ? '' : `/${period / divisor}`}`;
+}
+
+/**
+ * Service for defining stream probes. Probes are defined in center-based
+ * coordinates (or by the guidance line they follow) and resolved to board
+ * cells, with the gate each one feeds, before they are handed to the
+ * simulation. This module is loaded by the simulation worker, so it stays
+ * free of brush and placed object services.
+ */
+export class StreamAnalyzerService {
+  /**
+   * Create a probe
+   * @param {Object} options - {guidanceLineId} to follow a guidance line, or {x1, y1, x2, y2} (center-based) for a custom line; optional {gateObjectId, expectedPhase}
+   * @returns {Object} Probe
+   */
+  static createProbe(options) {
+    const followsGuidance = options.guidanceLineId !== undefined && options.guidanceLineId !== null;
+    if (!followsGuidance && ![options.x1, options.y1, options.x2, options.y2].every(Number.isInteger)) {
+      throw new Error('A probe needs a guidance line or integer line endpoints');
+    }
+    return { id: `probe_${nextProbeId++}`, gateObjectId: null, expectedPhase: null, ...options };
+  }
+
+  /**
+   * Convert probes to the board cells the simulation watches. Probes whose
+   * guidance line no longer exists are dropped. A probe without a chosen
+   * gate feeds the first placed object its line crosses, other than the one
+   * it starts in (the gun of a guidance line).
+   * @param {Array} probes - Probes with center-based coordinates
+   * @param {Object} gridSize - Board size {width, height}
+   * @param {Array} guidanceLines - Guidance line objects
+   * @param {Array} placedObjects - Placed objects, with board pixels
+   * @param {Object} objectPeriods - Map of placed object id to its period (null if it does not repeat)
+   * @returns {Array} Resolved probes {id, label, cells: Array of [x, y], gate: {objectId, name, period, phase}|null}
+   */
+  static resolveProbes(probes, gridSize, guidanceLines = [], placedObjects = [], objectPeriods = {}) {
+    const { centerOffsetX, centerOffsetY } = getCenterOffsets(gridSize);
+
+    return probes.flatMap(probe => {
+      let cells;
+      let label;
+      if (probe.guidanceLineId !== undefined && probe.guidanceLineId !== null) {
+        const line = guidanceLines.find(candidate => candidate.id === probe.guidanceLineId);
+        if (!line) return [];
+        cells = generateGuidanceLinePixels(line, gridSize.width, gridSize.height, guidanceLines).map(([y, x]) => [x, y]);
+        label = `${line.direction} line from (${line.originX - centerOffsetX}, ${line.originY - centerOffsetY})`;
+      } else {
+        cells = traceLine(probe.x1 + centerOffsetX, probe.y1 + centerOffsetY, probe.x2 + centerOffsetX, probe.y2 + centerOffsetY);
+        label = `(${probe.x1}, ${probe.y1}) → (${probe.x2}, ${probe.y2})`;
+      }
+      if (cells.length === 0) return [];
+
+      const gateObject = probe.gateObjectId
+        ? placedObjects.find(obj => obj.id === probe.gateObjectId)
+        : StreamAnalyzerService.findGate(cells, placedObjects);
+      const gate = gateObject ? {
+        objectId: gateObject.id,
+        name: gateObject.brushName,
+        period: objectPeriods[gateObject.id] ?? null,
+        phase: probe.expectedPhase ?? null
+      } : null;
+
+      return [{ id: probe.id, label, cells, gate }];
+    });
+  }
+
+  /**
+   * Find the placed object a probe line feeds: the first one along the line,
+   * skipping any whose bounds contain the line's start (the gun it leaves)
+   * @param {Array} cells - Probe cells [x, y] in line order
+   * @param {Array} placedObjects - Placed objects, with board pixels
+   * @returns {Object|null} Placed object
+   */
+  static findGate(cells, placedObjects) {
+    const [startX, startY] = cells[0];
+    const owners = new Map();
+    placedObjects.forEach(obj => {
+      const xs = obj.pixels.map(pixel => pixel.x);
+      const ys = obj.pixels.map(pixel => pixel.y);
+      const containsStart = startX >= Math.min(...xs) && startX <= Math.max(...xs) &&
+        startY >= Math.min(...ys) && startY <= Math.max(...ys);
+      if (containsStart) return;
+      obj.pixels.forEach(pixel => {
+        const key = `${pixel.x},${pixel.y}`;
+        if (!owners.has(key)) owners.set(key, obj);
+      });
+    });
+
+    for (const [x, y] of cells) {
+      if (owners.has(`${x},${y}`)) return owners.get(`${x},${y}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Watches probe lines generation by generation and times the spaceships
+ * crossing them. Ships are identified against the catalogue spaceships in
+ * any phase and orientation and tracked while they stay on the line, so each
+ * ship arrives once, on the first generation it is seen there. Ships are
+ * grouped into streams by kind, heading and lane; a stream's period is the
+ * greatest common divisor of its arrival gaps.
+ */
+export class StreamAnalyzer {
+  /**
+   * @param {Array} probes - Resolved probes (see StreamAnalyzerService.resolveProbes)
+   * @param {Object} rule - Parsed rule
+   */
+  constructor(probes, rule) {
+    this.probes = probes;
+    this.shapes = getShipShapes(rule);
+    // Per probe: the ships on its line and the streams seen so far, keyed by ship, heading and lane
+    this.tracks = probes.map(() => ({ ships: [], streams: new Map() }));
+    this.lastGeneration = null;
+  }
+
+  /**
+   * Forget the ships currently on the probe lines, keeping the streams. Used
+   * when generations were skipped without being observed, so the ships seen
+   * next are not taken for new arrivals.
+   */
+  restartTracking() {
+    this.tracks.forEach(track => { track.ships = []; });
+    this.lastGeneration = null;
+  }
+
+  /**
+   * Look for ships on the probe lines. Ships seen on the first generation
+   * observed were already there, so they are tracked without arriving.
+   * @param {PackedGrid} grid - Board
+   * @param {number} generation - Generation of the board
+   */
+  observe(grid, generation) {
+    const { centerOffsetX, centerOffsetY } = getCenterOffsets(grid);
+    const isAlive = (x, y) => isCellAlive(grid, x, y) === 1;
+    const recordArrivals = this.lastGeneration !== null;
+
+    this.probes.forEach((probe, index) => {
+      const track = this.tracks[index];
+      const seen = new Set();
+
+      probe.cells.forEach(([x, y]) => {
+        if (seen.has(`${x},${y}`) || !isAlive(x, y)) return;
+        const cells = floodFillIsland(isAlive, x, y, STREAM_CONSTANTS.MAX_SHIP_CELLS, STREAM_CONSTANTS.SHIP_REACH);
+        if (!cells) return;
+        cells.forEach(([cellX, cellY]) => seen.add(`${cellX},${cellY}`));
+
+        const island = describeIsland(cells);
+        const shape = this.shapes.get(island.key);
+        if (shape) {
+          this.trackShip(track, shape, island.minX - centerOffsetX, island.minY - centerOffsetY, generation, recordArrivals);
+        }
+      });
+
+      track.ships = track.ships.filter(ship => generation - ship.generation <= 2 * ship.period);
+    });
+
+    this.lastGeneration = generation;
+  }
+
+  /**
+   * Follow a sighted ship, or record its arrival if it is not already tracked
+   * @param {Object} track - Probe track {ships, streams}
+   * @param {Object} shape - Ship shape {name, period, dx, dy}
+   * @param {number} x - Center-based column of the ship's bounding box
+   * @param {number} y - Center-based row of the ship's bounding box
+   * @param {number} generation - Generation of the sighting
+   * @param {boolean} recordArrivals - Whether a new ship counts as an arrival
+   */
+  trackShip(track, { name, period, dx, dy }, x, y, generation, recordArrivals) {
+    const tracked = track.ships.find(ship => {
+      if (ship.name !== name || ship.dx !== dx || ship.dy !== dy) return false;
+      const elapsed = (generation - ship.generation) / period;
+      return Math.abs(ship.x + dx * elapsed - x) <= STREAM_CONSTANTS.POSITION_TOLERANCE &&
+        Math.abs(ship.y + dy * elapsed - y) <= STREAM_CONSTANTS.POSITION_TOLERANCE;
+    });
+    if (tracked) {
+      Object.assign(tracked, { x, y, generation });
+      return;
+    }
+    track.ships.push({ name, period, dx, dy, x, y, generation });
+    if (!recordArrivals) return;
+
+    // Orthogonal ships keep their row or column; diagonal ones their diagonal
+    const lane = dx === 0 ? x : dy === 0 ? y : x - y * Math.sign(dx) * Math.sign(dy);
+    const key = `${name}|${dx},${dy}|${lane}`;
+    if (!track.streams.has(key)) {
+      track.streams.set(key, { ship: name, shipPeriod: period, dx, dy, lane, arrivals: [] });
+    }
+    const stream = track.streams.get(key);
+    stream.arrivals.push(generation);
+    if (stream.arrivals.length > STREAM_CONSTANTS.MAX_ARRIVALS) stream.arrivals.shift();
+  }
+
+  /**
+   * Summarize the streams seen on each probe
+   * @returns {Array} [{probeId, label, gate, streams: [{ship, direction, speed, lane, count, firstArrival, lastArrival, period, phase, spacing, periodMismatch, phaseMismatch}]}]
+   */
+  getReport() {
+    return this.probes.map((probe, index) => ({
+      probeId: probe.id,
+      label: probe.label,
+      gate: probe.gate,
+      streams: [...this.tracks[index].streams.values()]
+        .map(stream => StreamAnalyzer.summarizeStream(stream, probe.gate))
+        .sort((a, b) => a.firstArrival - b.firstArrival)
+    }));
+  }
+
+  /**
+   * Compute the timing of a stream and check it against the gate it feeds.
+   * A stream suits a gate of period p when its period is a multiple of p and
+   * every ship arrives on the gate's expected phase (generation mod p).
+   * @param {Object} stream - {ship, shipPeriod, dx, dy, lane, arrivals}
+   * @param {Object|null} gate - {period, phase}
+   * @returns {Object} Stream summary
+   */
+  static summarizeStream({ ship, shipPeriod, dx, dy, lane, arrivals }, gate) {
+    const steps = Math.max(Math.abs(dx), Math.abs(dy));
+    const period = arrivals.length > 1
+      ? arrivals.slice(1).reduce((result, arrival, index) => gcd(result, arrival - arrivals[index]), 0)
+      : null;
+    const phase = period ? arrivals[0] % period : null;
+    const gatePeriod = gate?.period > 1 ? gate.period : null;
+
+    return {
+      ship,
+      direction: describeDirection(dx, dy),
+      speed: describeSpeed(steps, shipPeriod),
+      lane,
+      count: arrivals.length,
+      firstArrival: arrivals[0],
+      lastArrival: arrivals[arrivals.length - 1],
+      period,
+      phase,
+      spacing: period ? Math.round(period * steps / shipPeriod * 100) / 100 : null,
+      periodMismatch: Boolean(gatePeriod && period && period % gatePeriod !== 0),
+      phaseMismatch: Boolean(gatePeriod && gate.phase !== null && arrivals.some(arrival => arrival % gatePeriod !== gate.phase))
+    };
+  }
+}
@@ -61,7 +61,7 @@ export class TestScenarioService {
       const centerOffsetY = Math.floor(gridSize.height / 2);
 
       for (const setupItem of scenario.setup) {
-        const brush = brushes[setupItem.brush];
+        const brush = BrushService.getBrush(brushes, setupItem.brush);
         if (brush && brush.pattern) {
           // Apply rotation if specified
           let rotatedBrush = brush;
@@ -73,12 +73,12 @@ export class TestScenarioService {
           }
 
           // Place setup pattern on the grid
-          for (const [dy, dx] of rotatedBrush.pattern) {
+          for (const [dy, dx, state] of rotatedBrush.pattern) {
             const gridY = centerOffsetY + setupItem.y + dy;
             const gridX = centerOffsetX + setupItem.x + dx;
             if (gridY >= 0 && gridY < scenarioState.grid.length &&
                 gridX >= 0 && gridX < scenarioState.grid[0].length) {
-              scenarioState.grid[gridY][gridX] = 1;
+              scenarioState.grid[gridY][gridX] = state || 1;
             }
           }
         }
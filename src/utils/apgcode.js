@@ -0,0 +1,188 @@
+// apgcodes: the canonical names of still lifes, oscillators and spaceships (xs4_33, xp2_7, xq4_153, ...)
+import { CENSUS_KIND } from '../constants/gameConstants.js';
+import { ORIENTATIONS, collectPhases } from './islands.js';
+import { resolveRule } from './lifeRules.js';
+
+// Column values of a 5-row strip, 0-31; the remaining letters compress runs of empty columns
+const DIGITS = '0123456789abcdefghijklmnopqrstuv';
+const RUN_LENGTHS = '0123456789abcdefghijklmnopqrstuvwxyz';
+const STRIP_HEIGHT = 5;
+const MIN_Y_RUN = 4;
+const MAX_Y_RUN = MIN_Y_RUN + RUN_LENGTHS.length - 1;
+
+const PREFIXES = {
+  [CENSUS_KIND.STILL_LIFE]: 'xs',
+  [CENSUS_KIND.OSCILLATOR]: 'xp',
+  [CENSUS_KIND.SPACESHIP]: 'xq'
+};
+
+const APGCODE_PATTERN = /^x([spq])(\d+)_([0-9a-z]+)$/;
+
+/**
+ * Write a run of empty columns: w and x stand for 2 and 3, y followed by a
+ * character for 4 to 39
+ * @param {number} count - Number of empty columns
+ * @returns {string} Encoded run
+ */
+function encodeEmptyColumns(count) {
+  let text = '';
+  while (count > MAX_Y_RUN) {
+    text += `y${RUN_LENGTHS[MAX_Y_RUN - MIN_Y_RUN]}`;
+    count -= MAX_Y_RUN;
+  }
+  if (count >= MIN_Y_RUN) return `${text}y${RUN_LENGTHS[count - MIN_Y_RUN]}`;
+  return text + ['', '0', 'w', 'x'][count];
+}
+
+/**
+ * Encode cells in extended Wechsler format: strips of 5 rows separated by z,
+ * each column of a strip one character with the top row as the lowest bit
+ * @param {Array} cells - Array of [x, y]
+ * @returns {string} Encoded cells, or '' if there are none
+ */
+export function encodeWechsler(cells) {
+  if (cells.length === 0) return '';
+
+  const minX = Math.min(...cells.map(([x]) => x));
+  const minY = Math.min(...cells.map(([, y]) => y));
+  const width = Math.max(...cells.map(([x]) => x)) - minX + 1;
+  const height = Math.max(...cells.map(([, y]) => y)) - minY + 1;
+  const strips = Array.from({ length: Math.ceil(height / STRIP_HEIGHT) }, () => new Uint8Array(width));
+  cells.forEach(([x, y]) => {
+    const row = y - minY;
+    strips[Math.floor(row / STRIP_HEIGHT)][x - minX] |= 1 << (row % STRIP_HEIGHT);
+  });
+
+  return strips.map(columns => {
+    let text = '';
+    let empty = 0;
+    columns.forEach(value => {
+      if (value === 0) {
+        empty++;
+        return;
+      }
+      text += encodeEmptyColumns(empty) + DIGITS[value];
+      empty = 0;
+    });
+    // Empty columns at the end of a strip are left out
+    return text;
+  }).join('z');
+}
+
+/**
+ * Decode extended Wechsler format
+ * @param {string} text - Encoded cells
+ * @returns {Array} Array of [x, y]
+ * @throws {Error} For characters outside the format
+ */
+export function decodeWechsler(text) {
+  const cells = [];
+  let x = 0;
+  let strip = 0;
+  // Scanned a character at a time: z ends a strip, except as the run length after y
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === 'z') {
+      strip++;
+      x = 0;
+    } else if (char === 'w') {
+      x += 2;
+    } else if (char === 'x') {
+      x += 3;
+    } else if (char === 'y') {
+      const run = RUN_LENGTHS.indexOf(text[++i]);
+      if (run < 0) throw new Error(`"y" must be followed by a run length, got "${text[i] || ''}"`);
+      x += MIN_Y_RUN + run;
+    } else {
+      const value = DIGITS.indexOf(char);
+      if (value < 0) throw new Error(`Unexpected character "${char}"`);
+      for (let bit = 0; bit < STRIP_HEIGHT; bit++) {
+        if (value & (1 << bit)) cells.push([x, strip * STRIP_HEIGHT + bit]);
+      }
+      x++;
+    }
+  }
+  return cells;
+}
+
+/**
+ * Pick the canonical encoding: the shortest, then the first in ASCII order
+ * @param {string} a - Encoding
+ * @param {string} b - Encoding
+ * @returns {boolean} Whether a comes before b
+ */
+function isCanonicalBefore(a, b) {
+  return a.length < b.length || (a.length === b.length && a < b);
+}
+
+/**
+ * Check whether an id is an apgcode this module can decode
+ * @param {string} id - Brush id or apgcode
+ * @returns {boolean} Whether the id is an xs, xp or xq apgcode
+ */
+export function isApgcode(id) {
+  return typeof id === 'string' && APGCODE_PATTERN.test(id);
+}
+
+/**
+ * Compute the canonical apgcode of an object: it is run to find its period,
+ * and the encoding of every phase in every orientation is compared. Only
+ * objects that repeat from their first generation have a code: a pre-block
+ * or a blinker next to a dying cell is not the object it turns into.
+ * @param {Array} pattern - Live cells as [y, x] (as in brushes)
+ * @param {string|Object|null} rule - Rule (null means B3/S23)
+ * @returns {string|null} apgcode, or null for objects that are empty, do not repeat (guns, puffers, ...) or only repeat later
+ */
+export function encodeApgcode(pattern, rule = null) {
+  const cells = pattern.filter(([, , state]) => !state || state === 1).map(([y, x]) => [x, y]);
+  if (cells.length === 0) return null;
+
+  const { phases, kind, period, since } = collectPhases(cells, resolveRule(rule));
+  const prefix = PREFIXES[kind];
+  if (!prefix || since !== 0) return null;
+
+  let best = null;
+  phases.forEach(phase => {
+    ORIENTATIONS.forEach(orient => {
+      const encoded = encodeWechsler(phase.map(([x, y]) => orient(x, y)));
+      if (best === null || isCanonicalBefore(encoded, best)) best = encoded;
+    });
+  });
+
+  const number = kind === CENSUS_KIND.STILL_LIFE ? cells.length : period;
+  return `${prefix}${number}_${best}`;
+}
+
+/**
+ * Decode an apgcode into the cells of the phase it describes
+ * @param {string} code - apgcode such as "xq4_153"
+ * @returns {Object} {kind, period, population, pattern: Array of [y, x] from 0, width, height}
+ * @throws {Error} For codes that are not xs, xp or xq apgcodes
+ */
+export function decodeApgcode(code) {
+  const match = APGCODE_PATTERN.exec(code || '');
+  if (!match) throw new Error(`Invalid apgcode "${code}": expected xs, xp or xq followed by a number, "_" and the cells`);
+
+  const [, type, number, body] = match;
+  let cells;
+  try {
+    cells = decodeWechsler(body);
+  } catch (error) {
+    throw new Error(`Invalid apgcode "${code}": ${error.message}`);
+  }
+  if (cells.length === 0) throw new Error(`Invalid apgcode "${code}": it has no live cells`);
+
+  // Codes keep the position of the cells, so leading empty columns only shift them
+  const minX = Math.min(...cells.map(([x]) => x));
+  const minY = Math.min(...cells.map(([, y]) => y));
+  const pattern = cells.map(([x, y]) => [y - minY, x - minX]);
+  const kind = { s: CENSUS_KIND.STILL_LIFE, p: CENSUS_KIND.OSCILLATOR, q: CENSUS_KIND.SPACESHIP }[type];
+  return {
+    kind,
+    period: kind === CENSUS_KIND.STILL_LIFE ? 1 : Number(number),
+    population: cells.length,
+    pattern,
+    width: Math.max(...pattern.map(([, x]) => x)) + 1,
+    height: Math.max(...pattern.map(([y]) => y)) + 1
+  };
+}
@@ -0,0 +1,298 @@
+// Bitmap pattern import: finds the cell grid in a picture of a pattern and reads its cells
+import { BITMAP_IMPORT_CONSTANTS } from '../constants/gameConstants.js';
+
+// How far a color edge may be from a cell boundary and still count as on it;
+// anti-aliased screenshots blur edges by a pixel once cells are this large
+const EDGE_TOLERANCE_MIN_CELL_SIZE = 6;
+// Smaller cells may still sit between one pixel grid lines, whose two edges
+// fall on the boundary and the pixel after it
+const GRID_LINE_MIN_CELL_SIZE = 3;
+
+/**
+ * Pick the luminance that best splits a histogram in two (Otsu's method)
+ * @param {Uint32Array} histogram - Pixel count per luminance 0-255
+ * @param {number} total - Number of pixels counted
+ * @returns {number|null} Highest luminance of the dark class, or null if the image has a single color
+ */
+function otsuThreshold(histogram, total) {
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumDark = 0;
+  let weightDark = 0;
+  let bestVariance = 0;
+  let threshold = null;
+  for (let t = 0; t < 256; t++) {
+    weightDark += histogram[t];
+    if (weightDark === 0) continue;
+    const weightLight = total - weightDark;
+    if (weightLight === 0) break;
+
+    sumDark += t * histogram[t];
+    const meanDark = sumDark / weightDark;
+    const meanLight = (sum - sumDark) / weightLight;
+    const variance = weightDark * weightLight * (meanDark - meanLight) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = t;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Split an image into ink and background. Pixels are split into dark and
+ * light at the luminance that separates them best; the less common of the two
+ * is the ink, so both dark cells on white and light cells on black work.
+ * Transparent pixels are background.
+ * @param {Object} image - {data: RGBA bytes, width, height} as from getImageData
+ * @param {Object} options - {invert: take the other class as ink}
+ * @returns {Uint8Array} 1 for each ink pixel, row by row
+ */
+export function getInkMask(image, { invert = false } = {}) {
+  const { data, width, height } = image;
+  const pixels = width * height;
+  const luminance = new Uint8Array(pixels);
+  const opaque = new Uint8Array(pixels);
+  const histogram = new Uint32Array(256);
+  let opaqueCount = 0;
+
+  for (let i = 0; i < pixels; i++) {
+    if (data[i * 4 + 3] < 128) continue;
+    const value = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+    luminance[i] = value;
+    opaque[i] = 1;
+    histogram[value]++;
+    opaqueCount++;
+  }
+
+  const mask = new Uint8Array(pixels);
+  const threshold = otsuThreshold(histogram, opaqueCount);
+  if (threshold === null) {
+    // A single color: ink only if it stands out against transparency
+    if (opaqueCount < pixels) mask.set(invert ? opaque.map(value => 1 - value) : opaque);
+    return mask;
+  }
+
+  let darkCount = 0;
+  for (let i = 0; i <= threshold; i++) darkCount += histogram[i];
+  const inkIsDark = (darkCount <= opaqueCount - darkCount) !== invert;
+
+  for (let i = 0; i < pixels; i++) {
+    if (opaque[i]) {
+      mask[i] = (luminance[i] <= threshold) === inkIsDark ? 1 : 0;
+    } else {
+      mask[i] = invert ? 1 : 0;
+    }
+  }
+  return mask;
+}
+
+/**
+ * Find how well cell boundaries every cellSize pixels line up with the color edges of one axis
+ * @param {Uint32Array} edges - Number of color edges at each pixel position
+ * @param {number} cellSize - Cell size to try
+ * @param {number} before - Pixels an edge may be before a boundary
+ * @param {number} after - Pixels an edge may be after a boundary
+ * @returns {Object} {phase: position of the boundaries modulo cellSize, hits: edges on a boundary, errorSum: total distance of those edges}
+ */
+function fitBoundaries(edges, cellSize, before, after) {
+  const residues = new Float64Array(cellSize);
+  for (let position = 0; position < edges.length; position++) {
+    residues[position % cellSize] += edges[position];
+  }
+
+  let best = { phase: 0, hits: -1, errorSum: 0 };
+  for (let phase = 0; phase < cellSize; phase++) {
+    let hits = 0;
+    let errorSum = 0;
+    for (let offset = -before; offset <= after; offset++) {
+      const count = residues[(phase + offset + cellSize) % cellSize];
+      hits += count;
+      errorSum += count * Math.abs(offset);
+    }
+    if (hits > best.hits || (hits === best.hits && errorSum < best.errorSum)) {
+      best = { phase, hits, errorSum };
+    }
+  }
+  return best;
+}
+
+/**
+ * Detect the cell grid of a pattern image from where its color edges fall:
+ * the cell size is the largest one whose boundaries the edges line up with.
+ * Thin grid lines between cells only add edges next to the boundaries.
+ * @param {Uint8Array} mask - Ink mask from getInkMask
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Object|null} {cellSize, offsetX, offsetY} with the offsets of the first cell boundary, or null if the image has no edges
+ */
+export function detectCellGrid(mask, width, height) {
+  const columnEdges = new Uint32Array(width);
+  const rowEdges = new Uint32Array(height);
+  let total = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (x > 0 && mask[i] !== mask[i - 1]) {
+        columnEdges[x]++;
+        total++;
+      }
+      if (y > 0 && mask[i] !== mask[i - width]) {
+        rowEdges[y]++;
+        total++;
+      }
+    }
+  }
+  if (total === 0) return null;
+
+  const candidates = [];
+  const maxCellSize = Math.min(BITMAP_IMPORT_CONSTANTS.MAX_CELL_SIZE, width, height);
+  for (let cellSize = 1; cellSize <= maxCellSize; cellSize++) {
+    const before = cellSize >= EDGE_TOLERANCE_MIN_CELL_SIZE ? 1 : 0;
+    const after = cellSize >= GRID_LINE_MIN_CELL_SIZE ? 1 : 0;
+    const columns = fitBoundaries(columnEdges, cellSize, before, after);
+    const rows = fitBoundaries(rowEdges, cellSize, before, after);
+    const hits = columns.hits + rows.hits;
+    if (hits / total >= BITMAP_IMPORT_CONSTANTS.GRID_FIT) {
+      candidates.push({
+        cellSize,
+        offsetX: columns.phase,
+        offsetY: rows.phase,
+        error: (columns.errorSum + rows.errorSum) / hits
+      });
+    }
+  }
+
+  // Divisors of the cell size fit as well as it does, so prefer the largest
+  // size; a size a pixel too large can only fit through the tolerance, so step
+  // down while the next smaller size puts the edges closer to its boundaries
+  let best = candidates[candidates.length - 1];
+  for (let i = candidates.length - 2; i >= 0; i--) {
+    const smaller = candidates[i];
+    if (smaller.cellSize !== best.cellSize - 1 || smaller.error >= best.error) break;
+    best = smaller;
+  }
+  return { cellSize: best.cellSize, offsetX: best.offsetX, offsetY: best.offsetY };
+}
+
+/**
+ * Read the cells of an ink mask on a known grid. Only the middle of each cell
+ * is sampled, so grid lines and blurred edges do not count.
+ * @param {Uint8Array} mask - Ink mask from getInkMask
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {Object} grid - {cellSize, offsetX, offsetY, coverage: share of ink that makes a cell alive}
+ * @returns {Object} {pattern: Array of [y, x] from the top left live cell, width, height, originX, originY: image pixel of the pattern's top left cell}
+ */
+export function readBitmapCells(mask, width, height, grid) {
+  const { cellSize, coverage = BITMAP_IMPORT_CONSTANTS.COVERAGE } = grid;
+  // First boundary at or left of / above the image edge
+  const startX = ((grid.offsetX || 0) % cellSize) - (((grid.offsetX || 0) % cellSize) > 0 ? cellSize : 0);
+  const startY = ((grid.offsetY || 0) % cellSize) - (((grid.offsetY || 0) % cellSize) > 0 ? cellSize : 0);
+  const margin = cellSize >= GRID_LINE_MIN_CELL_SIZE ? Math.max(1, Math.floor(cellSize / 4)) : 0;
+  const columns = Math.ceil((width - startX) / cellSize);
+  const rows = Math.ceil((height - startY) / cellSize);
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    const top = Math.max(0, startY + row * cellSize + margin);
+    const bottom = Math.min(height, startY + (row + 1) * cellSize - margin);
+    for (let column = 0; column < columns; column++) {
+      const left = Math.max(0, startX + column * cellSize + margin);
+      const right = Math.min(width, startX + (column + 1) * cellSize - margin);
+      let ink = 0;
+      for (let y = top; y < bottom; y++) {
+        for (let x = left; x < right; x++) ink += mask[y * width + x];
+      }
+      const sampled = (bottom - top) * (right - left);
+      if (sampled > 0 && ink >= coverage * sampled) cells.push([row, column]);
+    }
+  }
+
+  if (cells.length === 0) {
+    return { pattern: [], width: 0, height: 0, originX: startX, originY: startY };
+  }
+
+  let minRow = rows, maxRow = -1;
+  let minColumn = columns, maxColumn = -1;
+  for (const [row, column] of cells) {
+    minRow = Math.min(minRow, row);
+    maxRow = Math.max(maxRow, row);
+    minColumn = Math.min(minColumn, column);
+    maxColumn = Math.max(maxColumn, column);
+  }
+  return {
+    pattern: cells.map(([row, column]) => [row - minRow, column - minColumn]),
+    width: maxColumn - minColumn + 1,
+    height: maxRow - minRow + 1,
+    originX: startX + minColumn * cellSize,
+    originY: startY + minRow * cellSize
+  };
+}
+
+/**
+ * Read a pattern from a picture of it, detecting the cell grid unless a cell size is given
+ * @param {Object} image - {data: RGBA bytes, width, height} as from getImageData
+ * @param {Object} options - {cellSize, offsetX, offsetY: grid to use instead of detecting one, invert: read the other color as live cells, coverage}
+ * @returns {Object} Cells as from readBitmapCells, with the grid used {cellSize, offsetX, offsetY}
+ * @throws {Error} When no grid or no live cells are found, or the cell size is invalid
+ */
+export function importBitmapPattern(image, options = {}) {
+  const { width, height } = image;
+  const mask = getInkMask(image, { invert: options.invert });
+
+  let grid;
+  if (options.cellSize !== undefined && options.cellSize !== null) {
+    if (!Number.isInteger(options.cellSize) || options.cellSize < 1) {
+      throw new Error(`Cell size must be a whole number of pixels, got ${options.cellSize}`);
+    }
+    grid = { cellSize: options.cellSize, offsetX: options.offsetX || 0, offsetY: options.offsetY || 0 };
+  } else {
+    grid = detectCellGrid(mask, width, height);
+    if (!grid) throw new Error('No cell grid found in the image: it has a single color');
+  }
+
+  const cells = readBitmapCells(mask, width, height, { ...grid, coverage: options.coverage });
+  if (cells.pattern.length === 0) {
+    throw new Error('No live cells found in the image');
+  }
+  return { ...cells, grid };
+}
+
+/**
+ * Decode an image file with the browser's own decoders (PNG, BMP, GIF, ...)
+ * @param {Blob} file - Image file
+ * @returns {Promise<Object>} {data: RGBA bytes, width, height}
+ * @throws {Error} When the file cannot be decoded or the image is too large
+ */
+export async function decodeImageFile(file) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error(`${file.name || 'The file'} is not an image the browser can read`);
+  }
+
+  try {
+    const { width, height } = bitmap;
+    if (width * height > BITMAP_IMPORT_CONSTANTS.MAX_IMAGE_PIXELS) {
+      throw new Error(`The image is ${width}x${height} pixels, too large to import`);
+    }
+
+    let canvas;
+    if (typeof OffscreenCanvas !== 'undefined') {
+      canvas = new OffscreenCanvas(width, height);
+    } else {
+      canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+    }
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(bitmap, 0, 0);
+    return { data: ctx.getImageData(0, 0, width, height).data, width, height };
+  } finally {
+    bitmap.close();
+  }
+}
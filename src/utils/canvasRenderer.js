@@ -1,5 +1,106 @@
 // Canvas rendering optimizations for Game of Life
-import { CELL_SIZE } from '../constants/gameConstants.js';
+import { CELL_SIZE, TOPOLOGY } from '../constants/gameConstants.js';
+import { PackedGrid, getCell, getGridSize } from './packedGrid.js';
+import { resolveTopology, wrapCoordinate } from './topology.js';
+
+/**
+ * Fill color for a cell state: live cells are white, decaying cells of
+ * multi-state rules fade from light to dark blue as they approach death
+ * @param {number} state - Cell state (1 for alive, 2 and up for decaying)
+ * @returns {string} CSS color
+ */
+export function getCellStateColor(state) {
+  if (state <= 1) return 'white';
+  const lightness = Math.max(20, 70 - (state - 2) * 12);
+  return `hsl(210, 90%, ${lightness}%)`;
+}
+
+// CSS variables holding the two-tone guidance line colors, by the color names guidance pixels carry
+const GUIDANCE_COLOR_VARIABLES = {
+  guidanceColor1: 'guidance-blue-dark',
+  guidanceColor2: 'guidance-blue-light'
+};
+
+/**
+ * Read a color from a CSS variable of the page
+ * @param {string} varName - CSS variable name (without --)
+ * @returns {string} CSS color
+ */
+export function getCSSColor(varName) {
+  // Handle test environment where getComputedStyle is not available
+  if (typeof getComputedStyle === 'undefined') {
+    const fallbackColors = {
+      'guidance-blue-dark': '#1e3a8a',
+      'guidance-blue-light': '#60a5fa',
+      'guidance-blue-medium': '#3b82f6'
+    };
+    return fallbackColors[varName] || '#3b82f6';
+  }
+
+  return getComputedStyle(document.documentElement)
+    .getPropertyValue(`--${varName}`)
+    .trim();
+}
+
+/**
+ * Fill color for a guidance line pixel: the two tones alternate to show the
+ * speed of the object the line follows
+ * @param {string} color - Color name of the pixel ('guidanceColor1' or 'guidanceColor2')
+ * @returns {string} CSS color
+ */
+export function getGuidanceColor(color) {
+  return getCSSColor(GUIDANCE_COLOR_VARIABLES[color] || 'guidance-blue-medium');
+}
+
+/**
+ * Fill color for a target pattern cell: green once a live cell covers it
+ * @param {boolean} covered - Whether a live cell is on the target cell
+ * @returns {string} CSS color
+ */
+export function getTargetCellColor(covered) {
+  return covered ? 'green' : 'blue';
+}
+
+/**
+ * Fill color for a detector: challenge detectors show the state they should
+ * end in, at half strength while inactive; other detectors are green when active
+ * @param {Object} detector - Detector render data {currentValue, targetState, isChallenge}
+ * @returns {string} CSS color
+ */
+export function getDetectorColor(detector) {
+  if (detector.isChallenge && detector.targetState !== undefined) {
+    if (detector.currentValue === 1) {
+      return detector.targetState === 1 ? 'green' : 'red';
+    }
+    return detector.targetState === 1 ? 'rgba(0, 128, 0, 0.5)' : 'rgba(255, 0, 0, 0.5)';
+  }
+  return detector.currentValue === 1 ? 'green' : 'red';
+}
+
+/**
+ * Find the bounds of the editable area
+ * @param {Function} isEditableCell - (x, y) => whether the cell can be edited
+ * @param {number} gridWidth - Grid width in cells
+ * @param {number} gridHeight - Grid height in cells
+ * @returns {Object|null} {minX, maxX, minY, maxY} in board cells, or null if nothing is editable
+ */
+export function getEditableBounds(isEditableCell, gridWidth, gridHeight) {
+  let minX = gridWidth, maxX = -1;
+  let minY = gridHeight, maxY = -1;
+
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      if (isEditableCell(x, y)) {
+        minX = Math.min(minX, x);
+        maxX = Math.max(maxX, x);
+        minY = Math.min(minY, y);
+        maxY = Math.max(maxY, y);
+      }
+    }
+  }
+
+  return minX <= maxX && minY <= maxY ? { minX, maxX, minY, maxY } : null;
+}
 
 /**
  * Optimized canvas rendering utilities
@@ -65,9 +166,31 @@ export class CanvasRenderer {
     });
   }
 
+  /**
+   * Mark dirty regions by comparing packed grids a word at a time.
+   * Each changed word is marked as one region spanning its 32 cells.
+   * @param {PackedGrid} grid - Current packed grid
+   * @param {PackedGrid} previousGrid - Previous packed grid of the same size
+   * @returns {boolean} Whether any cell changed
+   */
+  markChangedWords(grid, previousGrid) {
+    let hasChanges = false;
+    for (let y = 0; y < grid.height; y++) {
+      const rowOffset = y * grid.stride;
+      for (let w = 0; w < grid.stride; w++) {
+        if (grid.words[rowOffset + w] !== previousGrid.words[rowOffset + w]) {
+          const startX = w * 32;
+          this.markDirty(startX, y, Math.min(32, grid.width - startX), 1);
+          hasChanges = true;
+        }
+      }
+    }
+    return hasChanges;
+  }
+
   /**
    * Render using ImageData for better performance with large grids
-   * @param {Array} grid - 2D grid array
+   * @param {PackedGrid|Array} grid - Packed grid or 2D grid array
    * @param {Object} options - Rendering options including cellSize
    */
   renderWithImageData(grid, options = {}) {
@@ -82,8 +205,7 @@ export class CanvasRenderer {
     }
 
     const data = this.imageData.data;
-    const gridHeight = grid.length;
-    const gridWidth = gridHeight > 0 ? grid[0].length : 0;
+    const { width: gridWidth, height: gridHeight } = getGridSize(grid);
 
     // Fill ImageData buffer
     for (let y = 0; y < height; y++) {
@@ -94,7 +216,7 @@ export class CanvasRenderer {
         const pixelIndex = (y * width + x) * 4;
 
         // Ensure we're within grid bounds
-        if (gridY >= 0 && gridY < gridHeight && gridX >= 0 && gridX < gridWidth && grid[gridY][gridX]) {
+        if (gridY >= 0 && gridY < gridHeight && gridX >= 0 && gridX < gridWidth && getCell(grid, gridX, gridY)) {
           // Live cell - white
           data[pixelIndex] = 255;     // R
           data[pixelIndex + 1] = 255; // G
@@ -115,8 +237,8 @@ export class CanvasRenderer {
 
   /**
    * Optimized grid rendering with dirty region support
-   * @param {Array} grid - Current grid
-   * @param {Array} previousGrid - Previous grid for diff
+   * @param {PackedGrid|Array} grid - Current grid
+   * @param {PackedGrid|Array} previousGrid - Previous grid for diff
    * @param {Object} renderOptions - Rendering configuration
    */
   renderOptimized(grid, previousGrid, renderOptions = {}) {
@@ -130,8 +252,7 @@ export class CanvasRenderer {
       cellSize = CELL_SIZE
     } = renderOptions;
 
-    const gridHeight = grid.length;
-    const gridWidth = gridHeight > 0 ? grid[0].length : 0;
+    const { width: gridWidth, height: gridHeight } = getGridSize(grid);
 
     // Reset dirty regions if canvas size has changed (e.g., during zoom)
     const currentCanvasWidth = this.canvas.width;
@@ -146,10 +267,13 @@ export class CanvasRenderer {
 
     // Calculate dirty regions by comparing with previous grid
     let hasChanges = false;
-    if (previousGrid && previousGrid.length === gridHeight) {
+    if (PackedGrid.isPackedGrid(grid) && PackedGrid.isPackedGrid(previousGrid) &&
+        previousGrid.width === gridWidth && previousGrid.height === gridHeight) {
+      hasChanges = this.markChangedWords(grid, previousGrid);
+    } else if (previousGrid && getGridSize(previousGrid).height === gridHeight) {
       for (let y = 0; y < gridHeight; y++) {
         for (let x = 0; x < gridWidth; x++) {
-          if (grid[y][x] !== previousGrid[y][x]) {
+          if (getCell(grid, x, y) !== getCell(previousGrid, x, y)) {
             this.markDirty(x, y);
             hasChanges = true;
           }
@@ -170,7 +294,8 @@ export class CanvasRenderer {
                         (hoverCell && pasting) ||
                         (renderOptions.guidanceLinePixels && renderOptions.guidanceLinePixels.length > 0) ||
                         (renderOptions.testScenarioPreviewPatterns && renderOptions.testScenarioPreviewPatterns.length > 0) ||
-                        (renderOptions.moveHandleRenderData && renderOptions.moveHandleRenderData.length > 0);
+                        (renderOptions.moveHandleRenderData && renderOptions.moveHandleRenderData.length > 0) ||
+                        (renderOptions.censusHighlights && renderOptions.censusHighlights.length > 0);
 
     if (!shouldRedraw && dirtyRegions.length === 0) {
       return; // Nothing to update
@@ -181,7 +306,7 @@ export class CanvasRenderer {
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
     // Draw grid lines first (as background)
-    this.renderGrid(gridWidth, gridHeight, cellSize);
+    this.renderGrid(gridWidth, gridHeight, cellSize, challenge?.topology);
 
     // 1. Render test scenario preview patterns as gold background pixels
     if (renderOptions.testScenarioPreviewPatterns) {
@@ -205,13 +330,18 @@ export class CanvasRenderer {
     this.renderChallengePattern(challenge, grid, gridWidth, gridHeight, cellSize);
 
     // 4. Render editor overlays (for hover effects, paste preview, editable areas)
-    this.renderEditorOverlays(selectedPattern, hoverCell, pasting, isEditableCell, adminMode, gridWidth, gridHeight, cellSize);
+    this.renderEditorOverlays(selectedPattern, hoverCell, pasting, isEditableCell, adminMode, gridWidth, gridHeight, cellSize, challenge?.topology);
 
     // 5. Render detectors last (highest priority - always visible, never obscured)
     if (renderOptions.detectorRenderData) {
       this.renderDetectors(renderOptions.detectorRenderData, cellSize);
     }
 
+    // 5.5. Outline the objects found by the census
+    if (renderOptions.censusHighlights) {
+      this.renderCensusHighlights(renderOptions.censusHighlights, cellSize);
+    }
+
     // 6. Render move handles for placed objects (only when not running)
     if (renderOptions.moveHandleRenderData) {
       this.renderMoveHandles(renderOptions.moveHandleRenderData, cellSize);
@@ -220,6 +350,44 @@ export class CanvasRenderer {
     this.clearDirtyRegions();
   }
 
+  /**
+   * Render a single frame for an exported run: the board and the chosen
+   * overlays in the same order as renderOptimized, without editor overlays
+   * or move handles. The canvas shows only the crop region.
+   * @param {PackedGrid} grid - Board to draw
+   * @param {Object} options - {cellSize, crop: {x, y, width, height} in cells, topology, challenge: draws target cells when given, guidanceLinePixels, detectorRenderData}
+   */
+  renderExportFrame(grid, options = {}) {
+    const {
+      cellSize = CELL_SIZE,
+      crop = { x: 0, y: 0 },
+      topology = null,
+      challenge = null,
+      guidanceLinePixels = null,
+      detectorRenderData = null
+    } = options;
+    const { width: gridWidth, height: gridHeight } = getGridSize(grid);
+
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+    this.ctx.fillStyle = 'black';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    this.ctx.setTransform(1, 0, 0, 1, -crop.x * cellSize, -crop.y * cellSize);
+
+    this.renderGrid(gridWidth, gridHeight, cellSize, topology);
+    if (guidanceLinePixels) {
+      this.renderGuidanceLines(guidanceLinePixels, cellSize);
+    }
+    this.renderLiveCells(grid, gridWidth, gridHeight, cellSize);
+    if (challenge) {
+      this.renderChallengePattern(challenge, grid, gridWidth, gridHeight, cellSize);
+    }
+    if (detectorRenderData) {
+      this.renderDetectors(detectorRenderData, cellSize);
+    }
+
+    this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+  }
+
   /**
    * Render challenge pattern (required patterns) - these overlay on top of live cells
    * Shows green when there's a live cell at the challenge pattern position, blue otherwise
@@ -237,10 +405,10 @@ export class CanvasRenderer {
         const nx = centerOffsetX + dx;
         if (ny >= 0 && ny < gridHeight && nx >= 0 && nx < gridWidth) {
           // Check if there's a live cell at this position
-          const hasLiveCell = grid && grid[ny] && grid[ny][nx];
+          const hasLiveCell = getCell(grid, nx, ny);
 
           // Green if there's a live cell, blue otherwise
-          this.ctx.fillStyle = hasLiveCell ? 'green' : 'blue';
+          this.ctx.fillStyle = getTargetCellColor(Boolean(hasLiveCell));
 
           // Use pixel-perfect rendering for small cells
           if (cellSize < 3) {
@@ -258,21 +426,80 @@ export class CanvasRenderer {
     }
   }
 
+  /**
+   * Mark the board edge according to its topology: dashed purple edges join
+   * up with the opposite side (arrows show Klein bottle flips), a solid red
+   * edge absorbs whatever crosses it. Bounded boards draw nothing.
+   * @param {string} topology - Board topology
+   * @param {number} gridWidth - Grid width in cells
+   * @param {number} gridHeight - Grid height in cells
+   * @param {number} cellSize - Cell size in pixels
+   */
+  renderTopologyEdges(topology, gridWidth, gridHeight, cellSize = CELL_SIZE) {
+    const resolved = resolveTopology(topology);
+    // An unbounded board is a window onto a larger universe, so it has no edge to mark
+    if (!resolved || resolved === TOPOLOGY.BOUNDED || resolved === TOPOLOGY.UNBOUNDED) return;
+
+    const width = gridWidth * cellSize;
+    const height = gridHeight * cellSize;
+    const lineWidth = Math.max(1, Math.round(cellSize / 4));
+
+    this.ctx.lineWidth = lineWidth;
+    if (resolved === TOPOLOGY.ABSORBING) {
+      this.ctx.strokeStyle = 'rgba(255, 80, 80, 0.8)';
+      this.ctx.setLineDash([]);
+    } else {
+      this.ctx.strokeStyle = 'rgba(190, 120, 255, 0.8)';
+      this.ctx.setLineDash([Math.max(2, cellSize), Math.max(2, cellSize)]);
+    }
+    this.ctx.strokeRect(lineWidth / 2, lineWidth / 2, width - lineWidth, height - lineWidth);
+    this.ctx.setLineDash([]);
+
+    // Klein bottle: opposite arrows on the top and bottom edges show the flip
+    if (resolved === TOPOLOGY.KLEIN_BOTTLE) {
+      const arrow = Math.max(4, cellSize * 2);
+      this.ctx.fillStyle = 'rgba(190, 120, 255, 0.8)';
+      for (const [y, direction] of [[0, 1], [height, -1]]) {
+        const tipX = width / 2 + (direction * arrow) / 2;
+        this.ctx.beginPath();
+        this.ctx.moveTo(tipX, y);
+        this.ctx.lineTo(tipX - direction * arrow, y - arrow / 2);
+        this.ctx.lineTo(tipX - direction * arrow, y + arrow / 2);
+        this.ctx.closePath();
+        this.ctx.fill();
+      }
+    }
+  }
+
   /**
    * Render live cells (all grid pixels)
    */
   renderLiveCells(grid, gridWidth, gridHeight, cellSize = CELL_SIZE) {
-    // Render all live cells in white
+    // Render all live cells in white; decaying cells of multi-state rules fade out
     this.ctx.fillStyle = 'white';
+    const renderWidth = Math.max(1, Math.round(cellSize));
+    const renderHeight = Math.max(1, Math.round(cellSize));
+
+    if (PackedGrid.isPackedGrid(grid)) {
+      // Only visit live cells instead of scanning every position
+      grid.forEachAlive((x, y) => {
+        this.ctx.fillRect(Math.round(x * cellSize), Math.round(y * cellSize), renderWidth, renderHeight);
+      });
+      grid.forEachDecaying((x, y, state) => {
+        this.ctx.fillStyle = getCellStateColor(state);
+        this.ctx.fillRect(Math.round(x * cellSize), Math.round(y * cellSize), renderWidth, renderHeight);
+      });
+      return;
+    }
+
     for (let y = 0; y < gridHeight; y++) {
       for (let x = 0; x < gridWidth; x++) {
         if (grid[y][x]) {
           // Ensure minimum 1px size for visibility
           const renderX = Math.round(x * cellSize);
           const renderY = Math.round(y * cellSize);
-          const renderWidth = Math.max(1, Math.round(cellSize));
-          const renderHeight = Math.max(1, Math.round(cellSize));
 
+          this.ctx.fillStyle = getCellStateColor(grid[y][x]);
           this.ctx.fillRect(renderX, renderY, renderWidth, renderHeight);
         }
       }
@@ -282,7 +509,7 @@ export class CanvasRenderer {
   /**
    * Render editor overlays (hover, paste preview, editable area)
    */
-  renderEditorOverlays(selectedPattern, hoverCell, pasting, isEditableCell, adminMode, gridWidth, gridHeight, cellSize = CELL_SIZE) {
+  renderEditorOverlays(selectedPattern, hoverCell, pasting, isEditableCell, adminMode, gridWidth, gridHeight, cellSize = CELL_SIZE, topology = null) {
     // Render editable area background (only in non-admin mode)
     if (!adminMode && typeof isEditableCell === 'function') {
       this.ctx.fillStyle = 'rgba(0, 100, 200, 0.1)'; // Light blue tint for editable area
@@ -309,28 +536,14 @@ export class CanvasRenderer {
       this.ctx.lineWidth = Math.max(1, Math.round(cellSize / 4)); // Scale line width with cell size
       this.ctx.setLineDash([Math.max(2, cellSize), Math.max(2, cellSize)]); // Scale dash pattern
 
-      // Find the bounds of the editable area for border drawing
-      let minEditableX = gridWidth, maxEditableX = -1;
-      let minEditableY = gridHeight, maxEditableY = -1;
-
-      for (let y = 0; y < gridHeight; y++) {
-        for (let x = 0; x < gridWidth; x++) {
-          if (isEditableCell(x, y)) {
-            minEditableX = Math.min(minEditableX, x);
-            maxEditableX = Math.max(maxEditableX, x);
-            minEditableY = Math.min(minEditableY, y);
-            maxEditableY = Math.max(maxEditableY, y);
-          }
-        }
-      }
-
       // Draw the border rectangle if we found an editable area
-      if (minEditableX <= maxEditableX && minEditableY <= maxEditableY) {
+      const bounds = getEditableBounds(isEditableCell, gridWidth, gridHeight);
+      if (bounds) {
         this.ctx.strokeRect(
-          Math.round(minEditableX * cellSize + 1),
-          Math.round(minEditableY * cellSize + 1),
-          Math.round((maxEditableX - minEditableX + 1) * cellSize - 2),
-          Math.round((maxEditableY - minEditableY + 1) * cellSize - 2)
+          Math.round(bounds.minX * cellSize + 1),
+          Math.round(bounds.minY * cellSize + 1),
+          Math.round((bounds.maxX - bounds.minX + 1) * cellSize - 2),
+          Math.round((bounds.maxY - bounds.minY + 1) * cellSize - 2)
         );
       }
 
@@ -346,10 +559,11 @@ export class CanvasRenderer {
       for (const coord of selectedPattern.pattern) {
         if (Array.isArray(coord) && coord.length === 2) {
           const [dy, dx] = coord;
-          const ny = hoverCell.y + dy;
-          const nx = hoverCell.x + dx;
-          if (ny >= 0 && ny < gridHeight && nx >= 0 && nx < gridWidth &&
-              (adminMode || (typeof isEditableCell === 'function' && isEditableCell(nx, ny)))) {
+          // Previews wrap around the edges of torus and Klein bottle boards
+          const cell = wrapCoordinate(hoverCell.x + dx, hoverCell.y + dy, gridWidth, gridHeight, topology);
+          const ny = cell ? cell.y : -1;
+          const nx = cell ? cell.x : -1;
+          if (cell && (adminMode || (typeof isEditableCell === 'function' && isEditableCell(nx, ny)))) {
             if (cellSize < 3) {
               this.ctx.fillRect(
                 Math.round(nx * cellSize),
@@ -383,18 +597,7 @@ export class CanvasRenderer {
         const pixelY = position.y * cellSize;
 
         // For challenge detectors, show target state with half brightness when inactive
-        if (detector.isChallenge && detector.targetState !== undefined) {
-          if (detector.currentValue === 1) {
-            // Active: full brightness based on target state
-            this.ctx.fillStyle = detector.targetState === 1 ? 'green' : 'red';
-          } else {
-            // Inactive: half brightness based on target state
-            this.ctx.fillStyle = detector.targetState === 1 ? 'rgba(0, 128, 0, 0.5)' : 'rgba(255, 0, 0, 0.5)';
-          }
-        } else {
-          // Regular detectors: red for inactive (0), green for active (1)
-          this.ctx.fillStyle = detector.currentValue === 1 ? 'green' : 'red';
-        }
+        this.ctx.fillStyle = getDetectorColor(detector);
 
         // Render the pixel
         if (cellSize < 3) {
@@ -411,6 +614,29 @@ export class CanvasRenderer {
     });
   }
 
+  /**
+   * Outline the bounding boxes of census objects
+   * @param {Array} highlights - Array of {minX, maxX, minY, maxY, color} in board coordinates
+   * @param {number} cellSize - Cell size in pixels
+   */
+  renderCensusHighlights(highlights, cellSize = CELL_SIZE) {
+    if (!highlights || highlights.length === 0) {
+      return;
+    }
+
+    // Half a cell of padding so the outline does not cover the object's own cells
+    this.ctx.lineWidth = 1;
+    highlights.forEach(({ minX, maxX, minY, maxY, color }) => {
+      this.ctx.strokeStyle = color;
+      this.ctx.strokeRect(
+        Math.round((minX - 0.5) * cellSize),
+        Math.round((minY - 0.5) * cellSize),
+        Math.round((maxX - minX + 2) * cellSize),
+        Math.round((maxY - minY + 2) * cellSize)
+      );
+    });
+  }
+
   /**
    * Render move handles for placed objects
    * @param {Array} moveHandleRenderData - Array of move handle render data
@@ -482,19 +708,7 @@ export class CanvasRenderer {
    * @returns {string} CSS variable value
    */
   getCSSVariable(varName) {
-    // Handle test environment where getComputedStyle is not available
-    if (typeof getComputedStyle === 'undefined') {
-      const fallbackColors = {
-        'guidance-blue-dark': '#1e3a8a',
-        'guidance-blue-light': '#60a5fa',
-        'guidance-blue-medium': '#3b82f6'
-      };
-      return fallbackColors[varName] || '#3b82f6';
-    }
-
-    return getComputedStyle(document.documentElement)
-      .getPropertyValue(`--${varName}`)
-      .trim();
+    return getCSSColor(varName);
   }
 
   /**
@@ -509,13 +723,7 @@ export class CanvasRenderer {
 
     for (const [y, x, color] of guidanceLinePixels) {
       // Set color based on guidance line pattern using CSS variables
-      if (color === 'guidanceColor1') {
-        this.ctx.fillStyle = this.getCSSVariable('guidance-blue-dark');
-      } else if (color === 'guidanceColor2') {
-        this.ctx.fillStyle = this.getCSSVariable('guidance-blue-light');
-      } else {
-        this.ctx.fillStyle = this.getCSSVariable('guidance-blue-medium');
-      }
+      this.ctx.fillStyle = getGuidanceColor(color);
 
       // Render the guidance pixel
       if (cellSize < 3) {
@@ -763,7 +971,7 @@ export class CanvasRenderer {
     return path;
   }
 
-  renderGrid(gridWidth, gridHeight, cellSize = CELL_SIZE) {
+  renderGrid(gridWidth, gridHeight, cellSize = CELL_SIZE, topology = null) {
     // Adjust grid line visibility based on cell size
     if (cellSize < 3) {
       // For very small cells, make grid lines more subtle or skip them
@@ -803,6 +1011,8 @@ export class CanvasRenderer {
 
       this.ctx.stroke();
     }
+
+    this.renderTopologyEdges(topology, gridWidth, gridHeight, cellSize);
   }
 }
 
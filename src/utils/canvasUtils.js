@@ -1,5 +1,5 @@
 // Canvas and layout utilities
-import { CELL_SIZE, MIN_CANVAS_SIZE, LEFT_PANEL_WIDTH, RIGHT_PANEL_WIDTH } from '../constants/gameConstants.js';
+import { CELL_SIZE, MIN_CANVAS_SIZE, MAX_GRID_SIZE, LEFT_PANEL_WIDTH, RIGHT_PANEL_WIDTH } from '../constants/gameConstants.js';
 
 /**
  * Calculate center offsets for a grid
@@ -91,6 +91,25 @@ export function calculateCanvasSize(challenge = null, cellSize = CELL_SIZE) {
   };
 }
 
+/**
+ * Calculate the grid size for a challenge, or the visible window of a sandbox board.
+ * Sandbox boards are unbounded, so the window only needs to cover the canvas and is
+ * capped at MAX_GRID_SIZE; cells beyond it live on in the outside universe.
+ * @param {Object} challenge - Challenge configuration (optional)
+ * @param {Object} canvasSize - Canvas size from calculateCanvasSize
+ * @param {number} cellSize - Cell size in pixels (optional, defaults to CELL_SIZE)
+ * @returns {Object} Grid size {width, height}
+ */
+export function calculateGridSize(challenge, canvasSize, cellSize = CELL_SIZE) {
+  if (challenge && challenge.width && challenge.height) {
+    return { width: challenge.width, height: challenge.height };
+  }
+  return {
+    width: Math.min(MAX_GRID_SIZE, Math.floor(canvasSize.maxWidth / cellSize)),
+    height: Math.min(MAX_GRID_SIZE, Math.floor(canvasSize.maxHeight / cellSize))
+  };
+}
+
 /**
  * Convert mouse coordinates to grid coordinates
  * @param {number} mouseX - Mouse X coordinate relative to canvas
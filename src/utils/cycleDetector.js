@@ -0,0 +1,166 @@
+// Cycle detection: notices when a board settles into a still life, oscillation or spaceship
+import { CYCLE_CONSTANTS, CYCLE_TYPE } from '../constants/gameConstants.js';
+
+/**
+ * Final avalanche step of MurmurHash3
+ * @param {number} value - 32-bit value
+ * @returns {number} Mixed unsigned 32-bit value
+ */
+function mix32(value) {
+  let h = value;
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * Describe a detected cycle for display
+ * @param {Object|null} cycle - Cycle from CycleDetector.observe
+ * @returns {string} Description such as "period 2 oscillation", or '' when there is no cycle
+ */
+export function describeCycle(cycle) {
+  if (!cycle) return '';
+  switch (cycle.type) {
+    case CYCLE_TYPE.STABLE:
+      return 'stable';
+    case CYCLE_TYPE.OSCILLATING:
+      return `period ${cycle.period} oscillation`;
+    case CYCLE_TYPE.TRANSLATING:
+      return `translating with period ${cycle.period} (${cycle.dx}, ${cycle.dy})`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Hash-based cycle detector. Each observed generation is reduced to a
+ * translation-independent signature (two order-independent 32-bit hashes of
+ * the cells relative to their bounding box, plus population and box size)
+ * and remembered for maxPeriod generations. Seeing a signature again means
+ * the board repeats: in place (stable or oscillating) or displaced by the
+ * bounding box offset (translating).
+ *
+ * Only the visible board, the cells outside an unbounded board and decay
+ * states are considered; an absorbing board's hidden margin is not.
+ */
+export class CycleDetector {
+  /**
+   * @param {Object} options - {region: optional {x, y, width, height} in board coordinates, maxPeriod}
+   */
+  constructor(options = {}) {
+    this.region = options.region || null;
+    this.maxPeriod = options.maxPeriod || CYCLE_CONSTANTS.MAX_PERIOD;
+    this.reset();
+  }
+
+  /**
+   * Forget every observed generation
+   */
+  reset() {
+    this.seen = new Map();
+    this.order = [];
+    this.cycle = null;
+  }
+
+  /**
+   * Observe a generation and report the shortest cycle it closes, if any
+   * @param {PackedGrid} grid - Board at that generation
+   * @param {number} generation - Generation number; must increase between calls
+   * @returns {Object|null} {type, period, dx, dy, since, generation}, or null if the board has not repeated
+   */
+  observe(grid, generation) {
+    // Forget generations too old to close a cycle within maxPeriod
+    while (this.order.length > 0 && this.order[0].generation < generation - this.maxPeriod) {
+      const oldest = this.order.shift();
+      if (this.seen.get(oldest.key)?.generation === oldest.generation) {
+        this.seen.delete(oldest.key);
+      }
+    }
+
+    const signature = this.getSignature(grid);
+    const previous = this.seen.get(signature.key);
+
+    if (previous) {
+      const dx = signature.minX - previous.minX;
+      const dy = signature.minY - previous.minY;
+      const period = generation - previous.generation;
+      let type = CYCLE_TYPE.TRANSLATING;
+      if (dx === 0 && dy === 0) {
+        type = period === 1 ? CYCLE_TYPE.STABLE : CYCLE_TYPE.OSCILLATING;
+      }
+      this.cycle = { type, period, dx, dy, since: previous.generation, generation };
+    } else {
+      this.cycle = null;
+    }
+
+    this.seen.set(signature.key, { generation, minX: signature.minX, minY: signature.minY });
+    this.order.push({ generation, key: signature.key });
+    return this.cycle;
+  }
+
+  /**
+   * Visit the cells the detector looks at
+   * @param {PackedGrid} grid - Board
+   * @param {Function} callback - Called with (x, y, state) for each live or decaying cell
+   */
+  forEachCell(grid, callback) {
+    const region = this.region;
+    const inRegion = region
+      ? (x, y) => x >= region.x && x < region.x + region.width && y >= region.y && y < region.y + region.height
+      : () => true;
+
+    grid.forEachAlive((x, y) => {
+      if (inRegion(x, y)) callback(x, y, 1);
+    });
+    if (grid.forEachDecaying) {
+      grid.forEachDecaying((x, y, state) => {
+        if (inRegion(x, y)) callback(x, y, state);
+      });
+    }
+    if (grid.outside) {
+      if (region) {
+        grid.outside.forEachAliveInRect(region.x, region.y, region.width, region.height, (x, y) => callback(x, y, 1));
+      } else {
+        grid.outside.forEachAlive((x, y) => callback(x, y, 1));
+      }
+    }
+  }
+
+  /**
+   * Reduce a board to a translation-independent signature
+   * @param {PackedGrid} grid - Board
+   * @returns {Object} {key, minX, minY}
+   */
+  getSignature(grid) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    let population = 0;
+    this.forEachCell(grid, (x, y) => {
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+      population++;
+    });
+    if (population === 0) {
+      return { key: 'empty', minX: 0, minY: 0 };
+    }
+
+    // Cells are summed rather than chained, so the visiting order does not matter
+    let hashA = 0;
+    let hashB = 0;
+    this.forEachCell(grid, (x, y, state) => {
+      const cell = Math.imul(x - minX, 0x9e3779b1) ^ Math.imul(y - minY, 0x85ebca77) ^ Math.imul(state, 0x27d4eb2f);
+      hashA = (hashA + mix32(cell)) >>> 0;
+      hashB = (hashB + mix32(cell ^ 0x5bd1e995)) >>> 0;
+    });
+
+    return {
+      key: `${hashA.toString(36)}:${hashB.toString(36)}:${population}:${maxX - minX}x${maxY - minY}`,
+      minX,
+      minY
+    };
+  }
+}
@@ -0,0 +1,222 @@
+// Pure-JS deflate compression and checksums for the file formats written without browser APIs (PNG, ZIP)
+
+const WINDOW_SIZE = 32768;
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MAX_CHAIN = 64; // Earlier positions tried per match; boards repeat so much that short chains find long matches
+const HASH_SIZE = 1 << 15;
+
+const LENGTH_BASES = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA_BITS = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASES = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA_BITS = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+let crcTable = null;
+
+/**
+ * Writes bit fields least significant bit first, as deflate streams are packed
+ */
+class BitWriter {
+  constructor(capacity = 1024) {
+    this.bytes = new Uint8Array(capacity);
+    this.length = 0;
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+  }
+
+  /**
+   * Append a value in the given number of bits, low bits first
+   * @param {number} value - Bits to write
+   * @param {number} count - Number of bits (at most 24)
+   */
+  writeBits(value, count) {
+    this.bitBuffer |= value << this.bitCount;
+    this.bitCount += count;
+    while (this.bitCount >= 8) {
+      this.pushByte(this.bitBuffer & 0xff);
+      this.bitBuffer >>>= 8;
+      this.bitCount -= 8;
+    }
+  }
+
+  /**
+   * Append a Huffman code, which deflate stores most significant bit first
+   * @param {number} code - Huffman code
+   * @param {number} count - Code length in bits
+   */
+  writeCode(code, count) {
+    let reversed = 0;
+    for (let i = 0; i < count; i++) {
+      reversed = (reversed << 1) | ((code >> i) & 1);
+    }
+    this.writeBits(reversed, count);
+  }
+
+  pushByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  /**
+   * Pad the last byte with zero bits and return everything written
+   * @returns {Uint8Array} Written bytes
+   */
+  finish() {
+    if (this.bitCount > 0) this.pushByte(this.bitBuffer & 0xff);
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+/**
+ * Write a literal byte or length/end-of-block symbol with the fixed Huffman code
+ * @param {BitWriter} writer - Output
+ * @param {number} symbol - Literal/length symbol (0-287)
+ */
+function writeFixedSymbol(writer, symbol) {
+  if (symbol < 144) writer.writeCode(0x30 + symbol, 8);
+  else if (symbol < 256) writer.writeCode(0x190 + symbol - 144, 9);
+  else if (symbol < 280) writer.writeCode(symbol - 256, 7);
+  else writer.writeCode(0xc0 + symbol - 280, 8);
+}
+
+/**
+ * Write a back-reference as a length and a distance
+ * @param {BitWriter} writer - Output
+ * @param {number} length - Match length (3-258)
+ * @param {number} distance - Distance back (1-32768)
+ */
+function writeMatch(writer, length, distance) {
+  let lengthCode = LENGTH_BASES.length - 1;
+  while (LENGTH_BASES[lengthCode] > length) lengthCode--;
+  writeFixedSymbol(writer, 257 + lengthCode);
+  if (LENGTH_EXTRA_BITS[lengthCode]) writer.writeBits(length - LENGTH_BASES[lengthCode], LENGTH_EXTRA_BITS[lengthCode]);
+
+  let distanceCode = DISTANCE_BASES.length - 1;
+  while (DISTANCE_BASES[distanceCode] > distance) distanceCode--;
+  writer.writeCode(distanceCode, 5);
+  if (DISTANCE_EXTRA_BITS[distanceCode]) writer.writeBits(distance - DISTANCE_BASES[distanceCode], DISTANCE_EXTRA_BITS[distanceCode]);
+}
+
+/**
+ * Compress bytes into a raw deflate stream (RFC 1951): one block with the
+ * fixed Huffman codes and back-references found through hash chains. Rendered
+ * boards are mostly long runs and repeated rows, which this handles well
+ * without building custom code tables.
+ * @param {Uint8Array} data - Bytes to compress
+ * @returns {Uint8Array} Raw deflate stream
+ */
+export function deflateRaw(data) {
+  const writer = new BitWriter(Math.max(1024, data.length >> 2));
+  writer.writeBits(1, 1); // Final block
+  writer.writeBits(1, 2); // Fixed Huffman codes
+
+  const head = new Int32Array(HASH_SIZE).fill(-1);
+  const previous = new Int32Array(WINDOW_SIZE);
+  const hashAt = i => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & (HASH_SIZE - 1);
+  const insert = i => {
+    if (i + MIN_MATCH > data.length) return;
+    const hash = hashAt(i);
+    previous[i & (WINDOW_SIZE - 1)] = head[hash];
+    head[hash] = i;
+  };
+
+  let i = 0;
+  while (i < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+
+    if (i + MIN_MATCH <= data.length) {
+      const maxLength = Math.min(MAX_MATCH, data.length - i);
+      let candidate = head[hashAt(i)];
+      for (let chain = 0; candidate >= 0 && i - candidate <= WINDOW_SIZE && chain < MAX_CHAIN; chain++) {
+        if (data[candidate + bestLength] === data[i + bestLength]) {
+          let length = 0;
+          while (length < maxLength && data[candidate + length] === data[i + length]) length++;
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = i - candidate;
+            if (length === maxLength) break;
+          }
+        }
+        candidate = previous[candidate & (WINDOW_SIZE - 1)];
+      }
+    }
+
+    if (bestLength >= MIN_MATCH) {
+      writeMatch(writer, bestLength, bestDistance);
+      for (let j = 0; j < bestLength; j++) insert(i + j);
+      i += bestLength;
+    } else {
+      writeFixedSymbol(writer, data[i]);
+      insert(i);
+      i++;
+    }
+  }
+
+  writeFixedSymbol(writer, 256); // End of block
+  return writer.finish();
+}
+
+/**
+ * Adler-32 checksum, as used by zlib streams
+ * @param {Uint8Array} data - Bytes to check
+ * @returns {number} Unsigned checksum
+ */
+export function adler32(data) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length; i++) {
+    a = (a + data[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * CRC-32 checksum, as used by PNG chunks and ZIP entries
+ * @param {Uint8Array} data - Bytes to check
+ * @param {number} crc - Running checksum to continue from
+ * @returns {number} Unsigned checksum
+ */
+export function crc32(data, crc = 0) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let c = (crc ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < data.length; i++) {
+    c = crcTable[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compress bytes into a zlib stream (RFC 1950): a deflate stream with a
+ * two-byte header and an Adler-32 trailer
+ * @param {Uint8Array} data - Bytes to compress
+ * @returns {Uint8Array} zlib stream
+ */
+export function zlibDeflate(data) {
+  const compressed = deflateRaw(data);
+  const output = new Uint8Array(compressed.length + 6);
+  output[0] = 0x78;
+  output[1] = 0x01;
+  output.set(compressed, 2);
+  const checksum = adler32(data);
+  output[output.length - 4] = checksum >>> 24;
+  output[output.length - 3] = (checksum >>> 16) & 0xff;
+  output[output.length - 2] = (checksum >>> 8) & 0xff;
+  output[output.length - 1] = checksum & 0xff;
+  return output;
+}
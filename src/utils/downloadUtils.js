@@ -0,0 +1,22 @@
+// Browser download helpers for exported files
+
+/**
+ * Offer content to the user as a file download
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob|ArrayBuffer|Uint8Array} content - File content
+ * @param {string} mimeType - MIME type used when content is not already a Blob
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
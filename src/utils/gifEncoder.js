@@ -0,0 +1,266 @@
+// Animated GIFs written in pure JS, for exporting runs of the board
+const MAX_CODE_SIZE = 12;
+const MAX_CODES = 1 << MAX_CODE_SIZE;
+const MAX_COLORS = 256;
+
+/**
+ * Collects bytes into the 255-byte sub-blocks GIF data is split into
+ */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(4096);
+    this.length = 0;
+  }
+
+  writeByte(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  writeBytes(bytes) {
+    for (let i = 0; i < bytes.length; i++) this.writeByte(bytes[i]);
+  }
+
+  writeUint16(value) {
+    this.writeByte(value & 0xff);
+    this.writeByte((value >> 8) & 0xff);
+  }
+
+  writeString(text) {
+    for (let i = 0; i < text.length; i++) this.writeByte(text.charCodeAt(i));
+  }
+
+  /**
+   * Write data as length-prefixed sub-blocks followed by the block terminator
+   * @param {Uint8Array} data - Data to split
+   */
+  writeSubBlocks(data) {
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.subarray(i, i + 255);
+      this.writeByte(block.length);
+      this.writeBytes(block);
+    }
+    this.writeByte(0);
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Compress palette indices with GIF's variable-width LZW
+ * @param {Uint8Array} indices - Palette index of each pixel
+ * @param {number} minCodeSize - Bits per palette index (2-8)
+ * @returns {Uint8Array} LZW data, before splitting into sub-blocks
+ */
+export function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  const emit = code => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      output.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  if (indices.length > 0) {
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const index = indices[i];
+      const key = (prefix << 8) | index;
+      const existing = table.get(key);
+      if (existing !== undefined) {
+        prefix = existing;
+        continue;
+      }
+
+      emit(prefix);
+      if (nextCode === MAX_CODES) {
+        // Table full: start over, as decoders expect
+        emit(clearCode);
+        table = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      } else {
+        if (nextCode >= 1 << codeSize) codeSize++;
+        table.set(key, nextCode++);
+      }
+      prefix = index;
+    }
+    emit(prefix);
+  }
+  emit(endCode);
+  if (bitCount > 0) output.push(bitBuffer & 0xff);
+  return Uint8Array.from(output);
+}
+
+/**
+ * 3-3-2 bit color cube used once a run has more than 256 colors
+ * @param {number} color - 0xRRGGBB
+ * @returns {number} Palette index
+ */
+function toColorCubeIndex(color) {
+  return ((color >> 21) << 5) | (((color >> 13) & 7) << 2) | ((color >> 6) & 3);
+}
+
+const COLOR_CUBE = Array.from({ length: MAX_COLORS }, (_, index) => {
+  const r = Math.round(((index >> 5) & 7) * 255 / 7);
+  const g = Math.round(((index >> 2) & 7) * 255 / 7);
+  const b = Math.round((index & 3) * 255 / 3);
+  return (r << 16) | (g << 8) | b;
+});
+
+/**
+ * Builds an animated GIF a frame at a time. Frames are kept as palette
+ * indices (one byte per pixel) until the palette is final: the exact colors
+ * while there are at most 256 of them, otherwise a fixed 3-3-2 bit color cube.
+ */
+export class GifEncoder {
+  /**
+   * @param {Object} options - {width, height, delay: hundredths of a second per frame, loop: repeat count, 0 for forever}
+   */
+  constructor({ width, height, delay = 10, loop = 0 }) {
+    this.width = width;
+    this.height = height;
+    this.delay = delay;
+    this.loop = loop;
+    this.colors = [];
+    this.colorIndices = new Map();
+    this.quantized = false;
+    this.frames = [];
+  }
+
+  /**
+   * Add a frame
+   * @param {Uint8Array|Uint8ClampedArray} rgba - width x height pixels, four bytes each (as from getImageData)
+   * @throws {Error} When the frame has the wrong size
+   */
+  addFrame(rgba) {
+    if (rgba.length !== this.width * this.height * 4) {
+      throw new Error(`Frame ${this.frames.length} has ${rgba.length / 4} pixels, expected ${this.width}x${this.height}`);
+    }
+
+    const indices = new Uint8Array(this.width * this.height);
+    for (let i = 0; i < indices.length; i++) {
+      const color = (rgba[i * 4] << 16) | (rgba[i * 4 + 1] << 8) | rgba[i * 4 + 2];
+      if (this.quantized) {
+        indices[i] = toColorCubeIndex(color);
+        continue;
+      }
+
+      let index = this.colorIndices.get(color);
+      if (index === undefined) {
+        if (this.colors.length === MAX_COLORS) {
+          this.switchToColorCube(indices, i);
+          i--; // Map this pixel again with the color cube
+          continue;
+        }
+        index = this.colors.length;
+        this.colors.push(color);
+        this.colorIndices.set(color, index);
+      }
+      indices[i] = index;
+    }
+    this.frames.push(indices);
+  }
+
+  /**
+   * Remap the frames added so far, and the start of the current one, onto the color cube
+   * @param {Uint8Array} current - Indices of the frame being added
+   * @param {number} mapped - Number of pixels of the current frame already mapped
+   */
+  switchToColorCube(current, mapped) {
+    const remap = Uint8Array.from(this.colors, toColorCubeIndex);
+    this.frames.forEach(frame => {
+      for (let i = 0; i < frame.length; i++) frame[i] = remap[frame[i]];
+    });
+    for (let i = 0; i < mapped; i++) current[i] = remap[current[i]];
+    this.colors = COLOR_CUBE;
+    this.colorIndices = null;
+    this.quantized = true;
+  }
+
+  /**
+   * Write the GIF file
+   * @returns {Uint8Array} GIF file bytes
+   * @throws {Error} When no frames were added
+   */
+  finish() {
+    if (this.frames.length === 0) throw new Error('A GIF needs at least one frame');
+
+    const tableBits = Math.max(1, Math.ceil(Math.log2(this.colors.length)));
+    const minCodeSize = Math.max(2, tableBits);
+
+    const writer = new ByteWriter();
+    writer.writeString('GIF89a');
+    writer.writeUint16(this.width);
+    writer.writeUint16(this.height);
+    writer.writeByte(0xf0 | (tableBits - 1)); // Global color table, 8-bit color resolution
+    writer.writeByte(0); // Background color index
+    writer.writeByte(0); // No aspect ratio
+
+    for (let i = 0; i < 1 << tableBits; i++) {
+      const color = this.colors[i] || 0;
+      writer.writeByte(color >> 16);
+      writer.writeByte((color >> 8) & 0xff);
+      writer.writeByte(color & 0xff);
+    }
+
+    // Netscape extension: loop the animation
+    writer.writeBytes([0x21, 0xff, 0x0b]);
+    writer.writeString('NETSCAPE2.0');
+    writer.writeBytes([0x03, 0x01]);
+    writer.writeUint16(this.loop);
+    writer.writeByte(0);
+
+    for (const indices of this.frames) {
+      // Graphic control extension: frame delay, each frame replaces the last
+      writer.writeBytes([0x21, 0xf9, 0x04, 0x04]);
+      writer.writeUint16(this.delay);
+      writer.writeBytes([0x00, 0x00]);
+
+      // Image descriptor covering the whole screen, using the global color table
+      writer.writeByte(0x2c);
+      writer.writeUint16(0);
+      writer.writeUint16(0);
+      writer.writeUint16(this.width);
+      writer.writeUint16(this.height);
+      writer.writeByte(0);
+
+      writer.writeByte(minCodeSize);
+      writer.writeSubBlocks(lzwEncode(indices, minCodeSize));
+    }
+
+    writer.writeByte(0x3b); // Trailer
+    return writer.toBytes();
+  }
+}
+
+/**
+ * Encode RGBA frames as a looping animated GIF
+ * @param {Array<Uint8Array|Uint8ClampedArray>} frames - Frames of width x height pixels, four bytes each
+ * @param {Object} options - {width, height, delay, loop} as for GifEncoder
+ * @returns {Uint8Array} GIF file bytes
+ * @throws {Error} When there are no frames or a frame has the wrong size
+ */
+export function encodeGif(frames, options) {
+  const encoder = new GifEncoder(options);
+  frames.forEach(frame => encoder.addFrame(frame));
+  return encoder.finish();
+}
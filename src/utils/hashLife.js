@@ -0,0 +1,341 @@
+// HashLife engine: quadtree with memoized supersteps for fast-forwarding the board
+import { PackedGrid, toPackedGrid } from './packedGrid.js';
+import { resolveRule, isGenerationsRule } from './lifeRules.js';
+
+const DEFAULT_MAX_NODES = 1000000;
+
+/**
+ * Quadtree node. Level 0 nodes are single cells; a level k node covers a
+ * 2^k x 2^k square split into four level k-1 quadrants.
+ */
+class QuadNode {
+  constructor(id, level, nw, ne, sw, se, population) {
+    this.id = id;
+    this.level = level;
+    this.nw = nw;
+    this.ne = ne;
+    this.sw = sw;
+    this.se = se;
+    this.population = population;
+  }
+}
+
+const DEAD_CELL = new QuadNode(0, 0, null, null, null, null, 0);
+const LIVE_CELL = new QuadNode(1, 0, null, null, null, null, 1);
+
+/**
+ * HashLife engine for a bounded board.
+ *
+ * Nodes are hash-consed so identical regions share one node, and the result of
+ * advancing a node is memoized. To match GameService.nextGeneration exactly, the
+ * board edge is honoured: cells outside [0, width) x [0, height) are dead every
+ * generation. Nodes lying fully inside the board are position independent and
+ * share one cache entry; nodes straddling the edge are cached per position.
+ *
+ * Any two-state Life-like rule without B0 is supported: an empty region must
+ * stay empty, and a cell must be fully described by one bit.
+ */
+export class HashLifeEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {number} options.maxNodes - Node count above which caches are flushed between jumps
+   */
+  constructor(options = {}) {
+    this.maxNodes = options.maxNodes || DEFAULT_MAX_NODES;
+    this.clearCache();
+  }
+
+  /**
+   * Drop all interned nodes and memoized results
+   */
+  clearCache() {
+    this.nodes = new Map();
+    this.nextId = 2;
+    this.results = new Map();
+    this.edgeResults = new Map();
+    this.emptyNodes = [DEAD_CELL];
+    this.boardWidth = 0;
+    this.boardHeight = 0;
+    this.rule = resolveRule(null);
+  }
+
+  /**
+   * Number of interned nodes (useful for diagnostics)
+   * @returns {number} Node count
+   */
+  get nodeCount() {
+    return this.nodes.size;
+  }
+
+  /**
+   * Get the canonical node with the given quadrants
+   * @returns {QuadNode} Interned node
+   */
+  join(nw, ne, sw, se) {
+    const key = `${nw.id},${ne.id},${sw.id},${se.id}`;
+    let node = this.nodes.get(key);
+    if (!node) {
+      node = new QuadNode(
+        this.nextId++,
+        nw.level + 1,
+        nw, ne, sw, se,
+        nw.population + ne.population + sw.population + se.population
+      );
+      this.nodes.set(key, node);
+    }
+    return node;
+  }
+
+  /**
+   * Get the empty node of a level
+   * @param {number} level - Node level
+   * @returns {QuadNode} Empty node
+   */
+  empty(level) {
+    while (this.emptyNodes.length <= level) {
+      const child = this.emptyNodes[this.emptyNodes.length - 1];
+      this.emptyNodes.push(this.join(child, child, child, child));
+    }
+    return this.emptyNodes[level];
+  }
+
+  /**
+   * Build a quadtree covering the square at (x, y) from a packed grid
+   */
+  buildNode(grid, level, x, y) {
+    const size = 1 << level;
+    if (x >= grid.width || y >= grid.height || x + size <= 0 || y + size <= 0) {
+      return this.empty(level);
+    }
+    if (level === 0) {
+      return grid.get(x, y) ? LIVE_CELL : DEAD_CELL;
+    }
+
+    const half = size >> 1;
+    return this.join(
+      this.buildNode(grid, level - 1, x, y),
+      this.buildNode(grid, level - 1, x + half, y),
+      this.buildNode(grid, level - 1, x, y + half),
+      this.buildNode(grid, level - 1, x + half, y + half)
+    );
+  }
+
+  /**
+   * Write the live cells of a node positioned at (x, y) into a packed grid
+   */
+  writeNode(node, x, y, grid) {
+    if (node.population === 0) return;
+    if (node.level === 0) {
+      grid.set(x, y, 1);
+      return;
+    }
+
+    const half = 1 << (node.level - 1);
+    this.writeNode(node.nw, x, y, grid);
+    this.writeNode(node.ne, x + half, y, grid);
+    this.writeNode(node.sw, x, y + half, grid);
+    this.writeNode(node.se, x + half, y + half, grid);
+  }
+
+  /**
+   * Level k-1 node straddling the boundary between two horizontally adjacent nodes
+   */
+  centeredHorizontal(west, east) {
+    return this.join(west.ne, east.nw, west.se, east.sw);
+  }
+
+  /**
+   * Level k-1 node straddling the boundary between two vertically adjacent nodes
+   */
+  centeredVertical(north, south) {
+    return this.join(north.sw, north.se, south.nw, south.ne);
+  }
+
+  /**
+   * Level k-1 node at the center of a level k node
+   */
+  centered(node) {
+    return this.join(node.nw.se, node.ne.sw, node.sw.ne, node.se.nw);
+  }
+
+  /**
+   * Advance the 4x4 node at (x, y) by one generation and return its 2x2 center
+   */
+  stepBase(node, x, y) {
+    const cells = [
+      [node.nw.nw, node.nw.ne, node.ne.nw, node.ne.ne],
+      [node.nw.sw, node.nw.se, node.ne.sw, node.ne.se],
+      [node.sw.nw, node.sw.ne, node.se.nw, node.se.ne],
+      [node.sw.sw, node.sw.se, node.se.sw, node.se.se]
+    ].map(row => row.map(cell => cell.population));
+
+    const nextCell = (row, col) => {
+      const cellX = x + col;
+      const cellY = y + row;
+      if (cellX < 0 || cellY < 0 || cellX >= this.boardWidth || cellY >= this.boardHeight) {
+        return DEAD_CELL;
+      }
+
+      // Isotropic non-totalistic rules look up the whole 3x3 neighbourhood
+      if (this.rule.transitions) {
+        let neighbourhood = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            neighbourhood |= cells[row + dy][col + dx] << ((dy + 1) * 3 + dx + 1);
+          }
+        }
+        return this.rule.transitions[neighbourhood] ? LIVE_CELL : DEAD_CELL;
+      }
+
+      let neighbors = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx !== 0 || dy !== 0) neighbors += cells[row + dy][col + dx];
+        }
+      }
+
+      const mask = cells[row][col] === 1 ? this.rule.survivalMask : this.rule.birthMask;
+      return (mask >>> neighbors) & 1 ? LIVE_CELL : DEAD_CELL;
+    };
+
+    return this.join(nextCell(1, 1), nextCell(1, 2), nextCell(2, 1), nextCell(2, 2));
+  }
+
+  /**
+   * Advance the level k node at (x, y) by 2^stepLog2 generations (stepLog2 <= k - 2)
+   * and return its level k-1 center.
+   */
+  step(node, x, y, stepLog2) {
+    const level = node.level;
+    if (node.population === 0) return this.empty(level - 1);
+
+    const size = 1 << level;
+    const interior = x >= 0 && y >= 0 && x + size <= this.boardWidth && y + size <= this.boardHeight;
+    const cache = interior ? this.results : this.edgeResults;
+    const key = interior ? `${node.id}:${stepLog2}` : `${node.id}:${stepLog2}:${x},${y}`;
+
+    const cached = cache.get(key);
+    if (cached) return cached;
+
+    let result;
+    if (level === 2) {
+      result = this.stepBase(node, x, y);
+    } else {
+      const quarter = size >> 2;
+      const eighth = quarter >> 1;
+
+      // Nine overlapping level k-1 sub-squares in row-major order
+      const subSquares = [
+        node.nw, this.centeredHorizontal(node.nw, node.ne), node.ne,
+        this.centeredVertical(node.nw, node.sw), this.centered(node), this.centeredVertical(node.ne, node.se),
+        node.sw, this.centeredHorizontal(node.sw, node.se), node.se
+      ];
+
+      const fullStep = stepLog2 === level - 2;
+      const innerStep = fullStep ? level - 3 : stepLog2;
+
+      // Each sub-result is a level k-2 square centered in its sub-square
+      const r = subSquares.map((sub, index) => {
+        const col = index % 3;
+        const row = Math.floor(index / 3);
+        return this.step(sub, x + col * quarter, y + row * quarter, innerStep);
+      });
+
+      const combine = (a, b, c, d, offsetX, offsetY) => {
+        const joined = this.join(a, b, c, d);
+        // Full supersteps advance the combined square a second time; partial steps just crop it
+        return fullStep
+          ? this.step(joined, x + eighth + offsetX, y + eighth + offsetY, innerStep)
+          : this.centered(joined);
+      };
+
+      result = this.join(
+        combine(r[0], r[1], r[3], r[4], 0, 0),
+        combine(r[1], r[2], r[4], r[5], quarter, 0),
+        combine(r[3], r[4], r[6], r[7], 0, quarter),
+        combine(r[4], r[5], r[7], r[8], quarter, quarter)
+      );
+    }
+
+    cache.set(key, result);
+    return result;
+  }
+
+  /**
+   * Advance a board by any number of generations
+   * @param {PackedGrid|number[][]} grid - Board to advance (not modified)
+   * @param {number} generations - Number of generations to advance
+   * @param {string|Object} rule - Optional Life-like rule; defaults to Conway's Life
+   * @returns {PackedGrid} Board after the given number of generations
+   * @throws {Error} For rules with B0, where empty space does not stay empty, and Generations rules
+   */
+  advance(grid, generations, rule = null) {
+    const parsedRule = resolveRule(rule);
+    if (parsedRule.birthMask & 1) {
+      throw new Error(`HashLife cannot run B0 rules (${parsedRule.rule})`);
+    }
+    if (isGenerationsRule(parsedRule)) {
+      throw new Error(`HashLife cannot run multi-state rules (${parsedRule.rule})`);
+    }
+
+    const packed = toPackedGrid(grid);
+    const steps = Math.max(0, Math.floor(generations));
+    if (steps === 0 || packed.width === 0 || packed.height === 0) return packed.clone();
+
+    if (this.nodes.size > this.maxNodes) {
+      this.clearCache();
+    }
+
+    // Memoized results are only valid for the rule they were computed under
+    if (parsedRule.rule !== this.rule.rule) {
+      this.results = new Map();
+      this.edgeResults = new Map();
+      this.rule = parsedRule;
+    }
+
+    // Position-dependent results are only valid for one board size
+    if (packed.width !== this.boardWidth || packed.height !== this.boardHeight) {
+      this.edgeResults = new Map();
+      this.boardWidth = packed.width;
+      this.boardHeight = packed.height;
+    }
+
+    // The root keeps the board inside its center half, so each step result covers the whole board
+    const boardLevel = Math.max(1, Math.ceil(Math.log2(Math.max(packed.width, packed.height))));
+    const highestStep = Math.floor(Math.log2(steps));
+    const level = Math.max(boardLevel + 1, highestStep + 2, 3);
+    const origin = -(1 << (level - 2));
+
+    let root = this.buildNode(packed, level, origin, origin);
+    const border = this.empty(level - 2);
+
+    for (let stepLog2 = highestStep; stepLog2 >= 0; stepLog2--) {
+      if (Math.floor(steps / 2 ** stepLog2) % 2 === 0) continue;
+
+      const center = this.step(root, origin, origin, stepLog2);
+      root = this.join(
+        this.join(border, border, border, center.nw),
+        this.join(border, border, center.ne, border),
+        this.join(border, center.sw, border, border),
+        this.join(center.se, border, border, border)
+      );
+    }
+
+    const result = new PackedGrid(packed.width, packed.height);
+    this.writeNode(root, origin, origin, result);
+    return result;
+  }
+}
+
+let sharedEngine = null;
+
+/**
+ * Get the engine shared by the app so memoized results survive between jumps
+ * @returns {HashLifeEngine} Shared engine instance
+ */
+export const getSharedHashLifeEngine = () => {
+  if (!sharedEngine) {
+    sharedEngine = new HashLifeEngine();
+  }
+  return sharedEngine;
+};
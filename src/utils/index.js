@@ -3,4 +3,21 @@ export * from './canvasUtils.js';
 export * from './rleUtils.js';
 export * from './canvasRenderer.js';
 export * from './memoUtils.js';
-
+export * from './packedGrid.js';
+export * from './hashLife.js';
+export * from './lifeRules.js';
+export * from './topology.js';
+export * from './sparseUniverse.js';
+export * from './cycleDetector.js';
+export * from './downloadUtils.js';
+export * from './plaintextUtils.js';
+export * from './lifeFileUtils.js';
+export * from './macrocellUtils.js';
+export * from './patternFormats.js';
+export * from './deflate.js';
+export * from './gifEncoder.js';
+export * from './pngEncoder.js';
+export * from './zipWriter.js';
+export * from './svgRenderer.js';
+export * from './bitmapImport.js';
+export * from './apgcode.js';
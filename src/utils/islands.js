@@ -0,0 +1,155 @@
+// Island utilities: splitting live cells into connected objects and running them in isolation
+import { CENSUS_CONSTANTS, CENSUS_KIND, CYCLE_TYPE } from '../constants/gameConstants.js';
+import { SparseUniverse } from './sparseUniverse.js';
+import { CycleDetector } from './cycleDetector.js';
+import { isGenerationsRule } from './lifeRules.js';
+
+// The 8 rotations and reflections of a cell offset (or of a velocity)
+export const ORIENTATIONS = [
+  (x, y) => [x, y],
+  (x, y) => [-y, x],
+  (x, y) => [-x, -y],
+  (x, y) => [y, -x],
+  (x, y) => [-x, y],
+  (x, y) => [x, -y],
+  (x, y) => [y, x],
+  (x, y) => [-y, -x]
+];
+
+const CYCLE_KINDS = {
+  [CYCLE_TYPE.STABLE]: CENSUS_KIND.STILL_LIFE,
+  [CYCLE_TYPE.OSCILLATING]: CENSUS_KIND.OSCILLATOR,
+  [CYCLE_TYPE.TRANSLATING]: CENSUS_KIND.SPACESHIP
+};
+
+/**
+ * Compute the bounds and shape key of an island
+ * @param {Array} cells - Array of [x, y]
+ * @returns {Object} {cells, minX, minY, maxX, maxY, key}
+ */
+export function describeIsland(cells) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  cells.forEach(([x, y]) => {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  });
+  const offsets = cells
+    .map(([x, y]) => [x - minX, y - minY])
+    .sort((a, b) => a[1] - b[1] || a[0] - b[0])
+    .map(([x, y]) => `${x},${y}`);
+  return { cells, minX, minY, maxX, maxY, key: `${maxX - minX + 1}x${maxY - minY + 1}:${offsets.join(';')}` };
+}
+
+/**
+ * Split cells into islands of 8-connected cells
+ * @param {Array} cells - Array of [x, y]
+ * @returns {Array} Islands {cells, minX, minY, maxX, maxY, key}; the key identifies the shape up to translation
+ */
+export function findIslands(cells) {
+  const remaining = new Set(cells.map(([x, y]) => `${x},${y}`));
+  const islands = [];
+
+  cells.forEach(([startX, startY]) => {
+    if (!remaining.delete(`${startX},${startY}`)) return;
+
+    const islandCells = [];
+    const stack = [[startX, startY]];
+    while (stack.length > 0) {
+      const [x, y] = stack.pop();
+      islandCells.push([x, y]);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const neighbour = `${x + dx},${y + dy}`;
+          if (remaining.delete(neighbour)) stack.push([x + dx, y + dy]);
+        }
+      }
+    }
+    islands.push(describeIsland(islandCells));
+  });
+
+  return islands;
+}
+
+/**
+ * Collect the island of live cells around a starting cell, giving up once it
+ * grows past a size limit. A reach above 1 also joins cells separated by gaps,
+ * like the detached cells of some spaceship phases.
+ * @param {Function} isAlive - Called with (x, y), truthy for live cells
+ * @param {number} startX - Column of a live cell
+ * @param {number} startY - Row of a live cell
+ * @param {number} maxCells - Largest island to collect
+ * @param {number} reach - Largest distance (in either axis) between neighbouring cells of the island
+ * @returns {Array|null} Array of [x, y], or null if the island is larger than maxCells
+ */
+export function floodFillIsland(isAlive, startX, startY, maxCells, reach = 1) {
+  const visited = new Set([`${startX},${startY}`]);
+  const cells = [];
+  const stack = [[startX, startY]];
+
+  while (stack.length > 0) {
+    const [x, y] = stack.pop();
+    cells.push([x, y]);
+    if (cells.length > maxCells) return null;
+
+    for (let dy = -reach; dy <= reach; dy++) {
+      for (let dx = -reach; dx <= reach; dx++) {
+        const key = `${x + dx},${y + dy}`;
+        if (!visited.has(key) && isAlive(x + dx, y + dy)) {
+          visited.add(key);
+          stack.push([x + dx, y + dy]);
+        }
+      }
+    }
+  }
+
+  return cells;
+}
+
+/**
+ * Run an object on its own to collect its phases and classify it. Objects that
+ * do not repeat within MAX_PHASES (guns, puffers) keep, in every phase, only
+ * the islands that reach into their starting bounding box, so emitted debris
+ * is left to be identified on its own once it has moved away. Objects that
+ * only settle into a cycle after a few generations keep the phases of that
+ * cycle, not the transient shapes before it.
+ * @param {Array} cells - Array of [x, y] live cells
+ * @param {Object} rule - Parsed rule
+ * @returns {Object} {phases: arrays of [x, y], kind, period, dx, dy, since}; dx and dy are the displacement per period of a spaceship, since is the first generation of the cycle (null if it does not repeat)
+ */
+export function collectPhases(cells, rule) {
+  // Decaying states cannot run in an unbounded universe; such objects are matched as drawn
+  if (isGenerationsRule(rule) || (rule.birthMask & 1)) {
+    return { phases: [cells], kind: CENSUS_KIND.OTHER, period: null, dx: 0, dy: 0, since: null };
+  }
+
+  let universe = SparseUniverse.fromCellArray(cells.map(([x, y]) => [y, x]));
+  const detector = new CycleDetector({ maxPeriod: CENSUS_CONSTANTS.MAX_PHASES });
+  const phases = [];
+
+  for (let generation = 0; generation <= CENSUS_CONSTANTS.MAX_PHASES; generation++) {
+    const cycle = detector.observe(universe, generation);
+    if (cycle) {
+      const kind = universe.isEmpty() ? CENSUS_KIND.OTHER : CYCLE_KINDS[cycle.type];
+      return { phases: phases.slice(cycle.since), kind, period: cycle.period, dx: cycle.dx, dy: cycle.dy, since: cycle.since };
+    }
+    const phase = [];
+    universe.forEachAlive((x, y) => phase.push([x, y]));
+    phases.push(phase);
+    universe = universe.step(rule);
+  }
+
+  const start = describeIsland(cells);
+  const inStartBox = ([x, y]) => x >= start.minX && x <= start.maxX && y >= start.minY && y <= start.maxY;
+  return {
+    phases: phases.map(phase => findIslands(phase)
+      .filter(island => island.cells.some(inStartBox))
+      .flatMap(island => island.cells)),
+    kind: CENSUS_KIND.OTHER,
+    period: null,
+    dx: 0,
+    dy: 0,
+    since: null
+  };
+}
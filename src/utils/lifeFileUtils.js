@@ -0,0 +1,199 @@
+// Life 1.05 and Life 1.06 pattern files
+import { parseRule, isConwayRule, DEFAULT_RULE } from './lifeRules.js';
+
+/**
+ * Turn absolute live cells into pattern data relative to their top-left corner
+ * @param {Array} cells - Array of [x, y]
+ * @returns {Object} {pattern: Array of [y, x], width, height, position: {x, y} of the corner, or null without cells}
+ */
+function normalizeCells(cells) {
+  if (cells.length === 0) return { pattern: [], width: 0, height: 0, position: null };
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  cells.forEach(([x, y]) => {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  });
+
+  const unique = new Map();
+  cells.forEach(([x, y]) => unique.set(`${x},${y}`, [y - minY, x - minX]));
+  const pattern = [...unique.values()].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  return { pattern, width: maxX - minX + 1, height: maxY - minY + 1, position: { x: minX, y: minY } };
+}
+
+/**
+ * Get the live cells of a pattern in absolute coordinates
+ * @param {Object} patternData - {pattern: Array of [y, x] or [y, x, state], position}
+ * @returns {Array} Array of [x, y]; decaying states are left out
+ */
+function getAbsoluteCells({ pattern = [], position = null }) {
+  const offsetX = position ? position.x : 0;
+  const offsetY = position ? position.y : 0;
+  return pattern
+    .filter(([, , state]) => !state || state === 1)
+    .map(([y, x]) => [x + offsetX, y + offsetY]);
+}
+
+/**
+ * Build the pattern data returned by the readers
+ * @param {Array} cells - Absolute live cells [x, y]
+ * @param {Object} details - {name, comments, rule}
+ * @returns {Object} Pattern data shaped like parseRLEFile's
+ */
+function createPatternData(cells, { name = '', comments = [], rule = null }) {
+  return {
+    name: name || 'Unknown Pattern',
+    author: null,
+    comments,
+    ...normalizeCells(cells),
+    rule,
+    generation: null,
+    guidanceLines: [],
+    guidanceLine: null
+  };
+}
+
+/**
+ * Attach the diagnostics of a strict parse to its pattern data
+ * @param {Object} patternData - Pattern data
+ * @param {Array} diagnostics - Array of {line, column, reason}
+ * @param {boolean} strict - Whether the parse was strict
+ * @returns {Object} Pattern data, with diagnostics when strict
+ */
+function withDiagnostics(patternData, diagnostics, strict) {
+  return strict ? { ...patternData, diagnostics } : patternData;
+}
+
+/**
+ * Parse Life 1.06 content: a "#Life 1.06" line followed by one "x y" live cell per line.
+ * The pattern is made relative to its top-left cell, whose coordinates become the position.
+ * @param {string} content - Raw file content
+ * @param {Object} options - {strict: list lines that are not cells in diagnostics}
+ * @returns {Object} Pattern data shaped like parseRLEFile's, with diagnostics in strict mode
+ */
+export function parseLife106File(content, { strict = false } = {}) {
+  const cells = [];
+  const diagnostics = [];
+  content.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    const line = rawLine.trim();
+    const match = line.match(/^(-?\d+)\s+(-?\d+)$/);
+    if (match) {
+      cells.push([parseInt(match[1], 10), parseInt(match[2], 10)]);
+    } else if (line && !line.startsWith('#')) {
+      diagnostics.push({ line: lineIndex + 1, column: rawLine.indexOf(line) + 1, reason: `Expected "x y" cell coordinates, found "${line}"` });
+    }
+  });
+  return withDiagnostics(createPatternData(cells, {}), diagnostics, strict);
+}
+
+/**
+ * Write Life 1.06 content. The format carries live cells only: names,
+ * comments, rules and guidance lines are not written.
+ * @param {Object} patternData - {pattern: Array of [y, x] or [y, x, state], position: optional {x, y} of the top-left corner}
+ * @returns {string} File content ending in a newline
+ */
+export function encodeLife106File(patternData) {
+  const lines = ['#Life 1.06', ...getAbsoluteCells(patternData).map(([x, y]) => `${x} ${y}`)];
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse Life 1.05 content: "#D" description lines, "#N" (Conway's Life) or
+ * "#R survival/birth" rule lines, and blocks of '.' and '*' rows, each placed
+ * by the "#P x y" line before it. A "#D Name:" line gives the name.
+ * @param {string} content - Raw file content
+ * @param {Object} options - {strict: list lines that could not be read in diagnostics}
+ * @returns {Object} Pattern data shaped like parseRLEFile's, with diagnostics in strict mode
+ */
+export function parseLife105File(content, { strict = false } = {}) {
+  let name = '';
+  const comments = [];
+  let rule = null;
+  const cells = [];
+  let blockX = 0;
+  let blockY = 0;
+  let row = 0;
+  const diagnostics = [];
+
+  content.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    const line = rawLine.trim();
+    const report = (text, reason) => diagnostics.push({ line: lineIndex + 1, column: rawLine.indexOf(text) + 1, reason });
+    if (line.startsWith('#Life')) return;
+
+    if (line.startsWith('#D')) {
+      const comment = line.substring(2).trim();
+      const nameMatch = comment.match(/^Name:\s*(.*)$/i);
+      if (nameMatch) name = nameMatch[1].trim();
+      else comments.push(comment);
+    } else if (line.startsWith('#N')) {
+      rule = DEFAULT_RULE;
+    } else if (line.startsWith('#R')) {
+      const parsedRule = parseRule(line.substring(2).trim());
+      if (!parsedRule) {
+        console.warn(`Unrecognised rule "${line.substring(2).trim()}" in Life 1.05 pattern`);
+        report(line, `Unrecognised rule "${line.substring(2).trim()}"`);
+      }
+      rule = parsedRule ? parsedRule.rule : line.substring(2).trim();
+    } else if (line.startsWith('#P')) {
+      const match = line.substring(2).trim().match(/^(-?\d+)\s+(-?\d+)$/);
+      if (match) {
+        blockX = parseInt(match[1], 10);
+        blockY = parseInt(match[2], 10);
+        row = 0;
+      } else {
+        report(line, `Invalid block position "${line}"; expected "#P x y"`);
+      }
+    } else if (!line.startsWith('#') && /^[.*]+$/.test(line)) {
+      for (let x = 0; x < line.length; x++) {
+        if (line[x] === '*') cells.push([blockX + x, blockY + row]);
+      }
+      row++;
+    } else if (line && !line.startsWith('#')) {
+      const unexpected = line.search(/[^.*]/);
+      diagnostics.push({ line: lineIndex + 1, column: rawLine.indexOf(line) + unexpected + 1, reason: `Unexpected character "${line[unexpected]}" in a pattern row` });
+    }
+  });
+
+  return withDiagnostics(createPatternData(cells, { name, comments, rule }), diagnostics, strict);
+}
+
+/**
+ * Write Life 1.05 content as one block of '.' and '*' rows placed by a #P
+ * line. Names are written as a "#D Name:" line; guidance lines are not
+ * part of the format.
+ * @param {Object} patternData - {name, comments, rule, pattern: Array of [y, x] or [y, x, state], position: optional {x, y} of the top-left corner}
+ * @returns {string} File content ending in a newline
+ */
+export function encodeLife105File(patternData) {
+  const lines = ['#Life 1.05'];
+  if (patternData.name) lines.push(`#D Name: ${patternData.name}`);
+  (patternData.comments || []).forEach(comment => lines.push(comment ? `#D ${comment}` : '#D'));
+
+  const rule = patternData.rule ? parseRule(patternData.rule) : null;
+  if (!rule || isConwayRule(rule)) {
+    lines.push('#N');
+  } else if (rule.transitions || rule.states > 2) {
+    // Beyond what survival/birth counts can say; readers of this app still understand it
+    lines.push(`#R ${rule.rule}`);
+  } else {
+    // Life 1.05 lists survival counts first
+    const counts = mask => [...Array(9).keys()].filter(count => mask & (1 << count)).join('');
+    lines.push(`#R ${counts(rule.survivalMask)}/${counts(rule.birthMask)}`);
+  }
+
+  const { pattern, width, position } = normalizeCells(getAbsoluteCells(patternData));
+  if (position) {
+    const rows = [];
+    pattern.forEach(([y, x]) => {
+      while (rows.length <= y) rows.push(new Array(width).fill('.'));
+      rows[y][x] = '*';
+    });
+    lines.push(`#P ${position.x} ${position.y}`);
+    // Trailing dead cells of a row may be left out, but a row needs at least one cell
+    rows.forEach(cells => lines.push(cells.join('').replace(/\.+$/, '') || '.'));
+  }
+
+  return lines.join('\n') + '\n';
+}
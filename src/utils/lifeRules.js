@@ -0,0 +1,373 @@
+// Life-like rule parsing (B/S notation) for Game of Life variants, including
+// isotropic non-totalistic rules written in Hensel notation
+
+export const DEFAULT_RULE = 'B3/S23';
+
+// Generations rules may use up to 256 states (live, dead and 254 decaying states)
+export const MAX_RULE_STATES = 256;
+
+// Well-known rules that may be referred to by name
+const RULE_ALIASES = {
+  conway: 'B3/S23',
+  life: 'B3/S23',
+  highlife: 'B36/S23',
+  daynight: 'B3678/S34678',
+  seeds: 'B2/S',
+  lifewithoutdeath: 'B3/S012345678',
+  replicator: 'B1357/S1357',
+  '2x2': 'B36/S125',
+  maze: 'B3/S12345',
+  morley: 'B368/S245',
+  diamoeba: 'B35678/S5678',
+  briansbrain: 'B2/S/C3',
+  starwars: 'B2/S345/C4',
+  justfriends: 'B2-a/S12',
+  tlife: 'B3/S2-i34q'
+};
+
+const ruleCache = new Map();
+
+// Hensel notation letters for each neighbour count, in canonical order
+const HENSEL_LETTERS = ['', 'ce', 'ceaikn', 'ceaiknjqry', 'ceaiknjqrytwz', 'ceaiknjqry', 'ceaikn', 'ce', ''];
+
+// One representative neighbourhood per Hensel letter for counts 1-4, as a 3x3
+// row-major bitmask (bit 0 north-west, bit 4 the cell itself, bit 8 south-east).
+// Counts 5-8 use the complements of counts 3-0.
+const HENSEL_REPRESENTATIVES = [
+  [0],
+  [1, 2],
+  [5, 10, 3, 40, 33, 68],
+  [69, 42, 11, 7, 98, 13, 14, 70, 41, 97],
+  [325, 170, 15, 45, 99, 71, 106, 102, 43, 101, 105, 78, 108]
+];
+const NEIGHBOUR_BITS = 0x1EF; // All eight neighbours, without the centre bit
+const CENTRE_BIT = 0x10;
+
+let henselNeighbourhoods = null;
+
+/**
+ * Rotate or reflect a 3x3 neighbourhood bitmask
+ * @param {number} neighbourhood - 3x3 row-major bitmask
+ * @param {boolean} reflect - Mirror left to right before rotating
+ * @param {number} quarterTurns - Number of clockwise quarter turns
+ * @returns {number} Transformed bitmask
+ */
+function transformNeighbourhood(neighbourhood, reflect, quarterTurns) {
+  let result = 0;
+  for (let bit = 0; bit < 9; bit++) {
+    if (!(neighbourhood & (1 << bit))) continue;
+    let row = Math.floor(bit / 3);
+    let col = reflect ? 2 - (bit % 3) : bit % 3;
+    for (let turn = 0; turn < quarterTurns; turn++) {
+      [row, col] = [col, 2 - row];
+    }
+    result |= 1 << (row * 3 + col);
+  }
+  return result;
+}
+
+/**
+ * Expand every Hensel letter to the neighbourhoods it covers (all rotations and reflections)
+ * @returns {Array} For each count, an array of neighbourhood lists in HENSEL_LETTERS order
+ */
+function getHenselNeighbourhoods() {
+  if (henselNeighbourhoods) return henselNeighbourhoods;
+
+  henselNeighbourhoods = [];
+  for (let count = 0; count <= 8; count++) {
+    const representatives = count <= 4
+      ? HENSEL_REPRESENTATIVES[count]
+      : HENSEL_REPRESENTATIVES[8 - count].map(neighbourhood => NEIGHBOUR_BITS ^ neighbourhood);
+
+    henselNeighbourhoods.push(representatives.map(representative => {
+      const symmetric = new Set();
+      for (let turns = 0; turns < 4; turns++) {
+        symmetric.add(transformNeighbourhood(representative, false, turns));
+        symmetric.add(transformNeighbourhood(representative, true, turns));
+      }
+      return [...symmetric];
+    }));
+  }
+  return henselNeighbourhoods;
+}
+
+/**
+ * Parse the transitions of a B or S part in Hensel notation, e.g. "2-a3cek"
+ * @param {string} part - Neighbour counts, each optionally followed by letters or "-" and letters
+ * @returns {number[]|null} For each count, a bitmask of the Hensel letters included, or null if invalid
+ */
+function parseHenselPart(part) {
+  const letterMasks = new Array(9).fill(0);
+  const tokens = part.match(/[0-8]-?[a-z]*/g) || [];
+  if (tokens.join('') !== part) return null;
+
+  for (const token of tokens) {
+    const count = Number(token[0]);
+    const negated = token[1] === '-';
+    const letters = token.slice(negated ? 2 : 1);
+    const allLetters = (1 << Math.max(1, HENSEL_LETTERS[count].length)) - 1;
+
+    let mask = 0;
+    for (const letter of letters) {
+      const index = HENSEL_LETTERS[count].indexOf(letter);
+      if (index === -1) return null;
+      mask |= 1 << index;
+    }
+    if (negated && mask === 0) return null;
+
+    letterMasks[count] |= letters.length === 0 ? allLetters : (negated ? allLetters & ~mask : mask);
+  }
+  return letterMasks;
+}
+
+/**
+ * Format the transitions of a B or S part in canonical Hensel notation.
+ * Each count lists its letters, or "-" and the missing letters when that is shorter.
+ * @param {number[]} letterMasks - For each count, a bitmask of the Hensel letters included
+ * @returns {string} Canonical part, e.g. "2-a3"
+ */
+function formatHenselPart(letterMasks) {
+  let part = '';
+  for (let count = 0; count <= 8; count++) {
+    const letters = HENSEL_LETTERS[count];
+    const allLetters = (1 << Math.max(1, letters.length)) - 1;
+    const mask = letterMasks[count];
+    if (mask === 0) continue;
+    if (mask === allLetters) {
+      part += count;
+      continue;
+    }
+
+    const included = [...letters].filter((letter, index) => mask & (1 << index)).join('');
+    const missing = [...letters].filter((letter, index) => !(mask & (1 << index))).join('');
+    part += included.length <= missing.length ? `${count}${included}` : `${count}-${missing}`;
+  }
+  return part;
+}
+
+/**
+ * Collapse per-letter transitions into a neighbour count bitmask
+ * @param {number[]} letterMasks - For each count, a bitmask of the Hensel letters included
+ * @param {boolean} complete - Only keep counts that include every letter
+ * @returns {number} Bitmask of neighbour counts
+ */
+function letterMasksToCountMask(letterMasks, complete) {
+  let mask = 0;
+  for (let count = 0; count <= 8; count++) {
+    const allLetters = (1 << Math.max(1, HENSEL_LETTERS[count].length)) - 1;
+    if (complete ? letterMasks[count] === allLetters : letterMasks[count] !== 0) mask |= 1 << count;
+  }
+  return mask;
+}
+
+/**
+ * Build the transition table of an isotropic non-totalistic rule
+ * @param {number[]} birthLetters - Per-count letter masks for births
+ * @param {number[]} survivalLetters - Per-count letter masks for survival
+ * @returns {Uint8Array} 512 entries indexed by the 3x3 neighbourhood bitmask (centre bit 4); 1 means alive next
+ */
+function buildTransitions(birthLetters, survivalLetters) {
+  const transitions = new Uint8Array(512);
+  getHenselNeighbourhoods().forEach((letters, count) => {
+    letters.forEach((neighbourhoods, index) => {
+      neighbourhoods.forEach(neighbourhood => {
+        if (birthLetters[count] & (1 << index)) transitions[neighbourhood] = 1;
+        if (survivalLetters[count] & (1 << index)) transitions[neighbourhood | CENTRE_BIT] = 1;
+      });
+    });
+  });
+  return transitions;
+}
+
+/**
+ * Turn a list of neighbour counts into a bitmask (bit n set for count n)
+ * @param {string} digits - Neighbour count digits, e.g. "23"
+ * @returns {number|null} Bitmask, or null if a digit is out of range or repeated
+ */
+function digitsToMask(digits) {
+  let mask = 0;
+  for (const digit of digits) {
+    const count = Number(digit);
+    if (count > 8 || (mask & (1 << count))) return null;
+    mask |= 1 << count;
+  }
+  return mask;
+}
+
+/**
+ * Format a neighbour count bitmask as ascending digits
+ * @param {number} mask - Bitmask of neighbour counts
+ * @returns {string} Digits, e.g. "23"
+ */
+function maskToDigits(mask) {
+  let digits = '';
+  for (let count = 0; count <= 8; count++) {
+    if (mask & (1 << count)) digits += count;
+  }
+  return digits;
+}
+
+/**
+ * Parse a Life-like or Generations rule string.
+ * Accepts B/S notation ("B36/S23", "b3s23"), the older S/B notation ("23/36")
+ * and a few well-known names ("HighLife", "Day & Night", "Brian's Brain").
+ * Generations rules add a state count: "B2/S345/C4", "B2/S345/4" or "345/2/4".
+ * Isotropic non-totalistic rules use Hensel notation in the B/S form
+ * ("B2-a/S12", "B3/S23-a4eit"); they carry a 512-entry transitions table, and
+ * their masks list every count with at least one matching neighbourhood.
+ * @param {string} ruleString - Rule string
+ * @returns {Object|null} Rule {rule, birthMask, survivalMask, states, transitions?} with canonical rule string, or null if invalid
+ */
+export function parseRule(ruleString) {
+  if (typeof ruleString !== 'string') return null;
+
+  const trimmed = ruleString.trim();
+  if (ruleCache.has(trimmed)) return ruleCache.get(trimmed);
+
+  // Hyphens only count as punctuation in rule names; Hensel notation uses them for negation
+  const name = trimmed.replace(/[\s&_'-]/g, '').toLowerCase();
+  const aliased = RULE_ALIASES[name] ? RULE_ALIASES[name].toLowerCase() : trimmed.replace(/\s/g, '').toLowerCase();
+
+  // Split off a trailing Generations state count ("/C4", or "/4" after both count lists)
+  const statesMatch = aliased.match(/^(.*)\/c(\d+)$/) || aliased.match(/^(.*\/.*)\/(\d+)$/);
+  const source = statesMatch ? statesMatch[1] : aliased;
+  const states = statesMatch ? Number(statesMatch[2]) : 2;
+
+  let birthDigits = null;
+  let survivalDigits = null;
+
+  const bsMatch = source.match(/^b([0-8a-z-]*)\/?s([0-8a-z-]*)$/);
+  const sbMatch = source.match(/^s([0-8a-z-]*)\/?b([0-8a-z-]*)$/);
+  const legacyMatch = source.match(/^([0-8]*)\/([0-8]*)$/);
+
+  if (bsMatch) {
+    [, birthDigits, survivalDigits] = bsMatch;
+  } else if (sbMatch) {
+    [, survivalDigits, birthDigits] = sbMatch;
+  } else if (legacyMatch) {
+    // Legacy notation lists survival counts first
+    [, survivalDigits, birthDigits] = legacyMatch;
+  }
+
+  const validStates = states >= 2 && states <= MAX_RULE_STATES;
+  const isotropic = /[a-z-]/.test(`${birthDigits || ''}${survivalDigits || ''}`);
+  let parsed = null;
+
+  if (isotropic) {
+    const birthLetters = parseHenselPart(birthDigits);
+    const survivalLetters = parseHenselPart(survivalDigits);
+    if (birthLetters && survivalLetters && validStates) {
+      const birthMask = letterMasksToCountMask(birthLetters, false);
+      const survivalMask = letterMasksToCountMask(survivalLetters, false);
+      const totalistic = birthMask === letterMasksToCountMask(birthLetters, true) &&
+        survivalMask === letterMasksToCountMask(survivalLetters, true);
+      const lifeLike = `B${formatHenselPart(birthLetters)}/S${formatHenselPart(survivalLetters)}`;
+
+      parsed = {
+        rule: states > 2 ? `${lifeLike}/C${states}` : lifeLike,
+        birthMask,
+        survivalMask,
+        states
+      };
+      // Rules whose letters always cover whole counts are plain Life-like rules
+      if (!totalistic) parsed.transitions = buildTransitions(birthLetters, survivalLetters);
+    }
+  } else {
+    const birthMask = birthDigits !== null ? digitsToMask(birthDigits) : null;
+    const survivalMask = survivalDigits !== null ? digitsToMask(survivalDigits) : null;
+    const lifeLike = `B${maskToDigits(birthMask)}/S${maskToDigits(survivalMask)}`;
+
+    parsed = birthMask === null || survivalMask === null || !validStates ? null : {
+      rule: states > 2 ? `${lifeLike}/C${states}` : lifeLike,
+      birthMask,
+      survivalMask,
+      states
+    };
+  }
+
+  ruleCache.set(trimmed, parsed);
+  return parsed;
+}
+
+/**
+ * Resolve a rule given as a string or parsed rule, defaulting to Conway's Life
+ * @param {string|Object|null} rule - Rule string, parsed rule, or null
+ * @returns {Object} Parsed rule
+ * @throws {Error} If the rule string is not valid B/S notation
+ */
+export function resolveRule(rule) {
+  if (rule && typeof rule === 'object') return rule;
+
+  const parsed = parseRule(rule || DEFAULT_RULE);
+  if (!parsed) {
+    throw new Error(`Invalid rule: ${rule}`);
+  }
+  return parsed;
+}
+
+/**
+ * Check whether a rule is Conway's Life
+ * @param {Object} rule - Parsed rule
+ * @returns {boolean} True for B3/S23
+ */
+export function isConwayRule(rule) {
+  return !rule || rule.rule === DEFAULT_RULE;
+}
+
+/**
+ * Check whether a rule has decaying states beyond live and dead
+ * @param {Object} rule - Parsed rule
+ * @returns {boolean} True for Generations rules with three or more states
+ */
+export function isGenerationsRule(rule) {
+  return Boolean(rule && rule.states > 2);
+}
+
+/**
+ * Check whether a rule depends on the arrangement of neighbours, not just their number
+ * @param {Object} rule - Parsed rule
+ * @returns {boolean} True for isotropic non-totalistic rules
+ */
+export function isIsotropicRule(rule) {
+  return Boolean(rule && rule.transitions);
+}
+
+/**
+ * Apply an isotropic non-totalistic rule to 32 cells at once.
+ * Each argument is a 32-bit word whose bit i holds the given neighbour of cell i.
+ * @param {Uint8Array} transitions - Transition table from parseRule
+ * @param {number} nw - North-west neighbours
+ * @param {number} n - North neighbours
+ * @param {number} ne - North-east neighbours
+ * @param {number} w - West neighbours
+ * @param {number} c - The cells themselves
+ * @param {number} e - East neighbours
+ * @param {number} sw - South-west neighbours
+ * @param {number} s - South neighbours
+ * @param {number} se - South-east neighbours
+ * @returns {number} 32-bit word of next-generation cells
+ */
+export function applyIsotropicRule(transitions, nw, n, ne, w, c, e, sw, s, se) {
+  if ((nw | n | ne | w | c | e | sw | s | se) === 0) return transitions[0] ? 0xFFFFFFFF : 0;
+
+  let result = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    const neighbourhood = ((nw >>> bit) & 1) | (((n >>> bit) & 1) << 1) | (((ne >>> bit) & 1) << 2) |
+      (((w >>> bit) & 1) << 3) | (((c >>> bit) & 1) << 4) | (((e >>> bit) & 1) << 5) |
+      (((sw >>> bit) & 1) << 6) | (((s >>> bit) & 1) << 7) | (((se >>> bit) & 1) << 8);
+    result |= transitions[neighbourhood] << bit;
+  }
+  return result >>> 0;
+}
+
+/**
+ * Check whether two rule strings describe the same rule
+ * @param {string|null} ruleA - First rule (null means Conway's Life)
+ * @param {string|null} ruleB - Second rule (null means Conway's Life)
+ * @returns {boolean} True if both parse to the same rule
+ */
+export function rulesMatch(ruleA, ruleB) {
+  const parsedA = parseRule(ruleA || DEFAULT_RULE);
+  const parsedB = parseRule(ruleB || DEFAULT_RULE);
+  return Boolean(parsedA && parsedB && parsedA.rule === parsedB.rule);
+}
@@ -0,0 +1,282 @@
+// Macrocell (.mc) pattern files: Golly's quadtree format, where identical regions are written once
+import { parseRule, isGenerationsRule, DEFAULT_RULE } from './lifeRules.js';
+import { getCenterOffsets } from './canvasUtils.js';
+import { PackedGrid } from './packedGrid.js';
+import { SparseUniverse } from './sparseUniverse.js';
+
+const MACROCELL_HEADER = '[M2] (turing-gol)';
+const LEAF_LEVEL = 3; // Two-state files store 8x8 leaves; multi-state files go down to 2x2 level 1 nodes
+const LEAF_SIZE = 1 << LEAF_LEVEL;
+
+/**
+ * Read the header comments and quadtree nodes of a macrocell file.
+ * Node 0 is the empty node of any level; the last node is the root.
+ * @param {string} content - Raw .mc file content
+ * @returns {Object} {name, author, comments, rule, generation, nodes, diagnostics: Array of {line, column, reason} for problems that did not stop the read}
+ * @throws {Error} When a node refers to a node that has not been defined yet
+ */
+function readMacrocell(content) {
+  let name = '';
+  let author = null;
+  const comments = [];
+  let rule = null;
+  let generation = null;
+  const nodes = [null];
+  const diagnostics = [];
+
+  content.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    const line = rawLine.trim();
+    if (line === '' || line.startsWith('[M2]')) return;
+
+    if (line.startsWith('#')) {
+      const value = line.substring(2).trim();
+      switch (line[1]) {
+        case 'N': name = value; break;
+        case 'O': author = value; break;
+        case 'C': case 'D': comments.push(value); break;
+        case 'R': {
+          const parsedRule = parseRule(value);
+          if (!parsedRule) {
+            console.warn(`Unrecognised rule "${value}" in macrocell pattern`);
+            diagnostics.push({ line: lineIndex + 1, column: rawLine.indexOf(value) + 1, reason: `Unrecognised rule "${value}"` });
+          }
+          rule = parsedRule ? parsedRule.rule : value;
+          break;
+        }
+        case 'G': generation = parseInt(value, 10) || 0; break;
+        default: break; // Golly's #FRAMES, #VIEW and similar lines do not apply here
+      }
+      return;
+    }
+
+    // 8x8 leaf: '*' live, '.' dead, '$' ends a row
+    if (/^[.*$]/.test(line)) {
+      const cells = [];
+      let x = 0;
+      let y = 0;
+      for (const char of line) {
+        if (char === '$') {
+          x = 0;
+          y++;
+        } else {
+          if (char === '*') cells.push([x, y, 1]);
+          x++;
+        }
+      }
+      nodes.push({ level: LEAF_LEVEL, cells });
+      return;
+    }
+
+    const values = line.split(/\s+/).map(Number);
+    if (values.length !== 5 || values.some(value => !Number.isInteger(value) || value < 0)) {
+      throw new Error(`Invalid macrocell node on line ${lineIndex + 1}: "${line}"`);
+    }
+
+    const [level, ...children] = values;
+    if (level === 1) {
+      // Multi-state files spell out the four cell states of each 2x2 node
+      nodes.push({ level, cells: children.map((state, i) => [i % 2, i >> 1, state]).filter(([, , state]) => state > 0) });
+      return;
+    }
+    if (children.some(child => child >= nodes.length || (child > 0 && nodes[child].level !== level - 1))) {
+      throw new Error(`Invalid macrocell node on line ${lineIndex + 1}: "${line}"`);
+    }
+    nodes.push({ level, children });
+  });
+
+  return { name, author, comments, rule, generation, nodes, diagnostics };
+}
+
+/**
+ * Visit the non-empty cells of a macrocell quadtree, with the root centered on (0, 0) as in Golly
+ * @param {Array} nodes - Nodes from readMacrocell
+ * @param {Function} callback - Called with (x, y, state) for each cell
+ */
+function forEachMacrocellCell(nodes, callback) {
+  if (nodes.length < 2) return;
+
+  const visit = (index, left, top) => {
+    if (index === 0) return;
+    const node = nodes[index];
+    if (node.cells) {
+      node.cells.forEach(([x, y, state]) => callback(left + x, top + y, state));
+      return;
+    }
+    const half = 2 ** (node.level - 1);
+    node.children.forEach((child, quadrant) => visit(child, left + (quadrant % 2) * half, top + (quadrant >> 1) * half));
+  };
+
+  const root = nodes.length - 1;
+  const corner = -(2 ** (nodes[root].level - 1));
+  visit(root, corner, corner);
+}
+
+/**
+ * Write cells as a macrocell file. Equal subtrees are written once and
+ * referred to by their line number, so repeated objects stay compact.
+ * @param {Array} cells - Cells as [x, y, state] in file coordinates (the root is centered on (0, 0))
+ * @param {Object} details - {name, author, comments, rule, generation}
+ * @returns {string} .mc file content ending in a newline
+ */
+function writeMacrocell(cells, { name = '', author = null, comments = [], rule = null, generation = null }) {
+  const lines = [MACROCELL_HEADER];
+  if (name) lines.push(`#N ${name}`);
+  if (author) lines.push(`#O ${author}`);
+  comments.forEach(comment => lines.push(comment ? `#C ${comment}` : '#C'));
+  const parsedRule = rule ? parseRule(rule) : null;
+  lines.push(`#R ${parsedRule ? parsedRule.rule : (rule || DEFAULT_RULE)}`);
+  if (generation) lines.push(`#G ${generation}`);
+
+  if (cells.length === 0) return lines.join('\n') + '\n';
+
+  const multiState = isGenerationsRule(parsedRule) || cells.some(([, , state]) => state > 1);
+  const leafLevel = multiState ? 1 : LEAF_LEVEL;
+
+  // Smallest root, centered on the origin, that holds every cell
+  const extent = cells.reduce((max, [x, y]) => Math.max(max, x + 1, -x, y + 1, -y), 1);
+  let level = leafLevel;
+  while (2 ** (level - 1) < extent) level++;
+
+  const nodeIndices = new Map();
+  const addNode = key => {
+    if (!nodeIndices.has(key)) {
+      lines.push(key);
+      nodeIndices.set(key, nodeIndices.size + 1);
+    }
+    return nodeIndices.get(key);
+  };
+
+  const writeNode = (nodeLevel, left, top, nodeCells) => {
+    if (nodeCells.length === 0) return 0;
+
+    if (nodeLevel === LEAF_LEVEL && !multiState) {
+      const rows = Array.from({ length: LEAF_SIZE }, () => []);
+      nodeCells.forEach(([x, y]) => { rows[y - top][x - left] = '*'; });
+      const lastRow = rows.reduce((last, row, y) => (row.length > 0 ? y : last), 0);
+      return addNode(rows.slice(0, lastRow + 1).map(row => Array.from(row, cell => cell || '.').join('') + '$').join(''));
+    }
+    if (nodeLevel === 1) {
+      const states = [0, 0, 0, 0];
+      nodeCells.forEach(([x, y, state]) => { states[(y - top) * 2 + (x - left)] = state || 1; });
+      return addNode(`1 ${states.join(' ')}`);
+    }
+
+    const half = 2 ** (nodeLevel - 1);
+    const quadrants = [[], [], [], []];
+    nodeCells.forEach(cell => {
+      quadrants[(cell[1] >= top + half ? 2 : 0) + (cell[0] >= left + half ? 1 : 0)].push(cell);
+    });
+    const children = quadrants.map((quadrantCells, quadrant) =>
+      writeNode(nodeLevel - 1, left + (quadrant % 2) * half, top + (quadrant >> 1) * half, quadrantCells)
+    );
+    return addNode(`${nodeLevel} ${children.join(' ')}`);
+  };
+
+  const corner = -(2 ** (level - 1));
+  writeNode(level, corner, corner, cells);
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse macrocell content into pattern data. Cell coordinates in the file are
+ * centered on the root node; the pattern is made relative to its top-left
+ * cell, whose file coordinates become the position.
+ * @param {string} content - Raw .mc file content
+ * @param {Object} options - {strict: list problems in diagnostics; a malformed quadtree still throws}
+ * @returns {Object} Pattern data {name, author, comments, pattern, width, height, rule, position, generation, guidanceLines, guidanceLine}, shaped like parseRLEFile's, with diagnostics in strict mode
+ * @throws {Error} When the quadtree is malformed
+ */
+export function parseMacrocellFile(content, { strict = false } = {}) {
+  const { nodes, diagnostics, ...details } = readMacrocell(content);
+
+  const cells = [];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  forEachMacrocellCell(nodes, (x, y, state) => {
+    cells.push([x, y, state]);
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  });
+
+  const pattern = cells
+    .map(([x, y, state]) => (state === 1 ? [y - minY, x - minX] : [y - minY, x - minX, state]))
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  const result = {
+    name: details.name || 'Unknown Pattern',
+    author: details.author,
+    comments: details.comments,
+    pattern,
+    width: cells.length > 0 ? maxX - minX + 1 : 0,
+    height: cells.length > 0 ? maxY - minY + 1 : 0,
+    rule: details.rule,
+    position: cells.length > 0 ? { x: minX, y: minY } : null,
+    generation: details.generation,
+    guidanceLines: [],
+    guidanceLine: null
+  };
+  return strict ? { ...result, diagnostics } : result;
+}
+
+/**
+ * Write pattern data as a macrocell file. Guidance lines are not part of the format.
+ * @param {Object} patternData - {name, author, comments, rule, generation, pattern: Array of [y, x] or [y, x, state], position: optional {x, y} of the top-left corner}
+ * @returns {string} .mc file content ending in a newline
+ */
+export function encodeMacrocellFile(patternData) {
+  const offsetX = patternData.position ? patternData.position.x : 0;
+  const offsetY = patternData.position ? patternData.position.y : 0;
+  const cells = (patternData.pattern || []).map(([y, x, state = 1]) => [x + offsetX, y + offsetY, state]);
+  return writeMacrocell(cells, patternData);
+}
+
+/**
+ * Write a whole board as a macrocell file, in center-based coordinates so the
+ * board center is the file origin. The live cells beyond the edges of an
+ * unbounded board are written too.
+ * @param {PackedGrid} grid - Board to save
+ * @param {Object} details - Optional {name, author, comments, rule, generation}
+ * @returns {string} .mc file content ending in a newline
+ */
+export function encodeMacrocellGrid(grid, details = {}) {
+  const { centerOffsetX, centerOffsetY } = getCenterOffsets(grid);
+  const cells = [];
+  const addCell = (x, y, state = 1) => cells.push([x - centerOffsetX, y - centerOffsetY, state]);
+
+  grid.forEachAlive(addCell);
+  grid.forEachDecaying(addCell);
+  if (grid.outside) grid.outside.forEachAlive(addCell);
+  return writeMacrocell(cells, details);
+}
+
+/**
+ * Load a macrocell file onto a board of the given size, with the file origin
+ * at the board center. Live cells that land beyond the edges are kept in a
+ * sparse universe attached as grid.outside, ready for unbounded boards;
+ * other topologies can ignore them.
+ * @param {string} content - Raw .mc file content
+ * @param {number} width - Board width
+ * @param {number} height - Board height
+ * @returns {Object} {grid: PackedGrid, rule, generation, name}
+ * @throws {Error} When the quadtree is malformed
+ */
+export function decodeMacrocellGrid(content, width, height) {
+  const { nodes, name, rule, generation } = readMacrocell(content);
+  const grid = new PackedGrid(width, height);
+  const { centerOffsetX, centerOffsetY } = getCenterOffsets(grid);
+  const outside = new SparseUniverse();
+
+  forEachMacrocellCell(nodes, (fileX, fileY, state) => {
+    const x = fileX + centerOffsetX;
+    const y = fileY + centerOffsetY;
+    if (x >= 0 && x < width && y >= 0 && y < height) {
+      grid.setState(x, y, state);
+    } else if (state === 1) {
+      outside.set(x, y, 1);
+    }
+  });
+
+  grid.outside = outside.isEmpty() ? null : outside;
+  return { grid, rule, generation, name: name || null };
+}
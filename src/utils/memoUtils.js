@@ -81,6 +81,11 @@ export const gameCanvasEqual = (prevProps, nextProps) => {
     return false;
   }
 
+  // Re-render if census highlights changed
+  if (prevProps.censusHighlights !== nextProps.censusHighlights) {
+    return false;
+  }
+
   // Re-render if guidance line objects changed
   if (prevProps.guidanceLineObjects !== nextProps.guidanceLineObjects) {
     return false;
@@ -0,0 +1,796 @@
+// Bit-packed grid representation for fast Game of Life simulation
+import { TOPOLOGY, ABSORBING_MARGIN, ABSORBING_REACH } from '../constants/gameConstants.js';
+import { isConwayRule, isGenerationsRule, isIsotropicRule, applyIsotropicRule } from './lifeRules.js';
+import { resolveTopology, wrapCoordinate } from './topology.js';
+import { SparseUniverse } from './sparseUniverse.js';
+
+const WORD_BITS = 32;
+
+/**
+ * Count set bits in a 32-bit word
+ * @param {number} word - 32-bit word
+ * @returns {number} Number of set bits
+ */
+function popcount(word) {
+  let v = word - ((word >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Read 32 consecutive cells of a row starting at x; cells outside the row read as dead
+ * @param {PackedGrid} grid - Grid to read from
+ * @param {number} y - Row index
+ * @param {number} x - First cell (may be negative or past the row end)
+ * @returns {number} 32-bit word with cell x in bit 0
+ */
+function readRowBits(grid, y, x) {
+  const rowOffset = y * grid.stride;
+  const index = Math.floor(x / WORD_BITS);
+  const shift = x - index * WORD_BITS;
+  const low = index >= 0 && index < grid.stride ? grid.words[rowOffset + index] : 0;
+  if (shift === 0) return low;
+  const high = index + 1 >= 0 && index + 1 < grid.stride ? grid.words[rowOffset + index + 1] : 0;
+  return ((low >>> shift) | (high << (WORD_BITS - shift))) >>> 0;
+}
+
+/**
+ * OR the cells of one grid into another, shifted by an offset.
+ * Cells that land outside the target are dropped.
+ * @param {PackedGrid} source - Grid to copy from
+ * @param {PackedGrid} target - Grid to copy into
+ * @param {number} offsetX - Target x of source column 0
+ * @param {number} offsetY - Target y of source row 0
+ */
+function copyCells(source, target, offsetX, offsetY) {
+  const firstRow = Math.max(0, offsetY);
+  const lastRow = Math.min(target.height, source.height + offsetY);
+  for (let y = firstRow; y < lastRow; y++) {
+    const rowOffset = y * target.stride;
+    for (let w = 0; w < target.stride; w++) {
+      let bits = readRowBits(source, y - offsetY, w * WORD_BITS - offsetX);
+      if (w === target.stride - 1) bits &= target.tailMask;
+      target.words[rowOffset + w] |= bits;
+    }
+  }
+  source.forEachDecaying((x, y, state) => target.setState(x + offsetX, y + offsetY, state));
+}
+
+/**
+ * Kill every cell in a rectangle
+ * @param {PackedGrid} grid - Grid to modify
+ * @param {number} left - Left column
+ * @param {number} top - Top row
+ * @param {number} width - Rectangle width
+ * @param {number} height - Rectangle height
+ */
+function clearCells(grid, left, top, width, height) {
+  for (let y = top; y < top + height; y++) {
+    const rowOffset = y * grid.stride;
+    for (let w = Math.floor(left / WORD_BITS); w <= Math.floor((left + width - 1) / WORD_BITS); w++) {
+      const from = Math.max(left - w * WORD_BITS, 0);
+      const to = Math.min(left + width - w * WORD_BITS, WORD_BITS);
+      const mask = to - from === WORD_BITS ? 0xFFFFFFFF : (((1 << (to - from)) - 1) << from) >>> 0;
+      grid.words[rowOffset + w] &= ~mask;
+    }
+    if (grid.states) grid.states.fill(0, y * grid.width + left, y * grid.width + left + width);
+  }
+}
+
+/**
+ * Remove the objects of an absorbing margin that have moved out of reach of
+ * the board. Objects are removed whole, so a departing spaceship vanishes
+ * instead of being cut into debris that could drift back; cells within two
+ * of each other count as one object since they still interact.
+ * @param {PackedGrid} margin - Padded grid holding only the cells outside the board
+ * @param {number} pad - Margin width
+ * @param {number} width - Board width
+ * @param {number} height - Board height
+ */
+function absorbDistantObjects(margin, pad, width, height) {
+  const near = (x, y) => x >= pad - ABSORBING_REACH && x < pad + width + ABSORBING_REACH &&
+    y >= pad - ABSORBING_REACH && y < pad + height + ABSORBING_REACH;
+
+  const remaining = new Set();
+  margin.forEachAlive((x, y) => remaining.add(y * margin.width + x));
+
+  for (const start of remaining) {
+    remaining.delete(start);
+    const objectCells = [start];
+    let reachesBoard = false;
+    for (let i = 0; i < objectCells.length; i++) {
+      const x = objectCells[i] % margin.width;
+      const y = Math.floor(objectCells[i] / margin.width);
+      if (near(x, y)) reachesBoard = true;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const neighbour = (y + dy) * margin.width + x + dx;
+          if (x + dx >= 0 && x + dx < margin.width && remaining.delete(neighbour)) objectCells.push(neighbour);
+        }
+      }
+    }
+    if (!reachesBoard) {
+      objectCells.forEach(index => margin.set(index % margin.width, Math.floor(index / margin.width), 0));
+    }
+  }
+
+  // Decaying cells only block births, so out of reach they can simply go
+  margin.forEachDecaying((x, y) => {
+    if (!near(x, y)) margin.setState(x, y, 0);
+  });
+}
+
+/**
+ * Grid that stores one bit per cell in rows of 32-bit words.
+ * Bit (x % 32) of word (x / 32) in a row holds cell x. Bits past the
+ * grid width are always kept at zero so stepping never leaks across edges.
+ *
+ * Multi-state (Generations) grids also carry a states plane with one byte per
+ * cell holding the decay state (2 and up) of cells that are no longer alive.
+ * The bit plane stays authoritative for live cells, so get() and everything
+ * built on it keep seeing decaying cells as dead.
+ */
+export class PackedGrid {
+  /**
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   * @param {Uint32Array} words - Optional backing storage to adopt
+   * @param {Uint8Array} states - Optional decay state plane (width * height bytes) to adopt
+   */
+  constructor(width, height, words = null, states = null) {
+    this.width = Math.max(0, width | 0);
+    this.height = Math.max(0, height | 0);
+    this.stride = Math.ceil(this.width / WORD_BITS);
+    this.words = words || new Uint32Array(this.stride * this.height);
+    this.states = states;
+    // Hidden cells around an absorbing board, padded by ABSORBING_MARGIN (see stepTopology)
+    this.margin = null;
+    // Live cells beyond the edges of an unbounded board (see stepTopology)
+    this.outside = null;
+
+    // Mask of the valid bits in the last word of each row
+    const tailBits = this.width % WORD_BITS;
+    this.tailMask = tailBits === 0 ? 0xFFFFFFFF : ((1 << tailBits) - 1) >>> 0;
+  }
+
+  /**
+   * Check whether a value is a packed grid
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is a PackedGrid
+   */
+  static isPackedGrid(value) {
+    return value instanceof PackedGrid;
+  }
+
+  /**
+   * Build a packed grid from a number[][] grid
+   * @param {number[][]} grid - 2D grid array
+   * @returns {PackedGrid} Packed copy of the grid
+   */
+  static fromArray(grid) {
+    const height = grid ? grid.length : 0;
+    const width = height > 0 ? grid[0].length : 0;
+    const packed = new PackedGrid(width, height);
+
+    for (let y = 0; y < height; y++) {
+      const row = grid[y];
+      const rowOffset = y * packed.stride;
+      for (let x = 0; x < width; x++) {
+        if (row[x] > 1) {
+          packed.setState(x, y, row[x]);
+        } else if (row[x]) {
+          packed.words[rowOffset + (x >>> 5)] |= 1 << (x & 31);
+        }
+      }
+    }
+
+    return packed;
+  }
+
+  /**
+   * Convert to the legacy number[][] representation
+   * @returns {number[][]} 2D grid array of cell states (0/1, plus decay states for Generations grids)
+   */
+  toArray() {
+    const grid = new Array(this.height);
+    for (let y = 0; y < this.height; y++) {
+      const row = new Array(this.width);
+      const rowOffset = y * this.stride;
+      for (let x = 0; x < this.width; x++) {
+        row[x] = (this.words[rowOffset + (x >>> 5)] >>> (x & 31)) & 1;
+        if (this.states && row[x] === 0) row[x] = this.states[y * this.width + x];
+      }
+      grid[y] = row;
+    }
+    return grid;
+  }
+
+  /**
+   * Read a cell, treating everything outside the grid as dead
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} 1 if alive, 0 otherwise
+   */
+  get(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return 0;
+    return (this.words[y * this.stride + (x >>> 5)] >>> (x & 31)) & 1;
+  }
+
+  /**
+   * Write a cell; writes outside the grid are ignored
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} value - Truthy for alive
+   */
+  set(x, y, value) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+    const index = y * this.stride + (x >>> 5);
+    const bit = 1 << (x & 31);
+    if (value) {
+      this.words[index] |= bit;
+    } else {
+      this.words[index] &= ~bit;
+    }
+    if (this.states) this.states[y * this.width + x] = 0;
+  }
+
+  /**
+   * Read a cell's state, treating everything outside the grid as dead
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @returns {number} 0 for dead, 1 for alive, 2 and up for decaying cells
+   */
+  getState(x, y) {
+    if (this.get(x, y)) return 1;
+    if (!this.states || x < 0 || x >= this.width || y < 0 || y >= this.height) return 0;
+    return this.states[y * this.width + x];
+  }
+
+  /**
+   * Write a cell's state; writes outside the grid are ignored.
+   * The states plane is allocated on the first decaying cell.
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} state - 0 for dead, 1 for alive, 2-255 for decaying cells
+   */
+  setState(x, y, state) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.height) return;
+    this.set(x, y, state === 1);
+    if (state > 1) {
+      if (!this.states) this.states = new Uint8Array(this.width * this.height);
+      this.states[y * this.width + x] = state;
+    }
+  }
+
+  /**
+   * Visit every decaying cell (state 2 and up) in row-major order
+   * @param {Function} callback - Called with (x, y, state) for each decaying cell
+   */
+  forEachDecaying(callback) {
+    if (!this.states) return;
+    for (let i = 0; i < this.states.length; i++) {
+      if (this.states[i] > 1) {
+        const x = i % this.width;
+        callback(x, (i - x) / this.width, this.states[i]);
+      }
+    }
+  }
+
+  /**
+   * Create an independent copy
+   * @returns {PackedGrid} Copied grid
+   */
+  clone() {
+    const copy = new PackedGrid(this.width, this.height, this.words.slice(), this.states ? this.states.slice() : null);
+    copy.margin = this.margin ? this.margin.clone() : null;
+    copy.outside = this.outside ? this.outside.clone() : null;
+    return copy;
+  }
+
+  /**
+   * Kill every cell in place
+   */
+  clear() {
+    this.words.fill(0);
+    if (this.states) this.states.fill(0);
+    this.margin = null;
+    this.outside = null;
+  }
+
+  /**
+   * Count live cells
+   * @returns {number} Number of live cells
+   */
+  countAlive() {
+    let count = 0;
+    for (let i = 0; i < this.words.length; i++) {
+      if (this.words[i] !== 0) count += popcount(this.words[i]);
+    }
+    return count;
+  }
+
+  /**
+   * Count cells that changed since an earlier grid of the same size
+   * @param {PackedGrid} previous - Earlier grid
+   * @returns {Object} {births: cells alive now but not before, deaths: cells alive before but not now}
+   */
+  countChanges(previous) {
+    let births = 0;
+    let deaths = 0;
+    for (let i = 0; i < this.words.length; i++) {
+      const now = this.words[i];
+      const before = previous.words[i];
+      if (now === before) continue;
+      births += popcount(now & ~before);
+      deaths += popcount(before & ~now);
+    }
+    return { births, deaths };
+  }
+
+  /**
+   * Visit every live cell in row-major order
+   * @param {Function} callback - Called with (x, y) for each live cell
+   */
+  forEachAlive(callback) {
+    for (let y = 0; y < this.height; y++) {
+      const rowOffset = y * this.stride;
+      for (let w = 0; w < this.stride; w++) {
+        let word = this.words[rowOffset + w];
+        while (word !== 0) {
+          const bit = 31 - Math.clz32(word & -word);
+          callback(w * WORD_BITS + bit, y);
+          word &= word - 1;
+        }
+      }
+    }
+  }
+
+  /**
+   * Get bounds of live cells
+   * @returns {Object|null} Bounds object with minX, maxX, minY, maxY, or null when empty
+   */
+  getBounds() {
+    let minX = this.width, maxX = -1;
+    let minY = this.height, maxY = -1;
+
+    for (let y = 0; y < this.height; y++) {
+      const rowOffset = y * this.stride;
+      for (let w = 0; w < this.stride; w++) {
+        const word = this.words[rowOffset + w];
+        if (word === 0) continue;
+
+        const lowBit = 31 - Math.clz32(word & -word);
+        const highBit = 31 - Math.clz32(word);
+        minX = Math.min(minX, w * WORD_BITS + lowBit);
+        maxX = Math.max(maxX, w * WORD_BITS + highBit);
+        if (minY > y) minY = y;
+        maxY = y;
+      }
+    }
+
+    return maxX === -1 ? null : { minX, maxX, minY, maxY };
+  }
+
+  /**
+   * Compare cell contents with another packed grid
+   * @param {PackedGrid} other - Grid to compare against
+   * @returns {boolean} True if both grids have the same size and cells
+   */
+  equals(other) {
+    if (!PackedGrid.isPackedGrid(other) || other.width !== this.width || other.height !== this.height) {
+      return false;
+    }
+    for (let i = 0; i < this.words.length; i++) {
+      if (this.words[i] !== other.words[i]) return false;
+    }
+    if (this.states || other.states) {
+      for (let i = 0; i < this.width * this.height; i++) {
+        if ((this.states ? this.states[i] : 0) !== (other.states ? other.states[i] : 0)) return false;
+      }
+    }
+    if (this.outside || other.outside) {
+      const empty = new SparseUniverse();
+      return (this.outside || empty).equals(other.outside || empty);
+    }
+    return true;
+  }
+
+  /**
+   * Compute the next generation.
+   * Cells outside the grid are treated as permanently dead.
+   * Neighbour counts are computed for 32 cells at a time with a bit-sliced adder.
+   * @param {PackedGrid} target - Optional grid of the same size to write into
+   * @param {Object} rule - Optional parsed Life-like rule (see lifeRules.js); defaults to Conway's Life
+   * @param {string} topology - Optional board topology (see TOPOLOGY); defaults to bounded
+   * @returns {PackedGrid} Next generation grid
+   */
+  step(target = null, rule = null, topology = null) {
+    if (topology && topology !== TOPOLOGY.BOUNDED) {
+      return this.stepTopology(target, rule, topology);
+    }
+    if (isGenerationsRule(rule)) {
+      return this.stepGenerations(target, rule);
+    }
+    if (!isConwayRule(rule)) {
+      return this.stepRule(target, rule);
+    }
+
+    const next = target && target !== this && target.width === this.width && target.height === this.height
+      ? target
+      : new PackedGrid(this.width, this.height);
+    next.states = null;
+    next.margin = null;
+    next.outside = null;
+
+    const { stride, height, words, tailMask } = this;
+    const out = next.words;
+
+    for (let y = 0; y < height; y++) {
+      const row = y * stride;
+      const up = y > 0 ? row - stride : -1;
+      const down = y < height - 1 ? row + stride : -1;
+
+      for (let w = 0; w < stride; w++) {
+        const hasLeft = w > 0;
+        const hasRight = w < stride - 1;
+
+        // Row above
+        const n = up >= 0 ? words[up + w] : 0;
+        const nw = up >= 0 ? (n << 1) | (hasLeft ? words[up + w - 1] >>> 31 : 0) : 0;
+        const ne = up >= 0 ? (n >>> 1) | (hasRight ? words[up + w + 1] << 31 : 0) : 0;
+
+        // Current row
+        const c = words[row + w];
+        const west = (c << 1) | (hasLeft ? words[row + w - 1] >>> 31 : 0);
+        const east = (c >>> 1) | (hasRight ? words[row + w + 1] << 31 : 0);
+
+        // Row below
+        const s = down >= 0 ? words[down + w] : 0;
+        const sw = down >= 0 ? (s << 1) | (hasLeft ? words[down + w - 1] >>> 31 : 0) : 0;
+        const se = down >= 0 ? (s >>> 1) | (hasRight ? words[down + w + 1] << 31 : 0) : 0;
+
+        // Per-row two-bit sums
+        const up0 = nw ^ n ^ ne;
+        const up1 = (nw & n) | (ne & (nw ^ n));
+        const mid0 = west ^ east;
+        const mid1 = west & east;
+        const low0 = sw ^ s ^ se;
+        const low1 = (sw & s) | (se & (sw ^ s));
+
+        // Combine rows: ones bit, twos bit and any carry into fours
+        const ones = up0 ^ mid0 ^ low0;
+        const onesCarry = (up0 & mid0) | (low0 & (up0 ^ mid0));
+        const twosA = up1 ^ mid1;
+        const twosB = low1 ^ onesCarry;
+        const twos = twosA ^ twosB;
+        const fours = (up1 & mid1) | (low1 & onesCarry) | (twosA & twosB);
+
+        // Alive next when count is 3, or count is 2 and the cell is alive
+        let result = twos & ~fours & (ones | c);
+        if (!hasRight) result &= tailMask;
+        out[row + w] = result;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Compute the next generation under an arbitrary Life-like rule.
+   * Same neighbourhood handling as step(), but with an exact 4-bit neighbour
+   * count so any birth/survival combination can be selected.
+   * @param {PackedGrid} target - Optional grid of the same size to write into
+   * @param {Object} rule - Parsed rule with birthMask and survivalMask
+   * @returns {PackedGrid} Next generation grid
+   */
+  stepRule(target, rule) {
+    if (isIsotropicRule(rule)) {
+      return this.stepIsotropic(target, rule);
+    }
+
+    const next = target && target !== this && target.width === this.width && target.height === this.height
+      ? target
+      : new PackedGrid(this.width, this.height);
+    next.states = null;
+    next.margin = null;
+    next.outside = null;
+
+    const { stride, height, words, tailMask } = this;
+    const { birthMask, survivalMask } = rule;
+    const out = next.words;
+
+    for (let y = 0; y < height; y++) {
+      const row = y * stride;
+      const up = y > 0 ? row - stride : -1;
+      const down = y < height - 1 ? row + stride : -1;
+
+      for (let w = 0; w < stride; w++) {
+        const hasLeft = w > 0;
+        const hasRight = w < stride - 1;
+
+        const n = up >= 0 ? words[up + w] : 0;
+        const nw = up >= 0 ? (n << 1) | (hasLeft ? words[up + w - 1] >>> 31 : 0) : 0;
+        const ne = up >= 0 ? (n >>> 1) | (hasRight ? words[up + w + 1] << 31 : 0) : 0;
+
+        const c = words[row + w];
+        const west = (c << 1) | (hasLeft ? words[row + w - 1] >>> 31 : 0);
+        const east = (c >>> 1) | (hasRight ? words[row + w + 1] << 31 : 0);
+
+        const s = down >= 0 ? words[down + w] : 0;
+        const sw = down >= 0 ? (s << 1) | (hasLeft ? words[down + w - 1] >>> 31 : 0) : 0;
+        const se = down >= 0 ? (s >>> 1) | (hasRight ? words[down + w + 1] << 31 : 0) : 0;
+
+        // Per-row two-bit sums
+        const up0 = nw ^ n ^ ne;
+        const up1 = (nw & n) | (ne & (nw ^ n));
+        const mid0 = west ^ east;
+        const mid1 = west & east;
+        const low0 = sw ^ s ^ se;
+        const low1 = (sw & s) | (se & (sw ^ s));
+
+        // Exact count bits: ones, twos, fours, eights
+        const ones = up0 ^ mid0 ^ low0;
+        const onesCarry = (up0 & mid0) | (low0 & (up0 ^ mid0));
+        const twosA = up1 ^ mid1;
+        const twosB = low1 ^ onesCarry;
+        const twos = twosA ^ twosB;
+        const carryA = up1 & mid1;
+        const carryB = low1 & onesCarry;
+        const carryC = twosA & twosB;
+        const fours = carryA ^ carryB ^ carryC;
+        const eights = (carryA & carryB) | (carryA & carryC) | (carryB & carryC);
+
+        let result = 0;
+        for (let count = 0; count <= 8; count++) {
+          const born = (birthMask >>> count) & 1;
+          const survives = (survivalMask >>> count) & 1;
+          if (!born && !survives) continue;
+
+          const matches = ((count & 1) ? ones : ~ones) &
+            ((count & 2) ? twos : ~twos) &
+            ((count & 4) ? fours : ~fours) &
+            ((count & 8) ? eights : ~eights);
+          result |= matches & ((born ? ~c : 0) | (survives ? c : 0));
+        }
+
+        if (!hasRight) result &= tailMask;
+        out[row + w] = result;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Compute the next generation under an isotropic non-totalistic rule.
+   * Same neighbourhood handling as step(), but each cell looks up its full 3x3
+   * neighbourhood in the rule's transitions table instead of counting neighbours.
+   * @param {PackedGrid} target - Optional grid of the same size to write into
+   * @param {Object} rule - Parsed rule with a transitions table
+   * @returns {PackedGrid} Next generation grid
+   */
+  stepIsotropic(target, rule) {
+    const next = target && target !== this && target.width === this.width && target.height === this.height
+      ? target
+      : new PackedGrid(this.width, this.height);
+    next.states = null;
+    next.margin = null;
+    next.outside = null;
+
+    const { stride, height, words, tailMask } = this;
+    const out = next.words;
+
+    for (let y = 0; y < height; y++) {
+      const row = y * stride;
+      const up = y > 0 ? row - stride : -1;
+      const down = y < height - 1 ? row + stride : -1;
+
+      for (let w = 0; w < stride; w++) {
+        const hasLeft = w > 0;
+        const hasRight = w < stride - 1;
+
+        const n = up >= 0 ? words[up + w] : 0;
+        const nw = up >= 0 ? (n << 1) | (hasLeft ? words[up + w - 1] >>> 31 : 0) : 0;
+        const ne = up >= 0 ? (n >>> 1) | (hasRight ? words[up + w + 1] << 31 : 0) : 0;
+
+        const c = words[row + w];
+        const west = (c << 1) | (hasLeft ? words[row + w - 1] >>> 31 : 0);
+        const east = (c >>> 1) | (hasRight ? words[row + w + 1] << 31 : 0);
+
+        const s = down >= 0 ? words[down + w] : 0;
+        const sw = down >= 0 ? (s << 1) | (hasLeft ? words[down + w - 1] >>> 31 : 0) : 0;
+        const se = down >= 0 ? (s >>> 1) | (hasRight ? words[down + w + 1] << 31 : 0) : 0;
+
+        let result = applyIsotropicRule(rule.transitions, nw, n, ne, west, c, east, sw, s, se);
+        if (!hasRight) result &= tailMask;
+        out[row + w] = result;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Compute the next generation under a Generations rule.
+   * Live cells follow the birth/survival masks, except that decaying cells
+   * cannot be born. Live cells that do not survive start decaying at state 2,
+   * and decaying cells advance one state per generation until they die.
+   * @param {PackedGrid} target - Optional grid of the same size to write into
+   * @param {Object} rule - Parsed rule with birthMask, survivalMask and states
+   * @returns {PackedGrid} Next generation grid
+   */
+  stepGenerations(target, rule) {
+    const reusableStates = target && target !== this && target.width === this.width && target.height === this.height
+      ? target.states
+      : null;
+    const next = this.stepRule(target, rule);
+    const { width, height, stride, words } = this;
+    const out = next.words;
+    const nextStates = reusableStates || new Uint8Array(width * height);
+    nextStates.fill(0);
+
+    // Decaying cells block births and move one state closer to dead
+    if (this.states) {
+      for (let i = 0; i < this.states.length; i++) {
+        const state = this.states[i];
+        if (state < 2) continue;
+        const x = i % width;
+        out[((i - x) / width) * stride + (x >>> 5)] &= ~(1 << (x & 31));
+        if (state + 1 < rule.states) nextStates[i] = state + 1;
+      }
+    }
+
+    // Live cells that did not survive start decaying
+    for (let y = 0; y < height; y++) {
+      const rowOffset = y * stride;
+      for (let w = 0; w < stride; w++) {
+        let died = words[rowOffset + w] & ~out[rowOffset + w];
+        while (died !== 0) {
+          const bit = 31 - Math.clz32(died & -died);
+          nextStates[y * width + w * WORD_BITS + bit] = 2;
+          died &= died - 1;
+        }
+      }
+    }
+
+    next.states = nextStates;
+    return next;
+  }
+
+  /**
+   * Compute the next generation on a non-bounded topology.
+   * The board is stepped inside a padded copy: wrapping topologies fill a one
+   * cell halo from the opposite edges, while absorbing boards keep a hidden
+   * margin so objects can leave the board cleanly instead of turning into
+   * debris at the edge. Objects in the margin that move out of reach of the
+   * board are removed, so nothing that leaves can come back.
+   * @param {PackedGrid} target - Optional grid of the same size to write into
+   * @param {Object} rule - Optional parsed rule
+   * @param {string} topology - Board topology (see TOPOLOGY)
+   * @returns {PackedGrid} Next generation grid
+   */
+  stepTopology(target, rule, topology) {
+    const resolved = resolveTopology(topology);
+    if (!resolved || resolved === TOPOLOGY.BOUNDED) {
+      return this.step(target, rule);
+    }
+    if (resolved === TOPOLOGY.UNBOUNDED) {
+      return this.stepUnbounded(target, rule);
+    }
+
+    const { width, height } = this;
+    const absorbing = resolved === TOPOLOGY.ABSORBING;
+    const pad = absorbing ? ABSORBING_MARGIN : 1;
+
+    const padded = absorbing && this.margin ? this.margin.clone() : new PackedGrid(width + 2 * pad, height + 2 * pad);
+    copyCells(this, padded, pad, pad);
+
+    if (!absorbing) {
+      for (let x = -1; x <= width; x++) {
+        for (const y of [-1, height]) {
+          const source = wrapCoordinate(x, y, width, height, resolved);
+          if (this.get(source.x, source.y)) padded.set(x + pad, y + pad, 1);
+        }
+      }
+      for (let y = 0; y < height; y++) {
+        for (const x of [-1, width]) {
+          const source = wrapCoordinate(x, y, width, height, resolved);
+          if (this.get(source.x, source.y)) padded.set(x + pad, y + pad, 1);
+        }
+      }
+    }
+
+    const stepped = padded.step(null, rule);
+
+    const next = target && target !== this && target.width === width && target.height === height
+      ? target
+      : new PackedGrid(width, height);
+    next.words.fill(0);
+    next.states = null;
+    next.margin = null;
+    next.outside = null;
+    copyCells(stepped, next, -pad, -pad);
+
+    if (absorbing) {
+      // Keep only what lies outside the board as the new hidden margin
+      clearCells(stepped, pad, pad, width, height);
+      absorbDistantObjects(stepped, pad, width, height);
+      if (stepped.getBounds() || (stepped.states && stepped.states.some(state => state > 1))) {
+        next.margin = stepped;
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Compute the next generation on an unbounded board.
+   * The board is a window onto a sparse universe: cells that leave it are kept
+   * in the outside universe, keep evolving there and can come back later.
+   * @param {PackedGrid} target - Optional grid of the same size to write into
+   * @param {Object} rule - Optional parsed Life-like rule (two-state, no B0)
+   * @returns {PackedGrid} Next generation grid
+   */
+  stepUnbounded(target, rule) {
+    const universe = this.outside ? this.outside.clone() : new SparseUniverse();
+    universe.addPackedGrid(this);
+    const stepped = universe.step(rule);
+
+    const next = target && target !== this && target.width === this.width && target.height === this.height
+      ? target
+      : new PackedGrid(this.width, this.height);
+    next.words.fill(0);
+    next.states = null;
+    next.margin = null;
+    stepped.moveIntoPackedGrid(next);
+    next.outside = stepped.isEmpty() ? null : stepped;
+
+    return next;
+  }
+}
+
+/**
+ * Read a cell from either grid representation
+ * @param {PackedGrid|number[][]} grid - Packed grid or 2D array
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number} 1 if alive, 0 otherwise (including out of bounds)
+ */
+export function getCell(grid, x, y) {
+  if (PackedGrid.isPackedGrid(grid)) return grid.get(x, y);
+  if (!Array.isArray(grid) || y < 0 || y >= grid.length || x < 0 || x >= grid[y].length) return 0;
+  // Decaying cells of multi-state grids (2 and up) are not alive
+  return grid[y][x] && grid[y][x] <= 1 ? 1 : 0;
+}
+
+/**
+ * Read a cell of a packed board, including the universe beyond an unbounded board
+ * @param {PackedGrid} grid - Board
+ * @param {number} x - Board column
+ * @param {number} y - Board row
+ * @returns {number} 1 if alive, 0 otherwise
+ */
+export function isCellAlive(grid, x, y) {
+  if (x >= 0 && x < grid.width && y >= 0 && y < grid.height) return grid.get(x, y);
+  return grid.outside ? grid.outside.get(x, y) : 0;
+}
+
+/**
+ * Get the dimensions of either grid representation
+ * @param {PackedGrid|number[][]} grid - Packed grid or 2D array
+ * @returns {Object} Object with width and height
+ */
+export function getGridSize(grid) {
+  if (PackedGrid.isPackedGrid(grid)) return { width: grid.width, height: grid.height };
+  if (!Array.isArray(grid)) return { width: 0, height: 0 };
+  return { width: grid.length > 0 ? grid[0].length : 0, height: grid.length };
+}
+
+/**
+ * Accept either grid representation and return a packed grid
+ * @param {PackedGrid|number[][]} grid - Packed grid or 2D array
+ * @returns {PackedGrid} The same packed grid, or a packed copy of the array
+ */
+export function toPackedGrid(grid) {
+  return PackedGrid.isPackedGrid(grid) ? grid : PackedGrid.fromArray(grid);
+}
@@ -0,0 +1,132 @@
+// Pattern file formats: detection and parsing of RLE, plaintext, Life 1.05/1.06 and macrocell files
+import { PATTERN_FORMAT } from '../constants/gameConstants.js';
+import { parseRLEFile, encodeRLEFile } from './rleUtils.js';
+import { parsePlaintextFile, encodePlaintextFile } from './plaintextUtils.js';
+import { parseLife105File, parseLife106File, encodeLife105File, encodeLife106File } from './lifeFileUtils.js';
+import { parseMacrocellFile, encodeMacrocellFile } from './macrocellUtils.js';
+
+// File extensions of the brush files, by format; .lif and .life files say which Life version they are
+const FORMAT_EXTENSIONS = {
+  rle: PATTERN_FORMAT.RLE,
+  cells: PATTERN_FORMAT.PLAINTEXT,
+  mc: PATTERN_FORMAT.MACROCELL
+};
+
+const PARSERS = {
+  [PATTERN_FORMAT.RLE]: parseRLEFile,
+  [PATTERN_FORMAT.PLAINTEXT]: parsePlaintextFile,
+  [PATTERN_FORMAT.LIFE_105]: parseLife105File,
+  [PATTERN_FORMAT.LIFE_106]: parseLife106File,
+  [PATTERN_FORMAT.MACROCELL]: parseMacrocellFile
+};
+
+const WRITERS = {
+  [PATTERN_FORMAT.RLE]: encodeRLEFile,
+  [PATTERN_FORMAT.PLAINTEXT]: encodePlaintextFile,
+  [PATTERN_FORMAT.LIFE_105]: encodeLife105File,
+  [PATTERN_FORMAT.LIFE_106]: encodeLife106File,
+  [PATTERN_FORMAT.MACROCELL]: encodeMacrocellFile
+};
+
+// File extension written for each format
+const FORMAT_FILE_EXTENSIONS = {
+  [PATTERN_FORMAT.RLE]: 'rle',
+  [PATTERN_FORMAT.PLAINTEXT]: 'cells',
+  [PATTERN_FORMAT.LIFE_105]: 'lif',
+  [PATTERN_FORMAT.LIFE_106]: 'lif',
+  [PATTERN_FORMAT.MACROCELL]: 'mc'
+};
+
+/**
+ * Work out the format of a pattern file, from the content's own header where
+ * it has one and from the file extension otherwise
+ * @param {string} content - Raw file content
+ * @param {string} filename - Optional file name
+ * @returns {string} PATTERN_FORMAT value; RLE when nothing else fits
+ */
+export function detectPatternFormat(content, filename = '') {
+  const firstLine = content.trimStart().split(/\r?\n/, 1)[0] || '';
+  if (/^#Life 1\.06/i.test(firstLine)) return PATTERN_FORMAT.LIFE_106;
+  if (/^#Life 1\.05/i.test(firstLine)) return PATTERN_FORMAT.LIFE_105;
+  if (firstLine.startsWith('[M2]')) return PATTERN_FORMAT.MACROCELL;
+
+  const extension = filename.includes('.') ? filename.split('.').pop().toLowerCase() : '';
+  if (FORMAT_EXTENSIONS[extension]) return FORMAT_EXTENSIONS[extension];
+
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines.some(line => /^x\s*=/.test(line))) return PATTERN_FORMAT.RLE;
+  if (lines.length > 0 && lines.every(line => line.startsWith('!') || /^[.O*]+$/.test(line))) return PATTERN_FORMAT.PLAINTEXT;
+  return PATTERN_FORMAT.RLE;
+}
+
+/**
+ * Parse a pattern file of any supported format
+ * @param {string} content - Raw file content
+ * @param {string} filename - Optional file name, used to recognize the format
+ * @param {Object} options - {strict: list problems in diagnostics (see parseRLEFile)}
+ * @returns {Object} Pattern data {name, pattern, width, height, ...} as returned by parseRLEFile, with the detected format
+ * @throws {Error} For macrocell files whose quadtree cannot be built
+ */
+export function parsePatternFile(content, filename = '', options = {}) {
+  const format = detectPatternFormat(content, filename);
+  return { ...PARSERS[format](content, options), format };
+}
+
+/**
+ * Strip a pattern file name down to the brush id it provides
+ * @param {string} filename - File name such as "glider.cells"
+ * @returns {string} Brush id such as "glider"
+ */
+export function getPatternFileId(filename) {
+  return filename.replace(/\.(rle|cells|lif|life|mc)$/i, '');
+}
+
+/**
+ * Write a brush as a complete pattern file: name, details, guidance lines
+ * (#P lines in RLE) and header. Brushes transformed by
+ * BrushService.transformPattern keep the width and height of the original,
+ * so their size is taken from their cells instead. Where a parsed file was
+ * placed (position and generation) is not part of a brush and is left out.
+ * @param {Object} brush - Brush {name, author, comments, rule, pattern, width, height, guidanceLines or guidanceLine, rotation, flipX, flipY}
+ * @param {string} format - PATTERN_FORMAT value; RLE by default
+ * @returns {string} File content ending in a newline
+ * @throws {Error} For unknown formats
+ */
+export function encodePatternFile(brush, format = PATTERN_FORMAT.RLE) {
+  const writer = WRITERS[format];
+  if (!writer) throw new Error(`Unknown pattern format "${format}"`);
+
+  const transformed = Boolean(brush.rotation || brush.flipX || brush.flipY);
+  const pattern = brush.pattern || [];
+  const guidanceLines = brush.guidanceLines || (brush.guidanceLine ? [brush.guidanceLine] : []);
+  // Flips and rotations can move cells left of or above the origin; the
+  // writers would record that as a position, so the cells are moved back
+  const minX = transformed && pattern.length > 0 ? Math.min(...pattern.map(([, x]) => x)) : 0;
+  const minY = transformed && pattern.length > 0 ? Math.min(...pattern.map(([y]) => y)) : 0;
+  return writer({
+    name: brush.name,
+    author: brush.author || null,
+    comments: brush.comments || [],
+    rule: brush.rule || null,
+    pattern: pattern.map(([y, x, ...state]) => [y - minY, x - minX, ...state]),
+    width: transformed ? 0 : brush.width,
+    height: transformed ? 0 : brush.height,
+    guidanceLines: guidanceLines.map(guidanceLine => ({
+      ...guidanceLine,
+      startX: (guidanceLine.startX || 0) - minX,
+      startY: (guidanceLine.startY || 0) - minY
+    }))
+  });
+}
+
+/**
+ * Suggest a file name for a brush, marking transformed variants
+ * @param {Object} brush - Brush {id, name, rotation, flipX, flipY}
+ * @param {string} format - PATTERN_FORMAT value; RLE by default
+ * @returns {string} File name such as "p30GliderGunG_r90.rle"
+ */
+export function getPatternFileName(brush, format = PATTERN_FORMAT.RLE) {
+  const base = brush.id || (brush.name || 'pattern').replace(/[^\w-]+/g, '_');
+  const variant = `${brush.rotation ? `_r${brush.rotation}` : ''}${brush.flipX ? '_fx' : ''}${brush.flipY ? '_fy' : ''}`;
+  return `${base}${variant}.${FORMAT_FILE_EXTENSIONS[format] || 'rle'}`;
+}
@@ -0,0 +1,84 @@
+// Plaintext (.cells) pattern files: '!' comment lines followed by rows of '.' and 'O'
+
+/**
+ * Parse plaintext file content. "!Name:" and "!Author:" comments give the
+ * name and author; other '!' lines are comments. 'O' (or '*') is a live cell,
+ * anything else in a row is dead.
+ * @param {string} content - Raw .cells file content
+ * @param {Object} options - {strict: list characters other than '.', 'O' and '*' in diagnostics}
+ * @returns {Object} Pattern data {name, author, comments, pattern, width, height, rule, position, generation, guidanceLines, guidanceLine}, shaped like parseRLEFile's, with diagnostics in strict mode
+ */
+export function parsePlaintextFile(content, { strict = false } = {}) {
+  let name = '';
+  let author = null;
+  const comments = [];
+  const rows = [];
+  const diagnostics = [];
+
+  content.split(/\r?\n/).forEach((line, lineIndex) => {
+    if (strict && !line.startsWith('!')) {
+      const unexpected = line.trimEnd().search(/[^.O*]/);
+      if (unexpected !== -1) {
+        diagnostics.push({ line: lineIndex + 1, column: unexpected + 1, reason: `Unexpected character "${line[unexpected]}" in a pattern row` });
+      }
+    }
+
+    if (line.startsWith('!')) {
+      const comment = line.substring(1).trim();
+      const field = comment.match(/^(Name|Author):\s*(.*)$/i);
+      if (field && field[1].toLowerCase() === 'name') name = field[2].trim();
+      else if (field) author = field[2].trim();
+      else comments.push(comment);
+    } else {
+      rows.push(line.trimEnd());
+    }
+  });
+
+  // Blank lines at the end of the file are not rows
+  while (rows.length > 0 && rows[rows.length - 1] === '') rows.pop();
+
+  const pattern = [];
+  rows.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      if (row[x] === 'O' || row[x] === '*') pattern.push([y, x]);
+    }
+  });
+
+  const result = {
+    name: name || 'Unknown Pattern',
+    author,
+    comments,
+    pattern,
+    width: rows.reduce((width, row) => Math.max(width, row.length), 0),
+    height: rows.length,
+    rule: null,
+    position: null,
+    generation: null,
+    guidanceLines: [],
+    guidanceLine: null
+  };
+  return strict ? { ...result, diagnostics } : result;
+}
+
+/**
+ * Write a plaintext file. Only live cells (state 1) are written; the format
+ * has no decaying states, positions or guidance lines.
+ * @param {Object} patternData - {name, author, comments, pattern: Array of [y, x] or [y, x, state] with non-negative coordinates, width, height}
+ * @returns {string} .cells file content ending in a newline
+ */
+export function encodePlaintextFile(patternData) {
+  const pattern = (patternData.pattern || []).filter(([, , state]) => !state || state === 1);
+  const width = pattern.reduce((max, [, x]) => Math.max(max, x + 1), patternData.width || 0);
+  const height = pattern.reduce((max, [y]) => Math.max(max, y + 1), patternData.height || 0);
+
+  const rows = Array.from({ length: height }, () => new Array(width).fill('.'));
+  pattern.forEach(([y, x]) => { rows[y][x] = 'O'; });
+
+  const lines = [];
+  if (patternData.name) lines.push(`!Name: ${patternData.name}`);
+  if (patternData.author) lines.push(`!Author: ${patternData.author}`);
+  (patternData.comments || []).forEach(comment => lines.push(comment ? `!${comment}` : '!'));
+  rows.forEach(row => lines.push(row.join('')));
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,86 @@
+// PNG images written in pure JS, for exporting rendered frames without canvas.toBlob
+import { zlibDeflate, crc32 } from './deflate.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const COLOR_TYPE_RGB = 2;
+const FILTER_UP = 2; // Each byte minus the byte above it: rows of a board repeat, so most become zero
+
+/**
+ * Write a 32-bit big-endian number
+ * @param {Uint8Array} bytes - Output
+ * @param {number} offset - Byte offset
+ * @param {number} value - Unsigned value
+ */
+function writeUint32(bytes, offset, value) {
+  bytes[offset] = value >>> 24;
+  bytes[offset + 1] = (value >>> 16) & 0xff;
+  bytes[offset + 2] = (value >>> 8) & 0xff;
+  bytes[offset + 3] = value & 0xff;
+}
+
+/**
+ * Build a PNG chunk: length, type, data and a CRC over type and data
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} Chunk bytes
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  writeUint32(chunk, 0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  writeUint32(chunk, data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+/**
+ * Encode RGBA pixels (as from getImageData) as an opaque 8-bit RGB PNG.
+ * Rendered boards have no transparency, so alpha is dropped.
+ * @param {Uint8Array|Uint8ClampedArray} rgba - Pixels, four bytes each, row by row
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodePng(rgba, width, height) {
+  const rowLength = width * 3;
+  const raw = new Uint8Array((rowLength + 1) * height);
+  let previousRow = null;
+
+  for (let y = 0; y < height; y++) {
+    const row = new Uint8Array(rowLength);
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * 4;
+      row[x * 3] = rgba[source];
+      row[x * 3 + 1] = rgba[source + 1];
+      row[x * 3 + 2] = rgba[source + 2];
+    }
+
+    const offset = y * (rowLength + 1);
+    raw[offset] = FILTER_UP;
+    for (let i = 0; i < rowLength; i++) {
+      raw[offset + 1 + i] = (row[i] - (previousRow ? previousRow[i] : 0)) & 0xff;
+    }
+    previousRow = row;
+  }
+
+  const header = new Uint8Array(13);
+  writeUint32(header, 0, width);
+  writeUint32(header, 4, height);
+  header[8] = 8; // Bits per channel
+  header[9] = COLOR_TYPE_RGB;
+
+  const chunks = [
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlibDeflate(raw)),
+    createChunk('IEND', new Uint8Array(0))
+  ];
+
+  const png = new Uint8Array(PNG_SIGNATURE.length + chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  png.set(PNG_SIGNATURE, 0);
+  let offset = PNG_SIGNATURE.length;
+  chunks.forEach(chunk => {
+    png.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return png;
+}
@@ -1,11 +1,69 @@
 // RLE (Run Length Encoding) utilities for Conway's Game of Life patterns
+import { parseRule } from './lifeRules.js';
+
+// Extended multi-state RLE: '.' is state 0, 'A'-'X' are states 1-24, and a
+// prefix 'p'-'y' adds 24 per letter past 'o' ("pA" is state 25)
+const STATE_LETTERS = 24;
+
+// Longest pattern data line written to RLE files, as the format recommends
+const RLE_LINE_LENGTH = 70;
+
+// One run of the pattern data: an optional count and a cell, line end or pattern end tag
+const RLE_RUN = /\d*(?:[p-y][A-X]|[^\d\s])/g;
+
+/**
+ * Format a cell state as an extended RLE state letter
+ * @param {number} state - Cell state (0-255)
+ * @returns {string} State letter(s)
+ */
+function stateToRLELetter(state) {
+  if (state === 0) return '.';
+  const prefixIndex = Math.floor((state - 1) / STATE_LETTERS);
+  const letter = String.fromCharCode(65 + (state - 1) % STATE_LETTERS);
+  return prefixIndex === 0 ? letter : String.fromCharCode(111 + prefixIndex) + letter;
+}
 
 /**
- * Decode RLE string to coordinate array
+ * Format a run of equal cells
+ * @param {number} count - Run length
+ * @param {string} token - Cell or line end tag
+ * @returns {string} Run such as "3o" or "$"
+ */
+function formatRun(count, token) {
+  return count === 1 ? token : `${count}${token}`;
+}
+
+/**
+ * Split RLE pattern data into lines of limited length without breaking a run
+ * @param {string} rle - Pattern data
+ * @param {number} lineLength - Longest line
+ * @returns {string} Pattern data with newlines
+ */
+export function wrapRLE(rle, lineLength = RLE_LINE_LENGTH) {
+  const lines = [];
+  let line = '';
+  for (const run of rle.match(RLE_RUN) || []) {
+    if (line.length + run.length > lineLength && line.length > 0) {
+      lines.push(line);
+      line = '';
+    }
+    line += run;
+  }
+  if (line.length > 0) lines.push(line);
+  return lines.join('\n');
+}
+
+/**
+ * Decode RLE string to coordinate array.
+ * Understands two-state 'b'/'o' cells and the extended multi-state letters
+ * ('.', 'A'-'X', 'pA'-'yO'); cells in state 2 and up carry their state.
+ * Characters that are not part of the format are skipped; pass onDiagnostic
+ * to hear about them.
  * @param {string} rleString - RLE encoded pattern
- * @returns {Array<[number, number]>} Array of coordinate tuples [y, x]
+ * @param {Object} options - {onDiagnostic: optional callback (index, reason) for each skipped character}
+ * @returns {Array<[number, number]|[number, number, number]>} Array of coordinate tuples [y, x] or [y, x, state]
  */
-export function decodeRLE(rleString) {
+export function decodeRLE(rleString, { onDiagnostic = null } = {}) {
   const coordinates = [];
   let currentY = 0;
   let i = 0;
@@ -27,10 +85,22 @@ export function decodeRLE(rleString) {
       if (i >= rleString.length) break;
 
       const char = rleString[i];
-      if (char === 'b') {
+      const nextChar = rleString[i + 1] || '';
+      if (char === 'b' || char === '.') {
         // Dead cells - skip
         x += count;
         i++;
+      } else if ((char >= 'A' && char <= 'X') || (char >= 'p' && char <= 'y' && nextChar >= 'A' && nextChar <= 'X')) {
+        // Multi-state cells - 'A' is a plain live cell, later letters are decaying states
+        const prefixed = char >= 'p';
+        const letter = prefixed ? nextChar : char;
+        const prefixIndex = prefixed ? char.charCodeAt(0) - 111 : 0;
+        const state = prefixIndex * STATE_LETTERS + letter.charCodeAt(0) - 64;
+        for (let j = 0; j < count; j++) {
+          coordinates.push(state === 1 ? [currentY, x + j] : [currentY, x + j, state]);
+        }
+        x += count;
+        i += prefixed ? 2 : 1;
       } else if (char === 'o') {
         // Live cells - add coordinates
         for (let j = 0; j < count; j++) {
@@ -54,6 +124,7 @@ export function decodeRLE(rleString) {
         return coordinates;
       } else {
         // Unknown character, skip
+        if (onDiagnostic && !/\s/.test(char)) onDiagnostic(i, `Unexpected character "${char}" in pattern data`);
         i++;
       }
     }
@@ -63,11 +134,14 @@ export function decodeRLE(rleString) {
 }
 
 /**
- * Encode a grid as RLE format
+ * Encode a grid as RLE format.
+ * Two-state grids use 'b'/'o'; grids containing decaying states (2 and up)
+ * switch to the extended multi-state letters.
  * @param {number[][]} grid - 2D grid array
+ * @param {Object} options - {lineLength: wrap the data into lines of at most this length; unwrapped by default}
  * @returns {Object} Object with rle string and bounding box info
  */
-export function encodeRLE(grid) {
+export function encodeRLE(grid, { lineLength = 0 } = {}) {
   if (!grid || grid.length === 0) {
     return { rle: '!', minRow: 0, maxRow: 0, minCol: 0, maxCol: 0 };
   }
@@ -91,12 +165,16 @@ export function encodeRLE(grid) {
     return { rle: '!', minRow: 0, maxRow: 0, minCol: 0, maxCol: 0 };
   }
 
+  const cellState = value => (value > 1 ? value : (value ? 1 : 0));
+  const multiState = grid.some(row => row.some(value => value > 1));
+  const stateToken = state => (multiState ? stateToRLELetter(state) : (state ? 'o' : 'b'));
+
   // Build array of line strings first
   const lines = [];
   for (let row = minRow; row <= maxRow; row++) {
     let line = '';
-    let deadCount = 0;
-    let liveCount = 0;
+    let runState = 0;
+    let runLength = 0;
     let hasLiveCells = false;
 
     // Check if this row has any live cells in the bounding box
@@ -113,28 +191,20 @@ export function encodeRLE(grid) {
       continue;
     }
 
-    // Process the current line with live cells
+    // Process the current line as runs of equal states
     for (let col = minCol; col <= maxCol; col++) {
-      if (grid[row][col]) {
-        // Live cell
-        if (deadCount > 0) {
-          line += deadCount === 1 ? 'b' : `${deadCount}b`;
-          deadCount = 0;
-        }
-        liveCount++;
-      } else {
-        // Dead cell
-        if (liveCount > 0) {
-          line += liveCount === 1 ? 'o' : `${liveCount}o`;
-          liveCount = 0;
-        }
-        deadCount++;
+      const state = cellState(grid[row][col]);
+      if (runLength > 0 && state !== runState) {
+        line += runLength === 1 ? stateToken(runState) : `${runLength}${stateToken(runState)}`;
+        runLength = 0;
       }
+      runState = state;
+      runLength++;
     }
 
-    // Handle remaining live cells at end of row
-    if (liveCount > 0) {
-      line += liveCount === 1 ? 'o' : `${liveCount}o`;
+    // Handle remaining cells at end of row (trailing dead cells are implied)
+    if (runLength > 0 && runState !== 0) {
+      line += runLength === 1 ? stateToken(runState) : `${runLength}${stateToken(runState)}`;
     }
 
     lines.push(line);
@@ -169,7 +239,7 @@ export function encodeRLE(grid) {
   }
 
   return {
-    rle: rle + '!',
+    rle: lineLength > 0 ? wrapRLE(rle + '!', lineLength) : rle + '!',
     minRow,
     maxRow,
     minCol,
@@ -178,57 +248,161 @@ export function encodeRLE(grid) {
 }
 
 /**
- * Parse RLE file content and extract pattern data
+ * Parse RLE file content and extract pattern data.
+ * Understands the comment lines of the format: #N name, #O author, #C/#c
+ * comments, #P/#R top-left position ("#P -5 -3"), #r rule ("#r 23/3") and
+ * Golly's "#CXRLE Pos=x,y Gen=n"; #P lines of the form
+ * Direction/x/y/length/speed are guidance lines. A rule in the header wins
+ * over #r. Anything after the closing '!' is ignored.
+ *
+ * The default lenient mode quietly skips what it does not understand and
+ * falls back to an empty 50x50 pattern without a valid header. Strict mode
+ * sizes headerless patterns from their cells and lists every problem found
+ * in diagnostics instead.
  * @param {string} rleContent - Raw RLE file content
- * @returns {Object} Pattern data with name, coordinates, dimensions, and RLE
+ * @param {Object} options - {strict: collect diagnostics instead of falling back silently}
+ * @returns {Object} Pattern data {name, author, comments, pattern, width, height, rle, rule, position, generation, guidanceLines};
+ * rule is the canonical B/S string (or null when none is declared), position
+ * the {x, y} of the top-left cell and generation a number, both null when not given.
+ * Strict mode adds diagnostics: Array of {line, column, reason} with 1-based
+ * positions, or null ones for problems with the file as a whole
  */
-export function parseRLEFile(rleContent) {
-  const lines = rleContent.split('\n');
+export function parseRLEFile(rleContent, { strict = false } = {}) {
+  const lines = rleContent.split(/\r?\n/);
   let header = '';
+  let headerLine = null;
   let rleData = '';
   let name = '';
+  let author = null;
+  const comments = [];
+  let commentRule = null;
+  let commentRuleAt = null;
+  let position = null;
+  let generation = null;
   let guidanceLines = []; // Changed to array to support multiple guidance lines
 
-  for (const line of lines) {
-    if (line.startsWith('#N ')) {
+  const diagnostics = [];
+  const report = (line, column, reason) => diagnostics.push({ line, column, reason });
+  // Where each data line starts in rleData, to point diagnostics back into the file
+  const dataSegments = [];
+
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+    const rawLine = lines[lineIndex];
+    const line = rawLine.trim();
+    const lineNumber = lineIndex + 1;
+    const columnOf = text => rawLine.indexOf(text) + 1;
+    if (rleData.includes('!')) {
+      // Anything after the end of the pattern is free text
+      break;
+    } else if (line.startsWith('#CXRLE')) {
+      // Golly's extension: position of the top-left cell and generation count
+      const posMatch = line.match(/Pos\s*=\s*(-?\d+)\s*,\s*(-?\d+)/i);
+      const genMatch = line.match(/Gen\s*=\s*(\d+)/i);
+      if (posMatch) position = { x: parseInt(posMatch[1], 10), y: parseInt(posMatch[2], 10) };
+      if (genMatch) generation = parseInt(genMatch[1], 10);
+    } else if (line.startsWith('#N')) {
       // Name line
-      name = line.substring(3).trim();
-    } else if (line.startsWith('#P ')) {
-      // Guidance line comment - collect all of them
-      const guidanceSpec = line.substring(3).trim();
-      const parsedGuidanceLine = parseGuidanceLineSpec(guidanceSpec);
-      if (parsedGuidanceLine) {
-        guidanceLines.push(parsedGuidanceLine);
+      name = line.substring(2).trim();
+    } else if (line.startsWith('#O')) {
+      author = line.substring(2).trim();
+    } else if (line.startsWith('#C') || line.startsWith('#c')) {
+      comments.push(line.substring(2).trim());
+    } else if (line.startsWith('#P') || line.startsWith('#R')) {
+      const spec = line.substring(2).trim();
+      const positionMatch = spec.match(/^(-?\d+)\s+(-?\d+)$/);
+      if (positionMatch) {
+        position = { x: parseInt(positionMatch[1], 10), y: parseInt(positionMatch[2], 10) };
+      } else if (line.startsWith('#P')) {
+        // Guidance line comment - collect all of them
+        const parsedGuidanceLine = parseGuidanceLineSpec(spec, reason => report(lineNumber, columnOf(spec) || 1, reason));
+        if (parsedGuidanceLine) {
+          guidanceLines.push(parsedGuidanceLine);
+        }
+      } else if (parseRule(spec)) {
+        // Some files give the rule on a #R line
+        commentRule = spec;
+        commentRuleAt = { line: lineNumber, column: columnOf(spec) };
+      } else {
+        report(lineNumber, columnOf(spec) || 1, `"#R ${spec}" is neither a position nor a rule`);
       }
-    } else if (line.startsWith('x = ')) {
+    } else if (line.startsWith('#r')) {
+      commentRule = line.substring(2).trim();
+      commentRuleAt = { line: lineNumber, column: columnOf(commentRule) || 1 };
+    } else if (/^x\s*=/.test(line)) {
       // Header line
-      header = line;
-    } else if (line && !line.startsWith('#') && !line.startsWith('x = ')) {
+      if (header) report(lineNumber, 1, 'Second header line; only the first one is used');
+      else {
+        header = line;
+        headerLine = lineNumber;
+      }
+    } else if (line && !line.startsWith('#')) {
       // RLE data lines
+      dataSegments.push({ start: rleData.length, line: lineNumber, column: columnOf(line) });
       rleData += line;
     }
   }
+  if (rleData.includes('!')) {
+    rleData = rleData.substring(0, rleData.indexOf('!') + 1);
+  } else if (rleData) {
+    const last = dataSegments[dataSegments.length - 1];
+    report(last.line, last.column + rleData.length - last.start, 'Pattern data does not end with "!"');
+  }
 
   // Extract width and height from header with validation
-  const headerMatch = header.match(/x = (\d+), y = (\d+)/);
-  const width = headerMatch ? parseInt(headerMatch[1]) : 50;
-  const height = headerMatch ? parseInt(headerMatch[2]) : 50;
+  const headerMatch = header.match(/^x\s*=\s*(\d+)\s*,\s*y\s*=\s*(\d+)/);
+  let width = headerMatch ? parseInt(headerMatch[1]) : 50;
+  let height = headerMatch ? parseInt(headerMatch[2]) : 50;
+  if (!header) {
+    report(null, null, 'Missing "x = ..., y = ..." header line');
+  } else if (!headerMatch) {
+    report(headerLine, 1, `Invalid header "${header}"; expected "x = width, y = height"`);
+  }
+
+  // Keep unrecognised rules verbatim so they never match a level's rule;
+  // Golly's bounded grid suffix (":T20,30") is not part of the rule
+  const ruleMatch = header.match(/rule\s*=\s*([^,\s:]+)/i);
+  const declaredRule = ruleMatch ? ruleMatch[1] : commentRule;
+  let rule = null;
+  if (declaredRule) {
+    const parsedRule = parseRule(declaredRule);
+    if (!parsedRule) {
+      console.warn(`Unrecognised rule "${declaredRule}" in RLE pattern "${name}"`);
+      const at = ruleMatch
+        ? { line: headerLine, column: lines[headerLine - 1].indexOf(declaredRule) + 1 }
+        : commentRuleAt;
+      report(at.line, at.column, `Unrecognised rule "${declaredRule}"`);
+    }
+    rule = parsedRule ? parsedRule.rule : declaredRule;
+  }
+
+  const details = { author, comments, position, generation };
+  const withDiagnostics = result => (strict ? { ...result, diagnostics } : result);
 
   // Validate parsed dimensions
   if (isNaN(width) || isNaN(height) || width <= 0 || height <= 0) {
-    return {
-      name: name || 'Invalid Pattern',
-      pattern: [],
-      width: 50,
-      height: 50,
-      rle: '',
-      guidanceLines: [] // Use array for consistency
-    };
+    if (headerMatch) report(headerLine, 1, `Header declares an empty ${width}x${height} pattern`);
+    if (!strict) {
+      return {
+        name: name || 'Invalid Pattern',
+        ...details,
+        pattern: [],
+        width: 50,
+        height: 50,
+        rle: '',
+        rule,
+        guidanceLines: [] // Use array for consistency
+      };
+    }
   }
 
   // Decode RLE to coordinates with error handling
   try {
-    const coordinates = decodeRLE(rleData);
+    const coordinates = decodeRLE(rleData, {
+      onDiagnostic: (index, reason) => {
+        const segment = dataSegments.reduce((found, candidate) => (candidate.start <= index ? candidate : found));
+        report(segment.line, segment.column + index - segment.start, reason);
+      }
+    });
 
     // Validate coordinates are within reasonable bounds
     const validCoordinates = coordinates.filter(([y, x]) =>
@@ -236,14 +410,30 @@ export function parseRLEFile(rleContent) {
       !isNaN(y) && !isNaN(x) &&
       Math.abs(y) < 1000 && Math.abs(x) < 1000
     );
+    if (validCoordinates.length < coordinates.length) {
+      report(null, null, `${coordinates.length - validCoordinates.length} cells lie 1000 or more cells from the origin and were dropped`);
+    }
+
+    // The cells must fit the size the header declares
+    const extentWidth = validCoordinates.reduce((max, [, x]) => Math.max(max, x + 1), 0);
+    const extentHeight = validCoordinates.reduce((max, [y]) => Math.max(max, y + 1), 0);
+    if (headerMatch && (extentWidth > width || extentHeight > height)) {
+      report(headerLine, 1, `Header says x = ${width}, y = ${height} but the pattern data spans ${extentWidth}x${extentHeight} cells`);
+    }
+    if (strict && (!headerMatch || width <= 0 || height <= 0)) {
+      width = extentWidth;
+      height = extentHeight;
+    }
 
     // For backward compatibility, include single guidanceLine property if there's exactly one
     const result = {
       name: name || 'Unknown Pattern',
+      ...details,
       pattern: validCoordinates,
       width,
       height,
       rle: rleData,
+      rule,
       guidanceLines
     };
 
@@ -255,20 +445,112 @@ export function parseRLEFile(rleContent) {
     }
     // If multiple guidance lines, don't set the single guidanceLine property
 
-    return result;
+    return withDiagnostics(result);
   } catch (error) {
     console.warn(`Error parsing RLE pattern "${name}":`, error);
-    return {
+    report(null, null, error.message);
+    return withDiagnostics({
       name: name || 'Error Pattern',
+      ...details,
       pattern: [],
       width: 50,
       height: 50,
       rle: '',
+      rule,
       guidanceLines: []
-    };
+    });
   }
 }
 
+/**
+ * Encode pattern cells as RLE pattern data, keeping the origin as the
+ * top-left corner: leading blank rows and columns are written, trailing
+ * dead cells and blank rows are left out.
+ * @param {Array} pattern - Array of [y, x] or [y, x, state] with non-negative coordinates
+ * @returns {string} Pattern data ending in '!'
+ */
+function encodePatternData(pattern) {
+  const multiState = pattern.some(([, , state]) => state > 1);
+  const stateToken = state => (multiState ? stateToRLELetter(state) : 'o');
+  const deadToken = multiState ? '.' : 'b';
+
+  const rows = new Map();
+  pattern.forEach(([y, x, state = 1]) => {
+    if (!state) return;
+    if (!rows.has(y)) rows.set(y, new Map());
+    rows.get(y).set(x, state);
+  });
+
+  let rle = '';
+  let currentY = 0;
+  [...rows.keys()].sort((a, b) => a - b).forEach(y => {
+    if (y > currentY) rle += formatRun(y - currentY, '$');
+    currentY = y;
+
+    let currentX = 0;
+    let runState = 0;
+    let runLength = 0;
+    const row = rows.get(y);
+    [...row.keys()].sort((a, b) => a - b).forEach(x => {
+      const state = row.get(x);
+      const contiguous = x === currentX;
+      if (runLength > 0 && (!contiguous || state !== runState)) {
+        rle += formatRun(runLength, stateToken(runState));
+        runLength = 0;
+      }
+      if (!contiguous) rle += formatRun(x - currentX, deadToken);
+      runState = state;
+      runLength++;
+      currentX = x + 1;
+    });
+    rle += formatRun(runLength, stateToken(runState));
+  });
+
+  return rle + '!';
+}
+
+/**
+ * Write a complete RLE file: the #N, #O, #C, #CXRLE and #P guidance lines,
+ * the header and the pattern data wrapped to 70 columns.
+ * parseRLEFile reads the result back to the same pattern data.
+ * @param {Object} patternData - {name, author, comments, pattern: Array of [y, x] or [y, x, state], width, height, rule, position, generation, guidanceLines or guidanceLine}
+ * @param {Object} options - {lineLength: longest pattern data line}
+ * @returns {string} RLE file content ending in a newline
+ */
+export function encodeRLEFile(patternData, { lineLength = RLE_LINE_LENGTH } = {}) {
+  const pattern = patternData.pattern || [];
+  // RLE coordinates start at the top-left corner; cells left of or above it move the corner
+  const minX = pattern.reduce((min, [, x]) => Math.min(min, x), 0);
+  const minY = pattern.reduce((min, [y]) => Math.min(min, y), 0);
+  const cells = pattern.map(([y, x, ...state]) => [y - minY, x - minX, ...state]);
+  // Guidance lines start relative to the corner too
+  const guidanceLines = (patternData.guidanceLines || (patternData.guidanceLine ? [patternData.guidanceLine] : []))
+    .map(guidanceLine => ({ ...guidanceLine, startX: (guidanceLine.startX || 0) - minX, startY: (guidanceLine.startY || 0) - minY }));
+  let position = patternData.position || null;
+  if (minX < 0 || minY < 0) {
+    position = { x: (position ? position.x : 0) + minX, y: (position ? position.y : 0) + minY };
+  }
+
+  const width = cells.reduce((max, [, x]) => Math.max(max, x + 1), patternData.width || 0);
+  const height = cells.reduce((max, [y]) => Math.max(max, y + 1), patternData.height || 0);
+
+  const lines = [];
+  if (patternData.name) lines.push(`#N ${patternData.name}`);
+  if (patternData.author) lines.push(`#O ${patternData.author}`);
+  (patternData.comments || []).forEach(comment => lines.push(comment ? `#C ${comment}` : '#C'));
+  if (position || (patternData.generation !== null && patternData.generation !== undefined)) {
+    const fields = [];
+    if (position) fields.push(`Pos=${position.x},${position.y}`);
+    if (patternData.generation !== null && patternData.generation !== undefined) fields.push(`Gen=${patternData.generation}`);
+    lines.push(`#CXRLE ${fields.join(' ')}`);
+  }
+  guidanceLines.forEach(guidanceLine => lines.push(`#P ${formatGuidanceLineSpec(guidanceLine)}`));
+  lines.push(`x = ${width}, y = ${height}${patternData.rule ? `, rule = ${patternData.rule}` : ''}`);
+  lines.push(wrapRLE(encodePatternData(cells), lineLength));
+
+  return lines.join('\n') + '\n';
+}
+
 /**
  * Decode multiple patterns with individual coordinates
  * @param {Array} patterns - Array of pattern objects with x, y, and rle properties
@@ -283,8 +565,8 @@ export function decodeMultiplePatterns(patterns) {
     try {
       const patternCoords = decodeRLE(pattern.rle);
       // Add the pattern's start coordinates to each decoded coordinate
-      for (const [y, x] of patternCoords) {
-        allCoordinates.push([y + (pattern.y || 0), x + (pattern.x || 0)]);
+      for (const [y, x, ...state] of patternCoords) {
+        allCoordinates.push([y + (pattern.y || 0), x + (pattern.x || 0), ...state]);
       }
     } catch (error) {
       console.warn('Error decoding pattern:', error);
@@ -298,20 +580,38 @@ export function decodeMultiplePatterns(patterns) {
  * Parse guidance line specification from #P comment
  * Format: Direction/x/y/length/speed
  * Example: SE/35/21/star/4 (where star means *)
+ * report, when given, is told why a specification is rejected
  */
-function parseGuidanceLineSpec(spec) {
+function parseGuidanceLineSpec(spec, report = () => {}) {
   const parts = spec.split('/');
-  if (parts.length !== 5) return null;
+  if (parts.length !== 5) {
+    report(`Invalid guidance line "${spec}"; expected Direction/x/y/length/speed`);
+    return null;
+  }
 
   const [direction, xStr, yStr, lengthStr, speedStr] = parts;
   const x = parseInt(xStr, 10);
   const y = parseInt(yStr, 10);
   const speed = parseInt(speedStr, 10);
 
-  if (isNaN(x) || isNaN(y) || isNaN(speed) || speed <= 0) return null;
+  if (isNaN(x) || isNaN(y)) {
+    report(`Guidance line "${spec}" has an invalid start "${xStr}/${yStr}"`);
+    return null;
+  }
+  if (isNaN(speed) || speed <= 0) {
+    report(`Guidance line "${spec}" has an invalid speed "${speedStr}"; expected a positive number`);
+    return null;
+  }
 
   const validDirections = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-  if (!validDirections.includes(direction.toUpperCase())) return null;
+  if (!validDirections.includes(direction.toUpperCase())) {
+    report(`Guidance line "${spec}" has an unknown direction "${direction}"`);
+    return null;
+  }
+  if (lengthStr !== '*' && isNaN(parseInt(lengthStr, 10))) {
+    // Kept for compatibility, but the line has no usable length
+    report(`Guidance line "${spec}" has an invalid length "${lengthStr}"; expected a number or *`);
+  }
 
   return {
     direction: direction.toUpperCase(),
@@ -322,6 +622,15 @@ function parseGuidanceLineSpec(spec) {
   };
 }
 
+/**
+ * Format a guidance line as a #P comment specification
+ * @param {Object} guidanceLine - {direction, startX, startY, length, speed}
+ * @returns {string} Specification such as "SE/35/21/10/4", with "*" for an infinite length
+ */
+function formatGuidanceLineSpec({ direction, startX, startY, length, speed }) {
+  return `${direction}/${startX}/${startY}/${length === 'infinite' ? '*' : length}/${speed}`;
+}
+
 /*
  * Generate guidance line pixels based on specification and grid bounds
  */
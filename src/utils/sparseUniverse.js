@@ -0,0 +1,472 @@
+// Sparse, unbounded Game of Life universe stored as a map of 32x32 tiles
+import { isGenerationsRule, isIsotropicRule, applyIsotropicRule } from './lifeRules.js';
+
+const TILE_SIZE = 32;
+
+/**
+ * Build the map key of a tile
+ * @param {number} tileX - Tile column
+ * @param {number} tileY - Tile row
+ * @returns {string} Tile key
+ */
+function tileKey(tileX, tileY) {
+  return `${tileX},${tileY}`;
+}
+
+/**
+ * Count set bits in a 32-bit word
+ * @param {number} word - 32-bit word
+ * @returns {number} Number of set bits
+ */
+function popcount(word) {
+  let v = word - ((word >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0F0F0F0F) * 0x01010101) >>> 24;
+}
+
+/**
+ * Check whether a tile has no live cells
+ * @param {Uint32Array} tile - Tile rows
+ * @returns {boolean} True when every row is empty
+ */
+function isEmptyTile(tile) {
+  for (let row = 0; row < TILE_SIZE; row++) {
+    if (tile[row] !== 0) return false;
+  }
+  return true;
+}
+
+/**
+ * Universe without edges. Only tiles that contain live cells are stored, so
+ * patterns can grow in any direction and memory follows the population rather
+ * than the area. Coordinates are signed and share their origin with whatever
+ * board the universe is attached to, so center-based conversions still apply.
+ * Bit (x % 32) of row (y % 32) in tile (x / 32, y / 32) holds cell (x, y).
+ */
+export class SparseUniverse {
+  constructor() {
+    this.tiles = new Map();
+  }
+
+  /**
+   * Check whether a value is a sparse universe
+   * @param {*} value - Value to check
+   * @returns {boolean} True if value is a SparseUniverse
+   */
+  static isSparseUniverse(value) {
+    return value instanceof SparseUniverse;
+  }
+
+  /**
+   * Build a universe from a list of live cells
+   * @param {Array} cells - Cells as [y, x] pairs
+   * @returns {SparseUniverse} Universe containing the cells
+   */
+  static fromCellArray(cells) {
+    const universe = new SparseUniverse();
+    (cells || []).forEach(([y, x]) => universe.set(x, y, 1));
+    return universe;
+  }
+
+  /**
+   * Rebuild a universe from encode() output
+   * @param {Object|null} data - {keys: Int32Array of tile x/y pairs, words: Uint32Array of tile rows}
+   * @returns {SparseUniverse} Decoded universe
+   */
+  static decode(data) {
+    const universe = new SparseUniverse();
+    if (!data) return universe;
+
+    for (let i = 0; i < data.keys.length / 2; i++) {
+      const tile = data.words.slice(i * TILE_SIZE, (i + 1) * TILE_SIZE);
+      universe.tiles.set(tileKey(data.keys[2 * i], data.keys[2 * i + 1]), tile);
+    }
+    return universe;
+  }
+
+  /**
+   * Pack the universe into typed arrays that can be posted between threads
+   * @returns {Object} {keys: Int32Array of tile x/y pairs, words: Uint32Array of tile rows}
+   */
+  encode() {
+    const keys = new Int32Array(this.tiles.size * 2);
+    const words = new Uint32Array(this.tiles.size * TILE_SIZE);
+    let i = 0;
+    this.tiles.forEach((tile, key) => {
+      const [tileX, tileY] = key.split(',').map(Number);
+      keys[2 * i] = tileX;
+      keys[2 * i + 1] = tileY;
+      words.set(tile, i * TILE_SIZE);
+      i++;
+    });
+    return { keys, words };
+  }
+
+  /**
+   * Read a cell
+   * @param {number} x - X coordinate (any integer)
+   * @param {number} y - Y coordinate (any integer)
+   * @returns {number} 1 if alive, 0 otherwise
+   */
+  get(x, y) {
+    const tileX = Math.floor(x / TILE_SIZE);
+    const tileY = Math.floor(y / TILE_SIZE);
+    const tile = this.tiles.get(tileKey(tileX, tileY));
+    if (!tile) return 0;
+    return (tile[y - tileY * TILE_SIZE] >>> (x - tileX * TILE_SIZE)) & 1;
+  }
+
+  /**
+   * Write a cell, allocating or dropping its tile as needed
+   * @param {number} x - X coordinate (any integer)
+   * @param {number} y - Y coordinate (any integer)
+   * @param {number} value - Truthy for alive
+   */
+  set(x, y, value) {
+    const tileX = Math.floor(x / TILE_SIZE);
+    const tileY = Math.floor(y / TILE_SIZE);
+    const key = tileKey(tileX, tileY);
+    let tile = this.tiles.get(key);
+    if (!tile) {
+      if (!value) return;
+      tile = new Uint32Array(TILE_SIZE);
+      this.tiles.set(key, tile);
+    }
+
+    const row = y - tileY * TILE_SIZE;
+    const bit = 1 << (x - tileX * TILE_SIZE);
+    if (value) {
+      tile[row] |= bit;
+    } else {
+      tile[row] &= ~bit;
+      if (isEmptyTile(tile)) this.tiles.delete(key);
+    }
+  }
+
+  /**
+   * Check whether the universe has no live cells
+   * @returns {boolean} True when empty
+   */
+  isEmpty() {
+    return this.tiles.size === 0;
+  }
+
+  /**
+   * Count live cells
+   * @returns {number} Number of live cells
+   */
+  countAlive() {
+    let count = 0;
+    this.tiles.forEach(tile => {
+      for (let row = 0; row < TILE_SIZE; row++) {
+        if (tile[row] !== 0) count += popcount(tile[row]);
+      }
+    });
+    return count;
+  }
+
+  /**
+   * Count cells that changed since an earlier universe
+   * @param {SparseUniverse|null} previous - Earlier universe (null counts as empty)
+   * @returns {Object} {births: cells alive now but not before, deaths: cells alive before but not now}
+   */
+  countChanges(previous) {
+    let births = 0;
+    let deaths = 0;
+    const previousTiles = previous ? previous.tiles : new Map();
+    this.tiles.forEach((tile, key) => {
+      const before = previousTiles.get(key);
+      for (let row = 0; row < TILE_SIZE; row++) {
+        const beforeRow = before ? before[row] : 0;
+        births += popcount(tile[row] & ~beforeRow);
+        deaths += popcount(beforeRow & ~tile[row]);
+      }
+    });
+    previousTiles.forEach((tile, key) => {
+      if (!this.tiles.has(key)) {
+        for (let row = 0; row < TILE_SIZE; row++) deaths += popcount(tile[row]);
+      }
+    });
+    return { births, deaths };
+  }
+
+  /**
+   * Visit every live cell. Tiles are visited in insertion order, not row-major order.
+   * @param {Function} callback - Called with (x, y) for each live cell
+   */
+  forEachAlive(callback) {
+    this.tiles.forEach((tile, key) => {
+      const [tileX, tileY] = key.split(',').map(Number);
+      for (let row = 0; row < TILE_SIZE; row++) {
+        let word = tile[row];
+        while (word !== 0) {
+          const bit = 31 - Math.clz32(word & -word);
+          callback(tileX * TILE_SIZE + bit, tileY * TILE_SIZE + row);
+          word &= word - 1;
+        }
+      }
+    });
+  }
+
+  /**
+   * Visit the live cells inside a rectangle, only touching the tiles that overlap it
+   * @param {number} left - Left column
+   * @param {number} top - Top row
+   * @param {number} width - Rectangle width
+   * @param {number} height - Rectangle height
+   * @param {Function} callback - Called with (x, y) for each live cell in the rectangle
+   */
+  forEachAliveInRect(left, top, width, height, callback) {
+    if (width <= 0 || height <= 0) return;
+
+    const right = left + width - 1;
+    const bottom = top + height - 1;
+    for (let tileY = Math.floor(top / TILE_SIZE); tileY <= Math.floor(bottom / TILE_SIZE); tileY++) {
+      for (let tileX = Math.floor(left / TILE_SIZE); tileX <= Math.floor(right / TILE_SIZE); tileX++) {
+        const tile = this.tiles.get(tileKey(tileX, tileY));
+        if (!tile) continue;
+
+        for (let row = 0; row < TILE_SIZE; row++) {
+          const y = tileY * TILE_SIZE + row;
+          if (y < top || y > bottom) continue;
+          let word = tile[row];
+          while (word !== 0) {
+            const bit = 31 - Math.clz32(word & -word);
+            const x = tileX * TILE_SIZE + bit;
+            if (x >= left && x <= right) callback(x, y);
+            word &= word - 1;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Get bounds of live cells
+   * @returns {Object|null} Bounds object with minX, maxX, minY, maxY, or null when empty
+   */
+  getBounds() {
+    let bounds = null;
+    this.tiles.forEach((tile, key) => {
+      const [tileX, tileY] = key.split(',').map(Number);
+      for (let row = 0; row < TILE_SIZE; row++) {
+        const word = tile[row];
+        if (word === 0) continue;
+
+        const y = tileY * TILE_SIZE + row;
+        const lowX = tileX * TILE_SIZE + 31 - Math.clz32(word & -word);
+        const highX = tileX * TILE_SIZE + 31 - Math.clz32(word);
+        if (!bounds) {
+          bounds = { minX: lowX, maxX: highX, minY: y, maxY: y };
+        } else {
+          bounds.minX = Math.min(bounds.minX, lowX);
+          bounds.maxX = Math.max(bounds.maxX, highX);
+          bounds.minY = Math.min(bounds.minY, y);
+          bounds.maxY = Math.max(bounds.maxY, y);
+        }
+      }
+    });
+    return bounds;
+  }
+
+  /**
+   * Create an independent copy
+   * @returns {SparseUniverse} Copied universe
+   */
+  clone() {
+    const copy = new SparseUniverse();
+    this.tiles.forEach((tile, key) => copy.tiles.set(key, tile.slice()));
+    return copy;
+  }
+
+  /**
+   * Compare cell contents with another universe
+   * @param {SparseUniverse} other - Universe to compare against
+   * @returns {boolean} True if both universes hold the same live cells
+   */
+  equals(other) {
+    if (!SparseUniverse.isSparseUniverse(other) || other.tiles.size !== this.tiles.size) return false;
+    for (const [key, tile] of this.tiles) {
+      const otherTile = other.tiles.get(key);
+      if (!otherTile) return false;
+      for (let row = 0; row < TILE_SIZE; row++) {
+        if (tile[row] !== otherTile[row]) return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * OR the live cells of a packed grid into the universe. Grid cell (0, 0)
+   * lands on universe cell (offsetX, offsetY).
+   * @param {PackedGrid} grid - Grid to copy from
+   * @param {number} offsetX - Universe x of grid column 0
+   * @param {number} offsetY - Universe y of grid row 0
+   */
+  addPackedGrid(grid, offsetX = 0, offsetY = 0) {
+    if (offsetX % TILE_SIZE !== 0) {
+      grid.forEachAlive((x, y) => this.set(x + offsetX, y + offsetY, 1));
+      return;
+    }
+
+    // Grid words line up with tile rows, so whole words can be copied
+    const firstTileX = offsetX / TILE_SIZE;
+    for (let y = 0; y < grid.height; y++) {
+      const universeY = y + offsetY;
+      const tileY = Math.floor(universeY / TILE_SIZE);
+      const row = universeY - tileY * TILE_SIZE;
+      for (let w = 0; w < grid.stride; w++) {
+        const word = grid.words[y * grid.stride + w];
+        if (word === 0) continue;
+
+        const key = tileKey(firstTileX + w, tileY);
+        let tile = this.tiles.get(key);
+        if (!tile) {
+          tile = new Uint32Array(TILE_SIZE);
+          this.tiles.set(key, tile);
+        }
+        tile[row] |= word;
+      }
+    }
+  }
+
+  /**
+   * Move the live cells covering a packed grid's area (universe x 0..width-1,
+   * y 0..height-1) into that grid, removing them from the universe
+   * @param {PackedGrid} grid - Grid to OR the cells into (modified)
+   */
+  moveIntoPackedGrid(grid) {
+    if (grid.width === 0 || grid.height === 0) return;
+
+    const lastTileY = Math.floor((grid.height - 1) / TILE_SIZE);
+    for (let tileY = 0; tileY <= lastTileY; tileY++) {
+      for (let w = 0; w < grid.stride; w++) {
+        const key = tileKey(w, tileY);
+        const tile = this.tiles.get(key);
+        if (!tile) continue;
+
+        const mask = w === grid.stride - 1 ? grid.tailMask : 0xFFFFFFFF;
+        const rows = Math.min(TILE_SIZE, grid.height - tileY * TILE_SIZE);
+        for (let row = 0; row < rows; row++) {
+          const inside = tile[row] & mask;
+          if (inside === 0) continue;
+          grid.words[(tileY * TILE_SIZE + row) * grid.stride + w] |= inside;
+          tile[row] &= ~mask;
+        }
+        if (isEmptyTile(tile)) this.tiles.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Compute the next generation. Tiles next to live cells are created as
+   * patterns spread into them, and tiles that die out are dropped.
+   * @param {Object} rule - Optional parsed Life-like rule (see lifeRules.js); defaults to Conway's Life
+   * @returns {SparseUniverse} Next generation universe
+   */
+  step(rule = null) {
+    if (isGenerationsRule(rule)) {
+      throw new Error(`Unbounded universes cannot run multi-state rules (${rule.rule})`);
+    }
+    if (rule && (rule.birthMask & 1)) {
+      throw new Error(`Unbounded universes cannot run B0 rules (${rule.rule})`);
+    }
+
+    const birthMask = rule ? rule.birthMask : 1 << 3;
+    const survivalMask = rule ? rule.survivalMask : (1 << 2) | (1 << 3);
+    const next = new SparseUniverse();
+
+    // Only tiles holding or bordering live cells can be alive next generation
+    const candidates = new Set();
+    this.tiles.forEach((tile, key) => {
+      const [tileX, tileY] = key.split(',').map(Number);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          candidates.add(tileKey(tileX + dx, tileY + dy));
+        }
+      }
+    });
+
+    // Rows -1..32 of the tile being stepped, plus the same rows shifted by one cell each way
+    const center = new Uint32Array(TILE_SIZE + 2);
+    const west = new Uint32Array(TILE_SIZE + 2);
+    const east = new Uint32Array(TILE_SIZE + 2);
+
+    candidates.forEach(key => {
+      const [tileX, tileY] = key.split(',').map(Number);
+      const neighbour = (dx, dy) => this.tiles.get(tileKey(tileX + dx, tileY + dy));
+
+      for (let dy = -1; dy <= 1; dy++) {
+        const leftTile = neighbour(-1, dy);
+        const middleTile = neighbour(0, dy);
+        const rightTile = neighbour(1, dy);
+        const firstRow = dy === -1 ? TILE_SIZE - 1 : 0;
+        const lastRow = dy === 1 ? 0 : TILE_SIZE - 1;
+        for (let row = firstRow; row <= lastRow; row++) {
+          const index = row + 1 + dy * TILE_SIZE;
+          const left = leftTile ? leftTile[row] : 0;
+          const middle = middleTile ? middleTile[row] : 0;
+          const right = rightTile ? rightTile[row] : 0;
+          center[index] = middle;
+          west[index] = (middle << 1) | (left >>> 31);
+          east[index] = (middle >>> 1) | (right << 31);
+        }
+      }
+
+      const tile = new Uint32Array(TILE_SIZE);
+      let alive = false;
+      for (let row = 1; row <= TILE_SIZE; row++) {
+        const nw = west[row - 1], n = center[row - 1], ne = east[row - 1];
+        const w = west[row], c = center[row], e = east[row];
+        const sw = west[row + 1], s = center[row + 1], se = east[row + 1];
+
+        if (isIsotropicRule(rule)) {
+          tile[row - 1] = applyIsotropicRule(rule.transitions, nw, n, ne, w, c, e, sw, s, se);
+          if (tile[row - 1] !== 0) alive = true;
+          continue;
+        }
+
+        // Bit-sliced neighbour count, as in PackedGrid.stepRule
+        const up0 = nw ^ n ^ ne;
+        const up1 = (nw & n) | (ne & (nw ^ n));
+        const mid0 = w ^ e;
+        const mid1 = w & e;
+        const low0 = sw ^ s ^ se;
+        const low1 = (sw & s) | (se & (sw ^ s));
+
+        const ones = up0 ^ mid0 ^ low0;
+        const onesCarry = (up0 & mid0) | (low0 & (up0 ^ mid0));
+        const twosA = up1 ^ mid1;
+        const twosB = low1 ^ onesCarry;
+        const twos = twosA ^ twosB;
+        const carryA = up1 & mid1;
+        const carryB = low1 & onesCarry;
+        const carryC = twosA & twosB;
+        const fours = carryA ^ carryB ^ carryC;
+        const eights = (carryA & carryB) | (carryA & carryC) | (carryB & carryC);
+
+        let result = 0;
+        for (let count = 1; count <= 8; count++) {
+          const born = (birthMask >>> count) & 1;
+          const survives = (survivalMask >>> count) & 1;
+          if (!born && !survives) continue;
+
+          const matches = ((count & 1) ? ones : ~ones) &
+            ((count & 2) ? twos : ~twos) &
+            ((count & 4) ? fours : ~fours) &
+            ((count & 8) ? eights : ~eights);
+          result |= matches & ((born ? ~c : 0) | (survives ? c : 0));
+        }
+        // S0 keeps isolated cells alive
+        if (survivalMask & 1) result |= c & ~(ones | twos | fours | eights);
+
+        tile[row - 1] = result;
+        if (result !== 0) alive = true;
+      }
+
+      if (alive) next.tiles.set(key, tile);
+    });
+
+    return next;
+  }
+}
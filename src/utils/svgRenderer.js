@@ -0,0 +1,168 @@
+// SVG rendering of the board, from the same render data and colors as CanvasRenderer, for diagrams that scale
+import { CELL_SIZE } from '../constants/gameConstants.js';
+import { PackedGrid, getCell, getGridSize } from './packedGrid.js';
+import {
+  getCellStateColor,
+  getDetectorColor,
+  getEditableBounds,
+  getGuidanceColor,
+  getTargetCellColor
+} from './canvasRenderer.js';
+
+const EDITABLE_FILL = 'rgba(0, 100, 200, 0.1)';
+const EDITABLE_BORDER = 'rgba(0, 150, 255, 0.6)';
+const GRID_LINE_COLOR = '#1f637f';
+
+/**
+ * Paint attributes for a CSS color. Colors with alpha are split into an
+ * opaque color and an opacity, which more drawing programs understand.
+ * @param {string} color - CSS color
+ * @param {string} attribute - 'fill' or 'stroke'
+ * @returns {string} SVG attributes
+ */
+function paint(color, attribute) {
+  const match = /^rgba\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*\)$/.exec(color);
+  if (!match) return `${attribute}="${color}"`;
+  const [, r, g, b, alpha] = match;
+  return `${attribute}="rgb(${r}, ${g}, ${b})" ${attribute}-opacity="${alpha}"`;
+}
+
+/**
+ * Describe cells as one path, merging horizontal runs into single rectangles
+ * @param {Array} cells - Array of [x, y] board cells
+ * @returns {string} Path data in cell units
+ */
+function cellsToPath(cells) {
+  const sorted = [...cells].sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+  const runs = [];
+  for (const [x, y] of sorted) {
+    const last = runs[runs.length - 1];
+    if (last && last.y === y && last.x + last.width === x) {
+      last.width++;
+    } else if (!last || last.y !== y || last.x + last.width < x) {
+      runs.push({ x, y, width: 1 });
+    }
+  }
+  return runs.map(({ x, y, width }) => `M${x} ${y}h${width}v1h-${width}z`).join('');
+}
+
+/**
+ * Group cells by fill color into one path per color
+ * @param {Map<string, Array>} cellsByColor - Color to array of [x, y] cells
+ * @returns {Array<string>} Path elements
+ */
+function colorPaths(cellsByColor) {
+  return Array.from(cellsByColor, ([color, cells]) => `<path ${paint(color, 'fill')} d="${cellsToPath(cells)}"/>`);
+}
+
+/**
+ * Add a cell to the list for its color
+ * @param {Map<string, Array>} cellsByColor - Color to array of [x, y] cells
+ * @param {string} color - CSS color
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ */
+function addCell(cellsByColor, color, x, y) {
+  if (!cellsByColor.has(color)) cellsByColor.set(color, []);
+  cellsByColor.get(color).push([x, y]);
+}
+
+/**
+ * Render the board as an SVG document. Layers follow the canvas: grid lines,
+ * guidance lines, live cells, target cells, the editable area and detectors,
+ * which are labelled with their indices. One SVG unit is one board cell.
+ * @param {PackedGrid|Array} grid - Board to draw
+ * @param {Object} options - {cellSize: pixels per cell for the document size, challenge: draws target cells when given, isEditableCell: (x, y) => boolean, outlines the editable area when given, guidanceLinePixels, detectorRenderData, showGrid}
+ * @returns {string} SVG document
+ */
+export function renderBoardSvg(grid, options = {}) {
+  const {
+    cellSize = CELL_SIZE,
+    challenge = null,
+    isEditableCell = null,
+    guidanceLinePixels = null,
+    detectorRenderData = null,
+    showGrid = false
+  } = options;
+  const { width, height } = getGridSize(grid);
+  const inBounds = (x, y) => x >= 0 && x < width && y >= 0 && y < height;
+  const layers = [`<rect width="${width}" height="${height}" fill="black"/>`];
+
+  if (showGrid) {
+    const lines = [];
+    for (let x = 0; x <= width; x++) lines.push(`M${x} 0v${height}`);
+    for (let y = 0; y <= height; y++) lines.push(`M0 ${y}h${width}`);
+    layers.push(`<path fill="none" stroke="${GRID_LINE_COLOR}" stroke-width="0.05" d="${lines.join('')}"/>`);
+  }
+
+  if (Array.isArray(guidanceLinePixels) && guidanceLinePixels.length > 0) {
+    const guidance = new Map();
+    for (const [y, x, color] of guidanceLinePixels) {
+      if (inBounds(x, y)) addCell(guidance, getGuidanceColor(color), x, y);
+    }
+    layers.push(`<g id="guidance-lines">${colorPaths(guidance).join('')}</g>`);
+  }
+
+  // Live cells in white; decaying cells of multi-state rules fade out
+  const live = new Map();
+  if (PackedGrid.isPackedGrid(grid)) {
+    grid.forEachAlive((x, y) => addCell(live, getCellStateColor(1), x, y));
+    grid.forEachDecaying((x, y, state) => addCell(live, getCellStateColor(state), x, y));
+  } else {
+    grid.forEach((row, y) => row.forEach((state, x) => {
+      if (state) addCell(live, getCellStateColor(state), x, y);
+    }));
+  }
+  layers.push(`<g id="cells">${colorPaths(live).join('')}</g>`);
+
+  if (challenge && Array.isArray(challenge.pattern)) {
+    const centerX = Math.floor(width / 2);
+    const centerY = Math.floor(height / 2);
+    const targets = new Map();
+    for (const coord of challenge.pattern) {
+      if (!Array.isArray(coord) || coord.length !== 2) continue;
+      const x = centerX + coord[1];
+      const y = centerY + coord[0];
+      if (inBounds(x, y)) addCell(targets, getTargetCellColor(Boolean(getCell(grid, x, y))), x, y);
+    }
+    layers.push(`<g id="targets">${colorPaths(targets).join('')}</g>`);
+  }
+
+  if (typeof isEditableCell === 'function') {
+    const editable = [];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (isEditableCell(x, y)) editable.push([x, y]);
+      }
+    }
+    const bounds = getEditableBounds(isEditableCell, width, height);
+    if (bounds) {
+      // Keep the dashed border inside the area, as on the canvas
+      const inset = 0.125;
+      layers.push(
+        `<g id="editable-area"><path ${paint(EDITABLE_FILL, 'fill')} d="${cellsToPath(editable)}"/>` +
+        `<rect x="${bounds.minX + inset}" y="${bounds.minY + inset}" ` +
+        `width="${bounds.maxX - bounds.minX + 1 - 2 * inset}" height="${bounds.maxY - bounds.minY + 1 - 2 * inset}" ` +
+        `fill="none" ${paint(EDITABLE_BORDER, 'stroke')} stroke-width="0.25" stroke-dasharray="1 1"/></g>`
+      );
+    }
+  }
+
+  if (Array.isArray(detectorRenderData) && detectorRenderData.length > 0) {
+    const detectors = detectorRenderData.map((detector, position) => {
+      const cells = detector.positions.filter(({ x, y }) => inBounds(x, y)).map(({ x, y }) => [x, y]);
+      const index = detector.index ?? position;
+      return `<g class="detector" data-id="${detector.id}">` +
+        `<path ${paint(getDetectorColor(detector), 'fill')} d="${cellsToPath(cells)}"/>` +
+        `<text x="${detector.centerX + 0.5}" y="${detector.centerY + 0.5}" font-size="1.5" font-family="sans-serif" ` +
+        `text-anchor="middle" dominant-baseline="central" fill="white" stroke="black" stroke-width="0.2" paint-order="stroke">${index}</text></g>`;
+    });
+    layers.push(`<g id="detectors">${detectors.join('')}</g>`);
+  }
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width * cellSize}" height="${height * cellSize}" ` +
+    `viewBox="0 0 ${width} ${height}" shape-rendering="crispEdges">\n` +
+    layers.join('\n') +
+    '\n</svg>\n';
+}
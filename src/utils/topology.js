@@ -0,0 +1,63 @@
+// Board topology helpers: how coordinates beyond the grid edge map back onto the board
+import { TOPOLOGY } from '../constants/gameConstants.js';
+
+// Accepted spellings for each topology
+const TOPOLOGY_ALIASES = {
+  bounded: TOPOLOGY.BOUNDED,
+  plane: TOPOLOGY.BOUNDED,
+  torus: TOPOLOGY.TORUS,
+  toroidal: TOPOLOGY.TORUS,
+  klein: TOPOLOGY.KLEIN_BOTTLE,
+  kleinbottle: TOPOLOGY.KLEIN_BOTTLE,
+  absorbing: TOPOLOGY.ABSORBING,
+  unbounded: TOPOLOGY.UNBOUNDED,
+  infinite: TOPOLOGY.UNBOUNDED
+};
+
+/**
+ * Resolve a topology name to one of the TOPOLOGY values
+ * @param {string|null} topology - Topology name (null or empty means bounded)
+ * @returns {string|null} Canonical topology, or null if the name is not recognised
+ */
+export function resolveTopology(topology) {
+  if (topology === null || topology === undefined || topology === '') return TOPOLOGY.BOUNDED;
+  if (typeof topology !== 'string') return null;
+  return TOPOLOGY_ALIASES[topology.replace(/[\s_-]/g, '').toLowerCase()] || null;
+}
+
+/**
+ * Check whether a topology joins opposite edges of the board
+ * @param {string|null} topology - Topology name
+ * @returns {boolean} True for torus and Klein bottle boards
+ */
+export function isWrappingTopology(topology) {
+  const resolved = resolveTopology(topology);
+  return resolved === TOPOLOGY.TORUS || resolved === TOPOLOGY.KLEIN_BOTTLE;
+}
+
+/**
+ * Map a cell position onto the board.
+ * Torus boards wrap both axes; Klein bottle boards wrap horizontally as a torus
+ * and mirror the column each time the top or bottom edge is crossed.
+ * @param {number} x - X coordinate (may lie outside the board)
+ * @param {number} y - Y coordinate (may lie outside the board)
+ * @param {number} width - Board width
+ * @param {number} height - Board height
+ * @param {string|null} topology - Topology name
+ * @returns {Object|null} Board position {x, y}, or null when the position is off a non-wrapping board
+ */
+export function wrapCoordinate(x, y, width, height, topology) {
+  if (x >= 0 && x < width && y >= 0 && y < height) return { x, y };
+  if (!isWrappingTopology(topology) || width <= 0 || height <= 0) return null;
+
+  let wrappedX = x;
+  const crossings = Math.floor(y / height);
+  if (resolveTopology(topology) === TOPOLOGY.KLEIN_BOTTLE && crossings % 2 !== 0) {
+    wrappedX = width - 1 - x;
+  }
+
+  return {
+    x: ((wrappedX % width) + width) % width,
+    y: y - crossings * height
+  };
+}
@@ -0,0 +1,81 @@
+// ZIP archives written in pure JS; entries are stored as they are, which suits already-compressed PNG frames
+import { crc32 } from './deflate.js';
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20; // 2.0: the oldest version readers accept for stored entries
+const UTF8_NAMES_FLAG = 0x0800;
+
+/**
+ * Pack a date into the MS-DOS time and date fields ZIP uses
+ * @param {Date} date - Modification date
+ * @returns {Object} {time, date}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive from files
+ * @param {Array} files - Array of {name, data: Uint8Array or string}
+ * @param {Date} modified - Modification date given to every entry
+ * @returns {Uint8Array} ZIP file bytes
+ */
+export function createZip(files, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+
+  const entries = files.map(({ name, data }) => {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+    return { name: encoder.encode(name), bytes, crc: crc32(bytes) };
+  });
+
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.bytes.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const zip = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(zip.buffer);
+
+  // Fields shared by the local and central headers, from the version needed on
+  const writeEntryFields = (offset, entry) => {
+    view.setUint16(offset, ZIP_VERSION, true);
+    view.setUint16(offset + 2, UTF8_NAMES_FLAG, true);
+    view.setUint16(offset + 4, 0, true); // Stored
+    view.setUint16(offset + 6, time, true);
+    view.setUint16(offset + 8, date, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.bytes.length, true);
+    view.setUint32(offset + 18, entry.bytes.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+  };
+
+  let offset = 0;
+  entries.forEach(entry => {
+    entry.offset = offset;
+    view.setUint32(offset, LOCAL_HEADER_SIGNATURE, true);
+    writeEntryFields(offset + 4, entry);
+    zip.set(entry.name, offset + 30);
+    zip.set(entry.bytes, offset + 30 + entry.name.length);
+    offset += 30 + entry.name.length + entry.bytes.length;
+  });
+
+  const centralOffset = offset;
+  entries.forEach(entry => {
+    view.setUint32(offset, CENTRAL_HEADER_SIGNATURE, true);
+    view.setUint16(offset + 4, ZIP_VERSION, true); // Made by
+    writeEntryFields(offset + 6, entry);
+    view.setUint32(offset + 42, entry.offset, true);
+    zip.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  });
+
+  view.setUint32(offset, END_OF_DIRECTORY_SIGNATURE, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, centralSize, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  return zip;
+}
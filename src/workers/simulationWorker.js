@@ -0,0 +1,6 @@
+// Web Worker entry point: runs a simulation session off the main thread
+import { SimulationSession } from '../services/simulationService.js';
+
+const session = new SimulationSession((message, transfer) => self.postMessage(message, transfer));
+
+self.onmessage = (event) => session.handleMessage(event.data);
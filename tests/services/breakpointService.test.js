@@ -0,0 +1,121 @@
+// Unit tests for breakpoint definitions and checks
+import { BreakpointService } from '../../src/services/breakpointService.js';
+import { DetectorService } from '../../src/services/detectorService.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+
+const GLIDER = [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+
+// Step a board until a breakpoint fires, returning the generation and breakpoint
+const runUntilBreakpoint = (grid, breakpoints, { detectors = [], limit = 100, topology = null } = {}) => {
+  let current = grid;
+  let currentDetectors = detectors;
+  const state = BreakpointService.initializeState(breakpoints, current, currentDetectors);
+  for (let generation = 1; generation <= limit; generation++) {
+    current = current.step(null, null, topology);
+    currentDetectors = DetectorService.updateDetectors(currentDetectors, current, generation);
+    const fired = BreakpointService.checkBreakpoints(breakpoints, state, current, generation, currentDetectors);
+    if (fired) return { generation, breakpoint: fired };
+  }
+  return null;
+};
+
+const createGliderGrid = (size = 20) => {
+  const grid = new PackedGrid(size, size);
+  GLIDER.forEach(([y, x]) => grid.set(x + 2, y + 2, 1));
+  return grid;
+};
+
+describe('BreakpointService', () => {
+  test('should create breakpoints with unique ids and reject unknown types', () => {
+    const first = BreakpointService.createBreakpoint('generation', { generation: 10 });
+    const second = BreakpointService.createBreakpoint('generation', { generation: 10 });
+    expect(first.id).not.toBe(second.id);
+    expect(() => BreakpointService.createBreakpoint('sometimes')).toThrow('Unknown breakpoint type');
+  });
+
+  test('should describe breakpoints', () => {
+    expect(BreakpointService.describeBreakpoint({ type: 'generation', generation: 340 })).toBe('generation 340');
+    expect(BreakpointService.describeBreakpoint({ type: 'cellAlive', x: -3, y: 2 })).toBe('cell (-3, 2) alive');
+    expect(BreakpointService.describeBreakpoint({ type: 'integrityLost', objectId: 'p1', label: 'Block #1' })).toBe('Block #1 breaks');
+  });
+
+  test('should resolve center-based cells and drop breakpoints on missing objects', () => {
+    const breakpoints = [
+      BreakpointService.createBreakpoint('cellAlive', { x: -1, y: 2 }),
+      BreakpointService.createBreakpoint('integrityLost', { objectId: 'kept' }),
+      BreakpointService.createBreakpoint('integrityLost', { objectId: 'removed' })
+    ];
+    const resolved = BreakpointService.resolveBreakpoints(breakpoints, { width: 21, height: 20 }, { kept: [{ x: 1, y: 1 }] });
+
+    expect(resolved).toHaveLength(2);
+    expect(resolved[0]).toMatchObject({ boardX: 9, boardY: 12 });
+    expect(resolved[1].cells).toEqual([{ x: 1, y: 1 }]);
+  });
+
+  test('should fire exactly on the requested generation', () => {
+    const breakpoints = [BreakpointService.createBreakpoint('generation', { generation: 7 })];
+    expect(runUntilBreakpoint(createGliderGrid(), breakpoints).generation).toBe(7);
+  });
+
+  test('should fire when a cell becomes alive', () => {
+    // Center cell (-5, -4) is board cell (5, 6), ahead of the glider
+    const breakpoints = BreakpointService.resolveBreakpoints(
+      [BreakpointService.createBreakpoint('cellAlive', { x: -5, y: -4 })],
+      { width: 20, height: 20 }
+    );
+    const result = runUntilBreakpoint(createGliderGrid(), breakpoints);
+    expect(result.generation).toBeGreaterThan(0);
+
+    // Stepping the same way without breakpoints shows the cell turning on at that generation
+    let grid = createGliderGrid();
+    for (let generation = 1; generation < result.generation; generation++) grid = grid.step();
+    expect(grid.get(5, 6)).toBe(0);
+    expect(grid.step().get(5, 6)).toBe(1);
+  });
+
+  test('should fire when the population reaches zero', () => {
+    // A lone domino dies after one generation
+    const grid = new PackedGrid(10, 10);
+    grid.set(4, 4, 1);
+    grid.set(5, 4, 1);
+    const breakpoints = [BreakpointService.createBreakpoint('extinction')];
+    expect(runUntilBreakpoint(grid, breakpoints).generation).toBe(1);
+  });
+
+  test('should not treat cells outside an unbounded board as extinct', () => {
+    const grid = new PackedGrid(10, 10);
+    GLIDER.forEach(([y, x]) => grid.set(x + 6, y + 6, 1));
+    const breakpoints = [BreakpointService.createBreakpoint('extinction')];
+    expect(runUntilBreakpoint(grid, breakpoints, { limit: 30, topology: 'unbounded' })).toBeNull();
+  });
+
+  test('should fire when any detector changes value', () => {
+    const detectors = DetectorService.initializeDetectors([
+      { pattern: [[0, 0]], position: { x: 8, y: 8 }, falloffPeriod: 1 }
+    ]);
+    const breakpoints = [BreakpointService.createBreakpoint('detectorChange')];
+    const result = runUntilBreakpoint(createGliderGrid(), breakpoints, { detectors });
+
+    let grid = createGliderGrid();
+    for (let generation = 1; generation < result.generation; generation++) grid = grid.step();
+    expect(grid.get(8, 8)).toBe(0);
+    expect(grid.step().get(8, 8)).toBe(1);
+  });
+
+  test('should fire when a watched object loses integrity, not while it is intact', () => {
+    // A block hit by a glider: the block's cells are watched
+    const grid = createGliderGrid(30);
+    const blockCells = [{ x: 9, y: 9 }, { x: 10, y: 9 }, { x: 9, y: 10 }, { x: 10, y: 10 }];
+    blockCells.forEach(({ x, y }) => grid.set(x, y, 1));
+    const breakpoints = [{ ...BreakpointService.createBreakpoint('integrityLost', { objectId: 'block' }), cells: blockCells }];
+
+    const result = runUntilBreakpoint(grid, breakpoints);
+    expect(result.breakpoint.objectId).toBe('block');
+
+    let reference = grid;
+    for (let generation = 1; generation < result.generation; generation++) reference = reference.step();
+    expect(blockCells.every(({ x, y }) => reference.get(x, y) === 1)).toBe(true);
+    reference = reference.step();
+    expect(blockCells.every(({ x, y }) => reference.get(x, y) === 1)).toBe(false);
+  });
+});
@@ -57,6 +57,43 @@ describe('BrushService', () => {
     });
   });
 
+  describe('rule compatibility', () => {
+    const brushes = {
+      glider: { name: 'Glider', pattern: [[0, 1]], rule: 'B3/S23' },
+      replicator: { name: 'Replicator', pattern: [[0, 0]], rule: 'B36/S23' },
+      plain: { name: 'Plain', pattern: [[0, 0]], rule: null },
+      eraser: { name: 'Eraser', pattern: [[0, 0]], rule: 'B36/S23' }
+    };
+
+    let warnSpy;
+    beforeEach(() => {
+      warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      warnSpy.mockRestore();
+    });
+
+    test('should refuse brushes written for a different rule', () => {
+      const challenge = { rule: 'B36/S23', brushes: ['glider', 'replicator', 'plain', 'eraser'] };
+
+      const result = BrushService.getPatternsForChallenge(challenge, brushes);
+      expect(result.map(p => p.name)).toEqual(['Replicator', 'Plain', 'Eraser']);
+      expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('glider'));
+    });
+
+    test('should treat a missing challenge rule as Conway\'s Life', () => {
+      const challenge = { brushes: ['glider', 'replicator'] };
+      expect(BrushService.getPatternsForChallenge(challenge, brushes).map(p => p.name)).toEqual(['Glider']);
+    });
+
+    test('getBrushForChallenge should return null for incompatible brushes', () => {
+      expect(BrushService.getBrushForChallenge(brushes, 'replicator', { rule: 'B3/S23' })).toBeNull();
+      expect(BrushService.getBrushForChallenge(brushes, 'replicator', { rule: 'HighLife' })).toBe(brushes.replicator);
+      expect(BrushService.getBrushForChallenge(brushes, 'missing', { rule: 'B3/S23' })).toBeNull();
+    });
+  });
+
   describe('isEraserPattern', () => {
     test('should identify eraser patterns', () => {
       const eraser1 = { name: 'eraser3x3', pattern: [] };
@@ -268,6 +305,45 @@ describe('BrushService', () => {
       expect(result.length).toBe(0);
     });
 
+    test('should load plaintext and Life 1.06 brush files', async () => {
+      const files = {
+        'block.cells': '!Name: Block\nOO\nOO\n',
+        'glider.lif': '#Life 1.06\n1 0\n2 1\n0 2\n1 2\n2 2\n'
+      };
+      global.fetch = jest.fn((url) => {
+        if (url.endsWith('/brushes/manifest.json')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ brushes: Object.keys(files) }) });
+        }
+        return Promise.resolve({ ok: true, text: () => Promise.resolve(files[url.replace('/brushes/', '')]) });
+      });
+
+      const result = await BrushService.loadAllBrushes();
+      expect(result.block).toMatchObject({ id: 'block', name: 'Block', width: 2, height: 2 });
+      expect(result.glider.pattern).toEqual([[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]]);
+    });
+
+    test('should collect the problems found in brush files', async () => {
+      const files = {
+        'glider.rle': 'x = 3, y = 3\nbo$2bo$3z!',
+        'missing.rle': null
+      };
+      global.fetch = jest.fn((url) => {
+        if (url.endsWith('/brushes/manifest.json')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ brushes: Object.keys(files) }) });
+        }
+        const content = files[url.replace('/brushes/', '')];
+        return Promise.resolve(content === null ? { ok: false, status: 404 } : { ok: true, text: () => Promise.resolve(content) });
+      });
+
+      const loadErrors = [];
+      const result = await BrushService.loadAllBrushes(loadErrors);
+      expect(result.glider.diagnostics).toBeUndefined();
+      expect(loadErrors).toEqual([
+        { file: 'glider.rle', line: 2, column: 9, reason: 'Unexpected character "z" in pattern data' },
+        { file: 'missing.rle', line: null, column: null, reason: 'Could not fetch the file (HTTP 404)' }
+      ]);
+    });
+
     test('should handle fetch errors gracefully', async () => {
       // Mock fetch to throw errors
       global.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
@@ -338,6 +414,25 @@ describe('BrushService', () => {
       expect(result.glider).toBeDefined();
     });
 
+    test('should let challenges refer to loaded brushes by apgcode', async () => {
+      global.fetch = jest.fn((url) => {
+        if (url.endsWith('/brushes/manifest.json')) {
+          return Promise.resolve({ ok: true, json: () => Promise.resolve({ brushes: ['myGlider.rle', 'eraser3x3.rle'] }) });
+        }
+        const content = url.endsWith('myGlider.rle')
+          ? '#N My glider\nx = 3, y = 3\nbo$2bo$3o!'
+          : '#N Eraser\nx = 3, y = 3\n3o$3o$3o!';
+        return Promise.resolve({ ok: true, text: () => Promise.resolve(content) });
+      });
+
+      const result = await BrushService.loadAllBrushes();
+
+      expect(result.myGlider.apgcode).toBe('xq4_153');
+      expect(result.eraser3x3.apgcode).toBeNull();
+      expect(BrushService.getBrushForChallenge(result, 'xq4_153', {})).toBe(result.myGlider);
+      expect(BrushService.getPatternsForChallenge({ brushes: ['xq4_153'] }, result).map(brush => brush.name)).toEqual(['My glider']);
+    });
+
     test('should handle fetch errors gracefully', async () => {
       // Mock fetch to simulate error
       global.fetch = jest.fn().mockRejectedValue(new Error('Network error'));
@@ -424,6 +519,41 @@ describe('BrushService', () => {
     });
   });
 
+  describe('getBrush', () => {
+    test('should decode apgcodes that no library brush has', () => {
+      const brush = BrushService.getBrush({}, 'xp2_7');
+
+      expect(brush).toMatchObject({ id: 'xp2_7', name: 'xp2_7', apgcode: 'xp2_7', width: 1, height: 3, rule: null });
+      expect(brush.pattern).toEqual([[0, 0], [1, 0], [2, 0]]);
+      // The same brush object is returned every time
+      expect(BrushService.getBrush({}, 'xp2_7')).toBe(brush);
+    });
+
+    test('should return null for unknown ids and invalid apgcodes', () => {
+      expect(BrushService.getBrush({}, 'noSuchBrush')).toBeNull();
+      expect(BrushService.getBrush({}, 'xs4_3!')).toBeNull();
+      expect(BrushService.getBrush({}, 'xs4_w')).toBeNull();
+    });
+  });
+
+  describe('createImportedBrush', () => {
+    test('should create a rule-free brush marked as imported', () => {
+      const brush = BrushService.createImportedBrush('sketch', { pattern: [[0, 1], [1, 0]], width: 2, height: 2 });
+
+      expect(brush).toMatchObject({
+        id: 'imported_sketch',
+        name: 'sketch',
+        pattern: [[0, 1], [1, 0]],
+        width: 2,
+        height: 2,
+        rule: null,
+        imported: true
+      });
+      expect(BrushService.getPatternType(brush)).toBe('normal');
+      expect(BrushService.isBrushCompatibleWithRule(brush, 'B36/S23')).toBe(true);
+    });
+  });
+
   describe('transformPattern', () => {
     test('should handle pattern transformations without creating fractional coordinates', () => {
       // Test pattern with odd dimensions that would cause fractional centers
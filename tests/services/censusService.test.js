@@ -0,0 +1,107 @@
+// Unit tests for the object census
+import { CensusService } from '../../src/services/censusService.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { decodeRLE } from '../../src/utils/rleUtils.js';
+import { PATTERN_CATALOGUE } from '../../src/constants/patternCatalogue.js';
+import { CENSUS_KIND, PATTERN_TYPES } from '../../src/constants/gameConstants.js';
+
+const catalogueCells = id => decodeRLE(PATTERN_CATALOGUE.find(entry => entry.id === id).rle);
+
+// Place [y, x] cells on a grid, optionally rotated a quarter turn clockwise
+const place = (grid, cells, left, top, rotate = false) => {
+  cells.forEach(([y, x]) => {
+    if (rotate) grid.set(left - y, top + x, 1);
+    else grid.set(left + x, top + y, 1);
+  });
+  return grid;
+};
+
+const names = objects => objects.map(object => object.name).sort();
+
+describe('CensusService', () => {
+  test('should classify the built-in catalogue', () => {
+    const objects = CensusService.getKnownObjects(null);
+    expect(objects.map(object => object.id)).toContain('glider');
+
+    const kinds = {};
+    CensusService.getTemplates(null).forEach(({ entry }) => { kinds[entry.id] = entry; });
+    expect(kinds.block).toMatchObject({ kind: CENSUS_KIND.STILL_LIFE, period: 1 });
+    expect(kinds.eater1).toMatchObject({ kind: CENSUS_KIND.STILL_LIFE, period: 1 });
+    expect(kinds.pulsar).toMatchObject({ kind: CENSUS_KIND.OSCILLATOR, period: 3 });
+    expect(kinds.pentadecathlon).toMatchObject({ kind: CENSUS_KIND.OSCILLATOR, period: 15 });
+    expect(kinds.lwss).toMatchObject({ kind: CENSUS_KIND.SPACESHIP, period: 4 });
+    expect(kinds.hwss).toMatchObject({ kind: CENSUS_KIND.SPACESHIP, period: 4 });
+    expect(kinds.gosperGliderGun).toMatchObject({ kind: CENSUS_KIND.OTHER, period: null });
+  });
+
+  test('should identify objects in any orientation and phase', () => {
+    let grid = new PackedGrid(60, 60);
+    place(grid, catalogueCells('block'), 2, 2);
+    place(grid, catalogueCells('eater1'), 20, 2, true);
+    place(grid, catalogueCells('glider'), 40, 40, true);
+    place(grid, catalogueCells('lwss'), 5, 30);
+    grid = grid.step().step().step();
+
+    const objects = CensusService.takeCensus(grid, null);
+    expect(names(objects)).toEqual(['Block', 'Eater 1', 'Glider', 'LWSS']);
+    expect(objects.find(object => object.name === 'Block').bounds).toEqual({ minX: 2, maxX: 3, minY: 2, maxY: 3 });
+  });
+
+  test('should only match the phases an object repeats', () => {
+    // A pre-block becomes a block, so a drawn pre-block is not one
+    const brushes = { preBlock: { id: 'preBlock', name: 'Pre-block', pattern: [[0, 0], [0, 1], [1, 0]] } };
+    const grid = place(new PackedGrid(20, 20), [[0, 0], [0, 1], [1, 0]], 5, 5);
+
+    const objects = CensusService.takeCensus(grid, brushes);
+    expect(objects).toHaveLength(1);
+    expect(objects[0]).toMatchObject({ name: 'Unknown', kind: CENSUS_KIND.UNKNOWN });
+    expect(CensusService.getTemplates(brushes).filter(({ entry }) => entry.id === 'preBlock')
+      .every(({ cellCount }) => cellCount === 4)).toBe(true);
+  });
+
+  test('should report islands that match nothing as unknown', () => {
+    const grid = place(new PackedGrid(30, 30), [[0, 1], [0, 2], [1, 0], [1, 1], [2, 1]], 10, 10);
+    const objects = CensusService.takeCensus(grid, null);
+    expect(objects).toHaveLength(1);
+    expect(objects[0]).toMatchObject({ name: 'Unknown', kind: CENSUS_KIND.UNKNOWN });
+    expect(objects[0].cells).toHaveLength(5);
+  });
+
+  test('should identify a gun as one object and the gliders it emitted separately', () => {
+    let grid = place(new PackedGrid(80, 80), catalogueCells('gosperGliderGun'), 2, 2);
+    for (let i = 0; i < 75; i++) grid = grid.step();
+
+    const summary = CensusService.summarize(CensusService.takeCensus(grid, null));
+    expect(summary).toEqual([
+      { name: 'Glider', kind: CENSUS_KIND.SPACESHIP, count: 2 },
+      { name: 'Gosper glider gun', kind: CENSUS_KIND.OTHER, count: 1 }
+    ]);
+  });
+
+  test('should prefer library brushes and skip detectors', () => {
+    const brushes = {
+      detector2x2: { id: 'detector2x2', name: 'Detector', type: PATTERN_TYPES.DETECTOR, pattern: [[0, 0], [0, 1], [1, 0], [1, 1]] },
+      myBlock: { id: 'myBlock', name: 'My block', pattern: [[0, 0], [0, 1], [1, 0], [1, 1]] }
+    };
+    const grid = place(new PackedGrid(20, 20), catalogueCells('block'), 5, 5);
+    place(grid, catalogueCells('blinker'), 12, 12);
+
+    const objects = CensusService.takeCensus(grid, brushes);
+    expect(names(objects)).toEqual(['Blinker', 'My block']);
+    expect(objects.find(object => object.name === 'My block').source).toBe('library');
+  });
+
+  test('should count cells outside an unbounded board', () => {
+    let grid = place(new PackedGrid(20, 20), catalogueCells('glider'), 14, 14);
+    for (let i = 0; i < 40; i++) grid = grid.step(null, null, 'unbounded');
+
+    const objects = CensusService.takeCensus(grid, null);
+    expect(names(objects)).toEqual(['Glider']);
+    expect(objects[0].bounds.minX).toBeGreaterThanOrEqual(20);
+  });
+
+  test('should only use the catalogue under Conway\'s Life', () => {
+    const grid = place(new PackedGrid(10, 10), catalogueCells('block'), 2, 2);
+    expect(CensusService.takeCensus(grid, null, 'B36/S23')[0].kind).toBe(CENSUS_KIND.UNKNOWN);
+  });
+});
@@ -328,6 +328,49 @@ describe('ChallengeService', () => {
 
       expect(result.description).toBe('');
     });
+
+    test('should keep the cycle detection region, defaulting to the whole board', () => {
+      const region = { x: -5, y: -5, width: 10, height: 10 };
+      expect(ChallengeService.processChallengeData({ name: 'Test', cycleRegion: region }).cycleRegion).toEqual(region);
+      expect(ChallengeService.processChallengeData({ name: 'Test' }).cycleRegion).toBeNull();
+    });
+  });
+
+  describe('rules', () => {
+    test('should default to Conway\'s Life', () => {
+      expect(ChallengeService.processChallengeData({ name: 'Test' }).rule).toBe('B3/S23');
+    });
+
+    test('should normalise the rule to B/S notation', () => {
+      expect(ChallengeService.processChallengeData({ name: 'Test', rule: 'Day & Night' }).rule).toBe('B3678/S34678');
+      expect(ChallengeService.processChallengeData({ name: 'Test', rule: '23/36' }).rule).toBe('B36/S23');
+      expect(ChallengeService.processChallengeData({ name: 'Test', rule: 'b2-a/s21' }).rule).toBe('B2-a/S12');
+    });
+
+    test('should fall back to Conway\'s Life for invalid rules', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(ChallengeService.processChallengeData({ name: 'Test', rule: 'B9/S23' }).rule).toBe('B3/S23');
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('topologies', () => {
+    test('should default to a bounded board', () => {
+      expect(ChallengeService.processChallengeData({ name: 'Test' }).topology).toBe('bounded');
+    });
+
+    test('should normalise topology names', () => {
+      expect(ChallengeService.processChallengeData({ name: 'Test', topology: 'Torus' }).topology).toBe('torus');
+      expect(ChallengeService.processChallengeData({ name: 'Test', topology: 'Klein bottle' }).topology).toBe('klein');
+    });
+
+    test('should fall back to a bounded board for unknown topologies', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(ChallengeService.processChallengeData({ name: 'Test', topology: 'sphere' }).topology).toBe('bounded');
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
   });
 
   describe('storage methods', () => {
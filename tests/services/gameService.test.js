@@ -205,6 +205,26 @@ describe('GameService', () => {
     test('should use default multiplier when none provided', () => {
       expect(GameService.calculateAnimationSpeed()).toBe(160); // 640 / 4
     });
+
+    test('should map unlimited speed to a zero interval', () => {
+      expect(GameService.calculateAnimationSpeed(Infinity)).toBe(0);
+    });
+  });
+
+  describe('speed slider', () => {
+    test('should step through powers of two up to 512x, then Max', () => {
+      expect(GameService.getSpeedSliderMax()).toBe(10);
+      expect(GameService.getSpeedMultiplier(0)).toBe(1);
+      expect(GameService.getSpeedMultiplier(9)).toBe(512);
+      expect(GameService.getSpeedMultiplier(10)).toBe(Infinity);
+      expect(GameService.getSpeedSliderPosition(64)).toBe(6);
+      expect(GameService.getSpeedSliderPosition(Infinity)).toBe(10);
+    });
+
+    test('should label speeds', () => {
+      expect(GameService.formatSpeedMultiplier(512)).toBe('512x');
+      expect(GameService.formatSpeedMultiplier(Infinity)).toBe('Max');
+    });
   });
 
   describe('copyGrid', () => {
@@ -309,5 +329,57 @@ describe('GameService', () => {
       expect(GameService.isEditableCell(4, 5, challenge, gridSize, false)).toBe(false); // (-1,0)
       expect(GameService.isEditableCell(6, 5, challenge, gridSize, false)).toBe(false); // (1,0)
     });
+
+    test('should wrap positions past the edge of torus and Klein bottle boards', () => {
+      const gridSize = { width: 10, height: 10 };
+      const editableSpace = { minX: -5, maxX: -4, minY: -5, maxY: 4 }; // Columns 0 and 1
+
+      const torus = { editableSpace, topology: 'torus' };
+      expect(GameService.isEditableCell(10, 3, torus, gridSize, false)).toBe(true);  // wraps to (0, 3)
+      expect(GameService.isEditableCell(-1, 3, torus, gridSize, false)).toBe(false); // wraps to (9, 3)
+
+      // Crossing the bottom edge of a Klein bottle mirrors the column
+      const klein = { editableSpace, topology: 'klein' };
+      expect(GameService.isEditableCell(9, 10, klein, gridSize, false)).toBe(true);  // wraps to (0, 0)
+      expect(GameService.isEditableCell(9, 10, torus, gridSize, false)).toBe(false); // wraps to (9, 0)
+    });
+  });
+
+  describe('topologies', () => {
+    const createGlider = (width, height) => {
+      const grid = GameService.createEmptyGrid(width, height);
+      [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]].forEach(([y, x]) => { grid[y + 2][x + 2] = 1; });
+      return grid;
+    };
+
+    test('a glider should return to its start on a torus', () => {
+      // A glider moves one cell diagonally every 4 generations
+      const start = createGlider(12, 12);
+      const result = GameService.advanceGenerations(start, 48, null, 'torus');
+      expect(result).toEqual(start);
+    });
+
+    test('a glider should leave an absorbing board without debris', () => {
+      const start = createGlider(12, 12);
+      const bounded = GameService.advanceGenerations(start, 60);
+      const absorbing = GameService.advanceGenerations(start, 60, null, 'absorbing');
+
+      expect(GameService.countAliveCells(bounded)).toBeGreaterThan(0);
+      expect(GameService.countAliveCells(absorbing)).toBe(0);
+    });
+
+    test('wrapping should use the whole neighbourhood across edges', () => {
+      // A blinker split across the left/right edge keeps oscillating
+      const grid = GameService.createEmptyGrid(8, 8);
+      grid[4][7] = 1;
+      grid[4][0] = 1;
+      grid[4][1] = 1;
+
+      const next = GameService.nextGeneration(grid, null, 'torus');
+      expect(next[3][0]).toBe(1);
+      expect(next[5][0]).toBe(1);
+      expect(GameService.countAliveCells(next)).toBe(3);
+      expect(GameService.nextGeneration(next, null, 'torus')).toEqual(grid);
+    });
   });
 });
@@ -0,0 +1,165 @@
+// Unit tests for the generation history used by Step Back and the timeline scrubber
+import { GenerationHistory } from '../../src/services/historyService.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { DetectorService } from '../../src/services/detectorService.js';
+
+const GLIDER = [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+
+// Run a glider on a bounded board, recording every generation
+const recordGlider = (history, generations, size = 64) => {
+  let grid = new PackedGrid(size, size);
+  GLIDER.forEach(([y, x]) => grid.set(x + 2, y + 2, 1));
+  const boards = [grid];
+  history.record(0, grid, [{ id: 'd', generation: 0 }]);
+  for (let generation = 1; generation <= generations; generation++) {
+    grid = grid.step();
+    boards.push(grid);
+    history.record(generation, grid, [{ id: 'd', generation }]);
+  }
+  return boards;
+};
+
+describe('GenerationHistory', () => {
+  test('should restore every recorded board and its detectors', () => {
+    const history = new GenerationHistory({ keyframeInterval: 8 });
+    const boards = recordGlider(history, 30);
+
+    expect(history.getRange()).toEqual({ first: 0, last: 30 });
+    boards.forEach((board, generation) => {
+      const state = history.get(generation);
+      expect(state.generation).toBe(generation);
+      expect(state.grid.equals(board)).toBe(true);
+      expect(state.detectors).toEqual([{ id: 'd', generation }]);
+    });
+  });
+
+  test('should only store full boards at keyframes', () => {
+    const history = new GenerationHistory({ keyframeInterval: 10 });
+    recordGlider(history, 25);
+
+    const keyframes = history.entries.filter(entry => entry.keyframe).map(entry => entry.generation);
+    expect(keyframes).toEqual([0, 10, 20]);
+    expect(history.entries[5].frame.words).toBeUndefined();
+    expect(history.entries[5].frame.indices.length).toBeLessThan(10);
+  });
+
+  test('restored boards should not share buffers with the history', () => {
+    const history = new GenerationHistory();
+    recordGlider(history, 3);
+
+    const restored = history.get(0).grid;
+    restored.clear();
+    expect(history.get(0).grid.countAlive()).toBe(5);
+  });
+
+  test('should recompute the generations between recorded ones', () => {
+    // Only every fifth generation is displayed, as when the worker batches frames
+    const history = new GenerationHistory({ keyframeInterval: 2 });
+    let grid = new PackedGrid(64, 64);
+    GLIDER.forEach(([y, x]) => grid.set(x + 2, y + 2, 1));
+    const boards = [grid];
+    for (let generation = 1; generation <= 20; generation++) boards.push(grid = grid.step());
+    for (let generation = 0; generation <= 20; generation += 5) history.record(generation, boards[generation]);
+
+    for (let generation = 0; generation <= 20; generation++) {
+      const state = history.get(generation);
+      expect(state.generation).toBe(generation);
+      expect(state.grid.equals(boards[generation])).toBe(true);
+    }
+    expect(history.get(25).generation).toBe(20);
+    expect(history.get(-1)).toBeNull();
+    expect(history.getPreviousGeneration(20)).toBe(19);
+    expect(history.getPreviousGeneration(1)).toBe(0);
+    expect(history.getPreviousGeneration(0)).toBeNull();
+
+    // Seeking into a gap re-records a board the history can already restore
+    history.record(13, history.get(13).grid);
+    expect(history.getRange()).toEqual({ first: 0, last: 20 });
+  });
+
+  test('should recompute skipped generations under the recorded rule, topology and detectors', () => {
+    // Blinker split across the left/right edge of a torus, with a detector on its middle row
+    const grid = new PackedGrid(8, 8);
+    grid.set(7, 4, 1);
+    grid.set(0, 4, 1);
+    grid.set(1, 4, 1);
+    const detectors = [{ id: 'd', pattern: [[0, 0]], position: { x: 0, y: 3 }, falloffPeriod: 2, currentValue: 0, activationTimer: 0 }];
+    const history = new GenerationHistory();
+    history.record(0, grid, detectors, { rule: 'B3/S23', topology: 'torus' });
+    history.record(10, grid, detectors, { rule: 'B3/S23', topology: 'torus' });
+
+    const state = history.get(5);
+    expect(state.grid.get(0, 3)).toBe(1);
+    expect(state.grid.get(0, 5)).toBe(1);
+    expect(state.grid.countAlive()).toBe(3);
+
+    let expectedDetectors = detectors;
+    let expectedGrid = grid;
+    for (let generation = 1; generation <= 5; generation++) {
+      expectedGrid = expectedGrid.step(null, null, 'torus');
+      expectedDetectors = DetectorService.updateDetectors(expectedDetectors, expectedGrid, generation);
+    }
+    expect(state.detectors).toEqual(expectedDetectors);
+
+    // The same board under another topology takes a different path
+    history.record(0, grid, detectors);
+    expect(history.getRange()).toEqual({ first: 0, last: 0 });
+  });
+
+  test('recording a different board for an earlier generation should discard the later ones', () => {
+    const history = new GenerationHistory({ keyframeInterval: 4 });
+    const boards = recordGlider(history, 12);
+
+    const edited = boards[6].clone();
+    edited.set(40, 40, 1);
+    history.record(6, edited);
+
+    expect(history.getRange()).toEqual({ first: 0, last: 6 });
+    expect(history.get(6).grid.equals(edited)).toBe(true);
+
+    // New generations keep diffing against the edited board
+    const next = edited.step();
+    history.record(7, next);
+    expect(history.get(7).grid.equals(next)).toBe(true);
+    expect(history.get(5).grid.equals(boards[5])).toBe(true);
+  });
+
+  test('recording the stored board again should keep the later generations', () => {
+    const history = new GenerationHistory();
+    const boards = recordGlider(history, 12);
+
+    // Seeking back and resetting re-record a board the history already holds
+    history.record(4, boards[4].clone(), [{ id: 'd', generation: 4, reset: true }]);
+    history.record(0, boards[0].clone());
+
+    expect(history.getRange()).toEqual({ first: 0, last: 12 });
+    expect(history.get(4).detectors[0].reset).toBe(true);
+    expect(history.get(12).grid.equals(boards[12])).toBe(true);
+  });
+
+  test('should drop the oldest generations beyond its capacity', () => {
+    const history = new GenerationHistory({ maxEntries: 20, keyframeInterval: 8 });
+    const boards = recordGlider(history, 50);
+
+    expect(history.size).toBe(20);
+    expect(history.getRange()).toEqual({ first: 31, last: 50 });
+    // The new oldest entry was promoted to a keyframe so it can still be restored
+    expect(history.entries[0].keyframe).toBe(true);
+    for (let generation = 31; generation <= 50; generation++) {
+      expect(history.get(generation).grid.equals(boards[generation])).toBe(true);
+    }
+  });
+
+  test('should start a new keyframe when the board is resized', () => {
+    const history = new GenerationHistory();
+    recordGlider(history, 3);
+
+    const resized = new PackedGrid(80, 80);
+    resized.set(1, 1, 1);
+    history.record(4, resized);
+
+    expect(history.entries[4].keyframe).toBe(true);
+    expect(history.get(4).grid.equals(resized)).toBe(true);
+    expect(history.get(3).grid.width).toBe(64);
+  });
+});
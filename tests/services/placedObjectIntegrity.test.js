@@ -223,4 +223,35 @@ describe('PlacedObjectService - Pattern Integrity', () => {
 
     expect(PlacedObjectService.getVisibleGuidanceLines(objectsWithoutGuidance)).toEqual([]);
   });
+
+  test('should list the cells an intact object keeps alive, skipping decaying cells', () => {
+    const brushes = { 'spark': { name: 'spark', pattern: [[0, 0], [0, 1], [1, 0, 2]] } };
+    const placedObject = { id: 'spark_1', brushName: 'spark', gridX: 3, gridY: 4, rotation: 0 };
+
+    expect(PlacedObjectService.getIntegrityCells(placedObject, brushes)).toEqual([{ x: 3, y: 4 }, { x: 4, y: 4 }]);
+    expect(PlacedObjectService.getIntegrityCells({ ...placedObject, brushName: 'missing' }, brushes)).toBeNull();
+  });
+
+  test('should wrap the cells of objects straddling the edge of a wrapping board', () => {
+    const brushes = { 'test-pattern': { name: 'test-pattern', pattern: [[0, 0], [0, 1], [1, 0]] } };
+    const placedObject = { id: 'edge', brushName: 'test-pattern', gridX: 9, gridY: 9, rotation: 0 };
+
+    // Placed in the corner of a 10x10 board, the object wraps onto the opposite edges
+    const grid = Array(10).fill(null).map(() => Array(10).fill(0));
+    grid[9][9] = 1;
+    grid[9][0] = 1;
+    grid[0][9] = 1;
+
+    expect(PlacedObjectService.getIntegrityCells(placedObject, brushes, { width: 10, height: 10 }, 'torus'))
+      .toEqual([{ x: 9, y: 9 }, { x: 0, y: 9 }, { x: 9, y: 0 }]);
+    expect(PlacedObjectService.checkPatternIntegrity(placedObject, grid, brushes, 'torus')).toBe(true);
+    expect(PlacedObjectService.checkPatternIntegrity(placedObject, grid, brushes)).toBe(false);
+
+    // Crossing the top or bottom of a Klein bottle also mirrors the column
+    const klein = Array(10).fill(null).map(() => Array(10).fill(0));
+    klein[9][9] = 1;
+    klein[9][0] = 1;
+    klein[0][0] = 1;
+    expect(PlacedObjectService.checkPatternIntegrity(placedObject, klein, brushes, 'klein')).toBe(true);
+  });
 });
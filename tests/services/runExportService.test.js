@@ -0,0 +1,155 @@
+// Unit tests for exporting runs as GIFs and PNG frames
+import { RunExportService } from '../../src/services/runExportService.js';
+import { GameService } from '../../src/services/gameService.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { RUN_EXPORT_FORMAT } from '../../src/constants/gameConstants.js';
+
+const BLINKER = [[5, 4], [5, 5], [5, 6]];
+
+// Minimal 2D context that paints fillRect calls into an RGBA buffer: white for
+// live cells, green for detectors and targets, black for everything else
+const createFakeCanvas = (width, height) => {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  let translateX = 0;
+  let translateY = 0;
+  const colorOf = style => (style === 'white' ? [255, 255, 255] : style === 'green' ? [0, 128, 0] : [0, 0, 0]);
+
+  const context = {
+    fillStyle: 'black',
+    fillRect(x, y, w, h) {
+      const color = colorOf(this.fillStyle);
+      for (let py = Math.max(0, y + translateY); py < Math.min(height, y + translateY + h); py++) {
+        for (let px = Math.max(0, x + translateX); px < Math.min(width, x + translateX + w); px++) {
+          pixels.set([...color, 255], (py * width + px) * 4);
+        }
+      }
+    },
+    setTransform(a, b, c, d, e, f) {
+      translateX = e;
+      translateY = f;
+    },
+    getImageData: () => ({ data: pixels.slice() }),
+    beginPath() {}, moveTo() {}, lineTo() {}, stroke() {}, strokeRect() {}, setLineDash() {}, closePath() {}, fill() {}
+  };
+  return { width, height, getContext: () => context };
+};
+
+// Canvas factory that also keeps every frame read back from the canvas
+const createRecordingCanvas = frames => (width, height) => {
+  const canvas = createFakeCanvas(width, height);
+  const context = canvas.getContext();
+  const getImageData = context.getImageData;
+  context.getImageData = (...args) => {
+    const imageData = getImageData(...args);
+    frames.push(imageData.data);
+    return imageData;
+  };
+  return canvas;
+};
+
+const createBlinkerBoard = () => {
+  const grid = new PackedGrid(11, 11);
+  BLINKER.forEach(([y, x]) => grid.set(x, y, 1));
+  return grid;
+};
+
+// Live cells of a frame in board coordinates, reading one pixel per cell
+const liveCells = (pixels, widthInCells, cellSize, crop) => {
+  const cells = [];
+  const pixelWidth = widthInCells * cellSize;
+  for (let i = 0; i < pixels.length / 4; i++) {
+    const x = i % pixelWidth;
+    const y = Math.floor(i / pixelWidth);
+    if (x % cellSize === 0 && y % cellSize === 0 && pixels[i * 4] === 255) {
+      cells.push([crop.x + x / cellSize, crop.y + y / cellSize]);
+    }
+  }
+  return cells;
+};
+
+describe('RunExportService', () => {
+  test('should fill in the whole board and check the options', () => {
+    const options = RunExportService.normalizeOptions({ toGeneration: 4 }, { width: 11, height: 9 });
+    expect(options).toMatchObject({ format: RUN_EXPORT_FORMAT.GIF, fromGeneration: 0, toGeneration: 4, crop: { x: 0, y: 0, width: 11, height: 9 } });
+    expect(RunExportService.normalizeOptions({ crop: { x: 8, y: 2, width: 10, height: 3 } }, { width: 11, height: 9 }).crop)
+      .toEqual({ x: 8, y: 2, width: 3, height: 3 });
+
+    expect(() => RunExportService.normalizeOptions({ fromGeneration: 5, toGeneration: 2 }, { width: 5, height: 5 })).toThrow('generation range');
+    expect(() => RunExportService.normalizeOptions({ cellSize: 40 }, { width: 5, height: 5 })).toThrow('Cell size');
+    expect(() => RunExportService.normalizeOptions({ fps: 0 }, { width: 5, height: 5 })).toThrow('Frame rate');
+    expect(() => RunExportService.normalizeOptions({ crop: { x: 9, y: 0, width: 2, height: 2 } }, { width: 5, height: 5 })).toThrow('outside');
+    expect(() => RunExportService.normalizeOptions({ format: 'avi' }, { width: 5, height: 5 })).toThrow('Unknown export format');
+    expect(() => RunExportService.normalizeOptions({ toGeneration: 5000 }, { width: 5, height: 5 })).toThrow('frames');
+  });
+
+  test('should render the requested generations of the run, cropped', async () => {
+    const frames = [];
+    const progress = [];
+    const createCanvas = createRecordingCanvas(frames);
+
+    const crop = { x: 3, y: 3, width: 5, height: 5 };
+    const result = await RunExportService.exportRun(
+      { grid: createBlinkerBoard() },
+      { format: RUN_EXPORT_FORMAT.PNG_ZIP, fromGeneration: 1, toGeneration: 3, cellSize: 2, crop },
+      { createCanvas, onProgress: (rendered, total) => progress.push([rendered, total]) }
+    );
+
+    expect(result).toMatchObject({ filename: 'run_1-3.zip', mimeType: 'application/zip', frameCount: 3 });
+    expect(new TextDecoder().decode(result.data)).toContain('generation_00001.png');
+    expect(progress).toEqual([[3, 3]]);
+    expect(frames).toHaveLength(3);
+    expect(liveCells(frames[0], 5, 2, crop)).toEqual([[5, 4], [5, 5], [5, 6]]);
+    expect(liveCells(frames[1], 5, 2, crop)).toEqual([[4, 5], [5, 5], [6, 5]]);
+    expect(liveCells(frames[2], 5, 2, crop)).toEqual([[5, 4], [5, 5], [5, 6]]);
+  });
+
+  test('should replay detectors from their initial values', async () => {
+    // The detector sits where the blinker's vertical phase reaches, and was left on by an earlier run
+    const detector = {
+      id: 'd1', pattern: [[0, 0]], position: { x: 5, y: 4 }, initialValue: 0, currentValue: 1,
+      falloffPeriod: 1, activationTimer: 1, lastCoveredGeneration: 30
+    };
+    const frames = [];
+    const createCanvas = createRecordingCanvas(frames);
+
+    const result = await RunExportService.exportRun(
+      { grid: createBlinkerBoard(), detectors: [detector] },
+      { format: RUN_EXPORT_FORMAT.GIF, toGeneration: 1, includeDetectors: true, cellSize: 1, fps: 20 },
+      { createCanvas }
+    );
+
+    expect(result).toMatchObject({ filename: 'run_0-1.gif', mimeType: 'image/gif', frameCount: 2 });
+    expect(new TextDecoder().decode(result.data.subarray(0, 6))).toBe('GIF89a');
+    const detectorPixel = (4 * 11 + 5) * 4;
+    expect(Array.from(frames[0].subarray(detectorPixel, detectorPixel + 3))).toEqual([0, 0, 0]);
+    expect(Array.from(frames[1].subarray(detectorPixel, detectorPixel + 3))).toEqual([0, 128, 0]);
+
+    // 20 frames per second is a delay of 5 hundredths, in the graphic control extension
+    const extension = result.data.findIndex((byte, i) => byte === 0x21 && result.data[i + 1] === 0xf9 && result.data[i + 2] === 0x04);
+    expect(result.data[extension + 4] | (result.data[extension + 5] << 8)).toBe(5);
+  });
+
+  test('should jump to the last falloff window before a late range instead of stepping there', async () => {
+    const detector = { id: 'd1', pattern: [[0, 0]], position: { x: 5, y: 4 }, initialValue: 0, falloffPeriod: 3 };
+    const frames = [];
+    const advanceGenerations = jest.spyOn(GameService, 'advanceGenerations');
+
+    try {
+      await RunExportService.exportRun(
+        { grid: createBlinkerBoard(), detectors: [detector] },
+        { format: RUN_EXPORT_FORMAT.PNG_ZIP, fromGeneration: 1000001, toGeneration: 1000002, cellSize: 1 },
+        { createCanvas: createRecordingCanvas(frames) }
+      );
+
+      expect(advanceGenerations).toHaveBeenCalledTimes(1);
+      expect(advanceGenerations.mock.calls[0][1]).toBe(999998);
+    } finally {
+      advanceGenerations.mockRestore();
+    }
+
+    expect(frames).toHaveLength(2);
+    // Odd generations of the blinker are vertical
+    expect(liveCells(frames[0], 11, 1, { x: 0, y: 0 })).toEqual([[5, 4], [5, 5], [5, 6]]);
+    expect(liveCells(frames[1], 11, 1, { x: 0, y: 0 })).toEqual([[4, 5], [5, 5], [6, 5]]);
+  });
+});
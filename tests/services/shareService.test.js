@@ -0,0 +1,139 @@
+// Unit tests for shareable board links
+import { ShareService } from '../../src/services/shareService.js';
+import PlacedObjectService from '../../src/services/placedObjectService.js';
+import { BrushService } from '../../src/services/brushService.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { SHARE_CONSTANTS } from '../../src/constants/gameConstants.js';
+
+const GLIDER = [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+
+const BRUSHES = {
+  glider: { id: 'glider', name: 'Glider', pattern: GLIDER, width: 3, height: 3, guidanceLines: [] },
+  block: { id: 'block', name: 'Block', pattern: [[0, 0], [0, 1], [1, 0], [1, 1]], width: 2, height: 2, guidanceLines: [] },
+  highlife: { id: 'highlife', name: 'Replicator', rule: 'B36/S23', pattern: [[0, 0]], width: 1, height: 1, guidanceLines: [] }
+};
+
+const CHALLENGE = { name: '9. Eaters', rule: 'B3/S23' };
+const GRID_SIZE = { width: 41, height: 31 };
+
+// Placed objects as GameOfLife records them
+const placeObjects = () => [
+  PlacedObjectService.createPlacedObject(BRUSHES.glider, 25, 12, 0, 90, false, true),
+  PlacedObjectService.createPlacedObject(BRUSHES.block, 5, 5),
+  PlacedObjectService.createPlacedObject({ name: 'single-pixel', pattern: [[0, 0]], guidanceLines: [] }, 30, 20)
+];
+
+const cellsOf = grid => {
+  const cells = [];
+  grid.forEachAlive((x, y) => cells.push([x, y]));
+  return cells.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+};
+
+describe('ShareService', () => {
+  test('should read level ids from exercise names', () => {
+    expect(ShareService.getLevelId('9. Eaters')).toBe(9);
+    expect(ShareService.getLevelId('Sandbox')).toBeNull();
+    expect(ShareService.getLevelId(undefined)).toBeNull();
+  });
+
+  test('should describe placed objects in center-based coordinates', () => {
+    const state = ShareService.createShareState({ level: 9, placedObjects: placeObjects(), gridSize: GRID_SIZE, brushes: BRUSHES });
+
+    expect(state).toEqual({
+      v: SHARE_CONSTANTS.VERSION,
+      level: 9,
+      objects: [['glider', 5, -3, 90, 2], ['block', -15, -10, 0, 0], ['single-pixel', 10, 5, 0, 0]]
+    });
+  });
+
+  test('should round-trip a board through a compressed link', async () => {
+    const board = new PackedGrid(GRID_SIZE.width, GRID_SIZE.height);
+    board.set(3, 4, 1);
+    board.setState(4, 4, 2);
+    const state = ShareService.createShareState({ level: 9, placedObjects: placeObjects(), gridSize: GRID_SIZE, brushes: BRUSHES, board });
+
+    const url = await ShareService.createShareUrl(state, 'https://example.com/play?x=1#old');
+    expect(url.startsWith(`https://example.com/play?x=1#${SHARE_CONSTANTS.HASH_PREFIX}`)).toBe(true);
+    expect(url.split('#')[1]).toMatch(/^share=[A-Za-z0-9_-]+$/);
+
+    const hash = ShareService.getShareHash(`#${url.split('#')[1]}`);
+    expect(await ShareService.decodeShareHash(hash)).toEqual(state);
+    expect(ShareService.getShareHash('#something-else')).toBeNull();
+  });
+
+  test('should keep links short for boards with many objects', async () => {
+    const placedObjects = Array.from({ length: 60 }, (_, i) =>
+      PlacedObjectService.createPlacedObject(BRUSHES.block, (i % 10) * 4, Math.floor(i / 10) * 4));
+    const state = ShareService.createShareState({ level: 3, placedObjects, gridSize: GRID_SIZE, brushes: BRUSHES });
+
+    const hash = await ShareService.encodeShareHash(state);
+    expect(hash.length).toBeLessThan(JSON.stringify(state).length);
+  });
+
+  test('should restore objects through the same placement path on top of the setup', () => {
+    const placedObjects = placeObjects();
+    const state = ShareService.createShareState({ level: 9, placedObjects, gridSize: GRID_SIZE, brushes: BRUSHES });
+    const setupBoard = new PackedGrid(GRID_SIZE.width, GRID_SIZE.height);
+    setupBoard.set(0, 0, 1);
+    const createSpy = jest.spyOn(PlacedObjectService, 'createPlacedObject');
+
+    const { grid, placedObjects: restored, skipped } = ShareService.restoreBoard(state, setupBoard, BRUSHES, CHALLENGE);
+
+    expect(createSpy).toHaveBeenCalledTimes(3);
+    createSpy.mockRestore();
+    expect(skipped).toEqual([]);
+    expect(restored.map(({ brushId, gridX, gridY, rotation, flipX, flipY, pixels }) => ({ brushId, gridX, gridY, rotation, flipX, flipY, pixels })))
+      .toEqual(placedObjects.map(({ brushId, gridX, gridY, rotation, flipX, flipY, pixels }) => ({ brushId, gridX, gridY, rotation, flipX, flipY, pixels })));
+    expect(cellsOf(grid)).toEqual(cellsOf(PlacedObjectService.applyPlacedObjectsToGrid(setupBoard, placedObjects)));
+    expect(setupBoard.countAlive()).toBe(1);
+  });
+
+  test('should pin down the transform of brushes flipped before they were rotated', () => {
+    // Flip first, then rotate, as when the user flips a selected brush and then rotates it
+    let brush = BrushService.transformPattern(BRUSHES.glider, 'flipX');
+    brush = BrushService.transformPattern(brush, 'rotateClockwise');
+    const placedObject = PlacedObjectService.createPlacedObject(brush, 20, 15, 0, brush.rotation, brush.flipX, brush.flipY);
+
+    const state = ShareService.createShareState({ level: 9, placedObjects: [placedObject], gridSize: GRID_SIZE, brushes: BRUSHES });
+    const { placedObjects: [restored] } = ShareService.restoreBoard(state, new PackedGrid(GRID_SIZE.width, GRID_SIZE.height), BRUSHES, CHALLENGE);
+
+    const sortPixels = pixels => [...pixels].sort((a, b) => a.y - b.y || a.x - b.x);
+    expect(sortPixels(restored.pixels)).toEqual(sortPixels(placedObject.pixels));
+  });
+
+  test('should take raw cells over the cells the objects would draw', () => {
+    const board = new PackedGrid(GRID_SIZE.width, GRID_SIZE.height);
+    board.set(2, 3, 1);
+    board.setState(40, 30, 3);
+    const state = ShareService.createShareState({ level: 9, placedObjects: placeObjects(), gridSize: GRID_SIZE, brushes: BRUSHES, board });
+
+    const setupBoard = new PackedGrid(GRID_SIZE.width, GRID_SIZE.height);
+    setupBoard.set(10, 10, 1);
+    const { grid, placedObjects } = ShareService.restoreBoard(state, setupBoard, BRUSHES, CHALLENGE);
+
+    expect(grid.equals(board)).toBe(true);
+    expect(placedObjects).toHaveLength(3);
+  });
+
+  test('should skip brushes that are missing or written for another rule', () => {
+    const state = { v: 1, level: 9, objects: [['highlife', 0, 0, 0, 0], ['unknown', 1, 1, 0, 0], ['block', 2, 2, 0, 0]] };
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const { placedObjects, skipped } = ShareService.restoreBoard(state, new PackedGrid(11, 11), BRUSHES, CHALLENGE);
+
+    warn.mockRestore();
+    expect(placedObjects.map(object => object.brushId)).toEqual(['block']);
+    expect(skipped).toEqual(['highlife', 'unknown']);
+  });
+
+  test('should reject damaged links and unknown versions', async () => {
+    await expect(ShareService.decodeShareHash('not base64!')).rejects.toThrow('damaged');
+    await expect(ShareService.decodeShareHash('AAAA')).rejects.toThrow('damaged');
+
+    const future = await ShareService.encodeShareHash({ v: 99, level: 1, objects: [] });
+    await expect(ShareService.decodeShareHash(future)).rejects.toThrow('version 99');
+
+    const malformed = await ShareService.encodeShareHash({ v: 1, level: 1, objects: [['glider', 'x', 0, 0, 0]] });
+    await expect(ShareService.decodeShareHash(malformed)).rejects.toThrow('malformed objects');
+  });
+});
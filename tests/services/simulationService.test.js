@@ -0,0 +1,364 @@
+// Unit tests for the worker simulation session and its main-thread client
+import { SimulationSession, encodeGridFrame, applyGridFrame, getGridFrameTransfer } from '../../src/services/simulationService.js';
+import { SimulationClient, LocalSimulationWorker } from '../../src/services/simulationClient.js';
+import { DetectorService } from '../../src/services/detectorService.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { resolveRule } from '../../src/utils/lifeRules.js';
+import { SIMULATION_MESSAGE } from '../../src/constants/gameConstants.js';
+
+const createBlinkerGrid = () => {
+  const grid = new PackedGrid(40, 40);
+  grid.set(19, 20, 1);
+  grid.set(20, 20, 1);
+  grid.set(21, 20, 1);
+  return grid;
+};
+
+const loadMessage = (grid, extra = {}) => ({
+  type: SIMULATION_MESSAGE.LOAD,
+  grid: { width: grid.width, height: grid.height, words: grid.words.slice() },
+  generation: 0,
+  detectors: [],
+  epoch: 1,
+  ...extra
+});
+
+describe('Grid frames', () => {
+  test('should send a diff when few words changed', () => {
+    const grid = new PackedGrid(200, 50);
+    const previousWords = grid.words.slice();
+    grid.set(100, 10, 1);
+
+    const frame = encodeGridFrame(grid, previousWords);
+    expect(frame.words).toBeUndefined();
+    expect(frame.indices).toHaveLength(1);
+
+    const rebuilt = applyGridFrame(new PackedGrid(200, 50), frame);
+    expect(rebuilt.equals(grid)).toBe(true);
+  });
+
+  test('should send the full grid without a previous frame', () => {
+    const grid = createBlinkerGrid();
+    const frame = encodeGridFrame(grid, null);
+    expect(frame.words).toEqual(grid.words);
+    expect(applyGridFrame(null, frame).equals(grid)).toBe(true);
+  });
+
+  test('should refuse to apply a diff to a differently sized grid', () => {
+    const grid = new PackedGrid(200, 50);
+    const frame = encodeGridFrame(grid, grid.words.slice());
+    expect(() => applyGridFrame(new PackedGrid(10, 10), frame)).toThrow();
+  });
+
+  test('should carry the hidden margin of absorbing boards', () => {
+    let grid = new PackedGrid(10, 10);
+    [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]].forEach(([y, x]) => grid.set(x + 6, y + 6, 1));
+    for (let i = 0; i < 8; i++) grid = grid.step(null, null, 'absorbing');
+    expect(grid.margin).not.toBeNull();
+
+    const rebuilt = applyGridFrame(null, encodeGridFrame(grid, null));
+    expect(rebuilt.margin.equals(grid.margin)).toBe(true);
+  });
+
+  test('should carry the outside universe of unbounded boards', () => {
+    let grid = new PackedGrid(10, 10);
+    [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]].forEach(([y, x]) => grid.set(x + 6, y + 6, 1));
+    const previousWords = grid.words.slice();
+    for (let i = 0; i < 20; i++) grid = grid.step(null, null, 'unbounded');
+    expect(grid.outside.countAlive()).toBe(5);
+
+    const frame = encodeGridFrame(grid, previousWords);
+    expect(getGridFrameTransfer(frame)).toContain(frame.outside.words.buffer);
+    const rebuilt = applyGridFrame(new PackedGrid(10, 10), frame);
+    expect(rebuilt.outside.equals(grid.outside)).toBe(true);
+  });
+
+  test('should carry decay states of multi-state grids', () => {
+    const grid = new PackedGrid(200, 50);
+    const previousWords = grid.words.slice();
+    grid.set(100, 10, 1);
+    grid.setState(101, 10, 2);
+
+    const frame = encodeGridFrame(grid, previousWords);
+    expect(frame.indices).toHaveLength(1);
+    expect(applyGridFrame(new PackedGrid(200, 50), frame).equals(grid)).toBe(true);
+  });
+});
+
+describe('SimulationSession', () => {
+  let messages;
+  let session;
+
+  beforeEach(() => {
+    messages = [];
+    session = new SimulationSession(message => messages.push(message));
+  });
+
+  afterEach(() => {
+    session.pause();
+  });
+
+  test('should step and post a frame for the request', () => {
+    const grid = createBlinkerGrid();
+    session.handleMessage(loadMessage(grid));
+    session.handleMessage({ type: SIMULATION_MESSAGE.STEP, count: 1, requestId: 7 });
+
+    expect(messages).toHaveLength(1);
+    expect(messages[0]).toMatchObject({ type: SIMULATION_MESSAGE.FRAME, generation: 1, requestId: 7, epoch: 1 });
+
+    const next = applyGridFrame(grid, messages[0].grid);
+    expect(next.get(20, 19)).toBe(1);
+    expect(next.get(20, 21)).toBe(1);
+    expect(next.get(19, 20)).toBe(0);
+  });
+
+  test('should post the statistics of every generation since the last frame', () => {
+    session.handleMessage(loadMessage(createBlinkerGrid()));
+    session.handleMessage({ type: SIMULATION_MESSAGE.STEP, count: 2, requestId: 1 });
+    session.handleMessage({ type: SIMULATION_MESSAGE.STEP, count: 1, requestId: 2 });
+
+    expect(messages[0].statistics.map(row => [row.generation, row.births])).toEqual([[0, null], [1, 2], [2, 2]]);
+    expect(messages[1].statistics).toHaveLength(1);
+    expect(messages[1].statistics[0]).toMatchObject({ generation: 3, population: 3, births: 2, deaths: 2 });
+  });
+
+  test('should time streams across reloads of the board it paused on', () => {
+    // A glider heading south-east towards a probe line at column 25
+    const grid = new PackedGrid(40, 40);
+    [[21, 10], [22, 11], [20, 12], [21, 12], [22, 12]].forEach(([x, y]) => grid.set(x, y, 1));
+    const streamProbes = [{ id: 'probe', label: 'column 25', cells: Array.from({ length: 40 }, (_, y) => [25, y]), gate: null }];
+
+    session.handleMessage(loadMessage(grid, { streamProbes }));
+    session.handleMessage({ type: SIMULATION_MESSAGE.STEP, count: 8, requestId: 1 });
+    expect(messages[0].streams[0].streams).toEqual([]);
+
+    const paused = applyGridFrame(grid, messages[0].grid);
+    session.handleMessage(loadMessage(paused, { generation: 8, streamProbes }));
+    session.handleMessage({ type: SIMULATION_MESSAGE.STEP, count: 12, requestId: 2 });
+    const [stream] = messages[1].streams[0].streams;
+    expect(stream).toMatchObject({ ship: 'Glider', direction: 'SE', count: 1 });
+
+    // Resuming keeps the glider crossing the line; loading another board starts over without it
+    const onLine = applyGridFrame(paused, messages[1].grid);
+    session.handleMessage(loadMessage(onLine, { generation: 20, streamProbes }));
+    session.handleMessage({ type: SIMULATION_MESSAGE.STEP, count: 1, requestId: 3 });
+    expect(messages[2].streams[0].streams).toEqual([stream]);
+
+    session.handleMessage(loadMessage(onLine, { generation: 100, streamProbes }));
+    session.handleMessage({ type: SIMULATION_MESSAGE.STEP, count: 1, requestId: 4 });
+    expect(messages[3].streams[0].streams).toEqual([]);
+  });
+
+  test('should jump to a generation and keep detector states exact', () => {
+    const grid = createBlinkerGrid();
+    const detectors = DetectorService.initializeDetectors([
+      { pattern: [[0, 0]], position: { x: 20, y: 19 }, falloffPeriod: 3 }
+    ]);
+
+    session.handleMessage(loadMessage(grid, { detectors }));
+    session.handleMessage({ type: SIMULATION_MESSAGE.JUMP, generation: 101, requestId: 1 });
+
+    // Reference: step every generation
+    let reference = grid;
+    let referenceDetectors = detectors;
+    for (let generation = 1; generation <= 101; generation++) {
+      reference = reference.step();
+      referenceDetectors = DetectorService.updateDetectors(referenceDetectors, reference, generation);
+    }
+
+    const frame = messages[0];
+    expect(frame.generation).toBe(101);
+    expect(applyGridFrame(grid, frame.grid).equals(reference)).toBe(true);
+    expect(frame.detectors[0].currentValue).toBe(referenceDetectors[0].currentValue);
+    expect(frame.detectors[0].activationTimer).toBe(referenceDetectors[0].activationTimer);
+  });
+
+  test('should step on the loaded topology', () => {
+    // Blinker split across the left/right edge of a torus
+    const grid = new PackedGrid(8, 8);
+    grid.set(7, 4, 1);
+    grid.set(0, 4, 1);
+    grid.set(1, 4, 1);
+
+    session.handleMessage(loadMessage(grid, { topology: 'torus' }));
+    session.handleMessage({ type: SIMULATION_MESSAGE.STEP, count: 1, requestId: 1 });
+
+    const next = applyGridFrame(grid, messages[0].grid);
+    expect(next.get(0, 3)).toBe(1);
+    expect(next.get(0, 5)).toBe(1);
+    expect(next.countAlive()).toBe(3);
+  });
+
+  test('should reject unknown topologies', () => {
+    session.handleMessage(loadMessage(createBlinkerGrid(), { topology: 'sphere', requestId: 2 }));
+    expect(messages[0]).toMatchObject({ type: SIMULATION_MESSAGE.ERROR, message: 'Invalid topology: sphere' });
+  });
+
+  test('should reject rules that cannot run on an unbounded board', () => {
+    session.handleMessage(loadMessage(createBlinkerGrid(), { topology: 'unbounded', rule: 'B03/S23' }));
+    expect(messages[0]).toMatchObject({ type: SIMULATION_MESSAGE.ERROR, message: 'Rule B03/S23 cannot run on an unbounded board' });
+  });
+
+  test('should report errors for unknown messages', () => {
+    session.handleMessage({ type: 'bogus', requestId: 3 });
+    expect(messages[0]).toMatchObject({ type: SIMULATION_MESSAGE.ERROR, requestId: 3 });
+  });
+
+  describe('playback', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('should stream frames and pause at the requested generation', () => {
+      session.handleMessage(loadMessage(createBlinkerGrid()));
+      session.handleMessage({ type: SIMULATION_MESSAGE.PLAY, interval: 10, stopAtGeneration: 5 });
+
+      jest.advanceTimersByTime(200);
+
+      const last = messages[messages.length - 1];
+      expect(last.generation).toBe(5);
+      expect(last.running).toBe(false);
+      expect(last.reason).toBe('stopAtGeneration');
+      expect(session.running).toBe(false);
+    });
+
+    test('should report the cycle and stop on it when asked', () => {
+      session.handleMessage(loadMessage(createBlinkerGrid()));
+      session.handleMessage({ type: SIMULATION_MESSAGE.PLAY, interval: 10, stopOnCycle: true });
+
+      jest.advanceTimersByTime(200);
+
+      const last = messages[messages.length - 1];
+      expect(last.generation).toBe(2);
+      expect(last.reason).toBe('cycle');
+      expect(last.cycle).toMatchObject({ type: 'oscillating', period: 2, since: 0 });
+      expect(session.running).toBe(false);
+    });
+
+    test('should pause exactly on a breakpoint and report it', () => {
+      session.handleMessage(loadMessage(createBlinkerGrid()));
+      const breakpoint = { id: 'breakpoint_test', type: 'generation', generation: 13 };
+      session.handleMessage({ type: SIMULATION_MESSAGE.PLAY, interval: 1, breakpoints: [breakpoint] });
+
+      jest.advanceTimersByTime(200);
+
+      const last = messages[messages.length - 1];
+      expect(last.generation).toBe(13);
+      expect(last.reason).toBe('breakpoint');
+      expect(last.breakpoint).toEqual(breakpoint);
+      expect(session.running).toBe(false);
+    });
+
+    test('should report the measured generations per second', () => {
+      session.handleMessage(loadMessage(createBlinkerGrid()));
+      session.handleMessage({ type: SIMULATION_MESSAGE.PLAY, interval: 10 });
+
+      jest.advanceTimersByTime(1000);
+
+      // 10ms per generation
+      expect(messages[messages.length - 1].generationsPerSecond).toBeGreaterThanOrEqual(90);
+      expect(messages[messages.length - 1].generationsPerSecond).toBeLessThanOrEqual(110);
+    });
+
+    test('should fill each frame up to its batch limit at unlimited speed', () => {
+      session = new SimulationSession(message => messages.push(message), { maxBatch: 50 });
+      session.handleMessage(loadMessage(createBlinkerGrid()));
+      session.handleMessage({ type: SIMULATION_MESSAGE.PLAY, interval: 0 });
+
+      // The fake clock never advances while stepping, so only the batch limit ends a frame
+      jest.advanceTimersByTime(16);
+      expect(messages).toHaveLength(1);
+      expect(messages[0].generation).toBe(50);
+
+      jest.advanceTimersByTime(16);
+      expect(messages[1].generation).toBe(100);
+    });
+
+    test('should stop streaming when paused', () => {
+      session.handleMessage(loadMessage(createBlinkerGrid()));
+      session.handleMessage({ type: SIMULATION_MESSAGE.PLAY, interval: 10 });
+      jest.advanceTimersByTime(50);
+      session.handleMessage({ type: SIMULATION_MESSAGE.PAUSE });
+
+      const count = messages.length;
+      jest.advanceTimersByTime(200);
+      expect(messages).toHaveLength(count);
+    });
+
+    test('should activate detectors covered before the first generation', () => {
+      const grid = createBlinkerGrid();
+      const detectors = DetectorService.initializeDetectors([
+        { pattern: [[0, 0]], position: { x: 19, y: 20 }, falloffPeriod: 5 }
+      ]);
+
+      session.handleMessage(loadMessage(grid, { detectors }));
+      session.handleMessage({ type: SIMULATION_MESSAGE.PLAY, interval: 1000 });
+      expect(session.detectors[0].currentValue).toBe(1);
+    });
+  });
+});
+
+describe('SimulationClient', () => {
+  test('should apply frames from a local worker and resolve requests', async () => {
+    const onFrame = jest.fn();
+    const client = new SimulationClient(new LocalSimulationWorker(), onFrame);
+    const grid = createBlinkerGrid();
+
+    client.load({ grid, generation: 0, detectors: [] });
+    const frame = await client.step(2);
+
+    expect(frame.generation).toBe(2);
+    expect(frame.grid.equals(grid)).toBe(true);
+    expect(frame.previousGrid).toBe(grid);
+    expect(frame.requested).toBe(true);
+    expect(onFrame).toHaveBeenCalledWith(frame);
+
+    client.terminate();
+  });
+
+  test('should keep the margin states of Generations rules on absorbing boards', async () => {
+    // Brian's Brain ship flying north out of the board. Without the dying cells
+    // behind them, its firing cells in the margin would spread back onto the board.
+    const brain = resolveRule('B2/S/C3');
+    let grid = new PackedGrid(10, 10);
+    grid.set(4, 1, 1);
+    grid.set(5, 1, 1);
+    grid.setState(4, 2, 2);
+    grid.setState(5, 2, 2);
+    for (let i = 0; i < 2; i++) grid = grid.step(null, brain, 'absorbing');
+
+    const client = new SimulationClient(new LocalSimulationWorker(), jest.fn());
+    client.load({ grid, rule: 'B2/S/C3', topology: 'absorbing' });
+    const frame = await client.step(1);
+    expect(frame.grid.margin.states.some(state => state >= 2)).toBe(true);
+
+    // Reload the streamed frame, as after pausing, and run on
+    client.load({ grid: frame.grid, generation: frame.generation, rule: 'B2/S/C3', topology: 'absorbing' });
+    const later = await client.step(4);
+
+    let expected = frame.grid;
+    for (let i = 0; i < 4; i++) expected = expected.step(null, brain, 'absorbing');
+    expect(later.grid.equals(expected)).toBe(true);
+    expect(later.grid.countAlive()).toBe(0);
+
+    client.terminate();
+  });
+
+  test('should drop frames from an older epoch', async () => {
+    const onFrame = jest.fn();
+    const client = new SimulationClient(new LocalSimulationWorker(), onFrame);
+
+    client.load({ grid: createBlinkerGrid(), generation: 0, detectors: [] });
+    const pending = client.jump(10);
+    client.pause();
+
+    expect(await pending).toBeNull();
+    expect(onFrame).not.toHaveBeenCalled();
+
+    client.terminate();
+  });
+});
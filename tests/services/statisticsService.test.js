@@ -0,0 +1,157 @@
+// Unit tests for generation statistics and the statistics timeline
+import { StatisticsService, StatisticsTimeline } from '../../src/services/statisticsService.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+
+const GLIDER = [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+
+const createBlinkerGrid = () => {
+  const grid = new PackedGrid(40, 40);
+  grid.set(19, 20, 1);
+  grid.set(20, 20, 1);
+  grid.set(21, 20, 1);
+  return grid;
+};
+
+const row = (generation, population, extra = {}) => ({
+  generation,
+  population,
+  births: 0,
+  deaths: 0,
+  minX: 0,
+  maxX: 0,
+  minY: 0,
+  maxY: 0,
+  activeDetectors: 0,
+  ...extra
+});
+
+describe('StatisticsService', () => {
+  test('should count population, births, deaths and the center-based bounding box', () => {
+    const grid = createBlinkerGrid();
+    const next = grid.step();
+    const detectors = [{ currentValue: 1 }, { currentValue: 0 }];
+
+    expect(StatisticsService.collectGenerationStats(0, grid)).toEqual({
+      generation: 0,
+      population: 3,
+      births: null,
+      deaths: null,
+      minX: -1,
+      maxX: 1,
+      minY: 0,
+      maxY: 0,
+      activeDetectors: 0
+    });
+    expect(StatisticsService.collectGenerationStats(1, next, grid, detectors)).toMatchObject({
+      population: 3,
+      births: 2,
+      deaths: 2,
+      minX: 0,
+      maxX: 0,
+      minY: -1,
+      maxY: 1,
+      activeDetectors: 1
+    });
+  });
+
+  test('should report an empty board without a bounding box', () => {
+    const stats = StatisticsService.collectGenerationStats(4, new PackedGrid(10, 10), new PackedGrid(10, 10));
+    expect(stats).toMatchObject({ population: 0, births: 0, deaths: 0, minX: null, maxY: null });
+  });
+
+  test('should include cells outside an unbounded board', () => {
+    let grid = new PackedGrid(20, 20);
+    GLIDER.forEach(([y, x]) => grid.set(x + 14, y + 14, 1));
+    let previous = grid;
+    for (let i = 0; i < 40; i++) {
+      previous = grid;
+      grid = grid.step(null, null, 'unbounded');
+    }
+
+    const stats = StatisticsService.collectGenerationStats(40, grid, previous);
+    expect(stats.population).toBe(5);
+    // A glider replaces two cells every generation
+    expect(stats.births).toBe(2);
+    expect(stats.deaths).toBe(2);
+    // Outside cells 24..26 are 14..16 from the center of a 20-wide board
+    expect(stats).toMatchObject({ minX: 14, maxX: 16, minY: 14, maxY: 16 });
+  });
+
+  test('should export CSV with the baseline run joined by generation', () => {
+    const rows = [row(0, 3, { births: null, deaths: null }), row(1, 4)];
+    const baseline = [row(1, 5), row(2, 6)];
+
+    expect(StatisticsService.toCSV(rows)).toBe(
+      'generation,population,births,deaths,minX,maxX,minY,maxY,activeDetectors\n' +
+      '0,3,,,0,0,0,0,0\n' +
+      '1,4,0,0,0,0,0,0,0\n'
+    );
+
+    const lines = StatisticsService.toCSV(rows, baseline).trim().split('\n');
+    expect(lines[0].split(',')).toHaveLength(17);
+    expect(lines[0]).toContain('baseline_population');
+    expect(lines[1]).toBe('0,3,,,0,0,0,0,0,,,,,,,,');
+    expect(lines[2]).toBe('1,4,0,0,0,0,0,0,0,5,0,0,0,0,0,0,0');
+    expect(lines[3]).toBe('2,,,,,,,,,6,0,0,0,0,0,0,0');
+  });
+
+  test('should find the first generation where two runs differ', () => {
+    const rows = [row(0, 3), row(1, 4), row(2, 5)];
+    expect(StatisticsService.findDivergence(rows, [row(0, 3), row(1, 4), row(2, 5)])).toBeNull();
+    expect(StatisticsService.findDivergence(rows, [row(0, 3), row(1, 4), row(2, 7)])).toBe(2);
+    expect(StatisticsService.findDivergence(rows, [row(0, 3), row(1, 4, { maxX: 2 })])).toBe(1);
+  });
+});
+
+describe('StatisticsTimeline', () => {
+  test('should append consecutive rows', () => {
+    const timeline = new StatisticsTimeline();
+    timeline.record([row(0, 3), row(1, 3)]);
+    const rows = timeline.record([row(2, 3)]);
+
+    expect(rows.map(r => r.generation)).toEqual([0, 1, 2]);
+  });
+
+  test('should return a new array on every change', () => {
+    const timeline = new StatisticsTimeline();
+    const first = timeline.record([row(0, 3)]);
+    const second = timeline.record([row(1, 3)]);
+    expect(second).not.toBe(first);
+    expect(timeline.record([])).toBe(second);
+  });
+
+  test('should replace the rest of the run when an earlier generation is recorded', () => {
+    const timeline = new StatisticsTimeline();
+    timeline.record([row(0, 3), row(1, 3), row(2, 3), row(3, 3)]);
+    const rows = timeline.record([row(2, 8), row(3, 9)]);
+
+    expect(rows.map(r => [r.generation, r.population])).toEqual([[0, 3], [1, 3], [2, 8], [3, 9]]);
+  });
+
+  test('reloading the recorded board should keep its row and drop the later ones', () => {
+    const timeline = new StatisticsTimeline();
+    timeline.record([row(0, 3, { births: null }), row(1, 3, { births: 2 }), row(2, 3, { births: 2 })]);
+
+    // Playing on from generation 1 after stepping back to it
+    const rows = timeline.record([row(1, 3, { births: null }), row(2, 3, { births: 2 })]);
+    expect(rows).toHaveLength(3);
+    expect(rows[1].births).toBe(2);
+  });
+
+  test('reloading an edited board should replace its row', () => {
+    const timeline = new StatisticsTimeline();
+    timeline.record([row(0, 3), row(1, 3), row(2, 3)]);
+
+    const rows = timeline.record([row(1, 4, { births: null })]);
+    expect(rows.map(r => [r.generation, r.population])).toEqual([[0, 3], [1, 4]]);
+  });
+
+  test('should drop the oldest rows beyond its capacity', () => {
+    const timeline = new StatisticsTimeline(5);
+    for (let generation = 0; generation < 12; generation++) {
+      timeline.record([row(generation, generation)]);
+    }
+    expect(timeline.rows.map(r => r.generation)).toEqual([7, 8, 9, 10, 11]);
+    expect(timeline.clear()).toEqual([]);
+  });
+});
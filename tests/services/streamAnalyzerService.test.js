@@ -0,0 +1,145 @@
+// Unit tests for stream timing analysis
+import { StreamAnalyzerService, StreamAnalyzer } from '../../src/services/streamAnalyzerService.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { resolveRule } from '../../src/utils/lifeRules.js';
+import { decodeRLE } from '../../src/utils/rleUtils.js';
+import { PATTERN_CATALOGUE } from '../../src/constants/patternCatalogue.js';
+
+const GRID_SIZE = { width: 100, height: 100 };
+const CONWAY = resolveRule(null);
+
+const catalogueCells = id => decodeRLE(PATTERN_CATALOGUE.find(entry => entry.id === id).rle);
+
+// Place [y, x] cells on a grid at a board position
+const place = (grid, cells, left, top) => {
+  cells.forEach(([y, x]) => grid.set(left + x, top + y, 1));
+  return grid;
+};
+
+// Run a board for a number of generations, observing every one of them
+const run = (grid, analyzer, generations) => {
+  analyzer.observe(grid, 0);
+  for (let generation = 1; generation <= generations; generation++) {
+    grid = grid.step();
+    analyzer.observe(grid, generation);
+  }
+  return grid;
+};
+
+// A Gosper gun near the top left corner; its gliders head south-east
+const gunGrid = () => place(new PackedGrid(GRID_SIZE.width, GRID_SIZE.height), catalogueCells('gosperGliderGun'), 2, 2);
+
+// Vertical probe line at board column 60 (center-based x = 10)
+const crossingProbe = (options = {}) => StreamAnalyzerService.createProbe({ x1: 10, y1: -50, x2: 10, y2: 49, ...options });
+
+describe('StreamAnalyzerService', () => {
+  test('should resolve custom lines to board cells', () => {
+    const [probe] = StreamAnalyzerService.resolveProbes([StreamAnalyzerService.createProbe({ x1: -2, y1: 0, x2: 2, y2: 2 })], GRID_SIZE);
+    expect(probe.cells).toEqual([[48, 50], [49, 51], [50, 51], [51, 52], [52, 52]]);
+    expect(probe.label).toBe('(-2, 0) → (2, 2)');
+    expect(probe.gate).toBeNull();
+  });
+
+  test('should follow guidance lines and drop probes whose line is gone', () => {
+    const line = { id: 'line1', generation: 0, originX: 10, originY: 10, direction: 'SE', length: 5 };
+    const probes = [
+      StreamAnalyzerService.createProbe({ guidanceLineId: 'line1' }),
+      StreamAnalyzerService.createProbe({ guidanceLineId: 'missing' })
+    ];
+    const resolved = StreamAnalyzerService.resolveProbes(probes, GRID_SIZE, [line]);
+    expect(resolved).toHaveLength(1);
+    expect(resolved[0].cells).toEqual([[10, 10], [11, 11], [12, 12], [13, 13], [14, 14]]);
+    expect(resolved[0].label).toBe('SE line from (-40, -40)');
+  });
+
+  test('should pick the first object along the line as the gate, skipping the one it starts in', () => {
+    const gun = { id: 'gun', brushName: 'Gun', pixels: [{ x: 8, y: 8 }, { x: 12, y: 12 }] };
+    const far = { id: 'far', brushName: 'Far eater', pixels: [{ x: 40, y: 40 }] };
+    const near = { id: 'near', brushName: 'Near eater', pixels: [{ x: 30, y: 30 }] };
+    const line = { id: 'line1', generation: 0, originX: 10, originY: 10, direction: 'SE', length: 'infinite' };
+    const probe = StreamAnalyzerService.createProbe({ guidanceLineId: 'line1', expectedPhase: 3 });
+
+    const [resolved] = StreamAnalyzerService.resolveProbes([probe], GRID_SIZE, [line], [gun, far, near], { near: 15 });
+    expect(resolved.gate).toEqual({ objectId: 'near', name: 'Near eater', period: 15, phase: 3 });
+  });
+
+  test('should reject probes without a line', () => {
+    expect(() => StreamAnalyzerService.createProbe({ x1: 0, y1: 0 })).toThrow();
+  });
+});
+
+describe('StreamAnalyzer', () => {
+  test('should time the glider stream of a gun', () => {
+    const analyzer = new StreamAnalyzer(StreamAnalyzerService.resolveProbes([crossingProbe()], GRID_SIZE), CONWAY);
+    run(gunGrid(), analyzer, 300);
+
+    const [report] = analyzer.getReport();
+    expect(report.streams).toHaveLength(1);
+    expect(report.streams[0]).toMatchObject({
+      ship: 'Glider',
+      direction: 'SE',
+      speed: 'c/4',
+      period: 30,
+      spacing: 7.5,
+      periodMismatch: false,
+      phaseMismatch: false
+    });
+    expect(report.streams[0].count).toBeGreaterThan(3);
+    expect(report.streams[0].phase).toBe(report.streams[0].firstArrival % 30);
+  });
+
+  test('should flag streams that do not suit the gate they feed', () => {
+    const gate = { id: 'gate', brushName: 'Gate', pixels: [{ x: 60, y: 99 }] };
+    const resolve = (options, period) => StreamAnalyzerService.resolveProbes([crossingProbe(options)], GRID_SIZE, [], [gate], { gate: period });
+
+    const wrongPeriod = new StreamAnalyzer(resolve({}, 4), CONWAY);
+    run(gunGrid(), wrongPeriod, 300);
+    expect(wrongPeriod.getReport()[0].streams[0]).toMatchObject({ periodMismatch: true, phaseMismatch: false });
+
+    const probe = new StreamAnalyzer(resolve({}, 15), CONWAY);
+    run(gunGrid(), probe, 300);
+    const { firstArrival } = probe.getReport()[0].streams[0];
+
+    const rightPhase = new StreamAnalyzer(resolve({ expectedPhase: firstArrival % 15 }, 15), CONWAY);
+    run(gunGrid(), rightPhase, 300);
+    expect(rightPhase.getReport()[0].streams[0]).toMatchObject({ periodMismatch: false, phaseMismatch: false });
+
+    const wrongPhase = new StreamAnalyzer(resolve({ expectedPhase: (firstArrival + 1) % 15 }, 15), CONWAY);
+    run(gunGrid(), wrongPhase, 300);
+    expect(wrongPhase.getReport()[0].streams[0]).toMatchObject({ periodMismatch: false, phaseMismatch: true });
+  });
+
+  test('should count a ship travelling along the line once', () => {
+    const line = { id: 'line1', generation: 0, originX: 10, originY: 10, direction: 'E', length: 'infinite' };
+    const analyzer = new StreamAnalyzer(StreamAnalyzerService.resolveProbes([StreamAnalyzerService.createProbe({ guidanceLineId: 'line1' })], GRID_SIZE, [line]), CONWAY);
+    const grid = new PackedGrid(GRID_SIZE.width, GRID_SIZE.height);
+    analyzer.observe(grid, 0);
+
+    // An LWSS heading west along row 10, appearing after the analysis started
+    let board = place(grid.clone(), catalogueCells('lwss'), 90, 9);
+    for (let generation = 1; generation <= 80; generation++) {
+      analyzer.observe(board, generation);
+      board = board.step();
+    }
+
+    const [stream] = analyzer.getReport()[0].streams;
+    expect(stream).toMatchObject({ ship: 'LWSS', direction: 'W', speed: 'c/2', count: 1, firstArrival: 1, period: null });
+  });
+
+  test('should not count ships already on the line when analysis starts', () => {
+    const analyzer = new StreamAnalyzer(StreamAnalyzerService.resolveProbes([crossingProbe()], GRID_SIZE), CONWAY);
+    let grid = gunGrid();
+    for (let i = 0; i < 200; i++) grid = grid.step();
+
+    analyzer.observe(grid, 200);
+    analyzer.restartTracking();
+    analyzer.observe(grid.step(), 201);
+    expect(analyzer.getReport()[0].streams).toEqual([]);
+  });
+
+  test('should identify nothing under other rules', () => {
+    const analyzer = new StreamAnalyzer(StreamAnalyzerService.resolveProbes([crossingProbe()], GRID_SIZE), resolveRule('B36/S23'));
+    run(gunGrid(), analyzer, 100);
+    expect(analyzer.getReport()[0].streams).toEqual([]);
+  });
+});
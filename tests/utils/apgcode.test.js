@@ -0,0 +1,92 @@
+// Unit tests for apgcode encoding and decoding
+import { decodeApgcode, decodeWechsler, encodeApgcode, encodeWechsler, isApgcode } from '../../src/utils/apgcode.js';
+import { decodeRLE } from '../../src/utils/rleUtils.js';
+import { CENSUS_KIND } from '../../src/constants/gameConstants.js';
+
+const sortCells = cells => [...cells].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+describe('encodeApgcode', () => {
+  test.each([
+    ['block', '2o$2o!', 'xs4_33'],
+    ['beehive', 'b2o$o2bo$b2o!', 'xs6_696'],
+    ['loaf', 'b2o$o2bo$bobo$2bo!', 'xs7_2596'],
+    ['eater 1', '2o$obo$2bo$2b2o!', 'xs7_178c'],
+    ['blinker', '3o!', 'xp2_7'],
+    ['toad', 'b3o$3o!', 'xp2_7e'],
+    ['beacon', '2o$2o$2b2o$2b2o!', 'xp2_318c'],
+    ['pentadecathlon', '2bo4bo$2ob4ob2o$2bo4bo!', 'xp15_4r4z4r4'],
+    ['glider', 'bo$2bo$3o!', 'xq4_153'],
+    ['LWSS', 'bo2bo$o$o3bo$4o!', 'xq4_6frc']
+  ])('gives the %s its canonical code', (name, rle, code) => {
+    expect(encodeApgcode(decodeRLE(rle))).toBe(code);
+  });
+
+  test('gives the same code in every orientation and phase', () => {
+    // Glider rotated and a generation on
+    expect(encodeApgcode(decodeRLE('obo$b2o$bo!'))).toBe('xq4_153');
+    // Horizontal blinker
+    expect(encodeApgcode([[0, 0], [0, 1], [0, 2]])).toBe('xp2_7');
+  });
+
+  test('returns null for empty and non-repeating patterns', () => {
+    expect(encodeApgcode([])).toBeNull();
+    // R-pentomino runs far longer than the phases collected
+    expect(encodeApgcode(decodeRLE('b2o$2o$bo!'))).toBeNull();
+  });
+
+  test('returns null for objects that only repeat after a few generations', () => {
+    // Pre-block: becomes a block a generation on
+    expect(encodeApgcode([[0, 0], [0, 1], [1, 0]])).toBeNull();
+    // Blinker with a lone cell that dies after one generation
+    expect(encodeApgcode([[0, 0], [0, 1], [0, 2], [4, 4]])).toBeNull();
+  });
+
+  test('runs the object under the given rule', () => {
+    // A lone domino dies in Life but is a still life under B3/S012345678
+    expect(encodeApgcode([[0, 0], [0, 1]], 'B3/S012345678')).toBe('xs2_3');
+  });
+});
+
+describe('decodeApgcode', () => {
+  test('decodes the kind, period and cells', () => {
+    const decoded = decodeApgcode('xq4_153');
+
+    expect(decoded).toMatchObject({ kind: CENSUS_KIND.SPACESHIP, period: 4, population: 5, width: 3, height: 3 });
+    expect(sortCells(decoded.pattern)).toEqual(sortCells(decodeRLE('3o$2bo$bo!')));
+    expect(decodeApgcode('xs4_33')).toMatchObject({ kind: CENSUS_KIND.STILL_LIFE, period: 1, population: 4 });
+  });
+
+  test('round-trips the canonical codes', () => {
+    ['xs6_25a4', 'xp3_co9nas0san9oczgoldlo0oldlogz1047210127401', 'xq4_27deee6'].forEach(code => {
+      expect(encodeApgcode(decodeApgcode(code).pattern)).toBe(code);
+    });
+  });
+
+  test('rejects codes it cannot decode', () => {
+    expect(() => decodeApgcode('yl144_1_16_afb5f3db909e60548f086e22ee3353ac')).toThrow('Invalid apgcode');
+    expect(() => decodeApgcode('xs4_3y')).toThrow('run length');
+    expect(() => decodeApgcode('xs0_')).toThrow('Invalid apgcode');
+  });
+});
+
+describe('extended Wechsler format', () => {
+  test('compresses runs of empty columns', () => {
+    const cells = [[0, 0], [3, 0], [7, 0], [12, 0], [55, 0]];
+    const encoded = encodeWechsler(cells);
+
+    expect(encoded).toBe('1w1x1y01yzx1');
+    expect(sortCells(decodeWechsler(encoded))).toEqual(sortCells(cells));
+  });
+
+  test('separates strips of five rows, leaving empty strips blank', () => {
+    const cells = [[0, 0], [0, 10]];
+    expect(encodeWechsler(cells)).toBe('1zz1');
+    expect(sortCells(decodeWechsler('1zz1'))).toEqual(sortCells(cells));
+  });
+
+  test('recognizes apgcodes', () => {
+    expect(isApgcode('xp2_7')).toBe(true);
+    expect(isApgcode('glider')).toBe(false);
+    expect(isApgcode('xs4_33 ')).toBe(false);
+  });
+});
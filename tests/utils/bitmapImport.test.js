@@ -0,0 +1,144 @@
+// Unit tests for reading patterns from bitmap images
+import { detectCellGrid, getInkMask, importBitmapPattern, readBitmapCells } from '../../src/utils/bitmapImport.js';
+
+const GLIDER = [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+
+// Paint cells [y, x] as cellSize squares onto an RGBA image
+const drawPattern = (pattern, {
+  cellSize,
+  width,
+  height,
+  offsetX = 0,
+  offsetY = 0,
+  ink = [0, 0, 0, 255],
+  background = [255, 255, 255, 255],
+  gridLine = null
+}) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  const setPixel = (x, y, color) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    data.set(color, (y * width + x) * 4);
+  };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) setPixel(x, y, background);
+  }
+  for (const [cy, cx] of pattern) {
+    for (let y = 0; y < cellSize; y++) {
+      for (let x = 0; x < cellSize; x++) setPixel(offsetX + cx * cellSize + x, offsetY + cy * cellSize + y, ink);
+    }
+  }
+  if (gridLine) {
+    // One pixel lines on every cell boundary
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if ((x - offsetX) % cellSize === 0 || (y - offsetY) % cellSize === 0) setPixel(x, y, gridLine);
+      }
+    }
+  }
+  return { data, width, height };
+};
+
+const sortCells = cells => [...cells].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+describe('getInkMask', () => {
+  test('takes the less common color as ink, dark or light', () => {
+    const dark = drawPattern([[1, 1]], { cellSize: 1, width: 3, height: 3 });
+    expect(Array.from(getInkMask(dark))).toEqual([0, 0, 0, 0, 1, 0, 0, 0, 0]);
+
+    const light = drawPattern([[1, 1]], { cellSize: 1, width: 3, height: 3, ink: [250, 250, 250, 255], background: [10, 10, 10, 255] });
+    expect(Array.from(getInkMask(light))).toEqual([0, 0, 0, 0, 1, 0, 0, 0, 0]);
+    expect(Array.from(getInkMask(light, { invert: true }))).toEqual([1, 1, 1, 1, 0, 1, 1, 1, 1]);
+  });
+
+  test('treats transparent pixels as background', () => {
+    const image = drawPattern([[0, 0], [0, 1]], { cellSize: 1, width: 3, height: 1, background: [0, 0, 0, 0] });
+    expect(Array.from(getInkMask(image))).toEqual([1, 1, 0]);
+  });
+});
+
+describe('detectCellGrid', () => {
+  test('finds the cell size and the position of the cell boundaries', () => {
+    const image = drawPattern(GLIDER, { cellSize: 7, width: 60, height: 50, offsetX: 10, offsetY: 3 });
+    expect(detectCellGrid(getInkMask(image), image.width, image.height)).toEqual({ cellSize: 7, offsetX: 3, offsetY: 3 });
+  });
+
+  test('finds small cells', () => {
+    const image = drawPattern(GLIDER, { cellSize: 3, width: 20, height: 20, offsetX: 3, offsetY: 3 });
+    expect(detectCellGrid(getInkMask(image), image.width, image.height)).toMatchObject({ cellSize: 3 });
+  });
+
+  test('sees through grid lines between cells', () => {
+    const image = drawPattern(GLIDER, { cellSize: 10, width: 80, height: 80, offsetX: 20, offsetY: 20, gridLine: [128, 128, 128, 255] });
+    expect(detectCellGrid(getInkMask(image), image.width, image.height)).toMatchObject({ cellSize: 10 });
+  });
+
+  test('does not take a lone cell for one a pixel larger', () => {
+    const image = drawPattern([[0, 0]], { cellSize: 10, width: 50, height: 50, offsetX: 20, offsetY: 20 });
+    expect(detectCellGrid(getInkMask(image), image.width, image.height)).toEqual({ cellSize: 10, offsetX: 0, offsetY: 0 });
+  });
+
+  test('returns null for an image of a single color', () => {
+    const image = drawPattern([], { cellSize: 4, width: 10, height: 10 });
+    expect(detectCellGrid(getInkMask(image), image.width, image.height)).toBeNull();
+  });
+});
+
+describe('readBitmapCells', () => {
+  test('reads the cells relative to the top left live cell', () => {
+    const image = drawPattern(GLIDER, { cellSize: 5, width: 40, height: 40, offsetX: 12, offsetY: 7 });
+    const cells = readBitmapCells(getInkMask(image), image.width, image.height, { cellSize: 5, offsetX: 2, offsetY: 2 });
+
+    expect(sortCells(cells.pattern)).toEqual(sortCells(GLIDER));
+    expect(cells).toMatchObject({ width: 3, height: 3, originX: 12, originY: 7 });
+  });
+});
+
+describe('importBitmapPattern', () => {
+  test('reads a glider drawn with grid lines and blurred edges', () => {
+    const image = drawPattern(GLIDER, { cellSize: 12, width: 100, height: 90, offsetX: 24, offsetY: 12, gridLine: [90, 90, 90, 255] });
+    // Blur the right edge of every cell by a pixel, as anti-aliasing does
+    for (const [cy, cx] of GLIDER) {
+      for (let y = 0; y < 12; y++) {
+        const index = ((12 + cy * 12 + y) * image.width + 24 + (cx + 1) * 12) * 4;
+        image.data.set([60, 60, 60, 255], index);
+      }
+    }
+
+    const result = importBitmapPattern(image);
+    expect(result.grid.cellSize).toBe(12);
+    expect(sortCells(result.pattern)).toEqual(sortCells(GLIDER));
+  });
+
+  test('reads small cells between one pixel grid lines of any shade', () => {
+    [128, 200, 230].forEach(shade => {
+      [4, 5].forEach(cellSize => {
+        const image = drawPattern(GLIDER, { cellSize, width: 40, height: 40, offsetX: 2 * cellSize, offsetY: 2 * cellSize, gridLine: [shade, shade, shade, 255] });
+        const result = importBitmapPattern(image);
+
+        expect(result.grid.cellSize).toBe(cellSize);
+        expect(sortCells(result.pattern)).toEqual(sortCells(GLIDER));
+      });
+    });
+  });
+
+  test('uses a cell size given by hand', () => {
+    const image = drawPattern([[0, 0], [0, 2]], { cellSize: 4, width: 20, height: 8, offsetX: 4, offsetY: 4 });
+    const result = importBitmapPattern(image, { cellSize: 4, offsetX: 0, offsetY: 0 });
+
+    expect(result.grid).toEqual({ cellSize: 4, offsetX: 0, offsetY: 0 });
+    expect(result.pattern).toEqual([[0, 0], [0, 2]]);
+    expect(result.width).toBe(3);
+  });
+
+  test('reads light cells on a dark background', () => {
+    const image = drawPattern(GLIDER, { cellSize: 6, width: 36, height: 36, offsetX: 6, offsetY: 6, ink: [255, 255, 255, 255], background: [0, 0, 0, 255] });
+    expect(sortCells(importBitmapPattern(image).pattern)).toEqual(sortCells(GLIDER));
+  });
+
+  test('rejects images without cells and invalid cell sizes', () => {
+    const blank = drawPattern([], { cellSize: 4, width: 10, height: 10 });
+    expect(() => importBitmapPattern(blank)).toThrow('No cell grid found');
+    expect(() => importBitmapPattern(blank, { cellSize: 2 })).toThrow('No live cells');
+    expect(() => importBitmapPattern(blank, { cellSize: 0 })).toThrow('Cell size');
+  });
+});
@@ -156,6 +156,65 @@ describe('CanvasRenderer', () => {
       expect(ctx.fillRect).toHaveBeenCalledWith(64, 40, 8, 8); // (8,5) - editable
       expect(ctx.fillRect).not.toHaveBeenCalledWith(80, 40, 8, 8); // (10,5) - would be out of bounds
     });
+
+    test('should wrap paste preview around torus edges', () => {
+      const pattern = {
+        name: 'testPattern',
+        pattern: [[0, 0], [0, 1], [0, 2]]
+      };
+
+      renderer.renderEditorOverlays(
+        pattern,
+        { x: 9, y: 5 },
+        true,        // pasting
+        null,
+        true,        // adminMode
+        10,          // gridWidth
+        10,          // gridHeight
+        8,           // cellSize
+        'torus'
+      );
+
+      expect(ctx.fillRect).toHaveBeenCalledWith(72, 40, 8, 8); // (9,5)
+      expect(ctx.fillRect).toHaveBeenCalledWith(0, 40, 8, 8);  // (10,5) wraps to (0,5)
+      expect(ctx.fillRect).toHaveBeenCalledWith(8, 40, 8, 8);  // (11,5) wraps to (1,5)
+    });
+  });
+
+  describe('renderCensusHighlights', () => {
+    test('should outline each object with half a cell of padding', () => {
+      renderer.renderCensusHighlights([
+        { minX: 2, maxX: 3, minY: 4, maxY: 5, color: '#3ec6ff' },
+        { minX: 10, maxX: 12, minY: 0, maxY: 2, color: '#ffd93e' }
+      ], 10);
+
+      expect(ctx.strokeRect).toHaveBeenCalledTimes(2);
+      expect(ctx.strokeRect).toHaveBeenCalledWith(15, 35, 30, 30);
+      expect(ctx.strokeRect).toHaveBeenLastCalledWith(95, -5, 40, 40);
+      expect(ctx.strokeStyle).toBe('#ffd93e');
+    });
+
+    test('should draw nothing without highlights', () => {
+      renderer.renderCensusHighlights([], 10);
+      expect(ctx.strokeRect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('renderTopologyEdges', () => {
+    test('should draw nothing for bounded boards', () => {
+      renderer.renderTopologyEdges('bounded', 10, 10, 8);
+      renderer.renderTopologyEdges(undefined, 10, 10, 8);
+      expect(ctx.strokeRect).not.toHaveBeenCalled();
+    });
+
+    test('should outline wrapping and absorbing boards differently', () => {
+      renderer.renderTopologyEdges('torus', 10, 10, 8);
+      expect(ctx.strokeRect).toHaveBeenCalledWith(1, 1, 78, 78);
+      expect(ctx.setLineDash).toHaveBeenCalledWith([8, 8]);
+
+      renderer.renderTopologyEdges('absorbing', 10, 10, 8);
+      expect(ctx.strokeStyle).toBe('rgba(255, 80, 80, 0.8)');
+    });
   });
 
   describe('markDirty and getDirtyRegions', () => {
@@ -4,6 +4,7 @@ import {
   gridToCenter,
   centerToGrid,
   calculateCanvasSize,
+  calculateGridSize,
   mouseToGrid,
   gridToPixel,
   isWithinBounds,
@@ -151,6 +152,17 @@ describe('Canvas Utils', () => {
     });
   });
 
+  describe('calculateGridSize', () => {
+    test('should use the challenge dimensions when given', () => {
+      expect(calculateGridSize({ width: 61, height: 41 }, { maxWidth: 800, maxHeight: 600 }, 8)).toEqual({ width: 61, height: 41 });
+    });
+
+    test('should fit a sandbox window to the canvas, capped at the maximum grid size', () => {
+      expect(calculateGridSize(null, { maxWidth: 800, maxHeight: 600 }, 8)).toEqual({ width: 100, height: 75 });
+      expect(calculateGridSize(null, { maxWidth: 1600, maxHeight: 600 }, 2)).toEqual({ width: 501, height: 300 });
+    });
+  });
+
   describe('mouseToGrid', () => {
     test('should convert mouse coordinates to grid coordinates', () => {
       const result = mouseToGrid(24, 16); // 3 cells right, 2 cells down
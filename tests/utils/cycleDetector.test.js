@@ -0,0 +1,101 @@
+// Unit tests for cycle detection
+import { CycleDetector, describeCycle } from '../../src/utils/cycleDetector.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { resolveRule } from '../../src/utils/lifeRules.js';
+
+const GLIDER = [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+
+// Observe generations until a cycle is reported
+const runUntilCycle = (grid, detector, limit = 100, rule = null, topology = null) => {
+  let current = grid;
+  let cycle = detector.observe(current, 0);
+  for (let generation = 1; !cycle && generation <= limit; generation++) {
+    current = current.step(null, rule, topology);
+    cycle = detector.observe(current, generation);
+  }
+  return cycle;
+};
+
+describe('CycleDetector', () => {
+  test('should report a still life as stable', () => {
+    const grid = new PackedGrid(10, 10);
+    [[4, 4], [4, 5], [5, 4], [5, 5]].forEach(([y, x]) => grid.set(x, y, 1));
+
+    const cycle = runUntilCycle(grid, new CycleDetector());
+    expect(cycle).toEqual({ type: 'stable', period: 1, dx: 0, dy: 0, since: 0, generation: 1 });
+    expect(describeCycle(cycle)).toBe('stable');
+  });
+
+  test('should report the period of an oscillator', () => {
+    // Pulsar quadrant pattern: period 3
+    const grid = new PackedGrid(20, 20);
+    const rows = [2, 7, 9, 14];
+    const cols = [4, 5, 6, 10, 11, 12];
+    rows.forEach(y => cols.forEach(x => grid.set(x + 1, y + 1, 1)));
+    cols.forEach(y => rows.forEach(x => grid.set(x + 1, y + 1, 1)));
+
+    const cycle = runUntilCycle(grid, new CycleDetector());
+    expect(cycle).toMatchObject({ type: 'oscillating', period: 3, dx: 0, dy: 0 });
+    expect(describeCycle(cycle)).toBe('period 3 oscillation');
+  });
+
+  test('should report a spaceship as translating with its displacement', () => {
+    const grid = new PackedGrid(30, 30);
+    GLIDER.forEach(([y, x]) => grid.set(x + 2, y + 2, 1));
+
+    const cycle = runUntilCycle(grid, new CycleDetector());
+    expect(cycle).toMatchObject({ type: 'translating', period: 4, dx: 1, dy: 1, since: 0, generation: 4 });
+    expect(describeCycle(cycle)).toBe('translating with period 4 (1, 1)');
+  });
+
+  test('should follow spaceships beyond the edge of an unbounded board', () => {
+    const grid = new PackedGrid(10, 10);
+    GLIDER.forEach(([y, x]) => grid.set(x + 6, y + 6, 1));
+
+    let current = grid;
+    const detector = new CycleDetector();
+    for (let generation = 0; generation <= 20; generation++) {
+      detector.observe(current, generation);
+      current = current.step(null, null, 'unbounded');
+    }
+    expect(current.countAlive()).toBe(0);
+    expect(detector.observe(current, 21)).toMatchObject({ type: 'translating', period: 4 });
+  });
+
+  test('should only look inside the region it was given', () => {
+    // A glider flies away from a blinker; the board as a whole never repeats
+    const grid = new PackedGrid(60, 60);
+    GLIDER.forEach(([y, x]) => grid.set(x + 30, y + 30, 1));
+    [[5, 4], [5, 5], [5, 6]].forEach(([y, x]) => grid.set(x, y, 1));
+
+    expect(runUntilCycle(grid, new CycleDetector(), 20)).toBeNull();
+    expect(runUntilCycle(grid, new CycleDetector({ region: { x: 0, y: 0, width: 12, height: 12 } }), 20))
+      .toMatchObject({ type: 'oscillating', period: 2 });
+  });
+
+  test('should include decay states of multi-state rules', () => {
+    // Brian's Brain: two firing cells with two dying cells behind them fly north at c
+    const rule = resolveRule('B2/S/C3');
+    const grid = new PackedGrid(40, 40);
+    grid.set(20, 20, 1);
+    grid.set(21, 20, 1);
+    grid.setState(20, 21, 2);
+    grid.setState(21, 21, 2);
+
+    const cycle = runUntilCycle(grid, new CycleDetector(), 10, rule);
+    expect(cycle).toMatchObject({ type: 'translating', period: 1, dx: 0, dy: -1 });
+
+    // The dying cells are part of the signature
+    const undecayed = new PackedGrid(40, 40);
+    undecayed.set(20, 20, 1);
+    undecayed.set(21, 20, 1);
+    expect(new CycleDetector().getSignature(undecayed).key).not.toBe(new CycleDetector().getSignature(grid).key);
+  });
+
+  test('should forget generations older than the maximum period', () => {
+    const grid = new PackedGrid(30, 30);
+    GLIDER.forEach(([y, x]) => grid.set(x + 2, y + 2, 1));
+
+    expect(runUntilCycle(grid, new CycleDetector({ maxPeriod: 3 }), 12)).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+// Unit tests for the pure-JS deflate compressor and checksums
+import { inflateRawSync, inflateSync } from 'zlib';
+import { deflateRaw, zlibDeflate, crc32, adler32 } from '../../src/utils/deflate.js';
+
+const bytesOf = text => new TextEncoder().encode(text);
+
+describe('deflate', () => {
+  test('should compute the standard checksums', () => {
+    expect(crc32(bytesOf('The quick brown fox jumps over the lazy dog'))).toBe(0x414fa339);
+    expect(crc32(bytesOf('dog'), crc32(bytesOf('lazy ')))).toBe(crc32(bytesOf('lazy dog')));
+    expect(adler32(bytesOf('Wikipedia'))).toBe(0x11e60398);
+  });
+
+  test('should produce raw streams that zlib can inflate', () => {
+    const samples = [
+      new Uint8Array(0),
+      bytesOf('a'),
+      bytesOf('abcabcabcabcabcabc hello hello hello'),
+      new Uint8Array(70000), // Longer than the window, all one value
+      Uint8Array.from({ length: 50000 }, (_, i) => (i * 7919) % 251) // Little repetition
+    ];
+
+    samples.forEach(sample => {
+      expect(Buffer.from(inflateRawSync(deflateRaw(sample)))).toEqual(Buffer.from(sample));
+    });
+  });
+
+  test('should compress rendered boards well', () => {
+    // Rows of black with a few white cells, repeating as a rendered board does
+    const width = 400;
+    const board = new Uint8Array(width * 300 * 3);
+    for (let y = 0; y < 300; y += 4) {
+      for (let x = 0; x < width; x += 16) board.fill(255, (y * width + x) * 3, (y * width + x + 4) * 3);
+    }
+
+    const compressed = zlibDeflate(board);
+    expect(compressed.length).toBeLessThan(board.length / 50);
+    expect(Buffer.from(inflateSync(compressed))).toEqual(Buffer.from(board));
+  });
+});
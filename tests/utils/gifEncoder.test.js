@@ -0,0 +1,129 @@
+// Unit tests for the pure-JS animated GIF encoder
+import { GifEncoder, encodeGif, lzwEncode } from '../../src/utils/gifEncoder.js';
+
+// Reference GIF LZW decoder
+const lzwDecode = (data, minCodeSize, pixelCount) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  const reset = () => {
+    table = Array.from({ length: clearCode + 2 }, (_, i) => [i]);
+    codeSize = minCodeSize + 1;
+  };
+  reset();
+
+  const output = [];
+  let bitPosition = 0;
+  let previous = null;
+  while (bitPosition + codeSize <= data.length * 8) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bitPosition++) {
+      code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << i;
+    }
+    if (code === clearCode) {
+      reset();
+      previous = null;
+      continue;
+    }
+    if (code === endCode) break;
+
+    const entry = code < table.length ? table[code] : [...previous, previous[0]];
+    output.push(...entry);
+    if (previous) table.push([...previous, entry[0]]);
+    previous = entry;
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+  expect(output.length).toBe(pixelCount);
+  return output;
+};
+
+// Read the frames of a GIF written by the encoder
+const readGif = gif => {
+  const view = new DataView(gif.buffer, gif.byteOffset, gif.byteLength);
+  const width = view.getUint16(6, true);
+  const height = view.getUint16(8, true);
+  const tableSize = 2 << (gif[10] & 7);
+  const palette = Array.from({ length: tableSize }, (_, i) => Array.from(gif.subarray(13 + i * 3, 16 + i * 3)));
+
+  const frames = [];
+  const delays = [];
+  let offset = 13 + tableSize * 3;
+  let loop = null;
+  while (gif[offset] !== 0x3b) {
+    if (gif[offset] === 0x21) {
+      const label = gif[offset + 1];
+      if (label === 0xf9) delays.push(view.getUint16(offset + 4, true));
+      if (label === 0xff) loop = view.getUint16(offset + 16, true);
+      offset += 2;
+      while (gif[offset] !== 0) offset += gif[offset] + 1;
+      offset++;
+      continue;
+    }
+
+    expect(gif[offset]).toBe(0x2c);
+    const minCodeSize = gif[offset + 10];
+    offset += 11;
+    const data = [];
+    while (gif[offset] !== 0) {
+      data.push(...gif.subarray(offset + 1, offset + 1 + gif[offset]));
+      offset += gif[offset] + 1;
+    }
+    offset++;
+    frames.push(lzwDecode(data, minCodeSize, width * height).map(index => palette[index]));
+  }
+  return { width, height, frames, delays, loop };
+};
+
+// Frame filled with a color, with one pixel of another
+const makeFrame = (width, height, background, dot, dotIndex) => {
+  const rgba = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) rgba.set([...(i === dotIndex ? dot : background), 255], i * 4);
+  return rgba;
+};
+
+describe('GIF encoder', () => {
+  test('should round-trip indices through LZW, including table resets', () => {
+    const indices = Uint8Array.from({ length: 30000 }, (_, i) => ((i * 31) ^ (i >> 3)) & 15);
+    expect(lzwDecode(lzwEncode(indices, 4), 4, indices.length)).toEqual(Array.from(indices));
+    expect(lzwDecode(lzwEncode(new Uint8Array(5), 2), 2, 5)).toEqual([0, 0, 0, 0, 0]);
+  });
+
+  test('should write looping frames with their delay and exact colors', () => {
+    const frames = [
+      makeFrame(4, 3, [0, 0, 0], [255, 255, 255], 0),
+      makeFrame(4, 3, [0, 0, 0], [0, 128, 0], 5)
+    ];
+    const gif = encodeGif(frames, { width: 4, height: 3, delay: 5 });
+    expect(new TextDecoder().decode(gif.subarray(0, 6))).toBe('GIF89a');
+
+    const decoded = readGif(gif);
+    expect(decoded).toMatchObject({ width: 4, height: 3, delays: [5, 5], loop: 0 });
+    expect(decoded.frames[0][0]).toEqual([255, 255, 255]);
+    expect(decoded.frames[0][1]).toEqual([0, 0, 0]);
+    expect(decoded.frames[1][5]).toEqual([0, 128, 0]);
+    expect(decoded.frames[1][0]).toEqual([0, 0, 0]);
+  });
+
+  test('should fall back to a color cube past 256 colors', () => {
+    const encoder = new GifEncoder({ width: 300, height: 1 });
+    encoder.addFrame(makeFrame(300, 1, [255, 255, 255], [0, 0, 0], 0));
+    const gradient = new Uint8Array(300 * 4);
+    for (let i = 0; i < 300; i++) gradient.set([i % 256, Math.floor(i / 2) % 256, 0, 255], i * 4);
+    encoder.addFrame(gradient);
+
+    const { frames } = readGif(encoder.finish());
+    expect(frames[0][0]).toEqual([0, 0, 0]);
+    expect(frames[0][1]).toEqual([255, 255, 255]);
+    frames[1].forEach((color, i) => {
+      expect(Math.abs(color[0] - (i % 256))).toBeLessThan(40);
+      expect(Math.abs(color[1] - (Math.floor(i / 2) % 256))).toBeLessThan(40);
+    });
+  });
+
+  test('should reject frames of the wrong size and empty animations', () => {
+    const encoder = new GifEncoder({ width: 2, height: 2 });
+    expect(() => encoder.addFrame(new Uint8Array(12))).toThrow('expected 2x2');
+    expect(() => encoder.finish()).toThrow('at least one frame');
+  });
+});
@@ -0,0 +1,118 @@
+// Unit tests for the HashLife fast-forward engine
+import { HashLifeEngine, getSharedHashLifeEngine } from '../../src/utils/hashLife.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { GameService } from '../../src/services/gameService.js';
+
+// Small deterministic PRNG so failures are reproducible
+const randomPackedGrid = (width, height, seed, density = 0.35) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state / 0x7fffffff;
+  };
+  const grid = new PackedGrid(width, height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (next() < density) grid.set(x, y, 1);
+    }
+  }
+  return grid;
+};
+
+const stepMany = (grid, generations) => {
+  let current = grid;
+  for (let i = 0; i < generations; i++) {
+    current = current.step();
+  }
+  return current;
+};
+
+describe('HashLifeEngine', () => {
+  test.each([
+    [7, 5, 1],
+    [16, 16, 3],
+    [33, 20, 10],
+    [41, 41, 64],
+    [50, 37, 100],
+    [64, 64, 255]
+  ])('should match per-generation stepping on a %ix%i board after %i generations', (width, height, generations) => {
+    const engine = new HashLifeEngine();
+    const grid = randomPackedGrid(width, height, width * 7 + height);
+
+    const expected = stepMany(grid, generations);
+    const result = engine.advance(grid, generations);
+
+    expect(result).toBeInstanceOf(PackedGrid);
+    expect(result.equals(expected)).toBe(true);
+  });
+
+  test('should kill gliders that run into the board edge exactly like nextGeneration', () => {
+    const engine = new HashLifeEngine();
+    const grid = new PackedGrid(30, 30);
+    // Glider heading south-east towards the corner
+    [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]].forEach(([x, y]) => grid.set(x + 10, y + 10, 1));
+
+    for (const generations of [20, 40, 57, 120]) {
+      expect(engine.advance(grid, generations).equals(stepMany(grid, generations))).toBe(true);
+    }
+  });
+
+  test('should reuse cached results across jumps and board sizes', () => {
+    const engine = new HashLifeEngine();
+    const small = randomPackedGrid(24, 24, 5);
+    const large = randomPackedGrid(40, 30, 9);
+
+    expect(engine.advance(small, 50).equals(stepMany(small, 50))).toBe(true);
+    expect(engine.advance(large, 50).equals(stepMany(large, 50))).toBe(true);
+    expect(engine.advance(small, 77).equals(stepMany(small, 77))).toBe(true);
+  });
+
+  test('should flush caches once the node limit is exceeded', () => {
+    const engine = new HashLifeEngine({ maxNodes: 10 });
+    const grid = randomPackedGrid(20, 20, 11);
+
+    engine.advance(grid, 30);
+    expect(engine.nodeCount).toBeGreaterThan(10);
+    expect(engine.advance(grid, 30).equals(stepMany(grid, 30))).toBe(true);
+  });
+
+  test('should return an independent copy for zero generations', () => {
+    const engine = new HashLifeEngine();
+    const grid = randomPackedGrid(10, 10, 2);
+    const result = engine.advance(grid, 0);
+
+    expect(result).not.toBe(grid);
+    expect(result.equals(grid)).toBe(true);
+  });
+
+  test('should accept number[][] input', () => {
+    const blinker = [
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [0, 1, 1, 1, 0],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0]
+    ];
+    expect(getSharedHashLifeEngine().advance(blinker, 101).toArray()).toEqual(GameService.nextGeneration(blinker));
+  });
+});
+
+describe('GameService.advanceGenerations', () => {
+  test('should keep the input representation', () => {
+    const packed = randomPackedGrid(25, 25, 4);
+    const array = packed.toArray();
+
+    const packedResult = GameService.advanceGenerations(packed, 90);
+    const arrayResult = GameService.advanceGenerations(array, 90);
+
+    expect(packedResult).toBeInstanceOf(PackedGrid);
+    expect(packedResult.equals(stepMany(packed, 90))).toBe(true);
+    expect(arrayResult).toEqual(stepMany(packed, 90).toArray());
+  });
+
+  test('should step short distances directly', () => {
+    const packed = randomPackedGrid(12, 12, 8);
+    expect(GameService.advanceGenerations(packed, 3).equals(stepMany(packed, 3))).toBe(true);
+    expect(GameService.advanceGenerations(packed, 0)).toBe(packed);
+  });
+});
@@ -0,0 +1,56 @@
+// Unit tests for Life 1.05 and Life 1.06 pattern files
+import { parseLife105File, parseLife106File, encodeLife105File, encodeLife106File } from '../../src/utils/lifeFileUtils.js';
+
+describe('Life 1.06 files', () => {
+  test('should parse cells relative to their top-left corner', () => {
+    const result = parseLife106File('#Life 1.06\n0 -1\n1 0\n-1 1\n0 1\n1 1\n');
+    expect(result.pattern).toEqual([[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]]);
+    expect(result).toMatchObject({ width: 3, height: 3, position: { x: -1, y: -1 }, name: 'Unknown Pattern' });
+  });
+
+  test('should round-trip cells and position', () => {
+    const data = { pattern: [[0, 0], [0, 1], [1, 0], [1, 1]], position: { x: 10, y: -4 } };
+    const content = encodeLife106File(data);
+    expect(content).toBe('#Life 1.06\n10 -4\n11 -4\n10 -3\n11 -3\n');
+    expect(parseLife106File(content)).toMatchObject(data);
+  });
+});
+
+describe('Life 1.05 files', () => {
+  test('should parse descriptions, rules and positioned blocks', () => {
+    const result = parseLife105File(`#Life 1.05
+#D Name: Two blocks
+#D Far apart
+#R 23/36
+#P -2 -2
+**
+**
+#P 5 0
+**
+**
+`);
+    expect(result).toMatchObject({ name: 'Two blocks', comments: ['Far apart'], rule: 'B36/S23', width: 9, height: 4, position: { x: -2, y: -2 } });
+    expect(result.pattern).toEqual([[0, 0], [0, 1], [1, 0], [1, 1], [2, 7], [2, 8], [3, 7], [3, 8]]);
+  });
+
+  test('should read #N as Conway\'s Life', () => {
+    expect(parseLife105File('#Life 1.05\n#N\n#P 0 0\n*\n').rule).toBe('B3/S23');
+  });
+
+  test('should round-trip names, comments, rules and cells', () => {
+    const data = {
+      name: 'Glider',
+      comments: ['Heads south-east'],
+      rule: 'B36/S23',
+      pattern: [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]],
+      position: { x: -1, y: -1 }
+    };
+    const content = encodeLife105File(data);
+    expect(content).toBe('#Life 1.05\n#D Name: Glider\n#D Heads south-east\n#R 23/36\n#P -1 -1\n.*\n..*\n***\n');
+    expect(parseLife105File(content)).toMatchObject(data);
+  });
+
+  test('should write blank rows inside the block', () => {
+    expect(encodeLife105File({ pattern: [[0, 0], [2, 0]] })).toBe('#Life 1.05\n#N\n#P 0 0\n*\n.\n*\n');
+  });
+});
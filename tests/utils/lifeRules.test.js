@@ -0,0 +1,309 @@
+// Unit tests for Life-like rule parsing and rule-parameterized stepping
+import { parseRule, resolveRule, rulesMatch, isIsotropicRule, DEFAULT_RULE } from '../../src/utils/lifeRules.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { HashLifeEngine } from '../../src/utils/hashLife.js';
+import { GameService } from '../../src/services/gameService.js';
+import { SparseUniverse } from '../../src/utils/sparseUniverse.js';
+
+// Reference stepper for Generations rules: live cells are 1, decaying cells count up to states - 1
+const referenceGenerationsStep = (grid, birth, survival, states) => {
+  const height = grid.length;
+  const width = grid[0].length;
+  return grid.map((row, y) => row.map((cell, x) => {
+    let neighbors = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const ny = y + dy;
+        const nx = x + dx;
+        if (ny >= 0 && ny < height && nx >= 0 && nx < width && grid[ny][nx] === 1) neighbors++;
+      }
+    }
+    if (cell === 0) return birth.includes(neighbors) ? 1 : 0;
+    if (cell === 1) return survival.includes(neighbors) ? 1 : 2;
+    return cell + 1 < states ? cell + 1 : 0;
+  }));
+};
+
+// Straightforward reference stepper for any B/S rule
+const referenceStep = (grid, birth, survival) => {
+  const height = grid.length;
+  const width = grid[0].length;
+  return grid.map((row, y) => row.map((cell, x) => {
+    let neighbors = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const ny = y + dy;
+        const nx = x + dx;
+        if (ny >= 0 && ny < height && nx >= 0 && nx < width) neighbors += grid[ny][nx];
+      }
+    }
+    return (cell ? survival : birth).includes(neighbors) ? 1 : 0;
+  }));
+};
+
+// Isotropic reference: look up each cell's 3x3 neighbourhood (row-major, centre bit 4)
+const referenceIsotropicStep = (grid, transitions) => grid.map((row, y) => row.map((cell, x) => {
+  let neighbourhood = 0;
+  for (let dy = -1; dy <= 1; dy++) {
+    for (let dx = -1; dx <= 1; dx++) {
+      if (grid[y + dy] && grid[y + dy][x + dx]) neighbourhood |= 1 << ((dy + 1) * 3 + dx + 1);
+    }
+  }
+  return transitions[neighbourhood];
+}));
+
+const rotateGrid = (grid) => grid[0].map((_, x) => grid.map(row => row[x]).reverse());
+const mirrorGrid = (grid) => grid.map(row => [...row].reverse());
+
+const randomGrid = (width, height, seed) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state / 0x7fffffff;
+  };
+  return Array.from({ length: height }, () => Array.from({ length: width }, () => (next() < 0.4 ? 1 : 0)));
+};
+
+describe('Life-like rules', () => {
+  describe('parseRule', () => {
+    test('should parse B/S notation into canonical form', () => {
+      expect(parseRule('B3/S23')).toEqual({ rule: 'B3/S23', birthMask: 0b1000, survivalMask: 0b1100, states: 2 });
+      expect(parseRule('b63/s32').rule).toBe('B36/S23');
+      expect(parseRule('B3S23').rule).toBe('B3/S23');
+      expect(parseRule('S23/B3').rule).toBe('B3/S23');
+    });
+
+    test('should parse legacy S/B notation', () => {
+      expect(parseRule('23/3').rule).toBe('B3/S23');
+      expect(parseRule('/2').rule).toBe('B2/S');
+    });
+
+    test('should resolve well-known names', () => {
+      expect(parseRule('HighLife').rule).toBe('B36/S23');
+      expect(parseRule('Day & Night').rule).toBe('B3678/S34678');
+      expect(parseRule('Seeds').rule).toBe('B2/S');
+    });
+
+    test('should reject invalid rules', () => {
+      expect(parseRule('B9/S23')).toBeNull();
+      expect(parseRule('B33/S23')).toBeNull();
+      expect(parseRule('nonsense')).toBeNull();
+      expect(parseRule(null)).toBeNull();
+    });
+
+    test('resolveRule should default to Conway and throw on invalid rules', () => {
+      expect(resolveRule(null).rule).toBe(DEFAULT_RULE);
+      expect(resolveRule(parseRule('B36/S23')).rule).toBe('B36/S23');
+      expect(() => resolveRule('B9')).toThrow('Invalid rule');
+    });
+
+    test('should parse Generations rules', () => {
+      expect(parseRule('B2/S345/4')).toEqual({ rule: 'B2/S345/C4', birthMask: 0b100, survivalMask: 0b111000, states: 4 });
+      expect(parseRule('345/2/4').rule).toBe('B2/S345/C4');
+      expect(parseRule('Star Wars').rule).toBe('B2/S345/C4');
+      expect(parseRule("Brian's Brain").rule).toBe('B2/S/C3');
+      expect(parseRule('B3/S23/C2').rule).toBe('B3/S23');
+      expect(parseRule('B2/S/C1')).toBeNull();
+      expect(parseRule('B2/S/C257')).toBeNull();
+    });
+
+    test('rulesMatch should compare canonical forms', () => {
+      expect(rulesMatch('b3/s23', null)).toBe(true);
+      expect(rulesMatch('HighLife', 'B36/S23')).toBe(true);
+      expect(rulesMatch('B36/S23', 'B3/S23')).toBe(false);
+      expect(rulesMatch('garbage', 'B3/S23')).toBe(false);
+    });
+  });
+
+  describe('PackedGrid.step with rules', () => {
+    test.each([
+      ['B36/S23', [3, 6], [2, 3]],
+      ['B3678/S34678', [3, 6, 7, 8], [3, 4, 6, 7, 8]],
+      ['B2/S', [2], []],
+      ['B1357/S1357', [1, 3, 5, 7], [1, 3, 5, 7]],
+      ['B0/S8', [0], [8]]
+    ])('should match the reference stepper for %s', (rule, birth, survival) => {
+      const parsedRule = parseRule(rule);
+      let grid = randomGrid(37, 11, rule.length * 13);
+      let packed = PackedGrid.fromArray(grid);
+
+      for (let generation = 0; generation < 6; generation++) {
+        grid = referenceStep(grid, birth, survival);
+        packed = packed.step(null, parsedRule);
+        expect(packed.toArray()).toEqual(grid);
+      }
+    });
+
+    test('GameService.nextGeneration should accept rule strings', () => {
+      const grid = randomGrid(12, 12, 5);
+      expect(GameService.nextGeneration(grid, 'HighLife')).toEqual(referenceStep(grid, [3, 6], [2, 3]));
+      expect(GameService.nextGeneration(grid)).toEqual(referenceStep(grid, [3], [2, 3]));
+    });
+  });
+
+  describe('Generations rules', () => {
+    test.each([
+      ["Brian's Brain", [2], [], 3],
+      ['Star Wars', [2], [3, 4, 5], 4],
+      ['B3/S23/C5', [3], [2, 3], 5]
+    ])('should match the reference stepper for %s', (rule, birth, survival, states) => {
+      const parsedRule = parseRule(rule);
+      let grid = randomGrid(41, 13, rule.length * 7);
+      let packed = PackedGrid.fromArray(grid);
+      let spare = null;
+
+      for (let generation = 0; generation < 12; generation++) {
+        grid = referenceGenerationsStep(grid, birth, survival, states);
+        const next = packed.step(spare, parsedRule);
+        spare = packed;
+        packed = next;
+        expect(packed.toArray()).toEqual(grid);
+      }
+    });
+
+    test('advanceGenerations should step Generations rules directly', () => {
+      const rule = parseRule('B2/S345/C4');
+      const packed = PackedGrid.fromArray(randomGrid(16, 16, 9));
+
+      let expected = packed;
+      for (let i = 0; i < 40; i++) expected = expected.step(null, rule);
+
+      expect(GameService.advanceGenerations(packed, 40, rule).equals(expected)).toBe(true);
+      expect(() => new HashLifeEngine().advance(packed, 40, rule)).toThrow('multi-state');
+    });
+  });
+
+  describe('fast-forwarding with rules', () => {
+    test('HashLife should match per-generation stepping under HighLife', () => {
+      const rule = parseRule('B36/S23');
+      const packed = PackedGrid.fromArray(randomGrid(30, 30, 21));
+      const engine = new HashLifeEngine();
+
+      let expected = packed;
+      for (let i = 0; i < 70; i++) expected = expected.step(null, rule);
+
+      expect(engine.advance(packed, 70, rule).equals(expected)).toBe(true);
+      // Switching rules must not reuse results computed under another rule
+      let conway = packed;
+      for (let i = 0; i < 70; i++) conway = conway.step();
+      expect(engine.advance(packed, 70).equals(conway)).toBe(true);
+    });
+
+    test('HashLife should refuse B0 rules', () => {
+      expect(() => new HashLifeEngine().advance(new PackedGrid(8, 8), 32, 'B0/S8')).toThrow('B0');
+    });
+
+    test('advanceGenerations should step B0 rules directly', () => {
+      const rule = parseRule('B0/S8');
+      const packed = PackedGrid.fromArray(randomGrid(10, 10, 3));
+
+      let expected = packed;
+      for (let i = 0; i < 40; i++) expected = expected.step(null, rule);
+
+      expect(GameService.advanceGenerations(packed, 40, 'B0/S8').equals(expected)).toBe(true);
+    });
+  });
+  describe('isotropic non-totalistic rules', () => {
+    const HENSEL_LETTERS = ['', 'ce', 'ceaikn', 'ceaiknjqry', 'ceaiknjqrytwz', 'ceaiknjqry', 'ceaikn', 'ce', ''];
+
+    test('should parse Hensel notation into canonical form', () => {
+      const justFriends = parseRule('B2-a/S12');
+      expect(justFriends.rule).toBe('B2-a/S12');
+      expect(justFriends.birthMask).toBe(0b100);
+      expect(justFriends.survivalMask).toBe(0b110);
+      expect(isIsotropicRule(justFriends)).toBe(true);
+
+      expect(parseRule('b2cekin/s12').rule).toBe('B2-a/S12');
+      expect(parseRule('B2a2c/S1').rule).toBe('B2ca/S1');
+      expect(parseRule('B3/S23-a4eit').rule).toBe('B3/S23-a4eit');
+      expect(parseRule('Just Friends').rule).toBe('B2-a/S12');
+      expect(parseRule('B2-a/S12/C3').rule).toBe('B2-a/S12/C3');
+      expect(rulesMatch('B2-a/S12', 'b2ceikn/s21')).toBe(true);
+    });
+
+    test('should collapse full letter sets to plain Life-like rules', () => {
+      const rule = parseRule('B3cekainyqjr/S2ceaikn3');
+      expect(rule.rule).toBe('B3/S23');
+      expect(isIsotropicRule(rule)).toBe(false);
+    });
+
+    test('should reject letters that do not exist for a count', () => {
+      expect(parseRule('B2x/S1')).toBeNull();
+      expect(parseRule('B1k/S')).toBeNull();
+      expect(parseRule('B8c/S')).toBeNull();
+      expect(parseRule('B2-/S1')).toBeNull();
+    });
+
+    test('each count should be split into disjoint letters covering every neighbourhood', () => {
+      for (let count = 1; count <= 7; count++) {
+        const covered = new Set();
+        for (const letter of HENSEL_LETTERS[count]) {
+          const { transitions } = parseRule(`B${count}${letter}/S`);
+          transitions.forEach((alive, neighbourhood) => {
+            if (!alive) return;
+            expect(covered.has(neighbourhood)).toBe(false);
+            covered.add(neighbourhood);
+          });
+        }
+
+        const expected = Array.from({ length: 512 }, (_, bits) => bits)
+          .filter(bits => !(bits & 0x10) && (bits.toString(2).match(/1/g) || []).length === count);
+        expect([...covered].sort((a, b) => a - b)).toEqual(expected);
+      }
+    });
+
+    test.each(['B2-a/S12', 'B3/S2-i34q', 'B2in3/S1e2-a'])('PackedGrid.step should match the reference under %s', (ruleString) => {
+      const rule = parseRule(ruleString);
+      let grid = randomGrid(45, 23, 5);
+      let packed = PackedGrid.fromArray(grid);
+
+      for (let i = 0; i < 12; i++) {
+        grid = referenceIsotropicStep(grid, rule.transitions);
+        packed = packed.step(null, rule);
+        expect(packed.toArray()).toEqual(grid);
+      }
+    });
+
+    test('stepping should commute with rotations and reflections', () => {
+      const rule = parseRule('B2-a/S12');
+      const soup = randomGrid(20, 20, 9);
+      const step = (grid) => PackedGrid.fromArray(grid).step(null, rule).toArray();
+
+      expect(step(rotateGrid(soup))).toEqual(rotateGrid(step(soup)));
+      expect(step(mirrorGrid(soup))).toEqual(mirrorGrid(step(soup)));
+    });
+
+    test('dominoes and lines of three should be still lifes in Just Friends (B2-a/S12)', () => {
+      // Every neighbouring dead cell sees either one cell or two adjacent ones (2a)
+      const grid = new PackedGrid(12, 8);
+      grid.set(2, 2, 1);
+      grid.set(2, 3, 1);
+      grid.set(6, 4, 1);
+      grid.set(7, 4, 1);
+      grid.set(8, 4, 1);
+
+      expect(grid.step(null, parseRule('B2-a/S12')).equals(grid)).toBe(true);
+      // Without the exception the same cells give birth
+      expect(grid.step(null, parseRule('B2/S12')).countAlive()).toBeGreaterThan(grid.countAlive());
+    });
+
+    test('HashLife and the sparse universe should match direct stepping', () => {
+      const rule = parseRule('B3/S2-i34q');
+      const packed = new PackedGrid(64, 64);
+      PackedGrid.fromArray(randomGrid(16, 16, 17)).forEachAlive((x, y) => packed.set(x + 24, y + 24, 1));
+
+      let expected = packed;
+      for (let i = 0; i < 20; i++) expected = expected.step(null, rule);
+      expect(new HashLifeEngine().advance(packed, 20, rule).equals(expected)).toBe(true);
+
+      let universe = new SparseUniverse();
+      universe.addPackedGrid(packed);
+      for (let i = 0; i < 20; i++) universe = universe.step(rule);
+      const stepped = new SparseUniverse();
+      stepped.addPackedGrid(expected);
+      expect(universe.equals(stepped)).toBe(true);
+    });
+  });
+});
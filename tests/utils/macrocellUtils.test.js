@@ -0,0 +1,92 @@
+// Unit tests for macrocell (.mc) pattern files
+import { parseMacrocellFile, encodeMacrocellFile, encodeMacrocellGrid, decodeMacrocellGrid } from '../../src/utils/macrocellUtils.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { SparseUniverse } from '../../src/utils/sparseUniverse.js';
+
+const GLIDER = [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+
+// Leaf lines hold 8x8 blocks of cells
+const countLeaves = content => content.split('\n').filter(line => /^[.*$]/.test(line)).length;
+
+describe('Macrocell files', () => {
+  test('should parse quadtrees written by other tools', () => {
+    const result = parseMacrocellFile(`[M2] (golly 4.2)
+#R B3/S23
+#G 12
+#C A glider in the south-east quadrant
+.*$..*$***$
+4 0 0 0 1
+`);
+    expect(result.pattern).toEqual(GLIDER);
+    expect(result).toMatchObject({
+      name: 'Unknown Pattern',
+      comments: ['A glider in the south-east quadrant'],
+      rule: 'B3/S23',
+      generation: 12,
+      width: 3,
+      height: 3,
+      position: { x: 0, y: 0 }
+    });
+  });
+
+  test('should round-trip names, rules and positioned cells', () => {
+    const data = { name: 'Glider', author: 'Anon', comments: ['Heading south-east'], rule: 'B36/S23', generation: 40, pattern: GLIDER, position: { x: -20, y: 5 } };
+    const content = encodeMacrocellFile(data);
+    expect(content.startsWith('[M2]')).toBe(true);
+    expect(parseMacrocellFile(content)).toMatchObject(data);
+  });
+
+  test('should write repeated objects once', () => {
+    const block = [[0, 0], [0, 1], [1, 0], [1, 1]];
+    const pattern = [0, 64, 128].flatMap(offset => block.map(([y, x]) => [y, x + offset]));
+    const content = encodeMacrocellFile({ pattern });
+    expect(countLeaves(content)).toBe(1);
+    expect(parseMacrocellFile(content).pattern).toEqual([...pattern].sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+  });
+
+  test('should keep decaying states of multi-state rules', () => {
+    const data = { rule: 'B2/S345/C4', pattern: [[0, 0], [0, 1, 2], [3, 5, 3]], position: { x: 1, y: 1 } };
+    const content = encodeMacrocellFile(data);
+    expect(countLeaves(content)).toBe(0);
+    expect(content).toMatch(/^1 0 0 2 0$/m);
+    expect(parseMacrocellFile(content)).toMatchObject(data);
+  });
+
+  test('should write empty patterns without nodes', () => {
+    const content = encodeMacrocellFile({ pattern: [] });
+    expect(content).toBe('[M2] (turing-gol)\n#R B3/S23\n');
+    expect(parseMacrocellFile(content)).toMatchObject({ pattern: [], width: 0, height: 0, position: null });
+  });
+
+  test('should reject nodes that refer to missing nodes', () => {
+    expect(() => parseMacrocellFile('[M2]\n4 0 0 0 7\n')).toThrow('line 2');
+  });
+});
+
+describe('Macrocell boards', () => {
+  test('should save and load a board centered on the file origin, with cells beyond its edges', () => {
+    const board = new PackedGrid(21, 21);
+    GLIDER.forEach(([y, x]) => board.set(x + 3, y + 4, 1));
+    board.set(20, 20, 1);
+    board.outside = SparseUniverse.fromCellArray([[-40, 7], [2, 300]]);
+
+    const content = encodeMacrocellGrid(board, { rule: 'B3/S23', generation: 7 });
+    expect(parseMacrocellFile(content).position).toEqual({ x: -7, y: -50 });
+
+    const { grid, rule, generation } = decodeMacrocellGrid(content, 21, 21);
+    expect(grid.equals(board)).toBe(true);
+    expect(rule).toBe('B3/S23');
+    expect(generation).toBe(7);
+  });
+
+  test('should move cells that do not fit a smaller board outside it', () => {
+    const board = new PackedGrid(21, 21);
+    board.set(10, 10, 1);
+    board.set(20, 0, 1);
+
+    const { grid } = decodeMacrocellGrid(encodeMacrocellGrid(board), 11, 11);
+    expect(grid.get(5, 5)).toBe(1);
+    expect(grid.countAlive()).toBe(1);
+    expect(grid.outside.get(15, -5)).toBe(1);
+  });
+});
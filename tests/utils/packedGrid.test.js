@@ -0,0 +1,249 @@
+// Unit tests for the bit-packed grid representation
+import { PackedGrid, getCell, getGridSize, isCellAlive, toPackedGrid } from '../../src/utils/packedGrid.js';
+import { SparseUniverse } from '../../src/utils/sparseUniverse.js';
+import { GameService } from '../../src/services/gameService.js';
+
+// Straightforward reference implementation used to cross-check the bit-sliced stepper
+const referenceStep = (grid) => {
+  const height = grid.length;
+  const width = grid[0].length;
+  return grid.map((row, y) => row.map((cell, x) => {
+    let neighbors = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const ny = y + dy;
+        const nx = x + dx;
+        if (ny >= 0 && ny < height && nx >= 0 && nx < width) neighbors += grid[ny][nx];
+      }
+    }
+    return (neighbors === 3 || (cell === 1 && neighbors === 2)) ? 1 : 0;
+  }));
+};
+
+// Small deterministic PRNG so failures are reproducible
+const randomGrid = (width, height, seed) => {
+  let state = seed;
+  const next = () => {
+    state = (state * 1103515245 + 12345) & 0x7fffffff;
+    return state / 0x7fffffff;
+  };
+  return Array.from({ length: height }, () => Array.from({ length: width }, () => (next() < 0.35 ? 1 : 0)));
+};
+
+describe('PackedGrid', () => {
+  describe('conversion', () => {
+    test('should round-trip number[][] grids', () => {
+      const grid = randomGrid(45, 7, 1);
+      expect(PackedGrid.fromArray(grid).toArray()).toEqual(grid);
+    });
+
+    test('should handle empty input', () => {
+      const packed = PackedGrid.fromArray([]);
+      expect(packed.width).toBe(0);
+      expect(packed.height).toBe(0);
+      expect(packed.toArray()).toEqual([]);
+    });
+
+    test('toPackedGrid should return packed grids unchanged', () => {
+      const packed = new PackedGrid(5, 5);
+      expect(toPackedGrid(packed)).toBe(packed);
+      expect(toPackedGrid([[0, 1]])).toBeInstanceOf(PackedGrid);
+    });
+  });
+
+  describe('cell access', () => {
+    test('should set and get cells across word boundaries', () => {
+      const packed = new PackedGrid(70, 3);
+      packed.set(0, 0, 1);
+      packed.set(31, 1, 1);
+      packed.set(32, 1, 1);
+      packed.set(69, 2, 1);
+
+      expect(packed.get(0, 0)).toBe(1);
+      expect(packed.get(31, 1)).toBe(1);
+      expect(packed.get(32, 1)).toBe(1);
+      expect(packed.get(69, 2)).toBe(1);
+      expect(packed.get(33, 1)).toBe(0);
+      expect(packed.countAlive()).toBe(4);
+
+      packed.set(31, 1, 0);
+      expect(packed.get(31, 1)).toBe(0);
+      expect(packed.countAlive()).toBe(3);
+    });
+
+    test('should ignore writes and read dead outside the grid', () => {
+      const packed = new PackedGrid(4, 4);
+      packed.set(-1, 0, 1);
+      packed.set(4, 0, 1);
+      packed.set(0, 4, 1);
+      expect(packed.countAlive()).toBe(0);
+      expect(packed.get(-1, 0)).toBe(0);
+      expect(packed.get(0, 10)).toBe(0);
+    });
+
+    test('getCell and getGridSize should accept both representations', () => {
+      const grid = [[0, 1, 0], [0, 0, 1]];
+      const packed = PackedGrid.fromArray(grid);
+
+      expect(getCell(grid, 1, 0)).toBe(1);
+      expect(getCell(packed, 1, 0)).toBe(1);
+      expect(getCell(grid, 5, 5)).toBe(0);
+      expect(getGridSize(grid)).toEqual({ width: 3, height: 2 });
+      expect(getGridSize(packed)).toEqual({ width: 3, height: 2 });
+      expect(getGridSize(null)).toEqual({ width: 0, height: 0 });
+    });
+
+    test('isCellAlive should read the universe beyond an unbounded board', () => {
+      const packed = PackedGrid.fromArray([[0, 1, 0], [0, 0, 1]]);
+      expect(isCellAlive(packed, 1, 0)).toBe(1);
+      expect(isCellAlive(packed, -2, 0)).toBe(0);
+
+      packed.outside = new SparseUniverse();
+      packed.outside.set(-2, 0, 1);
+      expect(isCellAlive(packed, -2, 0)).toBe(1);
+      expect(isCellAlive(packed, 0, 0)).toBe(0);
+    });
+
+    test('clone should be independent', () => {
+      const packed = new PackedGrid(10, 10);
+      const copy = packed.clone();
+      copy.set(3, 3, 1);
+      expect(packed.get(3, 3)).toBe(0);
+      expect(copy.equals(packed)).toBe(false);
+    });
+
+    test('decaying states should not read as alive', () => {
+      const packed = PackedGrid.fromArray([[0, 1, 2], [3, 0, 0]]);
+      expect(packed.get(2, 0)).toBe(0);
+      expect(packed.getState(2, 0)).toBe(2);
+      expect(packed.getState(0, 1)).toBe(3);
+      expect(packed.countAlive()).toBe(1);
+      expect(packed.toArray()).toEqual([[0, 1, 2], [3, 0, 0]]);
+
+      const copy = packed.clone();
+      copy.setState(2, 0, 1);
+      expect(copy.getState(2, 0)).toBe(1);
+      expect(packed.getState(2, 0)).toBe(2);
+      expect(copy.equals(packed)).toBe(false);
+      expect(getCell([[2]], 0, 0)).toBe(0);
+    });
+  });
+
+  describe('queries', () => {
+    test('forEachAlive should visit live cells in row-major order', () => {
+      const packed = new PackedGrid(40, 3);
+      packed.set(35, 0, 1);
+      packed.set(2, 0, 1);
+      packed.set(0, 2, 1);
+
+      const visited = [];
+      packed.forEachAlive((x, y) => visited.push([x, y]));
+      expect(visited).toEqual([[2, 0], [35, 0], [0, 2]]);
+    });
+
+    test('getBounds should match live cell extent', () => {
+      const packed = new PackedGrid(100, 20);
+      packed.set(40, 3, 1);
+      packed.set(90, 15, 1);
+      packed.set(5, 10, 1);
+      expect(packed.getBounds()).toEqual({ minX: 5, maxX: 90, minY: 3, maxY: 15 });
+      expect(new PackedGrid(5, 5).getBounds()).toBeNull();
+    });
+
+    test('countChanges should count births and deaths since an earlier grid', () => {
+      const before = new PackedGrid(70, 3);
+      before.set(1, 0, 1);
+      before.set(65, 2, 1);
+      const after = before.clone();
+      after.set(1, 0, 0);
+      after.set(40, 1, 1);
+      after.set(41, 1, 1);
+      expect(after.countChanges(before)).toEqual({ births: 2, deaths: 1 });
+      expect(after.countChanges(after)).toEqual({ births: 0, deaths: 0 });
+    });
+  });
+
+  describe('step', () => {
+    test.each([
+      [5, 5],
+      [32, 8],
+      [33, 9],
+      [64, 4],
+      [97, 13]
+    ])('should match the reference rules on a %ix%i grid', (width, height) => {
+      let grid = randomGrid(width, height, width * 31 + height);
+      let packed = PackedGrid.fromArray(grid);
+
+      for (let generation = 0; generation < 8; generation++) {
+        grid = referenceStep(grid);
+        packed = packed.step();
+        expect(packed.toArray()).toEqual(grid);
+      }
+    });
+
+    test('should not leak cells past the right edge of the last word', () => {
+      // Three cells in the last column would birth a cell at x = width if edges leaked
+      const packed = new PackedGrid(33, 5);
+      packed.set(32, 1, 1);
+      packed.set(32, 2, 1);
+      packed.set(32, 3, 1);
+
+      const next = packed.step();
+      expect(next.countAlive()).toBe(2);
+      expect(next.get(31, 2)).toBe(1);
+      expect(next.get(32, 2)).toBe(1);
+    });
+
+    test('should write into a provided target grid', () => {
+      const packed = PackedGrid.fromArray([
+        [0, 0, 0],
+        [1, 1, 1],
+        [0, 0, 0]
+      ]);
+      const target = new PackedGrid(3, 3);
+      const result = packed.step(target);
+
+      expect(result).toBe(target);
+      expect(target.toArray()).toEqual([
+        [0, 1, 0],
+        [0, 1, 0],
+        [0, 1, 0]
+      ]);
+    });
+  });
+
+  describe('GameService integration', () => {
+    test('nextGeneration should keep packed grids packed', () => {
+      const packed = PackedGrid.fromArray(randomGrid(20, 20, 7));
+      const next = GameService.nextGeneration(packed);
+      expect(next).toBeInstanceOf(PackedGrid);
+      expect(next.toArray()).toEqual(referenceStep(packed.toArray()));
+    });
+
+    test('createPackedGrid should respect the maximum grid size', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(GameService.createPackedGrid(10).height).toBe(10);
+      expect(GameService.createPackedGrid(10000, 10).height).toBe(0);
+      warnSpy.mockRestore();
+    });
+
+    test('resizeGrid should preserve the center for packed grids', () => {
+      const packed = new PackedGrid(5, 5);
+      packed.set(2, 2, 1);
+      const resized = GameService.resizeGrid(packed, 9, 9);
+      expect(resized).toBeInstanceOf(PackedGrid);
+      expect(resized.get(4, 4)).toBe(1);
+      expect(resized.countAlive()).toBe(1);
+    });
+
+    test('counting helpers should accept packed grids', () => {
+      const packed = new PackedGrid(10, 10);
+      packed.set(2, 3, 1);
+      packed.set(7, 8, 1);
+      expect(GameService.countAliveCells(packed)).toBe(2);
+      expect(GameService.getGridBounds(packed)).toEqual({ minX: 2, maxX: 7, minY: 3, maxY: 8 });
+      expect(GameService.copyGrid(packed).equals(packed)).toBe(true);
+    });
+  });
+});
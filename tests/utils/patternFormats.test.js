@@ -0,0 +1,97 @@
+// Unit tests for pattern file format detection
+import fs from 'fs';
+import path from 'path';
+import { detectPatternFormat, parsePatternFile, getPatternFileId, encodePatternFile, getPatternFileName } from '../../src/utils/patternFormats.js';
+import { PATTERN_FORMAT } from '../../src/constants/gameConstants.js';
+import { BrushService } from '../../src/services/brushService.js';
+
+const loadBrush = id => ({
+  ...parsePatternFile(fs.readFileSync(path.join(__dirname, '../../public/brushes', `${id}.rle`), 'utf8'), `${id}.rle`),
+  id
+});
+
+describe('Pattern formats', () => {
+  test('should recognize formats by header, extension and content', () => {
+    expect(detectPatternFormat('#Life 1.06\n0 0\n', 'glider.lif')).toBe(PATTERN_FORMAT.LIFE_106);
+    expect(detectPatternFormat('#Life 1.05\n#P 0 0\n*\n', 'glider.life')).toBe(PATTERN_FORMAT.LIFE_105);
+    expect(detectPatternFormat('[M2] (golly 4.2)\n$\n')).toBe(PATTERN_FORMAT.MACROCELL);
+    expect(detectPatternFormat('!Name: Block\nOO\nOO\n', 'block.cells')).toBe(PATTERN_FORMAT.PLAINTEXT);
+    expect(detectPatternFormat('.O\n..O\nOOO\n')).toBe(PATTERN_FORMAT.PLAINTEXT);
+    expect(detectPatternFormat('#N Block\nx = 2, y = 2\n2o$2o!', 'block.rle')).toBe(PATTERN_FORMAT.RLE);
+    expect(detectPatternFormat('x = 2, y = 2\n2o$2o!')).toBe(PATTERN_FORMAT.RLE);
+  });
+
+  test('should parse every format to the same pattern data', () => {
+    const files = [
+      ['glider.rle', '#N Glider\nx = 3, y = 3\nbo$2bo$3o!'],
+      ['glider.cells', '!Name: Glider\n.O\n..O\nOOO\n'],
+      ['glider.lif', '#Life 1.05\n#D Name: Glider\n#P 0 0\n.*\n..*\n***\n'],
+      ['glider.life', '#Life 1.06\n1 0\n2 1\n0 2\n1 2\n2 2\n'],
+      ['glider.mc', '[M2] (golly 4.2)\n.*$..*$***$\n4 0 0 0 1\n']
+    ];
+    files.forEach(([filename, content]) => {
+      const result = parsePatternFile(content, filename);
+      expect(result.pattern).toEqual([[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]]);
+      expect(result).toMatchObject({ width: 3, height: 3 });
+    });
+    expect(parsePatternFile(files[1][1], files[1][0])).toMatchObject({ name: 'Glider', format: PATTERN_FORMAT.PLAINTEXT });
+  });
+
+  test('should list problems of every format in strict mode', () => {
+    const diagnosticsOf = (content, filename) => parsePatternFile(content, filename, { strict: true }).diagnostics;
+    expect(diagnosticsOf('!Name: Block\nOO\nOx\n', 'block.cells')).toEqual([{ line: 3, column: 2, reason: 'Unexpected character "x" in a pattern row' }]);
+    expect(diagnosticsOf('#Life 1.06\n0 0\n1,1\n', 'cells.lif')).toEqual([{ line: 3, column: 1, reason: 'Expected "x y" cell coordinates, found "1,1"' }]);
+    expect(diagnosticsOf('#Life 1.05\n#P 0\n*o\n', 'cells.lif')).toEqual([
+      { line: 2, column: 1, reason: 'Invalid block position "#P 0"; expected "#P x y"' },
+      { line: 3, column: 2, reason: 'Unexpected character "o" in a pattern row' }
+    ]);
+    expect(diagnosticsOf('[M2]\n#R Bogus\n', 'empty.mc')).toEqual([{ line: 2, column: 4, reason: 'Unrecognised rule "Bogus"' }]);
+    expect(parsePatternFile('OO\nOx\n', 'block.cells').diagnostics).toBeUndefined();
+  });
+
+  test('should strip pattern file extensions from brush ids', () => {
+    expect(getPatternFileId('glider.cells')).toBe('glider');
+    expect(getPatternFileId('gun.LIF')).toBe('gun');
+    expect(getPatternFileId('circuit.mc')).toBe('circuit');
+    expect(getPatternFileId('p30.gun.rle')).toBe('p30.gun');
+  });
+
+  describe('encodePatternFile', () => {
+    test('should write a rotated brush with its turned guidance line', () => {
+      const rotated = BrushService.transformPattern(loadBrush('p30GliderGunG'), 'rotateClockwise');
+      const content = encodePatternFile(rotated);
+
+      expect(content.split('\n').slice(0, 3)).toEqual(['#N Gosper Gun', `#P SW/${rotated.guidanceLine.startX}/${rotated.guidanceLine.startY}/*/3`, 'x = 9, y = 36, rule = B3/S23']);
+      const reloaded = parsePatternFile(content, 'p30GliderGunG_r90.rle');
+      expect(reloaded.pattern).toEqual([...rotated.pattern].sort((a, b) => a[0] - b[0] || a[1] - b[1]));
+      expect(reloaded.guidanceLines).toEqual([rotated.guidanceLine]);
+    });
+
+    test('should move a flipped brush back to the origin instead of writing a position', () => {
+      const brush = { name: 'g', pattern: [[0, 0], [0, 1], [1, 0]], width: 2, height: 2, guidanceLine: { direction: 'E', startX: 0, startY: 0, length: 5, speed: 2 } };
+      const flipped = BrushService.transformPattern(brush, 'flipY');
+
+      expect(encodePatternFile(flipped)).toBe('#N g\n#P W/1/0/5/2\nx = 2, y = 2\n2o$bo!\n');
+    });
+
+    test('should keep the declared size of untransformed brushes', () => {
+      const brush = { name: 'Spaced block', pattern: [[1, 1], [1, 2], [2, 1], [2, 2]], width: 5, height: 4 };
+      expect(encodePatternFile(brush)).toBe('#N Spaced block\nx = 5, y = 4\n$b2o$b2o!\n');
+    });
+
+    test('should write brushes in the other formats', () => {
+      const glider = loadBrush('glider');
+      expect(encodePatternFile(glider, PATTERN_FORMAT.PLAINTEXT)).toMatch(/^!Name: .+\n(.*\n){3}$/);
+      [PATTERN_FORMAT.PLAINTEXT, PATTERN_FORMAT.LIFE_105, PATTERN_FORMAT.LIFE_106, PATTERN_FORMAT.MACROCELL].forEach(format => {
+        expect(parsePatternFile(encodePatternFile(glider, format)).pattern).toEqual(glider.pattern);
+      });
+      expect(() => encodePatternFile(glider, 'bitmap')).toThrow('Unknown pattern format');
+    });
+
+    test('should name transformed variants after their brush', () => {
+      expect(getPatternFileName({ id: 'p30GliderGunG', rotation: 90 })).toBe('p30GliderGunG_r90.rle');
+      expect(getPatternFileName({ id: 'eater1', flipX: true, rotation: 0 }, PATTERN_FORMAT.PLAINTEXT)).toBe('eater1_fx.cells');
+      expect(getPatternFileName({ name: 'My gun' }, PATTERN_FORMAT.MACROCELL)).toBe('My_gun.mc');
+    });
+  });
+});
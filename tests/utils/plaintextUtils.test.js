@@ -0,0 +1,44 @@
+// Unit tests for plaintext (.cells) pattern files
+import { parsePlaintextFile, encodePlaintextFile } from '../../src/utils/plaintextUtils.js';
+
+describe('Plaintext files', () => {
+  test('should parse names, comments and rows', () => {
+    const result = parsePlaintextFile(`!Name: Glider
+!Author: Richard K. Guy
+!The smallest spaceship.
+.O
+..O
+OOO
+`);
+    expect(result).toMatchObject({
+      name: 'Glider',
+      author: 'Richard K. Guy',
+      comments: ['The smallest spaceship.'],
+      width: 3,
+      height: 3,
+      rule: null,
+      guidanceLines: []
+    });
+    expect(result.pattern).toEqual([[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]]);
+  });
+
+  test('should keep blank rows inside the pattern and accept * cells', () => {
+    const result = parsePlaintextFile('*\r\n\r\n.*\r\n\r\n');
+    expect(result.pattern).toEqual([[0, 0], [2, 1]]);
+    expect(result.height).toBe(3);
+    expect(result.name).toBe('Unknown Pattern');
+  });
+
+  test('should write full rows and round-trip', () => {
+    const data = { name: 'Beehive', author: 'Anon', comments: ['Common'], pattern: [[0, 1], [0, 2], [1, 0], [1, 3], [2, 1], [2, 2]], width: 4, height: 3 };
+    const content = encodePlaintextFile(data);
+    expect(content).toBe('!Name: Beehive\n!Author: Anon\n!Common\n.OO.\nO..O\n.OO.\n');
+
+    const { name, author, comments, pattern, width, height } = parsePlaintextFile(content);
+    expect({ name, author, comments, pattern, width, height }).toEqual(data);
+  });
+
+  test('should leave out decaying cells', () => {
+    expect(encodePlaintextFile({ pattern: [[0, 0], [0, 1, 2]], width: 2, height: 1 })).toBe('O.\n');
+  });
+});
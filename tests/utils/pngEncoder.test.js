@@ -0,0 +1,48 @@
+// Unit tests for the pure-JS PNG encoder
+import { inflateSync } from 'zlib';
+import { encodePng } from '../../src/utils/pngEncoder.js';
+import { crc32 } from '../../src/utils/deflate.js';
+
+// Split a PNG into its chunks, checking each CRC
+const readChunks = png => {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    expect(view.getUint32(offset + 8 + length)).toBe(crc32(png.subarray(offset + 4, offset + 8 + length)));
+    chunks.push({ type, data });
+    offset += length + 12;
+  }
+  return chunks;
+};
+
+describe('PNG encoder', () => {
+  test('should write RGB images whose rows decode back to the pixels', () => {
+    const width = 3;
+    const height = 2;
+    const rgba = Uint8Array.from([
+      255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255,
+      255, 255, 255, 255, 0, 0, 0, 255, 10, 20, 30, 255
+    ]);
+
+    const png = encodePng(rgba, width, height);
+    expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    const chunks = readChunks(png);
+    expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+    expect([header.getUint32(0), header.getUint32(4), chunks[0].data[8], chunks[0].data[9]]).toEqual([3, 2, 8, 2]);
+
+    // Undo the "up" filter on each row
+    const raw = inflateSync(chunks[1].data);
+    const rows = [];
+    for (let y = 0; y < height; y++) {
+      const row = raw.subarray(y * (width * 3 + 1), (y + 1) * (width * 3 + 1));
+      expect(row[0]).toBe(2);
+      rows.push(Array.from(row.subarray(1), (value, i) => (value + (y > 0 ? rows[y - 1][i] : 0)) & 0xff));
+    }
+    expect(rows).toEqual([[255, 0, 0, 0, 255, 0, 0, 0, 255], [255, 255, 255, 0, 0, 0, 10, 20, 30]]);
+  });
+});
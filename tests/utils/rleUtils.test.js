@@ -1,5 +1,5 @@
 // Unit tests for RLE utilities
-import { decodeRLE, encodeRLE, parseRLEFile, decodeMultiplePatterns } from '../../src/utils/rleUtils.js';
+import { decodeRLE, encodeRLE, parseRLEFile, decodeMultiplePatterns, encodeRLEFile, wrapRLE } from '../../src/utils/rleUtils.js';
 
 describe('RLE Utils', () => {
   describe('decodeRLE', () => {
@@ -54,6 +54,14 @@ describe('RLE Utils', () => {
         [1, 0], [1, 1]
       ]);
     });
+
+    test('should decode extended multi-state letters', () => {
+      const result = decodeRLE('.A2B$pA.yO!');
+      expect(result).toEqual([
+        [0, 1], [0, 2, 2], [0, 3, 2],
+        [1, 0, 25], [1, 2, 255]
+      ]);
+    });
   });
 
   describe('encodeRLE', () => {
@@ -111,6 +119,34 @@ describe('RLE Utils', () => {
       expect(result.minCol).toBe(1);
       expect(result.maxCol).toBe(2);
     });
+
+    test('should use state letters for multi-state grids and round-trip them', () => {
+      const grid = [
+        [0, 1, 2, 0],
+        [0, 0, 0, 0],
+        [3, 3, 1, 0]
+      ];
+
+      const result = encodeRLE(grid);
+      expect(result.rle).toBe('.AB$$2CA!');
+      expect(decodeRLE(result.rle)).toEqual([[0, 1], [0, 2, 2], [2, 0, 3], [2, 1, 3], [2, 2]]);
+    });
+
+    test('should wrap long data when asked without splitting runs', () => {
+      const grid = [Array.from({ length: 200 }, (_, x) => (x % 3 === 0 ? 1 : 0))];
+      const { rle } = encodeRLE(grid, { lineLength: 70 });
+      const lines = rle.split('\n');
+      expect(lines.length).toBeGreaterThan(1);
+      expect(lines.every(line => line.length <= 70)).toBe(true);
+      expect(lines.every(line => !/\d$/.test(line))).toBe(true);
+      expect(decodeRLE(rle)).toEqual(decodeRLE(encodeRLE(grid).rle));
+    });
+  });
+
+  describe('wrapRLE', () => {
+    test('should keep multi-state runs whole', () => {
+      expect(wrapRLE('12pA3$xB!', 5)).toBe('12pA\n3$xB!');
+    });
   });
 
   describe('parseRLEFile', () => {
@@ -173,6 +209,223 @@ x = 2, y = 2, rule = B3/S23
         !isNaN(y) && !isNaN(x) && Math.abs(y) < 1000 && Math.abs(x) < 1000
       )).toBe(true);
     });
+
+    test('should parse the rule from the header', () => {
+      const result = parseRLEFile(`#N HighLife Sample
+x = 3, y = 3, rule = b36/s23
+bo$2bo$3o!`);
+      expect(result.rule).toBe('B36/S23');
+    });
+
+    test('should parse isotropic non-totalistic rules from the header', () => {
+      const result = parseRLEFile(`#N Just Friends domino
+x = 1, y = 2, rule = b2cekin/s12
+o$o!`);
+      expect(result.rule).toBe('B2-a/S12');
+    });
+
+    test('should leave the rule unset when the header has none', () => {
+      expect(parseRLEFile(`x = 2, y = 2
+2o$2o!`).rule).toBeNull();
+    });
+
+    test('should keep unrecognised rules verbatim', () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(parseRLEFile(`x = 2, y = 2, rule = B3/S23/G4x
+2o$2o!`).rule).toBe('B3/S23/G4x');
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('parseRLEFile comment lines', () => {
+    test('should keep the author and comments', () => {
+      const result = parseRLEFile(`#N Eater 1
+#O Bill Gosper
+#C The first discovered eater.
+#c   Also known as fishhook.
+x = 4, y = 4, rule = B3/S23
+2o$obo$2bo$2b2o!`);
+      expect(result.author).toBe('Bill Gosper');
+      expect(result.comments).toEqual(['The first discovered eater.', 'Also known as fishhook.']);
+    });
+
+    test('should honor Golly position and generation', () => {
+      const result = parseRLEFile(`#CXRLE Pos=-5,-3 Gen=120
+x = 3, y = 1, rule = B3/S23
+3o!`);
+      expect(result.position).toEqual({ x: -5, y: -3 });
+      expect(result.generation).toBe(120);
+      expect(result.comments).toEqual([]);
+    });
+
+    test('should tell positions from guidance lines on #P and #R lines', () => {
+      const result = parseRLEFile(`#P -10 4
+#P SE/2/2/*/4
+x = 3, y = 3
+bo$2bo$3o!`);
+      expect(result.position).toEqual({ x: -10, y: 4 });
+      expect(result.guidanceLines).toEqual([{ direction: 'SE', startX: 2, startY: 2, length: 'infinite', speed: 4 }]);
+      expect(parseRLEFile('#R 7 -2\nx = 1, y = 1\no!').position).toEqual({ x: 7, y: -2 });
+      expect(result.generation).toBeNull();
+    });
+
+    test('should read #r rules, letting the header win', () => {
+      expect(parseRLEFile('#r 23/36\nx = 1, y = 1\no!').rule).toBe('B36/S23');
+      expect(parseRLEFile('#r 23/36\nx = 1, y = 1, rule = B3/S23\no!').rule).toBe('B3/S23');
+      expect(parseRLEFile('#R B3/S23\nx = 1, y = 1\no!').rule).toBe('B3/S23');
+    });
+
+    test('should accept compact headers, CRLF line ends and bounded grid suffixes', () => {
+      const result = parseRLEFile('#N Block\r\nx=2,y=2,rule=B3/S23:T20,20\r\n2o$2o!\r\n');
+      expect(result).toMatchObject({ name: 'Block', width: 2, height: 2, rule: 'B3/S23' });
+      expect(result.pattern).toHaveLength(4);
+    });
+
+    test('should ignore everything after the end of the pattern', () => {
+      const result = parseRLEFile(`x = 2, y = 1
+2o!
+#N Not a name
+3o$3o`);
+      expect(result.name).toBe('Unknown Pattern');
+      expect(result.rle).toBe('2o!');
+      expect(result.pattern).toEqual([[0, 0], [0, 1]]);
+    });
+  });
+
+  describe('parseRLEFile strict mode', () => {
+    test('should report nothing for a clean file', () => {
+      const result = parseRLEFile('#N Glider\n#P SE/1/1/*/4\nx = 3, y = 3, rule = B3/S23\nbo$2bo$3o!', { strict: true });
+      expect(result.diagnostics).toEqual([]);
+      expect(result.pattern).toHaveLength(5);
+    });
+
+    test('should point at unexpected characters in pattern data', () => {
+      const result = parseRLEFile('x = 3, y = 2\nbo$\n  2bz!', { strict: true });
+      expect(result.diagnostics).toEqual([{ line: 3, column: 5, reason: 'Unexpected character "z" in pattern data' }]);
+    });
+
+    test('should report cells beyond the size in the header', () => {
+      const result = parseRLEFile('x = 2, y = 2\n3o$o$o!', { strict: true });
+      expect(result.diagnostics).toEqual([{ line: 1, column: 1, reason: 'Header says x = 2, y = 2 but the pattern data spans 3x3 cells' }]);
+    });
+
+    test('should explain rejected guidance lines', () => {
+      const { diagnostics, guidanceLines } = parseRLEFile('#P SE/1/1/*\n#P UP/1/1/*/4\n#P E/1/1/*/0\nx = 1, y = 1\no!', { strict: true });
+      expect(guidanceLines).toEqual([]);
+      expect(diagnostics.map(({ line, column }) => [line, column])).toEqual([[1, 4], [2, 4], [3, 4]]);
+      expect(diagnostics[0].reason).toMatch(/Direction\/x\/y\/length\/speed/);
+      expect(diagnostics[1].reason).toMatch(/unknown direction "UP"/);
+      expect(diagnostics[2].reason).toMatch(/invalid speed "0"/);
+    });
+
+    test('should size headerless patterns from their cells instead of falling back to 50x50', () => {
+      const lenient = parseRLEFile('3o$o!');
+      expect(lenient).toMatchObject({ name: 'Unknown Pattern', width: 50, height: 50 });
+      expect(lenient.diagnostics).toBeUndefined();
+
+      const strict = parseRLEFile('3o$o!', { strict: true });
+      expect(strict).toMatchObject({ width: 3, height: 2 });
+      expect(strict.pattern).toHaveLength(4);
+      expect(strict.diagnostics).toEqual([{ line: null, column: null, reason: 'Missing "x = ..., y = ..." header line' }]);
+    });
+
+    test('should report unknown rules, missing terminators and bad headers', () => {
+      const { diagnostics } = parseRLEFile('x = 0, y = 1, rule = Bogus\no', { strict: true });
+      expect(diagnostics).toEqual([
+        { line: 2, column: 2, reason: 'Pattern data does not end with "!"' },
+        { line: 1, column: 22, reason: 'Unrecognised rule "Bogus"' },
+        { line: 1, column: 1, reason: 'Header declares an empty 0x1 pattern' },
+        { line: 1, column: 1, reason: 'Header says x = 0, y = 1 but the pattern data spans 1x1 cells' }
+      ]);
+    });
+  });
+
+  describe('encodeRLEFile', () => {
+    const glider = {
+      name: 'Glider gun output',
+      author: 'Test Author',
+      comments: ['First line', '', 'Third line'],
+      pattern: [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]],
+      width: 5,
+      height: 4,
+      rule: 'B3/S23',
+      position: { x: -3, y: 8 },
+      generation: 42,
+      guidanceLines: [
+        { direction: 'SE', startX: 2, startY: 2, length: 'infinite', speed: 4 },
+        { direction: 'N', startX: 1, startY: 0, length: 10, speed: 1 }
+      ]
+    };
+
+    test('should write every part of the pattern', () => {
+      expect(encodeRLEFile(glider)).toBe(`#N Glider gun output
+#O Test Author
+#C First line
+#C
+#C Third line
+#CXRLE Pos=-3,8 Gen=42
+#P SE/2/2/*/4
+#P N/1/0/10/1
+x = 5, y = 4, rule = B3/S23
+bo$2bo$3o!
+`);
+    });
+
+    test('should round-trip names, comments, position, rule and guidance lines', () => {
+      const result = parseRLEFile(encodeRLEFile(glider));
+      const { name, author, comments, pattern, width, height, rule, position, generation, guidanceLines } = result;
+      expect({ name, author, comments, pattern, width, height, rule, position, generation, guidanceLines }).toEqual(glider);
+    });
+
+    test('should keep a single guidance line', () => {
+      const result = parseRLEFile(encodeRLEFile({ pattern: [[0, 0]], guidanceLine: { direction: 'E', startX: 0, startY: 0, length: 5, speed: 2 } }));
+      expect(result.guidanceLine).toEqual({ direction: 'E', startX: 0, startY: 0, length: 5, speed: 2 });
+    });
+
+    test('should keep leading blank rows and columns and drop trailing ones', () => {
+      const content = encodeRLEFile({ pattern: [[2, 3], [2, 4], [5, 0]], width: 10, height: 10 });
+      expect(content).toBe('x = 10, y = 10\n2$3b2o3$o!\n');
+      expect(parseRLEFile(content).pattern).toEqual([[2, 3], [2, 4], [5, 0]]);
+    });
+
+    test('should move the top-left corner for negative coordinates', () => {
+      const result = parseRLEFile(encodeRLEFile({ pattern: [[-1, -2], [0, 0]] }));
+      expect(result.position).toEqual({ x: -2, y: -1 });
+      expect(result.pattern).toEqual([[0, 0], [1, 2]]);
+    });
+
+    test('should wrap pattern data to 70 columns and round-trip large patterns', () => {
+      const pattern = [];
+      for (let y = 0; y < 40; y++) {
+        for (let x = 0; x < 120; x++) {
+          if ((x * 7 + y * 3) % 5 < 2) pattern.push([y, x]);
+        }
+      }
+      const content = encodeRLEFile({ name: 'Noise', pattern });
+      expect(content.split('\n').every(line => line.length <= 70)).toBe(true);
+      expect(parseRLEFile(content).pattern).toEqual(pattern);
+    });
+
+    test('should round-trip multi-state cells', () => {
+      const pattern = [[0, 0], [0, 1, 2], [1, 3, 25], [3, 0, 255]];
+      const content = encodeRLEFile({ pattern, rule: 'B2/S/C3' });
+      expect(parseRLEFile(content).pattern).toEqual(pattern);
+    });
+
+    test('should round-trip the brush files format', () => {
+      const content = `#N AND Gate
+#P W/78/69/*/10
+#P N/57/60/10/10
+x = 6, y = 5, rule = B3/S23
+2o$2o3$4b2o!`;
+      const parsed = parseRLEFile(content);
+      expect(parseRLEFile(encodeRLEFile(parsed))).toEqual(parsed);
+    });
+
+    test('should move guidance lines with cells left of or above the origin', () => {
+      const content = encodeRLEFile({ pattern: [[-1, 0], [0, -2]], guidanceLines: [{ direction: 'E', startX: 0, startY: 0, length: 'infinite', speed: 2 }] });
+      expect(content).toBe('#CXRLE Pos=-2,-1\n#P E/2/1/*/2\nx = 3, y = 2\n2bo$o!\n');
+    });
   });
 
   describe('decodeMultiplePatterns', () => {
@@ -229,5 +482,10 @@ x = 2, y = 2, rule = B3/S23
       const result = decodeMultiplePatterns(patterns);
       expect(result).toEqual([[-1, -1]]);
     });
+
+    test('should keep cell states when offsetting', () => {
+      const result = decodeMultiplePatterns([{ x: 2, y: 1, rle: 'AB!' }]);
+      expect(result).toEqual([[1, 2], [1, 3, 2]]);
+    });
   });
 });
@@ -0,0 +1,165 @@
+// Unit tests for the sparse unbounded universe
+import { SparseUniverse } from '../../src/utils/sparseUniverse.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { resolveRule } from '../../src/utils/lifeRules.js';
+import { GameService } from '../../src/services/gameService.js';
+
+const GLIDER = [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]];
+
+// Small deterministic PRNG so failures are reproducible
+const randomCells = (width, height, seed) => {
+  let state = seed;
+  const cells = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      state = (state * 1103515245 + 12345) & 0x7fffffff;
+      if (state / 0x7fffffff < 0.35) cells.push([y, x]);
+    }
+  }
+  return cells;
+};
+
+describe('SparseUniverse', () => {
+  describe('cell access', () => {
+    test('should read and write cells at any signed coordinate', () => {
+      const universe = new SparseUniverse();
+      universe.set(-1, -1, 1);
+      universe.set(-33, 40, 1);
+      universe.set(1000000, -1000000, 1);
+
+      expect(universe.get(-1, -1)).toBe(1);
+      expect(universe.get(-33, 40)).toBe(1);
+      expect(universe.get(1000000, -1000000)).toBe(1);
+      expect(universe.get(0, 0)).toBe(0);
+      expect(universe.countAlive()).toBe(3);
+      expect(universe.getBounds()).toEqual({ minX: -33, maxX: 1000000, minY: -1000000, maxY: 40 });
+    });
+
+    test('should drop tiles once their last cell dies', () => {
+      const universe = new SparseUniverse();
+      universe.set(5, 5, 1);
+      universe.set(5, 5, 0);
+      expect(universe.isEmpty()).toBe(true);
+      expect(universe.getBounds()).toBeNull();
+    });
+
+    test('forEachAliveInRect should only report cells inside the rectangle', () => {
+      const universe = SparseUniverse.fromCellArray([[0, 0], [-5, -40], [10, 31], [10, 32], [100, 100]]);
+      const visited = [];
+      universe.forEachAliveInRect(-40, -10, 72, 30, (x, y) => visited.push([y, x]));
+      expect(visited.sort()).toEqual([[-5, -40], [0, 0], [10, 31]].sort());
+    });
+
+    test('encode and decode should round-trip', () => {
+      const universe = SparseUniverse.fromCellArray(randomCells(70, 40, 7).map(([y, x]) => [y - 20, x - 35]));
+      const decoded = SparseUniverse.decode(universe.encode());
+      expect(decoded.equals(universe)).toBe(true);
+      expect(decoded).not.toBe(universe);
+    });
+
+    test('countChanges should count births and deaths across tiles', () => {
+      const before = SparseUniverse.fromCellArray([[0, 0], [-50, -50], [100, 100]]);
+      const after = SparseUniverse.fromCellArray([[0, 0], [0, 1], [200, 200]]);
+      expect(after.countChanges(before)).toEqual({ births: 2, deaths: 2 });
+      expect(after.countChanges(null)).toEqual({ births: 3, deaths: 0 });
+    });
+  });
+
+  describe('step', () => {
+    test('should match the packed stepper away from the board edges', () => {
+      // A soup in the middle of a large board, compared before it can reach the edge
+      const grid = new PackedGrid(160, 160);
+      randomCells(40, 40, 42).forEach(([y, x]) => grid.set(x + 60, y + 60, 1));
+
+      let packed = grid;
+      // Shift the universe copy so the soup straddles tiles at negative coordinates
+      let universe = new SparseUniverse();
+      packed.forEachAlive((x, y) => universe.set(x - 80, y - 80, 1));
+
+      for (let i = 0; i < 30; i++) {
+        packed = packed.step();
+        universe = universe.step();
+      }
+
+      const expected = new SparseUniverse();
+      packed.forEachAlive((x, y) => expected.set(x - 80, y - 80, 1));
+      expect(universe.equals(expected)).toBe(true);
+    });
+
+    test('should follow a glider across tile boundaries indefinitely', () => {
+      let universe = SparseUniverse.fromCellArray(GLIDER);
+      for (let i = 0; i < 400; i++) universe = universe.step();
+
+      expect(universe.countAlive()).toBe(5);
+      expect(universe.getBounds()).toEqual({ minX: 100, maxX: 102, minY: 100, maxY: 102 });
+      expect(universe.tiles.size).toBeLessThanOrEqual(4);
+    });
+
+    test('should run other Life-like rules and reject B0 and multi-state rules', () => {
+      // Replicator in B1357/S1357 copies a single cell outward
+      let universe = SparseUniverse.fromCellArray([[0, 0]]);
+      universe = universe.step(resolveRule('B1357/S1357'));
+      expect(universe.countAlive()).toBe(8);
+
+      expect(() => universe.step(resolveRule('B0/S8'))).toThrow('B0');
+      expect(() => universe.step(resolveRule('B2/S/C3'))).toThrow('multi-state');
+    });
+  });
+
+  describe('unbounded boards', () => {
+    test('a glider leaving the board should keep evolving outside it', () => {
+      let grid = new PackedGrid(20, 20);
+      GLIDER.forEach(([y, x]) => grid.set(x + 14, y + 14, 1));
+
+      for (let i = 0; i < 40; i++) grid = grid.step(null, null, 'unbounded');
+
+      expect(grid.countAlive()).toBe(0);
+      expect(grid.outside.countAlive()).toBe(5);
+      expect(grid.outside.getBounds()).toEqual({ minX: 24, maxX: 26, minY: 24, maxY: 26 });
+    });
+
+    test('board and outside cells together should match the whole universe', () => {
+      // A soup on a small window spills over every edge within a few generations
+      let grid = new PackedGrid(40, 40);
+      const cells = randomCells(30, 30, 11).map(([y, x]) => [y + 5, x + 5]);
+      cells.forEach(([y, x]) => grid.set(x, y, 1));
+      let universe = SparseUniverse.fromCellArray(cells);
+
+      for (let i = 0; i < 60; i++) {
+        grid = grid.step(null, null, 'unbounded');
+        universe = universe.step();
+      }
+
+      const combined = grid.outside ? grid.outside.clone() : new SparseUniverse();
+      combined.addPackedGrid(grid);
+      expect(combined.equals(universe)).toBe(true);
+    });
+
+    test('resizing the window should bring outside cells back into view', () => {
+      let grid = new PackedGrid(20, 20);
+      GLIDER.forEach(([y, x]) => grid.set(x + 14, y + 14, 1));
+      for (let i = 0; i < 40; i++) grid = grid.step(null, null, 'unbounded');
+
+      // Growing 20x20 to 60x60 keeps the center, so universe (24, 24) lands on board (44, 44)
+      const resized = GameService.resizeGrid(grid, 60, 60, 'unbounded');
+      expect(resized.countAlive()).toBe(5);
+      expect(resized.outside).toBeNull();
+      expect(resized.getBounds()).toEqual({ minX: 44, maxX: 46, minY: 44, maxY: 46 });
+
+      // Shrinking moves them out again instead of dropping them
+      const shrunk = GameService.resizeGrid(resized, 20, 20, 'unbounded');
+      expect(shrunk.countAlive()).toBe(0);
+      expect(shrunk.outside.countAlive()).toBe(5);
+    });
+
+    test('advanceGenerations should step unbounded boards directly', () => {
+      let grid = new PackedGrid(20, 20);
+      GLIDER.forEach(([y, x]) => grid.set(x + 2, y + 2, 1));
+      const jumped = GameService.advanceGenerations(grid, 100, null, 'unbounded');
+
+      for (let i = 0; i < 100; i++) grid = grid.step(null, null, 'unbounded');
+      expect(jumped.equals(grid)).toBe(true);
+      expect(jumped.outside.getBounds()).toEqual({ minX: 27, maxX: 29, minY: 27, maxY: 29 });
+    });
+  });
+});
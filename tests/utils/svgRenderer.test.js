@@ -0,0 +1,105 @@
+// Unit tests for the SVG board renderer
+import { renderBoardSvg } from '../../src/utils/svgRenderer.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+import { DetectorService } from '../../src/services/detectorService.js';
+
+// Expand the runs of a path back into "x,y" cells
+const pathCells = d => {
+  const cells = [];
+  for (const [, x, y, width] of d.matchAll(/M(\d+) (\d+)h(\d+)v1h-\d+z/g)) {
+    for (let i = 0; i < Number(width); i++) cells.push(`${Number(x) + i},${y}`);
+  }
+  return cells.sort();
+};
+
+// Cells of every path with the given fill inside a group
+const groupCells = (svg, id, fill) => {
+  const group = new RegExp(`<g id="${id}">(.*?)</g>`).exec(svg);
+  if (!group) return null;
+  return [...group[1].matchAll(/<path fill="([^"]+)"[^>]* d="([^"]*)"/g)]
+    .filter(([, color]) => color === fill)
+    .flatMap(([, , d]) => pathCells(d))
+    .sort();
+};
+
+describe('renderBoardSvg', () => {
+  test('sizes the document by cell size with one unit per cell', () => {
+    const svg = renderBoardSvg(new PackedGrid(20, 10), { cellSize: 5 });
+
+    expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg" width="100" height="50" viewBox="0 0 20 10"');
+    expect(svg).toContain('<rect width="20" height="10" fill="black"/>');
+    expect(svg.trim().endsWith('</svg>')).toBe(true);
+  });
+
+  test('merges live cells into horizontal runs and colors decaying cells', () => {
+    const grid = new PackedGrid(10, 10);
+    grid.set(2, 3, 1);
+    grid.set(3, 3, 1);
+    grid.set(4, 3, 1);
+    grid.set(7, 8, 1);
+    grid.setState(5, 5, 2);
+    const svg = renderBoardSvg(grid);
+
+    expect(svg).toContain('M2 3h3v1h-3z');
+    expect(groupCells(svg, 'cells', 'white')).toEqual(['2,3', '3,3', '4,3', '7,8']);
+    expect(groupCells(svg, 'cells', 'hsl(210, 90%, 70%)')).toEqual(['5,5']);
+  });
+
+  test('colors target cells by whether a live cell covers them', () => {
+    const grid = new PackedGrid(10, 10);
+    grid.set(5, 5, 1);
+    const svg = renderBoardSvg(grid, { challenge: { pattern: [[0, 0], [0, 1], [9, 9]] } });
+
+    expect(groupCells(svg, 'targets', 'green')).toEqual(['5,5']);
+    expect(groupCells(svg, 'targets', 'blue')).toEqual(['6,5']);
+  });
+
+  test('resolves the two guidance line tones', () => {
+    const svg = renderBoardSvg(new PackedGrid(10, 10), {
+      guidanceLinePixels: [[1, 1, 'guidanceColor1'], [1, 2, 'guidanceColor2'], [1, 3, 'guidanceColor1'], [20, 20, 'guidanceColor1']]
+    });
+
+    expect(groupCells(svg, 'guidance-lines', '#1e3a8a')).toEqual(['1,1', '3,1']);
+    expect(groupCells(svg, 'guidance-lines', '#60a5fa')).toEqual(['2,1']);
+  });
+
+  test('tints and outlines the editable area', () => {
+    const isEditableCell = (x, y) => x >= 2 && x <= 4 && y >= 1 && y <= 2;
+    const svg = renderBoardSvg(new PackedGrid(10, 10), { isEditableCell });
+
+    expect(svg).toContain('<path fill="rgb(0, 100, 200)" fill-opacity="0.1" d="M2 1h3v1h-3zM2 2h3v1h-3z"/>');
+    expect(svg).toContain('<rect x="2.125" y="1.125" width="2.75" height="1.75" fill="none" stroke="rgb(0, 150, 255)" stroke-opacity="0.6"');
+    expect(svg).toContain('stroke-dasharray="1 1"');
+  });
+
+  test('leaves out overlays that are not given', () => {
+    const svg = renderBoardSvg(new PackedGrid(10, 10));
+
+    expect(svg).not.toContain('id="targets"');
+    expect(svg).not.toContain('id="editable-area"');
+    expect(svg).not.toContain('id="detectors"');
+    expect(svg).not.toContain('id="guidance-lines"');
+    expect(svg).not.toContain('stroke="#1f637f"');
+  });
+
+  test('draws detectors in their state colors, labelled with their indices', () => {
+    const detectors = [
+      { id: 'challenge_detector_0', index: 3, pattern: [[0, 0], [0, 1]], position: { x: 2, y: 2 }, currentValue: 1, targetState: 1, isChallenge: true },
+      { id: 'challenge_detector_1', index: 4, pattern: [[0, 0]], position: { x: 6, y: 6 }, currentValue: 0, targetState: 0, isChallenge: true }
+    ];
+    const svg = renderBoardSvg(new PackedGrid(10, 10), {
+      detectorRenderData: DetectorService.getDetectorRenderData(detectors)
+    });
+
+    expect(svg).toContain('<g class="detector" data-id="challenge_detector_0"><path fill="green" d="M2 2h2v1h-2z"/>');
+    expect(svg).toContain('<path fill="rgb(255, 0, 0)" fill-opacity="0.5" d="M6 6h1v1h-1z"/>');
+    expect(svg).toMatch(/<text x="3.5" y="2.5"[^>]*>3<\/text>/);
+    expect(svg).toMatch(/<text x="6.5" y="6.5"[^>]*>4<\/text>/);
+  });
+
+  test('draws grid lines on request', () => {
+    const svg = renderBoardSvg(new PackedGrid(2, 1), { showGrid: true });
+
+    expect(svg).toContain('d="M0 0v1M1 0v1M2 0v1M0 0h2M0 1h2"');
+  });
+});
@@ -0,0 +1,84 @@
+// Unit tests for board topology helpers
+import { resolveTopology, isWrappingTopology, wrapCoordinate } from '../../src/utils/topology.js';
+import { PackedGrid } from '../../src/utils/packedGrid.js';
+
+describe('Board topologies', () => {
+  describe('resolveTopology', () => {
+    test('should accept canonical names and aliases', () => {
+      expect(resolveTopology(null)).toBe('bounded');
+      expect(resolveTopology('Toroidal')).toBe('torus');
+      expect(resolveTopology('klein-bottle')).toBe('klein');
+      expect(resolveTopology('absorbing')).toBe('absorbing');
+      expect(resolveTopology('Infinite')).toBe('unbounded');
+      expect(resolveTopology('sphere')).toBeNull();
+    });
+
+    test('isWrappingTopology should only be true for joined edges', () => {
+      expect(isWrappingTopology('torus')).toBe(true);
+      expect(isWrappingTopology('klein')).toBe(true);
+      expect(isWrappingTopology('absorbing')).toBe(false);
+      expect(isWrappingTopology('unbounded')).toBe(false);
+      expect(isWrappingTopology(null)).toBe(false);
+    });
+  });
+
+  describe('wrapCoordinate', () => {
+    test('should leave positions on the board unchanged', () => {
+      expect(wrapCoordinate(3, 4, 10, 8, 'bounded')).toEqual({ x: 3, y: 4 });
+    });
+
+    test('should return null off bounded and absorbing boards', () => {
+      expect(wrapCoordinate(-1, 4, 10, 8, 'bounded')).toBeNull();
+      expect(wrapCoordinate(3, 8, 10, 8, 'absorbing')).toBeNull();
+    });
+
+    test('should wrap both axes on a torus', () => {
+      expect(wrapCoordinate(-1, -1, 10, 8, 'torus')).toEqual({ x: 9, y: 7 });
+      expect(wrapCoordinate(23, 17, 10, 8, 'torus')).toEqual({ x: 3, y: 1 });
+    });
+
+    test('should mirror the column across the top and bottom of a Klein bottle', () => {
+      expect(wrapCoordinate(2, -1, 10, 8, 'klein')).toEqual({ x: 7, y: 7 });
+      expect(wrapCoordinate(2, 8, 10, 8, 'klein')).toEqual({ x: 7, y: 0 });
+      expect(wrapCoordinate(2, 16, 10, 8, 'klein')).toEqual({ x: 2, y: 0 });
+      expect(wrapCoordinate(-1, 3, 10, 8, 'klein')).toEqual({ x: 9, y: 3 });
+    });
+  });
+
+  describe('PackedGrid.step on a Klein bottle', () => {
+    test('a glider crossing the bottom edge should come back mirrored', () => {
+      // Glider heading south-east, placed just above the bottom edge
+      let grid = new PackedGrid(16, 16);
+      [[0, 1], [1, 2], [2, 0], [2, 1], [2, 2]].forEach(([y, x]) => grid.set(x + 4, y + 12, 1));
+
+      for (let i = 0; i < 16; i++) grid = grid.step(null, null, 'klein');
+
+      // On a torus it would reappear at columns 8-10; the Klein bottle mirrors it to 5-7
+      expect(grid.countAlive()).toBe(5);
+      expect(grid.getBounds()).toEqual({ minX: 5, maxX: 7, minY: 0, maxY: 2 });
+
+      // ...and it now travels south-west
+      for (let i = 0; i < 4; i++) grid = grid.step(null, null, 'klein');
+      expect(grid.getBounds()).toEqual({ minX: 4, maxX: 6, minY: 1, maxY: 3 });
+    });
+  });
+
+  describe('PackedGrid.step on an absorbing board', () => {
+    test('gliders that leave the board should never come back', () => {
+      // Five gliders heading north-west in neighbouring lanes; in the hidden
+      // margin they would crash into each other and send debris back
+      let grid = new PackedGrid(30, 30);
+      for (let k = 0; k < 5; k++) {
+        [[0, 0], [0, 1], [0, 2], [1, 0], [2, 1]].forEach(([y, x]) => grid.set(x + 25 - 6 * k, y + 20 - 4 * k, 1));
+      }
+
+      for (let i = 0; i < 100; i++) grid = grid.step(null, null, 'absorbing');
+      expect(grid.countAlive()).toBe(0);
+
+      for (let i = 0; i < 300; i++) {
+        grid = grid.step(null, null, 'absorbing');
+        expect(grid.countAlive()).toBe(0);
+      }
+    });
+  });
+});
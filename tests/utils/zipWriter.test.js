@@ -0,0 +1,44 @@
+// Unit tests for the pure-JS ZIP writer
+import { createZip } from '../../src/utils/zipWriter.js';
+import { crc32 } from '../../src/utils/deflate.js';
+
+describe('ZIP writer', () => {
+  test('should list every stored entry in the central directory', () => {
+    const files = [
+      { name: 'generation_00000.png', data: Uint8Array.from([1, 2, 3]) },
+      { name: 'notes.txt', data: 'hello' }
+    ];
+    const zip = createZip(files, new Date(2024, 4, 17, 10, 30, 20));
+    const view = new DataView(zip.buffer);
+
+    const end = zip.length - 22;
+    expect(view.getUint32(end, true)).toBe(0x06054b50);
+    expect(view.getUint16(end + 10, true)).toBe(2);
+
+    let offset = view.getUint32(end + 16, true);
+    const entries = [];
+    for (let i = 0; i < 2; i++) {
+      expect(view.getUint32(offset, true)).toBe(0x02014b50);
+      const nameLength = view.getUint16(offset + 28, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const size = view.getUint32(offset + 24, true);
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+      entries.push({
+        name: new TextDecoder().decode(zip.subarray(offset + 46, offset + 46 + nameLength)),
+        method: view.getUint16(offset + 10, true),
+        crc: view.getUint32(offset + 16, true),
+        data: zip.subarray(dataStart, dataStart + size),
+        date: view.getUint16(offset + 14, true)
+      });
+      expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+      offset += 46 + nameLength;
+    }
+
+    expect(entries.map(entry => entry.name)).toEqual(['generation_00000.png', 'notes.txt']);
+    expect(entries.every(entry => entry.method === 0)).toBe(true);
+    expect(Array.from(entries[0].data)).toEqual([1, 2, 3]);
+    expect(new TextDecoder().decode(entries[1].data)).toBe('hello');
+    expect(entries[1].crc).toBe(crc32(new TextEncoder().encode('hello')));
+    expect(entries[0].date).toBe(((2024 - 1980) << 9) | (5 << 5) | 17);
+  });
+});